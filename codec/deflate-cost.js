@@ -0,0 +1,186 @@
+/**
+ * DEFLATE BIT COST TRACER
+ *
+ * Purpose: Inflate a zlib stream (RFC 1950/1951) while recording how many compressed bits produced each output
+ * byte, so compressed size can be attributed to the protobuf fields the bytes belong to. No DOM dependencies.
+ *
+ * A literal's Huffman code is charged to its byte; a back-reference's length and distance codes (with their
+ * extra bits) are spread evenly over the bytes it copies. Everything else (zlib header and Adler-32 trailer,
+ * block headers, dynamic Huffman tables, end-of-block codes, padding) is reported as overhead.
+ * Only used for analysis: decoding still goes through pako.
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073,
+    4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const END_OF_BLOCK = 256;
+const MAX_CODE_BITS = 15;
+
+function createBitReader(bytes) {
+    let position = 0; // In bits
+    return {
+        get position() { return position; },
+        bits(count) {
+            let value = 0;
+            for (let bit = 0; bit < count; bit++) {
+                const byteIndex = position >>> 3;
+                if (byteIndex >= bytes.length) throw new Error('DEFLATE stream ends unexpectedly.');
+                value |= ((bytes[byteIndex] >>> (position & 7)) & 1) << bit;
+                position += 1;
+            }
+            return value;
+        },
+        alignToByte() {
+            position = (position + 7) & ~7;
+        }
+    };
+}
+
+// Canonical Huffman table as in RFC 1951 §3.2.2: code counts per length and symbols in code order
+function buildHuffman(lengths) {
+    const counts = new Array(MAX_CODE_BITS + 1).fill(0);
+    lengths.forEach(length => { counts[length] += 1; });
+    counts[0] = 0;
+    const offsets = [0, 0];
+    for (let length = 1; length < MAX_CODE_BITS; length++) offsets[length + 1] = offsets[length] + counts[length];
+    const symbols = [];
+    lengths.forEach((length, symbol) => {
+        if (length) symbols[offsets[length]++] = symbol;
+    });
+    return { counts, symbols };
+}
+
+// Huffman codes are packed most-significant bit first, so read them one bit at a time
+function decodeSymbol(reader, table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length <= MAX_CODE_BITS; length++) {
+        code |= reader.bits(1);
+        const count = table.counts[length];
+        if (code - first < count) return table.symbols[index + code - first];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+    throw new Error('DEFLATE stream has an invalid Huffman code.');
+}
+
+const FIXED_TABLES = (() => {
+    const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+    return { literals: buildHuffman(lengths), distances: buildHuffman(new Array(30).fill(5)) };
+})();
+
+function readDynamicTables(reader) {
+    const literalCount = reader.bits(5) + 257;
+    const distanceCount = reader.bits(5) + 1;
+    const codeLengthCount = reader.bits(4) + 4;
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let index = 0; index < codeLengthCount; index++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[index]] = reader.bits(3);
+    }
+    const codeLengthTable = buildHuffman(codeLengthLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+        const symbol = decodeSymbol(reader, codeLengthTable);
+        if (symbol < 16) {
+            lengths.push(symbol);
+        } else if (symbol === 16) {
+            if (!lengths.length) throw new Error('DEFLATE code lengths repeat before the first length.');
+            const previous = lengths[lengths.length - 1];
+            for (let repeat = 3 + reader.bits(2); repeat > 0; repeat--) lengths.push(previous);
+        } else {
+            const zeros = symbol === 17 ? 3 + reader.bits(3) : 11 + reader.bits(7);
+            for (let repeat = zeros; repeat > 0; repeat--) lengths.push(0);
+        }
+    }
+    return {
+        literals: buildHuffman(lengths.slice(0, literalCount)),
+        distances: buildHuffman(lengths.slice(literalCount))
+    };
+}
+
+/**
+ * Inflate With Bit Costs
+ * Purpose: Decompress a zlib stream and charge every compressed bit to the output byte it produced
+ *
+ * @param {Uint8Array} compressed - zlib stream as written by pako.deflate
+ * @param {Uint8Array|null} [dictionary] - Preset dictionary the stream was primed with
+ * @returns {{bytes: Uint8Array, bitCosts: Float64Array, overheadBits: number}} - bitCosts[i] is the share of the
+ *   compressed stream that produced bytes[i]; the costs plus overheadBits add up to compressed.length * 8
+ *
+ * Example:
+ *   const { bytes, bitCosts } = inflateWithBitCosts(pako.deflate(buffer));
+ *   bitCosts.subarray(0, 10).reduce((a, b) => a + b, 0) / 8 → compressed bytes spent on the first 10 bytes
+ */
+export function inflateWithBitCosts(compressed, dictionary = null) {
+    const reader = createBitReader(compressed);
+    const compressionMethod = reader.bits(8);
+    const flags = reader.bits(8);
+    if ((compressionMethod & 0x0F) !== 8 || ((compressionMethod << 8) | flags) % 31 !== 0) {
+        throw new Error('Not a zlib DEFLATE stream.');
+    }
+    if (flags & 0x20) {
+        if (!dictionary) throw new Error('DEFLATE stream needs a preset dictionary.');
+        reader.bits(16);
+        reader.bits(16); // Dictionary Adler-32, checked by pako when decoding
+    }
+
+    // The history starts with the dictionary so back-references into it resolve; it is not output
+    const history = dictionary ? Array.from(dictionary) : [];
+    const start = history.length;
+    const costs = [];
+
+    let finalBlock = 0;
+    while (!finalBlock) {
+        finalBlock = reader.bits(1);
+        const blockType = reader.bits(2);
+        if (blockType === 0) {
+            reader.alignToByte();
+            const length = reader.bits(16);
+            reader.bits(16); // One's complement of the length
+            for (let index = 0; index < length; index++) {
+                history.push(reader.bits(8));
+                costs.push(8);
+            }
+            continue;
+        }
+        if (blockType === 3) throw new Error('DEFLATE stream has an invalid block type.');
+
+        const tables = blockType === 1 ? FIXED_TABLES : readDynamicTables(reader);
+        for (;;) {
+            const symbolStart = reader.position;
+            const symbol = decodeSymbol(reader, tables.literals);
+            if (symbol === END_OF_BLOCK) break;
+            if (symbol < END_OF_BLOCK) {
+                history.push(symbol);
+                costs.push(reader.position - symbolStart);
+                continue;
+            }
+            const lengthCode = symbol - 257;
+            if (lengthCode >= LENGTH_BASE.length) throw new Error('DEFLATE stream has an invalid length code.');
+            const length = LENGTH_BASE[lengthCode] + reader.bits(LENGTH_EXTRA[lengthCode]);
+            const distanceCode = decodeSymbol(reader, tables.distances);
+            if (distanceCode >= DISTANCE_BASE.length) throw new Error('DEFLATE stream has an invalid distance code.');
+            const distance = DISTANCE_BASE[distanceCode] + reader.bits(DISTANCE_EXTRA[distanceCode]);
+            if (distance > history.length) throw new Error('DEFLATE stream refers back before its start.');
+            const share = (reader.position - symbolStart) / length;
+            for (let index = 0; index < length; index++) {
+                history.push(history[history.length - distance]);
+                costs.push(share);
+            }
+        }
+    }
+
+    const bitCosts = Float64Array.from(costs);
+    const chargedBits = bitCosts.reduce((sum, bits) => sum + bits, 0);
+    return {
+        bytes: Uint8Array.from(history.slice(start)),
+        bitCosts,
+        overheadBits: compressed.length * 8 - chargedBits
+    };
+}
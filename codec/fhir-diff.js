@@ -0,0 +1,257 @@
+/**
+ * FHIR ROUND-TRIP DIFF
+ *
+ * Purpose: Compare a FHIR Bundle with the Bundle rebuilt from its NFC fragment, resource by resource and
+ * element by element, so authors can see exactly what survives the tag. No DOM dependencies.
+ *
+ * Every element of the original Bundle is classed as:
+ * - preserved: same value after the round trip (date-times denoting the same instant count as the same)
+ * - transformed: a display, fullUrl or reference rewritten by the decoder (display text re-resolved, references rebuilt)
+ * - lost: absent after the round trip, or any other element whose value changed (a different code, system,
+ *   unit, value or date means the original is gone; before and after are both reported)
+ * Elements that exist only in the rebuilt Bundle are listed separately as added.
+ */
+
+export const ROUND_TRIP_STATUS = {
+    PRESERVED: 'preserved',
+    TRANSFORMED: 'transformed',
+    LOST: 'lost',
+    ADDED: 'added'
+};
+
+// Bundle-level elements compared as a pseudo-resource; entries are matched separately
+const BUNDLE_ELEMENTS = ['id', 'meta', 'identifier', 'type', 'timestamp'];
+
+// Arrays whose items are identified by a key rather than by position, so reordering is not reported as change
+const KEYED_ARRAYS = {
+    extension: item => item?.url,
+    identifier: item => item?.type?.coding?.[0]?.code || item?.system
+};
+
+// Elements the decoder rewrites without changing meaning; any other changed value is a loss
+const TRANSFORMABLE_ELEMENTS = new Set(['display', 'fullUrl', 'reference']);
+
+const CARE_STAGE_EXTENSION = /\/care-stage$/;
+
+const CLINICAL_TIME_FIELDS = ['effectiveDateTime', 'performedDateTime', 'onsetDateTime', 'recordedDate', 'authoredOn'];
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+/**
+ * Element Flattener
+ * Purpose: Turn a FHIR resource into a map of element path → leaf value
+ *
+ * @param {*} node - Resource or element to flatten
+ * @param {string} [prefix] - Path of node
+ * @param {Map} [leaves] - Map to add to
+ * @returns {Map<string, *>} - e.g. 'name[0].given[0]' → 'Thomas', 'extension[<url>].valueCode' → 'poi'
+ */
+export function flattenElements(node, prefix = '', leaves = new Map()) {
+    if (node === null || node === undefined) return leaves;
+    if (Array.isArray(node)) {
+        const fieldName = prefix.split('.').pop();
+        const keyOf = KEYED_ARRAYS[fieldName];
+        node.forEach((item, index) => {
+            const key = keyOf ? keyOf(item) : undefined;
+            flattenElements(item, `${prefix}[${key ?? index}]`, leaves);
+        });
+        return leaves;
+    }
+    if (typeof node === 'object') {
+        Object.entries(node).forEach(([name, value]) => {
+            flattenElements(value, prefix ? `${prefix}.${name}` : name, leaves);
+        });
+        return leaves;
+    }
+    leaves.set(prefix, node);
+    return leaves;
+}
+
+function sameValue(before, after) {
+    if (before === after) return true;
+    if (typeof before === 'string' && typeof after === 'string' && ISO_DATE_TIME.test(before) && ISO_DATE_TIME.test(after)) {
+        const beforeTime = Date.parse(before);
+        return !Number.isNaN(beforeTime) && beforeTime === Date.parse(after);
+    }
+    return false;
+}
+
+// 'code.coding[0].display' → 'display'
+function elementName(path) {
+    return path.split('.').pop().replace(/\[.*\]$/, '');
+}
+
+/**
+ * Element Comparison
+ * Purpose: Class every element of an original resource against its round-tripped counterpart
+ *
+ * @param {Object|null} original - Resource before encoding (null for a resource only the decoder produced)
+ * @param {Object|null} roundTripped - Resource rebuilt from the fragment (null if the resource was lost)
+ * @returns {Array<{path: string, status: string, before: *, after: *}>}
+ */
+export function compareElements(original, roundTripped) {
+    const before = flattenElements(original);
+    const after = flattenElements(roundTripped);
+    const differences = [];
+
+    before.forEach((value, path) => {
+        if (!after.has(path)) {
+            differences.push({ path, status: ROUND_TRIP_STATUS.LOST, before: value, after: undefined });
+            return;
+        }
+        const afterValue = after.get(path);
+        let status = ROUND_TRIP_STATUS.PRESERVED;
+        if (!sameValue(value, afterValue)) {
+            status = TRANSFORMABLE_ELEMENTS.has(elementName(path)) ? ROUND_TRIP_STATUS.TRANSFORMED : ROUND_TRIP_STATUS.LOST;
+        }
+        differences.push({ path, status, before: value, after: afterValue });
+    });
+    after.forEach((value, path) => {
+        if (!before.has(path)) {
+            differences.push({ path, status: ROUND_TRIP_STATUS.ADDED, before: undefined, after: value });
+        }
+    });
+
+    return differences;
+}
+
+function resourceCodeKey(resource) {
+    const concept = resource.code || resource.medicationCodeableConcept || resource.vaccineCode;
+    const coding = concept?.coding?.[0];
+    return coding ? `${coding.system || ''}|${coding.code || ''}` : '';
+}
+
+function resourceTime(resource) {
+    const field = CLINICAL_TIME_FIELDS.find(name => resource[name]);
+    return field ? resource[field] : null;
+}
+
+function resourceCareStage(resource) {
+    const extension = (resource.extension || []).find(item => CARE_STAGE_EXTENSION.test(item?.url || ''));
+    return extension ? extension.valueCode ?? null : null;
+}
+
+function resourceValue(resource) {
+    return resource.valueQuantity?.value ?? null;
+}
+
+function describeResource(resource) {
+    const coding = (resource.code || resource.medicationCodeableConcept || resource.vaccineCode)?.coding?.[0];
+    const name = coding ? coding.display || coding.code : resource.id;
+    return name ? `${resource.resourceType} (${name})` : resource.resourceType;
+}
+
+/**
+ * Resource Matcher
+ * Purpose: Pair each original entry with the rebuilt entry that represents it
+ * Usage: Rebuilt entries get new ids and fullUrls, so pairing is by type, code, clinical time and care stage
+ *
+ * Passes, each over the entries still unpaired:
+ * 1. same resourceType, code, time, care stage and value (same-minute readings from different stages pair correctly)
+ * 2. same resourceType, code and time  3. same resourceType and code  4. same resourceType, both uncoded, in order
+ *
+ * @param {Array} originalEntries - Bundle.entry before encoding
+ * @param {Array} roundTripEntries - Bundle.entry rebuilt from the fragment
+ * @returns {{pairs: Array<[Object, Object]>, lost: Array<Object>, added: Array<Object>}}
+ */
+export function matchEntries(originalEntries = [], roundTripEntries = []) {
+    const originals = originalEntries.filter(entry => entry?.resource);
+    const unpaired = new Set(roundTripEntries.filter(entry => entry?.resource));
+    const pairs = new Map();
+
+    const sameCodeAndTime = (a, b) => resourceCodeKey(a) !== '' && resourceCodeKey(a) === resourceCodeKey(b)
+        && resourceTime(a) !== null && sameValue(resourceTime(a), resourceTime(b));
+    const passes = [
+        (a, b) => sameCodeAndTime(a, b) && resourceCareStage(a) === resourceCareStage(b) && resourceValue(a) === resourceValue(b),
+        sameCodeAndTime,
+        (a, b) => resourceCodeKey(a) !== '' && resourceCodeKey(a) === resourceCodeKey(b),
+        (a, b) => resourceCodeKey(a) === '' && resourceCodeKey(b) === ''
+    ];
+    passes.forEach(matches => {
+        originals.forEach(entry => {
+            if (pairs.has(entry)) return;
+            const candidate = [...unpaired].find(other => other.resource.resourceType === entry.resource.resourceType
+                && matches(entry.resource, other.resource));
+            if (candidate) {
+                pairs.set(entry, candidate);
+                unpaired.delete(candidate);
+            }
+        });
+    });
+
+    return {
+        pairs: originals.filter(entry => pairs.has(entry)).map(entry => [entry, pairs.get(entry)]),
+        lost: originals.filter(entry => !pairs.has(entry)),
+        added: [...unpaired]
+    };
+}
+
+function countStatuses(differences) {
+    const counts = { preserved: 0, transformed: 0, lost: 0, added: 0 };
+    differences.forEach(difference => {
+        counts[difference.status] += 1;
+    });
+    return counts;
+}
+
+function resourceReport(originalEntry, roundTripEntry) {
+    const reference = originalEntry || roundTripEntry;
+    const differences = compareElements(
+        originalEntry ? { fullUrl: originalEntry.fullUrl, ...originalEntry.resource } : null,
+        roundTripEntry ? { fullUrl: roundTripEntry.fullUrl, ...roundTripEntry.resource } : null
+    );
+    let status = 'matched';
+    if (!roundTripEntry) status = ROUND_TRIP_STATUS.LOST;
+    else if (!originalEntry) status = ROUND_TRIP_STATUS.ADDED;
+    return {
+        resourceType: reference.resource.resourceType,
+        label: describeResource(reference.resource),
+        status,
+        counts: countStatuses(differences),
+        differences
+    };
+}
+
+/**
+ * FHIR Bundle Round-Trip Diff
+ * Purpose: Structured diff of a Bundle against the Bundle rebuilt from its fragment
+ *
+ * @param {Object} original - FHIR Bundle (or single Patient) before encoding
+ * @param {Object} roundTripped - FHIR Bundle from convertCodeRefToFhirBundle after decoding
+ * @returns {{summary: Object, resources: Array<Object>}} - summary counts every element by status;
+ *   resources lists the Bundle itself, then each entry with { resourceType, label, status, counts, differences }
+ *
+ * Example:
+ *   diffFhirBundles(bundle, rebuilt).summary → { preserved: 512, transformed: 74, lost: 130, added: 21 }
+ */
+export function diffFhirBundles(original, roundTripped) {
+    // A bare Patient is encoded as a one-entry Bundle
+    const originalBundle = original?.resourceType === 'Patient'
+        ? { resourceType: 'Bundle', entry: [{ resource: original }] }
+        : original || {};
+    const bundleElements = bundle => Object.fromEntries(BUNDLE_ELEMENTS
+        .filter(name => bundle[name] !== undefined)
+        .map(name => [name, bundle[name]]));
+
+    const bundleDifferences = compareElements(bundleElements(originalBundle), bundleElements(roundTripped || {}));
+    const resources = [{
+        resourceType: 'Bundle',
+        label: 'Bundle',
+        status: 'matched',
+        counts: countStatuses(bundleDifferences),
+        differences: bundleDifferences
+    }];
+
+    const { pairs, lost, added } = matchEntries(originalBundle.entry, roundTripped?.entry);
+    pairs.forEach(([originalEntry, roundTripEntry]) => resources.push(resourceReport(originalEntry, roundTripEntry)));
+    lost.forEach(entry => resources.push(resourceReport(entry, null)));
+    added.forEach(entry => resources.push(resourceReport(null, entry)));
+
+    const summary = { preserved: 0, transformed: 0, lost: 0, added: 0, resourcesLost: lost.length, resourcesAdded: added.length };
+    resources.forEach(resource => {
+        Object.keys(resource.counts).forEach(status => {
+            summary[status] += resource.counts[status];
+        });
+    });
+
+    return { summary, resources };
+}
@@ -0,0 +1,4973 @@
+/**
+ * NFC IPS CODEC
+ *
+ * Purpose: The FHIR ↔ CodeRef ↔ protobuf ↔ Base64URL fragment codec and the payload service that turns
+ * fragments and pasted input into view models, with no DOM dependencies
+ * Usage: import into a browser page, Node script or Web Worker and create an instance with createIpsCodec
+ *
+ * Injected dependencies (all optional):
+ * - loadSchema(path): development override resolving to .proto text for a RESOURCES path, parsed at runtime
+ *   instead of the precompiled descriptors in resources/proto-descriptors.js (fetchSchemaText fetches it from the page)
+ * - logger: object with any of log/warn/error/debug (default: console; pass null to silence)
+ * - storage: getItem/setItem store for multi-tag chunks between scans (default: localStorage when available)
+ * - promptForKey(error): returns the passphrase or unit key for an EncryptedFragmentError, or null to give up
+ * - pako, protobuf: library instances (default: the globals set by the vendored scripts)
+ *
+ * Example:
+ *   import { createIpsCodec } from './codec/ips-codec.js';
+ *   const { codecPipeline } = createIpsCodec({ logger: null });
+ *   const { data } = await codecPipeline.decodeFragment(fragment);
+ */
+
+import {
+    RESOURCES,
+    FHIR_EXTENSIONS,
+    FHIR_PROFILES
+} from '../config/constants.js';
+import {
+    base64ToUint8Array,
+    base64ToString,
+    uint8ArrayToBase64Url
+} from '../util/base64.js';
+import {
+    tryParseJson,
+    looksLikeJson,
+    safeDeepClone
+} from '../util/json.js';
+import { DEFLATE_DICTIONARIES } from '../resources/deflate-dictionaries.js';
+import { PROTO_DESCRIPTORS } from '../resources/proto-descriptors.js';
+import { crc32 } from '../util/crc32.js';
+import { TRUSTED_SIGNING_KEYS } from '../resources/trusted-signing-keys.js';
+import { buildNdefUriMessage } from '../util/ndef.js';
+import { diffFhirBundles } from './fhir-diff.js';
+import { inflateWithBitCosts } from './deflate-cost.js';
+import { annotateMessage } from './wire-format.js';
+import {
+    encodeQr,
+    qrToSvg
+} from '../util/qr.js';
+import {
+    codeRefKey,
+    normaliseCodeRef,
+    SystemEnums,
+    StatusEnums,
+    SystemShortKeys,
+    terminologyDatabase,
+    resolveCodeDisplay,
+    mapGenderFromCodeRef,
+    inferUnitFromCode,
+    normalizeRouteDisplay,
+    resolveCodePrefix,
+    isTemperatureCode,
+    formatTemperature
+} from './terminology.js';
+import {
+    formatDateTimeWithBullet,
+    formatTimeOnly,
+    formatDateForComparison
+} from '../util/date-format.js';
+
+/**
+ * Medical Care Stage Identifiers
+ * Purpose: OPCP stage keys in pathway order, as carried in CodeRef payloads (excludes patient demographics)
+ */
+export const STAGE_KEYS = ['poi', 'casevac', 'axp', 'medevac', 'r1', 'fwdTacevac', 'r2', 'rearTacevac', 'r3'];
+
+// Injected loggers may implement any subset of log/warn/error/debug; missing methods stay silent
+function resolveLogger(logger) {
+    const target = logger || {};
+    const method = name => (typeof target[name] === 'function' ? target[name].bind(target) : () => {});
+    return { log: method('log'), warn: method('warn'), error: method('error'), debug: method('debug') };
+}
+
+// localStorage where the host has one; reading it throws in some sandboxed frames
+function defaultStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Live Schema Loader
+ * Purpose: Fetch a .proto schema relative to the current page, for loadSchema while editing the schemas
+ *
+ * @param {string} schemaPath - RESOURCES path of the schema
+ * @returns {Promise<string>} - Proto schema text
+ */
+export async function fetchSchemaText(schemaPath) {
+    const response = await fetch(schemaPath);
+    if (!response.ok) {
+        throw new Error(`Unable to load Proto schema ${schemaPath} (${response.status})`);
+    }
+    return response.text();
+}
+
+/**
+ * Date of Birth Formatter
+ * Purpose: Convert integer date format (YYYYMMDD) to ISO date string
+ * Usage: Format patient birth dates from compressed numeric format
+ *
+ * @param {number|string} dob - Date of birth as 8-digit number (20240115)
+ * @returns {string|undefined} - ISO date string ('2024-01-15') or undefined if invalid
+ *
+ * Example:
+ *   formatDobValue(20240115) → '2024-01-15'
+ *   formatDobValue(240115) → '0024-01-15' (zero-padded)
+ */
+export function formatDobValue(dob) {
+    if (dob === undefined || dob === null) return undefined;
+    const dobString = String(dob).padStart(8, '0');
+    const year = dobString.slice(0, 4);
+    const month = dobString.slice(4, 6);
+    const day = dobString.slice(6, 8);
+    return `${year}-${month}-${day}`;
+}
+
+// Custom error for fragments whose envelope cannot be routed to a schema
+export class FragmentFormatError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'FragmentFormatError';
+        this.details = details;
+    }
+}
+
+// Raised when a fragment is encrypted and no key (or the wrong key) was supplied; details carry
+// { keyType: 'passphrase' | 'unit', keyId, wrongKey } so callers can ask for the right key
+export class EncryptedFragmentError extends FragmentFormatError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'EncryptedFragmentError';
+    }
+}
+
+// Raised when a scanned tag is one chunk of a multi-tag record that is not yet complete
+export class IncompleteRecordError extends Error {
+    constructor(status) {
+        super(`Scanned tag ${status.received.length} of ${status.total}; still missing tag${status.missing.length === 1 ? '' : 's'} ${status.missing.join(', ')}`);
+        this.name = 'IncompleteRecordError';
+        this.status = status;
+    }
+}
+
+// --- CODEC PIPELINE ---
+
+/**
+ * Codec Pipeline Factory
+ * Purpose: FHIR ↔ CodeRef ↔ protobuf ↔ DEFLATE ↔ Base64URL fragments, tag budgeting, chunking,
+ * signatures and encryption, bound to the injected schema loader and logger
+ *
+ * @param {Object} [options]
+ * @param {function(string): (string|Promise<string>)} [options.loadSchema] - Development override: .proto text for a RESOURCES path
+ * @param {Object|null} [options.logger] - log/warn/error/debug sink (null silences the pipeline)
+ * @param {Object} [options.pako] - pako instance
+ * @param {Object} [options.protobuf] - protobuf.js instance
+ * @returns {Object} - codecPipeline API
+ */
+export function createCodecPipeline({
+    loadSchema = null,
+    logger: injectedLogger = console,
+    pako = globalThis.pako,
+    protobuf = globalThis.protobuf
+} = {}) {
+    const logger = resolveLogger(injectedLogger);
+    const PROTO_URL = RESOURCES.NFC_PAYLOAD_PROTO;
+    const LEGACY_PROTO_URL = RESOURCES.NFC_PAYLOAD_LEGACY_PROTO;
+
+    let payloadTypePromise = null;
+    let legacyPayloadTypePromise = null;
+
+    // Proto field names for stages whose payload key differs (snake_case in .proto, camelCase in CodeRef)
+    const STAGE_PROTO_FIELDS = {
+        fwdTacevac: 'fwd_tacevac',
+        rearTacevac: 'rear_tacevac'
+    };
+
+    /**
+     * Fragment Envelope Header
+     * Layout: [magic][schema version][flags][flag extensions...] followed by the (optionally compressed) protobuf body.
+     * 0x4E can never start a header-less fragment: it is an invalid protobuf tag (wire type 6)
+     * and not a valid zlib CMF byte, so header detection cannot misfire on older tags.
+     * Flag extensions appear in flag-bit order:
+     *   PRESET_DICTIONARY → 1 byte dictionary version (key into DEFLATE_DICTIONARIES)
+     *   CHUNK             → 4 byte record id, 1 byte index, 1 byte total, 4 byte CRC-32 of this chunk's body
+     *                       (the body is a slice of a complete, unchunked fragment envelope)
+     *   SIGNED            → 4 byte signing key id, 64 byte ECDSA P-256/SHA-256 signature (r || s) over the
+     *                       uncompressed protobuf body. When ENCRYPTED is also set, this extension is not in the
+     *                       header but starts the plaintext, so the signature and signer stay hidden without the key
+     *   ENCRYPTED         → 1 byte key type (1 passphrase, 2 unit key), 4 byte key id, 12 byte AES-GCM IV,
+     *                       then a 16 byte PBKDF2 salt for passphrase keys. The (compressed) body is AES-256-GCM
+     *                       ciphertext plus 16 byte tag, with the whole header as additional authenticated data.
+     *   CHECKSUM          → 2 byte total envelope length; the envelope then ends with a 4 byte CRC-32 trailer over
+     *                       every preceding byte, so truncated or corrupted reads fail before inflate/protobuf
+     */
+    const FRAGMENT_MAGIC = 0x4E;
+    const FRAGMENT_HEADER_LENGTH = 3;
+
+    const FRAGMENT_FLAGS = {
+        DEFLATE: 0x01,
+        PRESET_DICTIONARY: 0x02,
+        CHUNK: 0x04,
+        SIGNED: 0x08,
+        ENCRYPTED: 0x10,
+        CHECKSUM: 0x20
+    };
+    const CHECKSUM_TRAILER_LENGTH = 4;
+    const MAX_CHECKSUMMED_LENGTH = 0xFFFF;
+    const CHUNK_EXTENSION_LENGTH = 10;
+    const MAX_CHUNKS = 255;
+
+    // Preset DEFLATE dictionaries by version; the highest version is used for new fragments
+    const CURRENT_DICTIONARY_VERSION = Math.max(0, ...Object.keys(DEFLATE_DICTIONARIES).map(Number));
+    const presetDictionaryCache = new Map();
+    const KNOWN_FRAGMENT_FLAGS = Object.values(FRAGMENT_FLAGS).reduce((mask, flag) => mask | flag, 0);
+
+    // Schema version byte → decoder. Numbers are permanent once tags are in circulation.
+    // Version 3 is wire-compatible with 2 but adds minute-offset times and SystemType/status enums,
+    // which older viewers would drop.
+    const SCHEMA_VERSIONS = {
+        1: { id: 'legacy', ensureType: () => ensureLegacyPayloadType() },
+        2: { id: 'coderef', ensureType: () => ensurePayloadType() },
+        3: { id: 'coderef', ensureType: () => ensurePayloadType() }
+    };
+    const CURRENT_SCHEMA_VERSION = 3;
+
+    // Stage entry time fields that travel as sint32 minute offsets from the payload epoch (schema v3)
+    const RELATIVE_TIME_FIELDS = {
+        vitals: 'time',
+        conditions: 'onset',
+        events: 'time'
+    };
+    // Stage entry fields left out of dictionary training: they differ per patient, so they only overfit the corpus
+    const RECORD_SPECIFIC_ENTRY_FIELDS = ['value', 'dose', 'time', 'onset'];
+    const SINT32_MIN = -0x80000000;
+    const SINT32_MAX = 0x7FFFFFFF;
+
+    // CodeRef.sys short key ↔ SystemType enum value, derived from SystemEnums so the two never drift
+    const SYSTEM_ID_BY_SHORT_KEY = Object.fromEntries(
+        Object.entries(SystemShortKeys).map(([url, shortKey]) => [shortKey, SystemEnums[url]])
+    );
+    const SHORT_KEY_BY_SYSTEM_ID = Object.fromEntries(
+        Object.entries(SYSTEM_ID_BY_SHORT_KEY).map(([shortKey, id]) => [id, shortKey])
+    );
+
+    // CodeRef status field → StatusEnums table (ClinicalStatus, VerificationStatus, ObservationCategory)
+    const CODEREF_STATUS_FIELDS = {
+        clinicalStatus: StatusEnums.clinical,
+        verificationStatus: StatusEnums.verification,
+        category: StatusEnums.category
+    };
+
+    // Types come from the precompiled descriptors, so decoding never waits on the network;
+    // a loadSchema override parses live .proto text instead (regenerate with scripts/compile-protos.mjs)
+    function loadSchemaRoot(schemaPath, descriptor) {
+        return Promise.resolve().then(() => {
+            if (!loadSchema) {
+                return protobuf.Root.fromJSON(descriptor);
+            }
+            return Promise.resolve(loadSchema(schemaPath)).then(protoText => protobuf.parse(protoText).root);
+        });
+    }
+
+    function ensurePayloadType() {
+        if (!payloadTypePromise) {
+            payloadTypePromise = loadSchemaRoot(PROTO_URL, PROTO_DESCRIPTORS.current)
+                .then(root => {
+                    const type = root.lookupType('medis.nfc.NFCPayload');
+                    if (!type) {
+                        throw new Error('NFCPayload type not found in Proto schema.');
+                    }
+                    return type;
+                })
+                .catch(error => {
+                    payloadTypePromise = null;
+                    throw error;
+                });
+        }
+        return payloadTypePromise;
+    }
+
+    function ensureLegacyPayloadType() {
+        if (!legacyPayloadTypePromise) {
+            legacyPayloadTypePromise = loadSchemaRoot(LEGACY_PROTO_URL, PROTO_DESCRIPTORS.legacy)
+                .then(root => {
+                    const type = root.lookupType('medis.nfc.NFCPayload');
+                    if (!type) {
+                        throw new Error('Legacy NFCPayload type not found in Proto schema.');
+                    }
+                    return type;
+                })
+                .catch(error => {
+                    legacyPayloadTypePromise = null;
+                    throw error;
+                });
+        }
+        return legacyPayloadTypePromise;
+    }
+
+    function getPresetDictionary(version) {
+        if (!presetDictionaryCache.has(version)) {
+            const bytes = DEFLATE_DICTIONARIES[version] ? base64ToUint8Array(DEFLATE_DICTIONARIES[version]) : null;
+            presetDictionaryCache.set(version, bytes);
+        }
+        return presetDictionaryCache.get(version);
+    }
+
+    function uint32ToBytes(value) {
+        return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    }
+
+    function bytesToUint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    function adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < bytes.length; i += 1) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    /**
+     * Preset Dictionary Lookup by DICTID
+     * Purpose: Find the dictionary a zlib stream was compressed with (RFC 1950 FDICT/DICTID)
+     *
+     * @param {Uint8Array} bytes - zlib stream
+     * @returns {Uint8Array|null} - Matching dictionary, or null if the stream needs none or it is unknown
+     */
+    function findPresetDictionaryForStream(bytes) {
+        const needsDictionary = bytes.length >= 6 && (bytes[0] & 0x0F) === 8 && (bytes[1] & 0x20);
+        if (!needsDictionary) return null;
+
+        const dictId = bytesToUint32(bytes, 2);
+        const version = Object.keys(DEFLATE_DICTIONARIES)
+            .find(candidate => adler32(getPresetDictionary(candidate)) === dictId);
+        return version ? getPresetDictionary(version) : null;
+    }
+
+    function attemptInflations(bytes) {
+        const results = [];
+        try {
+            const dictionary = findPresetDictionaryForStream(bytes);
+            const inflated = dictionary ? pako.inflate(bytes, { dictionary }) : pako.inflate(bytes);
+            results.push(inflated);
+        } catch (inflateError) {
+            try {
+                const inflatedRaw = pako.inflateRaw(bytes);
+                results.push(inflatedRaw);
+            } catch (inflateRawError) {
+                // Ignore – we'll rely on raw bytes below.
+            }
+        }
+        results.push(bytes);
+        return results;
+    }
+
+    function decodeWith(payloadType, buffer, options = {}) {
+        const message = payloadType.decode(buffer);
+        logger.log('=== DECODE DEBUG ===');
+        logger.log('Decoded protobuf message:', message);
+        logger.log('Message patient:', message.patient);
+        logger.log('🔍 DECODE DEBUG: Checking for original_bundle_json field in protobuf message');
+        logger.log('🔍 DECODE DEBUG: message.original_bundle_json exists:', !!message.original_bundle_json);
+        logger.log('🔍 DECODE DEBUG: message.originalBundleJson exists:', !!message.originalBundleJson);
+        logger.log('🔍 DECODE DEBUG: message.original_bundle_json length:', message.original_bundle_json?.length);
+        logger.log('🔍 DECODE DEBUG: message.originalBundleJson length:', message.originalBundleJson?.length);
+        logger.log('CRITICAL DEBUG - Decoded message patient fields (checking both naming conventions):');
+        logger.log('  CAMELCASE - bloodGroup:', message.patient?.bloodGroup);
+        logger.log('  CAMELCASE - nhsId:', message.patient?.nhsId);
+        logger.log('  CAMELCASE - serviceId:', message.patient?.serviceId);
+        logger.log('  SNAKE_CASE - blood_group:', message.patient?.blood_group);
+        logger.log('  SNAKE_CASE - nhs_id:', message.patient?.nhs_id);
+        logger.log('  SNAKE_CASE - service_id:', message.patient?.service_id);
+        logger.log('CRITICAL DEBUG - Direct protobuf message access:');
+        logger.log('  Raw message.patient object:', message.patient);
+        logger.log('  All patient keys:', Object.keys(message.patient || {}));
+
+        // First convert without defaults to preserve actual CodeRef values
+        const object = payloadType.toObject(message, {
+            longs: Number,
+            enums: Number,  // expandCodeRefEnums maps SystemType/status numbers back to CodeRef strings
+            defaults: false,  // Don't include defaults to avoid overriding actual values
+            oneofs: true
+        });
+        collectUnknownFields(payloadType, buffer, object);
+
+        // Check if CodeRef fields exist in the raw message before toObject conversion
+        logger.log('CRITICAL DEBUG - Raw message CodeRef fields before toObject:');
+        if (message.patient) {
+            logger.log('PROTOBUF DECODING - Raw message.patient keys:', Object.keys(message.patient));
+            // Access fields using both snake_case and camelCase to see what exists
+            logger.log('  Raw message.patient.blood_group:', message.patient.blood_group);
+            logger.log('  Raw message.patient.bloodGroup:', message.patient.bloodGroup);
+            logger.log('  Raw message.patient.nhs_id:', message.patient.nhs_id);
+            logger.log('  Raw message.patient.nhsId:', message.patient.nhsId);
+            logger.log('  Raw message.patient.service_id:', message.patient.service_id);
+            logger.log('  Raw message.patient.serviceId:', message.patient.serviceId);
+
+            // If CodeRef fields exist in raw message but are null in object, manually copy them
+            if (message.patient.blood_group && !object.patient?.blood_group) {
+                logger.log('Manually fixing blood_group from raw message');
+                object.patient = object.patient || {};
+                object.patient.blood_group = message.patient.blood_group;
+            }
+            if (message.patient.nhs_id && !object.patient?.nhs_id) {
+                logger.log('Manually fixing nhs_id from raw message');
+                object.patient = object.patient || {};
+                object.patient.nhs_id = message.patient.nhs_id;
+            }
+            if (message.patient.service_id && !object.patient?.service_id) {
+                logger.log('Manually fixing service_id from raw message');
+                object.patient = object.patient || {};
+                object.patient.service_id = message.patient.service_id;
+            }
+        }
+
+        // 🚨 CRITICAL FIX: Preserve original_bundle_json field if it exists in the protobuf message
+        const originalBundle = message.original_bundle_json || message.originalBundleJson;
+        if (originalBundle && !object.original_bundle_json && !object.originalBundleJson) {
+            logger.log('🚨 DECODE FIX: Manually preserving original_bundle_json from protobuf message');
+            logger.log('🚨 DECODE FIX: Found field as:', message.original_bundle_json ? 'original_bundle_json' : 'originalBundleJson');
+            logger.log('🚨 DECODE FIX: original bundle length:', originalBundle.length);
+            object.originalBundleJson = originalBundle;
+        }
+
+        logger.log('Converted to object:', object);
+        logger.log('Object patient:', object.patient);
+        logger.log('🔍 DECODE DEBUG: Final object.original_bundle_json exists:', !!object.original_bundle_json);
+
+        // Convert camelCase back to snake_case for consistency
+        const normalizedObject = expandCodeRefEnums(expandRelativeTimestamps(convertFromProtobufNaming(object)));
+        logger.log('Normalized patient fields:', normalizedObject.patient);
+        logger.log('🔍 DECODE DEBUG: Final normalizedObject.original_bundle_json exists:', !!normalizedObject.original_bundle_json);
+        logger.log('🔍 DECODE DEBUG: Final normalizedObject.original_bundle_json length:', normalizedObject.original_bundle_json?.length);
+
+        logger.log('CRITICAL DEBUG - Object patient fields (checking both naming conventions):');
+        logger.log('  CAMELCASE - bloodGroup:', object.patient?.bloodGroup);
+        logger.log('  CAMELCASE - nhsId:', object.patient?.nhsId);
+        logger.log('  CAMELCASE - serviceId:', object.patient?.serviceId);
+        logger.log('  SNAKE_CASE - blood_group:', object.patient?.blood_group);
+        logger.log('  SNAKE_CASE - nhs_id:', object.patient?.nhs_id);
+        logger.log('  SNAKE_CASE - service_id:', object.patient?.service_id);
+        if (options.schemaVersion) {
+            Object.defineProperty(object, '__schemaVersion', {
+                value: options.schemaVersion,
+                enumerable: false
+            });
+        }
+        return normalizedObject;
+    }
+
+    // === UNKNOWN FIELDS ===
+    // protobuf.js skips fields it has no schema for, so a newer writer's additions would vanish on re-encode.
+    // They are kept as raw wire bytes (Base64URL) on the decoded object they belong to and written back on encode.
+
+    const UNKNOWN_FIELDS_KEY = '__unknownFields';
+    const WIRE_TYPE_LENGTH_DELIMITED = 2;
+
+    function isMessageField(field) {
+        field.resolve();
+        return Boolean(field.resolvedType && field.resolvedType.fields); // Enums resolve too, but have no fields
+    }
+
+    function concatBytes(parts) {
+        const joined = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            joined.set(part, offset);
+            offset += part.length;
+        });
+        return joined;
+    }
+
+    // The decoded/encoded object for the next occurrence of a message field (repeated fields: one item each)
+    function nodeForOccurrence(node, field, occurrences) {
+        const value = node ? node[field.name] : undefined;
+        if (!field.repeated) return value;
+        const index = occurrences.get(field) || 0;
+        occurrences.set(field, index + 1);
+        return Array.isArray(value) ? value[index] : undefined;
+    }
+
+    /**
+     * Unknown Field Collector
+     * Purpose: Walk protobuf bytes alongside their toObject() result and keep every field the schema lacks
+     *
+     * @param {Object} type - protobuf.js Type the bytes were decoded with
+     * @param {Uint8Array} bytes - Encoded message
+     * @param {Object} node - toObject() result for the message (mutated: gains __unknownFields)
+     */
+    function collectUnknownFields(type, bytes, node) {
+        const reader = protobuf.Reader.create(bytes);
+        const occurrences = new Map();
+        const unknown = [];
+        while (reader.pos < reader.len) {
+            const start = reader.pos;
+            const tag = reader.uint32();
+            const field = type.fieldsById[tag >>> 3];
+            if (field && isMessageField(field) && (tag & 7) === WIRE_TYPE_LENGTH_DELIMITED) {
+                const length = reader.uint32();
+                const child = nodeForOccurrence(node, field, occurrences);
+                if (child && typeof child === 'object') {
+                    collectUnknownFields(field.resolvedType, bytes.subarray(reader.pos, reader.pos + length), child);
+                }
+                reader.pos += length;
+                continue;
+            }
+            reader.skipType(tag & 7);
+            if (!field) unknown.push(bytes.subarray(start, reader.pos));
+        }
+        if (unknown.length && node) {
+            const previous = node[UNKNOWN_FIELDS_KEY] ? [base64ToUint8Array(node[UNKNOWN_FIELDS_KEY])] : [];
+            node[UNKNOWN_FIELDS_KEY] = uint8ArrayToBase64Url(concatBytes([...previous, ...unknown]));
+        }
+    }
+
+    function hasUnknownFields(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (Array.isArray(node)) return node.some(hasUnknownFields);
+        return Boolean(node[UNKNOWN_FIELDS_KEY]) || Object.values(node).some(hasUnknownFields);
+    }
+
+    /**
+     * Unknown Field Splicer
+     * Purpose: Write preserved unknown fields back into freshly encoded protobuf bytes
+     * Usage: Encoder side of collectUnknownFields; each message's unknown fields go after its known ones
+     *
+     * @param {Object} type - protobuf.js Type the bytes were encoded with
+     * @param {Uint8Array} bytes - Encoded message
+     * @param {Object} node - Object the message was created from, carrying __unknownFields where preserved
+     * @returns {Uint8Array} - Bytes with the unknown fields restored (the same bytes if there are none)
+     */
+    function spliceUnknownFields(type, bytes, node) {
+        if (!hasUnknownFields(node)) return bytes;
+        const reader = protobuf.Reader.create(bytes);
+        const occurrences = new Map();
+        const parts = [];
+        while (reader.pos < reader.len) {
+            const start = reader.pos;
+            const tag = reader.uint32();
+            const field = type.fieldsById[tag >>> 3];
+            if (field && isMessageField(field) && (tag & 7) === WIRE_TYPE_LENGTH_DELIMITED) {
+                const tagEnd = reader.pos;
+                const length = reader.uint32();
+                const child = nodeForOccurrence(node, field, occurrences);
+                const body = spliceUnknownFields(field.resolvedType, bytes.subarray(reader.pos, reader.pos + length), child);
+                reader.pos += length;
+                parts.push(bytes.subarray(start, tagEnd), protobuf.Writer.create().uint32(body.length).finish(), body);
+                continue;
+            }
+            reader.skipType(tag & 7);
+            parts.push(bytes.subarray(start, reader.pos));
+        }
+        if (node[UNKNOWN_FIELDS_KEY]) {
+            const unknown = base64ToUint8Array(node[UNKNOWN_FIELDS_KEY]);
+            if (unknown) {
+                parts.push(unknown);
+            } else {
+                logger.warn(`Ignoring ${UNKNOWN_FIELDS_KEY} that is not valid Base64URL`);
+            }
+        }
+        return concatBytes(parts);
+    }
+
+    /**
+     * Unknown Field Lister
+     * Purpose: Report where a decoded payload carries fields from a newer schema, for display and inspection
+     *
+     * @param {Object} payload - Decoded payload (CodeRef or legacy)
+     * @returns {Array<{path: string, fieldNumbers: number[], bytes: number}>} - One entry per object with unknown fields
+     *
+     * Example:
+     *   listUnknownFields(data) → [{ path: 'poi.vitals[0]', fieldNumbers: [5], bytes: 3 }]
+     */
+    function listUnknownFields(payload) {
+        const found = [];
+        (function walk(node, path) {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach((item, index) => walk(item, `${path}[${index}]`));
+                return;
+            }
+            if (node[UNKNOWN_FIELDS_KEY]) {
+                const bytes = base64ToUint8Array(node[UNKNOWN_FIELDS_KEY]) || new Uint8Array(0);
+                const reader = protobuf.Reader.create(bytes);
+                const fieldNumbers = new Set();
+                try {
+                    while (reader.pos < reader.len) {
+                        const tag = reader.uint32();
+                        fieldNumbers.add(tag >>> 3);
+                        reader.skipType(tag & 7);
+                    }
+                } catch (error) {
+                    logger.warn(`Unreadable ${UNKNOWN_FIELDS_KEY} at ${path || 'payload'}:`, error);
+                }
+                found.push({ path: path || 'payload', fieldNumbers: [...fieldNumbers], bytes: bytes.length });
+            }
+            Object.entries(node).forEach(([key, value]) => {
+                if (key !== UNKNOWN_FIELDS_KEY) walk(value, path ? `${path}.${key}` : key);
+            });
+        })(payload, '');
+        return found;
+    }
+
+    async function tryDecode(payloadType, buffers, schemaVersion) {
+        for (let i = 0; i < buffers.length; i += 1) {
+            const buffer = buffers[i];
+            try {
+                return decodeWith(payloadType, buffer, { schemaVersion });
+            } catch (error) {
+                // Try next buffer.
+            }
+        }
+        return null;
+    }
+
+    // === PAYLOAD SIGNATURES ===
+
+    const SIGNING_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+    const SIGNATURE_LENGTH = 64; // IEEE P1363 r || s, as produced by WebCrypto
+    const SIGNATURE_EXTENSION_LENGTH = 4 + SIGNATURE_LENGTH;
+
+    const trustedSigningKeys = new Map(); // key id → { name, key }
+    let trustedSigningKeysPromise = null;
+
+    function importSigningKey(key, usage) {
+        if (typeof CryptoKey !== 'undefined' && key instanceof CryptoKey) {
+            return key;
+        }
+        return crypto.subtle.importKey('jwk', key, SIGNING_KEY_ALGORITHM, true, [usage]);
+    }
+
+    // Key id: first four bytes of SHA-256 over the uncompressed public point
+    async function signingKeyId(publicKey) {
+        const raw = await crypto.subtle.exportKey('raw', publicKey);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+        return bytesToUint32(digest, 0);
+    }
+
+    /**
+     * Trusted Signing Key Registration
+     * Purpose: Add a public key whose signatures the viewer reports as verified
+     * Usage: Keys listed in resources/trusted-signing-keys.js are registered automatically
+     *
+     * @param {CryptoKey|Object} publicKey - ECDSA P-256 public key, as a CryptoKey or JWK
+     * @param {string} name - Signer name shown in the verification badge
+     * @returns {Promise<number>} - Key id carried in signed fragments
+     */
+    async function addTrustedSigningKey(publicKey, name) {
+        const key = await importSigningKey(publicKey, 'verify');
+        const keyId = await signingKeyId(key);
+        trustedSigningKeys.set(keyId, { name: name || `Key ${keyId.toString(16).padStart(8, '0')}`, key });
+        logger.log('Trusted signing key registered:', name, keyId.toString(16).padStart(8, '0'));
+        return keyId;
+    }
+
+    function ensureTrustedSigningKeys() {
+        if (!trustedSigningKeysPromise) {
+            trustedSigningKeysPromise = Promise.all(TRUSTED_SIGNING_KEYS.map(entry =>
+                addTrustedSigningKey(entry.publicKey, entry.name).catch(error => {
+                    logger.warn('Ignoring unusable trusted signing key:', entry.name, error);
+                })));
+        }
+        return trustedSigningKeysPromise;
+    }
+
+    async function signPayloadBytes(buffer, signingKey) {
+        if (!globalThis.crypto?.subtle) {
+            throw new Error('Payload signing needs WebCrypto (a secure HTTPS or localhost page).');
+        }
+
+        // Accept a CryptoKeyPair / { privateKey, publicKey } pair, or a private JWK (which carries x and y)
+        let privateKey;
+        let publicKey;
+        if (signingKey.privateKey) {
+            privateKey = await importSigningKey(signingKey.privateKey, 'sign');
+            publicKey = await importSigningKey(signingKey.publicKey, 'verify');
+        } else {
+            const { d, key_ops: keyOps, ...publicJwk } = signingKey;
+            privateKey = await importSigningKey(signingKey, 'sign');
+            publicKey = await importSigningKey(publicJwk, 'verify');
+        }
+
+        const signature = new Uint8Array(await crypto.subtle.sign(SIGNATURE_ALGORITHM, privateKey, buffer));
+        return { keyId: await signingKeyId(publicKey), signature };
+    }
+
+    /**
+     * Payload Signature Verifier
+     * Purpose: Check a fragment's signature against the trusted public keys
+     *
+     * @param {Uint8Array} buffer - Uncompressed protobuf body
+     * @param {Object|null} signed - Header signature extension { keyId, signature }, or null if unsigned
+     * @returns {Promise<Object>} - { status: 'verified' | 'unsigned' | 'invalid', keyId, signer, reason }
+     */
+    async function verifyPayloadSignature(buffer, signed) {
+        if (!signed) {
+            return { status: 'unsigned' };
+        }
+
+        const keyId = signed.keyId.toString(16).padStart(8, '0');
+        if (!globalThis.crypto?.subtle) {
+            return { status: 'invalid', keyId, reason: 'Signature cannot be checked: WebCrypto needs a secure (HTTPS) page' };
+        }
+
+        await ensureTrustedSigningKeys();
+        const trusted = trustedSigningKeys.get(signed.keyId);
+        if (!trusted) {
+            return { status: 'invalid', keyId, reason: `Signed with key ${keyId}, which is not trusted` };
+        }
+
+        const valid = await crypto.subtle.verify(SIGNATURE_ALGORITHM, trusted.key, signed.signature, buffer);
+        return valid
+            ? { status: 'verified', keyId, signer: trusted.name }
+            : { status: 'invalid', keyId, signer: trusted.name, reason: 'Signature does not match the payload' };
+    }
+
+    // === FRAGMENT ENCRYPTION ===
+
+    // Key types are permanent once tags are in circulation; a new KDF or iteration count needs a new type
+    const ENCRYPTION_KEY_TYPES = {
+        PASSPHRASE: 1,
+        UNIT: 2
+    };
+    const ENCRYPTION_KEY_TYPE_NAMES = { 1: 'passphrase', 2: 'unit' };
+    const PBKDF2_ITERATIONS = 200000;
+    const PBKDF2_SALT_LENGTH = 16;
+    const AES_GCM_IV_LENGTH = 12;
+    const AES_GCM_TAG_LENGTH = 16;
+    const AES_KEY_LENGTH = 32;
+
+    const unitKeys = new Map(); // key id → { name, key } for pre-shared unit keys
+    const sessionPassphrases = new Set(); // Passphrases that opened a fragment this session
+    // Derived passphrase keys, reused across the repeated encodes of one tag-budget run
+    const passphraseKeyCache = new WeakMap();
+
+    function requireWebCrypto(action) {
+        if (!globalThis.crypto?.subtle) {
+            throw new Error(`${action} needs WebCrypto (a secure HTTPS or localhost page).`);
+        }
+    }
+
+    function rawKeyBytes(key) {
+        const bytes = typeof key === 'string' ? base64ToUint8Array(key) : Uint8Array.from(key || []);
+        if (!bytes || bytes.length !== AES_KEY_LENGTH) {
+            throw new Error(`Unit keys must be ${AES_KEY_LENGTH} bytes (Base64URL text or bytes).`);
+        }
+        return bytes;
+    }
+
+    // Key id: first four bytes of SHA-256 over the raw AES key, so a viewer can tell which key is needed
+    async function importEncryptionKey(rawKey) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', rawKey));
+        const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        return { key, keyId: bytesToUint32(digest, 0) };
+    }
+
+    async function derivePassphraseKey(passphrase, salt) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+            baseKey,
+            AES_KEY_LENGTH * 8
+        );
+        return importEncryptionKey(new Uint8Array(bits));
+    }
+
+    /**
+     * Unit Key Registration
+     * Purpose: Make a pre-shared unit key available for encrypting and decrypting fragments
+     * Usage: Held in memory for this page only; never persisted
+     *
+     * @param {string|Uint8Array} key - 32 byte AES key, as Base64URL text or bytes
+     * @param {string} name - Label for logs and key prompts
+     * @returns {Promise<number>} - Key id carried in encrypted fragments
+     */
+    async function addUnitKey(key, name) {
+        requireWebCrypto('Fragment encryption');
+        const imported = await importEncryptionKey(rawKeyBytes(key));
+        unitKeys.set(imported.keyId, { name: name || `Unit key ${imported.keyId.toString(16).padStart(8, '0')}`, key: imported.key });
+        logger.log('Unit key registered:', name, imported.keyId.toString(16).padStart(8, '0'));
+        return imported.keyId;
+    }
+
+    async function resolveEncryptionKey(encryption) {
+        if (encryption.passphrase) {
+            let cached = passphraseKeyCache.get(encryption);
+            if (!cached) {
+                const salt = crypto.getRandomValues(new Uint8Array(PBKDF2_SALT_LENGTH));
+                cached = { salt, ...(await derivePassphraseKey(encryption.passphrase, salt)) };
+                passphraseKeyCache.set(encryption, cached);
+            }
+            return { keyType: ENCRYPTION_KEY_TYPES.PASSPHRASE, ...cached };
+        }
+        const imported = await importEncryptionKey(rawKeyBytes(encryption.key));
+        return { keyType: ENCRYPTION_KEY_TYPES.UNIT, ...imported };
+    }
+
+    async function tryDecrypt(key, iv, aad, ciphertext) {
+        try {
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, ciphertext));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Fragment Body Decryptor
+     * Purpose: Decrypt an encrypted fragment body with a supplied, registered or remembered key
+     *
+     * @param {Uint8Array} bytes - Full fragment envelope
+     * @param {Object} header - Parsed header with .encrypted extension
+     * @param {Uint8Array} ciphertext - Encrypted body (envelope minus header and any checksum trailer)
+     * @param {Object} options - { passphrase } or { key } supplied by the caller, if any
+     * @returns {Promise<Uint8Array>} - Decrypted (still compressed) body
+     * @throws {EncryptedFragmentError} - If no available key opens the fragment
+     */
+    async function decryptFragmentBody(bytes, header, ciphertext, options = {}) {
+        const { keyType, keyId, iv, salt } = header.encrypted;
+        const details = {
+            schemaVersion: header.schemaVersion,
+            keyType: ENCRYPTION_KEY_TYPE_NAMES[keyType] || 'unknown',
+            keyId: keyId.toString(16).padStart(8, '0'),
+            wrongKey: false
+        };
+        if (!ENCRYPTION_KEY_TYPE_NAMES[keyType]) {
+            throw new FragmentFormatError(`Fragment uses unsupported encryption key type ${keyType}.`, details);
+        }
+        if (!globalThis.crypto?.subtle) {
+            throw new FragmentFormatError('Fragment is encrypted; decrypting it needs a secure (HTTPS) page.', details);
+        }
+
+        const aad = bytes.subarray(0, header.headerLength);
+        const suppliedKey = keyType === ENCRYPTION_KEY_TYPES.PASSPHRASE ? options.passphrase : options.key;
+
+        const candidates = [];
+        if (keyType === ENCRYPTION_KEY_TYPES.PASSPHRASE) {
+            if (suppliedKey) candidates.push({ passphrase: suppliedKey });
+            sessionPassphrases.forEach(passphrase => candidates.push({ passphrase }));
+        } else {
+            if (suppliedKey) {
+                try {
+                    candidates.push({ key: rawKeyBytes(suppliedKey) });
+                } catch (error) {
+                    logger.warn('Entered unit key is malformed:', error.message);
+                }
+            }
+            if (unitKeys.has(keyId)) candidates.push({ registered: unitKeys.get(keyId) });
+        }
+
+        for (const candidate of candidates) {
+            let key;
+            if (candidate.registered) {
+                key = candidate.registered.key;
+            } else {
+                const imported = candidate.passphrase
+                    ? await derivePassphraseKey(candidate.passphrase, salt)
+                    : await importEncryptionKey(candidate.key);
+                if (imported.keyId !== keyId) continue;
+                key = imported.key;
+            }
+
+            const plaintext = await tryDecrypt(key, iv, aad, ciphertext);
+            if (plaintext) {
+                if (candidate.passphrase) sessionPassphrases.add(candidate.passphrase);
+                if (candidate.key && !unitKeys.has(keyId)) await addUnitKey(candidate.key, 'Entered unit key');
+                return plaintext;
+            }
+        }
+
+        details.wrongKey = Boolean(suppliedKey);
+        throw new EncryptedFragmentError(
+            suppliedKey
+                ? `That ${details.keyType === 'passphrase' ? 'passphrase' : 'unit key'} does not open this fragment.`
+                : `Fragment is encrypted; enter the ${details.keyType === 'passphrase' ? 'passphrase' : `unit key (id ${details.keyId})`} to view it.`,
+            details
+        );
+    }
+
+    function writeSignatureExtension({ keyId, signature }) {
+        return [...uint32ToBytes(keyId), ...signature];
+    }
+
+    function readSignatureExtension(bytes, offset) {
+        return {
+            keyId: bytesToUint32(bytes, offset),
+            signature: bytes.slice(offset + 4, offset + SIGNATURE_EXTENSION_LENGTH)
+        };
+    }
+
+    /**
+     * Encrypted Body Opener
+     * Purpose: Decrypt a fragment body and, for signed fragments, take the SIGNED extension from the plaintext
+     *
+     * @param {Uint8Array} bytes - Full fragment envelope
+     * @param {Object} header - Parsed header; header.signed is filled in for signed fragments
+     * @param {Uint8Array} ciphertext - Encrypted body
+     * @param {Object} options - { passphrase } or { key }, as for decryptFragmentBody
+     * @returns {Promise<Uint8Array>} - Decrypted (still compressed) protobuf body
+     */
+    async function openEncryptedBody(bytes, header, ciphertext, options = {}) {
+        const plaintext = await decryptFragmentBody(bytes, header, ciphertext, options);
+        if (!(header.flags & FRAGMENT_FLAGS.SIGNED)) {
+            return plaintext;
+        }
+        if (plaintext.length < SIGNATURE_EXTENSION_LENGTH) {
+            throw new FragmentFormatError('Encrypted fragment is too short to hold its signature.', { schemaVersion: header.schemaVersion });
+        }
+        header.signed = readSignatureExtension(plaintext, 0);
+        return plaintext.subarray(SIGNATURE_EXTENSION_LENGTH);
+    }
+
+    function writeFragmentHeader(schemaVersion, flags, extensions = {}) {
+        const bytes = [FRAGMENT_MAGIC, schemaVersion, flags];
+        if (flags & FRAGMENT_FLAGS.PRESET_DICTIONARY) {
+            bytes.push(extensions.dictionaryVersion);
+        }
+        if (flags & FRAGMENT_FLAGS.CHUNK) {
+            const { recordId, index, total, checksum } = extensions.chunk;
+            bytes.push(...uint32ToBytes(recordId), index, total, ...uint32ToBytes(checksum));
+        }
+        if (flags & FRAGMENT_FLAGS.SIGNED && !(flags & FRAGMENT_FLAGS.ENCRYPTED)) {
+            bytes.push(...writeSignatureExtension(extensions.signed));
+        }
+        if (flags & FRAGMENT_FLAGS.ENCRYPTED) {
+            const { keyType, keyId, iv, salt } = extensions.encrypted;
+            bytes.push(keyType, ...uint32ToBytes(keyId), ...iv);
+            if (keyType === ENCRYPTION_KEY_TYPES.PASSPHRASE) {
+                bytes.push(...salt);
+            }
+        }
+        if (flags & FRAGMENT_FLAGS.CHECKSUM) {
+            bytes.push((extensions.totalLength >>> 8) & 0xFF, extensions.totalLength & 0xFF);
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * Fragment Header Reader
+     * Purpose: Recognise the versioned envelope written by encodeToFragment
+     *
+     * @param {Uint8Array} bytes - Base64URL-decoded fragment bytes
+     * @returns {Object|null} - { schemaVersion, flags, headerLength, trailerLength, dictionaryVersion, chunk, signed,
+     *   encrypted, totalLength } or null for header-less fragments (totalLength is null when the read ends before it)
+     */
+    function readFragmentHeader(bytes) {
+        if (!bytes || bytes.length < FRAGMENT_HEADER_LENGTH || bytes[0] !== FRAGMENT_MAGIC) {
+            return null;
+        }
+        const header = {
+            schemaVersion: bytes[1],
+            flags: bytes[2],
+            headerLength: FRAGMENT_HEADER_LENGTH,
+            dictionaryVersion: null
+        };
+        if (header.flags & FRAGMENT_FLAGS.PRESET_DICTIONARY) {
+            header.dictionaryVersion = bytes[header.headerLength];
+            header.headerLength += 1;
+        }
+        if (header.flags & FRAGMENT_FLAGS.CHUNK) {
+            const offset = header.headerLength;
+            header.chunk = {
+                recordId: bytesToUint32(bytes, offset),
+                index: bytes[offset + 4],
+                total: bytes[offset + 5],
+                checksum: bytesToUint32(bytes, offset + 6)
+            };
+            header.headerLength += CHUNK_EXTENSION_LENGTH;
+        }
+        if (header.flags & FRAGMENT_FLAGS.SIGNED && !(header.flags & FRAGMENT_FLAGS.ENCRYPTED)) {
+            header.signed = readSignatureExtension(bytes, header.headerLength);
+            header.headerLength += SIGNATURE_EXTENSION_LENGTH;
+        }
+        if (header.flags & FRAGMENT_FLAGS.ENCRYPTED) {
+            const offset = header.headerLength;
+            const keyType = bytes[offset];
+            const ivStart = offset + 5;
+            header.encrypted = {
+                keyType,
+                keyId: bytesToUint32(bytes, offset + 1),
+                iv: bytes.slice(ivStart, ivStart + AES_GCM_IV_LENGTH),
+                salt: keyType === ENCRYPTION_KEY_TYPES.PASSPHRASE
+                    ? bytes.slice(ivStart + AES_GCM_IV_LENGTH, ivStart + AES_GCM_IV_LENGTH + PBKDF2_SALT_LENGTH)
+                    : null
+            };
+            header.headerLength = ivStart + AES_GCM_IV_LENGTH + (header.encrypted.salt ? PBKDF2_SALT_LENGTH : 0);
+        }
+        header.trailerLength = 0;
+        if (header.flags & FRAGMENT_FLAGS.CHECKSUM) {
+            // A read cut short inside the header leaves the total length unknown (null), not 0
+            header.totalLength = bytes.length >= header.headerLength + 2
+                ? (bytes[header.headerLength] << 8) | bytes[header.headerLength + 1]
+                : null;
+            header.headerLength += 2;
+            header.trailerLength = CHECKSUM_TRAILER_LENGTH;
+        }
+        return header;
+    }
+
+    // Base64URL characters for a byte count, as seen in a pasted or scanned fragment
+    function base64UrlLength(byteLength) {
+        return Math.ceil((byteLength * 4) / 3);
+    }
+
+    // expectedBytes is null when the read ended before the header's length field
+    function fragmentIntegrityError(expectedBytes, actualLength, reason) {
+        const expectedLength = expectedBytes === null ? null : base64UrlLength(expectedBytes);
+        const expected = expectedLength === null ? 'expected length unknown' : `expected ${expectedLength} characters`;
+        return new FragmentFormatError(
+            `Fragment corrupted/truncated: ${reason} (${expected}, got ${actualLength}).`,
+            { expectedLength, actualLength }
+        );
+    }
+
+    /**
+     * Fragment Integrity Check
+     * Purpose: Reject truncated or corrupted reads before they reach inflate/protobuf
+     *
+     * @param {Uint8Array} bytes - Full fragment envelope
+     * @param {Object} header - Parsed header with the CHECKSUM flag set
+     * @throws {FragmentFormatError} - "Fragment corrupted/truncated" with expected and actual lengths
+     */
+    function verifyFragmentChecksum(bytes, header) {
+        if (bytes.length < header.headerLength || header.totalLength === null) {
+            throw fragmentIntegrityError(null, base64UrlLength(bytes.length), 'data is missing');
+        }
+        if (bytes.length !== header.totalLength) {
+            throw fragmentIntegrityError(
+                header.totalLength,
+                base64UrlLength(bytes.length),
+                bytes.length < header.totalLength ? 'data is missing' : 'unexpected extra data'
+            );
+        }
+        const bodyEnd = bytes.length - CHECKSUM_TRAILER_LENGTH;
+        if (crc32(bytes.subarray(0, bodyEnd)) !== bytesToUint32(bytes, bodyEnd)) {
+            throw fragmentIntegrityError(header.totalLength, base64UrlLength(bytes.length), 'checksum mismatch');
+        }
+    }
+
+    async function decodeVersionedFragment(bytes, header, options = {}) {
+        // Checked first: a damaged read can corrupt the schema or flag bytes as easily as the body
+        if (header.flags & FRAGMENT_FLAGS.CHECKSUM) {
+            verifyFragmentChecksum(bytes, header);
+        }
+
+        const schema = SCHEMA_VERSIONS[header.schemaVersion];
+        if (!schema) {
+            throw new FragmentFormatError(
+                `Unsupported fragment schema version ${header.schemaVersion}; this viewer reads versions ${Object.keys(SCHEMA_VERSIONS).join(', ')}.`,
+                { schemaVersion: header.schemaVersion }
+            );
+        }
+
+        const unknownFlags = header.flags & ~KNOWN_FRAGMENT_FLAGS;
+        if (unknownFlags) {
+            throw new FragmentFormatError(
+                `Fragment uses unsupported encoding flags (0x${unknownFlags.toString(16).padStart(2, '0')}).`,
+                { schemaVersion: header.schemaVersion, flags: header.flags }
+            );
+        }
+
+        if (header.flags & FRAGMENT_FLAGS.CHUNK) {
+            throw new FragmentFormatError(
+                `Fragment is tag ${header.chunk.index + 1} of ${header.chunk.total} of a multi-tag record; scan every tag and decode the reassembled record.`,
+                { schemaVersion: header.schemaVersion, chunk: header.chunk }
+            );
+        }
+
+        let dictionary = null;
+        if (header.flags & FRAGMENT_FLAGS.PRESET_DICTIONARY) {
+            dictionary = getPresetDictionary(header.dictionaryVersion);
+            if (!dictionary) {
+                throw new FragmentFormatError(
+                    `Fragment uses compression dictionary version ${header.dictionaryVersion}, which this viewer does not have.`,
+                    { schemaVersion: header.schemaVersion, dictionaryVersion: header.dictionaryVersion }
+                );
+            }
+        }
+
+        const body = bytes.subarray(header.headerLength, bytes.length - header.trailerLength);
+        let buffer = header.flags & FRAGMENT_FLAGS.ENCRYPTED
+            ? await openEncryptedBody(bytes, header, body, options)
+            : body;
+        if (header.flags & FRAGMENT_FLAGS.DEFLATE) {
+            try {
+                buffer = dictionary ? pako.inflate(buffer, { dictionary }) : pako.inflate(buffer);
+            } catch (error) {
+                throw new FragmentFormatError('Fragment body could not be decompressed.', { cause: error });
+            }
+        }
+
+        const payloadType = await schema.ensureType();
+        let data;
+        try {
+            data = decodeWith(payloadType, buffer, { schemaVersion: schema.id });
+        } catch (error) {
+            throw new FragmentFormatError(
+                `Fragment body is not a valid ${schema.id} payload (schema version ${header.schemaVersion}).`,
+                { schemaVersion: header.schemaVersion, cause: error }
+            );
+        }
+
+        const signature = await verifyPayloadSignature(buffer, header.signed || null);
+        logger.log('Fragment signature:', signature);
+        return { data, schemaVersion: schema.id, header, signature };
+    }
+
+    /**
+     * Fragment Decoder
+     * Purpose: Base64URL fragment → CodeRef or legacy payload, routed by the envelope header when present
+     *
+     * @param {string} fragment - Fragment text (without '#')
+     * @param {Object} options - { passphrase } or { key } for encrypted fragments
+     * @returns {Promise<Object>} - { data, schemaVersion, header, signature }
+     * @throws {EncryptedFragmentError} - If the fragment is encrypted and no available key opens it
+     */
+    async function decodeFragment(fragment, options = {}) {
+        const bytes = base64ToUint8Array(fragment);
+        if (!bytes) {
+            // Truncation usually leaves invalid Base64URL; if the intact prefix carries a checksummed header,
+            // report the truncation with the expected length instead of a generic Base64 failure
+            const text = (fragment || '').replace(/\s+/g, '');
+            const prefix = base64ToUint8Array(text.slice(0, text.length - (text.length % 4)));
+            const prefixHeader = readFragmentHeader(prefix);
+            if (prefixHeader && prefixHeader.flags & FRAGMENT_FLAGS.CHECKSUM) {
+                throw fragmentIntegrityError(prefixHeader.totalLength, text.length, 'data is missing or damaged');
+            }
+            throw new Error('Fragment is not valid Base64URL data.');
+        }
+
+        const header = readFragmentHeader(bytes);
+        if (header) {
+            return decodeVersionedFragment(bytes, header, options);
+        }
+
+        // Header-less fragments predate the envelope: probe compression variants and schemas
+        logger.warn('Fragment has no version header; falling back to trial decoding.');
+        const buffers = attemptInflations(bytes);
+
+        const payloadType = await ensurePayloadType();
+        const coderefResult = await tryDecode(payloadType, buffers, 'coderef');
+        if (coderefResult) {
+            return { data: coderefResult, schemaVersion: 'coderef', signature: { status: 'unsigned' } };
+        }
+
+        const legacyPayloadType = await ensureLegacyPayloadType();
+        const legacyResult = await tryDecode(legacyPayloadType, buffers, 'legacy');
+        if (legacyResult) {
+            return { data: legacyResult, schemaVersion: 'legacy', signature: { status: 'unsigned' } };
+        }
+
+        throw new Error('Unable to decode NFC payload fragment.');
+    }
+
+    function convertFhirToCodeRef(fhirPayload) {
+        logger.log('=== FHIR BUNDLE CONVERSION START ===');
+        logger.log('Input payload type:', fhirPayload.resourceType);
+        logger.log('resourceType check:', fhirPayload.resourceType === 'Bundle');
+
+        // Handle case where payload is just a FHIR Patient resource
+        if (fhirPayload.resourceType === 'Patient') {
+            logger.log('Detected single FHIR Patient resource');
+            fhirPayload = { patient: fhirPayload };
+        }
+
+        // Handle FHIR Bundle (IPS format)
+        if (fhirPayload.resourceType === 'Bundle') {
+            logger.log('Detected FHIR Bundle - calling convertFhirBundleToCodeRef');
+            return convertFhirBundleToCodeRef(fhirPayload);
+        }
+
+        logger.log('No FHIR format detected, continuing with standard conversion');
+
+        if (!fhirPayload.patient) return fhirPayload;
+
+        const converted = safeDeepClone(fhirPayload); // Safe deep copy preserving large strings
+        const patient = converted.patient;
+
+        // Convert FHIR identifiers to CodeRef format
+        if (patient.identifier) {
+            patient.identifier.forEach(identifier => {
+                if (identifier.type?.coding?.[0]?.code === 'NH') {
+                    // NHS Number
+                    patient.nhs_id = {
+                        sys: 'nhs',
+                        code: identifier.value
+                    };
+                } else if (identifier.type?.coding?.[0]?.code === 'MIL') {
+                    // Service Number
+                    patient.service_id = {
+                        sys: 'mil',
+                        code: identifier.value
+                    };
+                }
+            });
+        }
+
+        // Convert FHIR gender to CodeRef
+        if (patient.gender) {
+            const genderMap = {
+                'male': { sys: 'sct', code: '248153007' },
+                'female': { sys: 'sct', code: '248152002' }
+            };
+            patient.gender = genderMap[patient.gender] || patient.gender;
+        }
+
+        // Extract blood group from patient extensions
+        if (patient.extension) {
+            const bloodGroupExt = patient.extension.find(ext =>
+                ext.url === FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP
+            );
+            if (bloodGroupExt?.valueCodeableConcept?.coding?.[0]) {
+                const coding = bloodGroupExt.valueCodeableConcept.coding[0];
+                patient.blood_group = {
+                    sys: 'sct',
+                    code: coding.code
+                };
+            }
+        }
+
+        // Add blood group fallback
+        if (!patient.blood_group) {
+            patient.blood_group = { sys: 'sct', code: '278152006' }; // A- blood group
+        }
+
+        logger.log('=== FHIR TO CODEREF CONVERSION ===');
+        logger.log('Converted patient:', patient);
+        logger.log('CodeRef fields:');
+        logger.log('  blood_group:', patient.blood_group);
+        logger.log('  nhs_id:', patient.nhs_id);
+        logger.log('  service_id:', patient.service_id);
+        logger.log('  gender:', patient.gender);
+
+        return converted;
+    }
+
+    function convertFhirBundleToCodeRef(bundle) {
+        logger.log('Converting FHIR Bundle to CodeRef format');
+
+        // Find patient resource
+        const patientEntry = bundle.entry?.find(entry =>
+            entry.resource?.resourceType === 'Patient'
+        );
+
+        if (!patientEntry) {
+            throw new Error('No Patient resource found in FHIR Bundle');
+        }
+
+        const patient = patientEntry.resource;
+        logger.log('Found patient:', patient.name?.[0]);
+
+        // Convert patient demographics
+        const convertedPatient = {
+            given: patient.name?.[0]?.given?.[0] || '',
+            family: patient.name?.[0]?.family || '',
+            rank: patient.name?.[0]?.prefix?.[0] || '',
+            title: 'Mr', // Default title
+            nationality: 'UK', // From extension if available
+            dob: patient.birthDate || ''
+        };
+
+        // Convert identifiers
+        logger.log('Processing patient identifiers:', patient.identifier);
+        if (patient.identifier) {
+            patient.identifier.forEach(identifier => {
+                logger.log('Processing identifier:', identifier);
+                logger.log('  type.coding[0].code:', identifier.type?.coding?.[0]?.code);
+                logger.log('  value:', identifier.value);
+                if (identifier.type?.coding?.[0]?.code === 'NH') {
+                    convertedPatient.nhs_id = { sys: 'nhs', code: identifier.value };
+                    logger.log('  Set nhs_id:', convertedPatient.nhs_id);
+                } else if (identifier.type?.coding?.[0]?.code === 'MIL') {
+                    convertedPatient.service_id = { sys: 'mil', code: identifier.value };
+                    logger.log('  Set service_id:', convertedPatient.service_id);
+                }
+            });
+        }
+        logger.log('Final convertedPatient identifiers:');
+        logger.log('  nhs_id:', convertedPatient.nhs_id);
+        logger.log('  service_id:', convertedPatient.service_id);
+        logger.log('  blood_group:', convertedPatient.blood_group);
+
+        // Convert gender
+        if (patient.gender) {
+            const genderMap = {
+                'male': { sys: 'sct', code: '248153007' },
+                'female': { sys: 'sct', code: '248152002' }
+            };
+            convertedPatient.gender = genderMap[patient.gender];
+        }
+
+        // Extract blood group from extensions
+        if (patient.extension) {
+            const bloodGroupExt = patient.extension.find(ext =>
+                ext.url === FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP
+            );
+            if (bloodGroupExt?.valueCodeableConcept?.coding?.[0]) {
+                const coding = bloodGroupExt.valueCodeableConcept.coding[0];
+                convertedPatient.blood_group = { sys: 'sct', code: coding.code };
+                logger.log('  Set blood_group:', convertedPatient.blood_group);
+            }
+        }
+
+        // Bundle identity only; the structured fields below are the record (archives keep the raw JSON separately)
+        const bundleMetadata = {
+            id: bundle.id || '',
+            type: bundle.type || 'document',
+            timestamp: bundle.timestamp || new Date().toISOString()
+        };
+
+        // Initialize payload structure with care stages
+        const payload = {
+            patient: convertedPatient,
+            allergies: [],
+            bundleMetadata: bundleMetadata,
+            poi: { vitals: [], conditions: [], events: [] },
+            casevac: { vitals: [], conditions: [], events: [] },
+            axp: { vitals: [], conditions: [], events: [] },
+            medevac: { vitals: [], conditions: [], events: [] },
+            r1: { vitals: [], conditions: [], events: [] },
+            fwdTacevac: { vitals: [], conditions: [], events: [] },
+            r2: { vitals: [], conditions: [], events: [] },
+            rearTacevac: { vitals: [], conditions: [], events: [] },
+            r3: { vitals: [], conditions: [], events: [] },
+            t: 0
+        };
+
+        // Process all clinical resources and categorize by care-stage extension
+        logger.log('Processing', bundle.entry.length, 'bundle entries');
+        bundle.entry.forEach(entry => {
+            if (!entry.resource) return;
+
+            const resource = entry.resource;
+
+            // Handle allergies separately (no care-stage assignment)
+            if (resource.resourceType === 'AllergyIntolerance') {
+                payload.allergies.push(convertAllergyToCodeRef(resource));
+                return;
+            }
+
+            const careStage = getCareStageFromExtension(resource);
+
+            if (!careStage) return;
+
+            if (resource.resourceType === 'Condition') {
+                payload[careStage].conditions.push(convertConditionToCodeRef(resource));
+            } else if (resource.resourceType === 'Observation' &&
+                       resource.category?.[0]?.coding?.[0]?.code === 'vital-signs') {
+                payload[careStage].vitals.push(convertObservationToCodeRef(resource));
+            } else if (resource.resourceType === 'MedicationAdministration') {
+                payload[careStage].events.push(convertMedicationToCodeRef(resource));
+            } else if (resource.resourceType === 'Procedure') {
+                payload[careStage].events.push(convertProcedureToCodeRef(resource));
+            }
+        });
+
+        // The record's own epoch, not conversion time, so minute offsets stay small and re-encoding is repeatable
+        const bundleTime = Date.parse(bundle.timestamp);
+        payload.t = recordEpoch(payload) ?? (Number.isFinite(bundleTime) ? bundleTime : Date.now());
+        logger.log('Payload epoch (t):', new Date(payload.t).toISOString());
+
+        logger.log('=== CONVERTED CODEREF PAYLOAD ===');
+        logger.log('Patient:', payload.patient);
+        logger.log('Allergies:', payload.allergies);
+        logger.log('POI stage:', payload.poi);
+        logger.log('CASEVAC stage:', payload.casevac);
+        logger.log('MEDEVAC stage:', payload.medevac);
+
+        // Focus on proper CodeRef compression - no duplication needed
+
+        logger.log('=== CONVERSION RESULT SUMMARY ===');
+        logger.log('Patient converted:', !!payload.patient);
+        logger.log('Allergies:', payload.allergies.length);
+        logger.log('POI vitals:', payload.poi.vitals.length, 'conditions:', payload.poi.conditions.length, 'events:', payload.poi.events.length);
+        logger.log('CASEVAC vitals:', payload.casevac.vitals.length, 'conditions:', payload.casevac.conditions.length, 'events:', payload.casevac.events.length);
+        logger.log('MEDEVAC vitals:', payload.medevac.vitals.length, 'conditions:', payload.medevac.conditions.length, 'events:', payload.medevac.events.length);
+        logger.log('R1 vitals:', payload.r1.vitals.length, 'conditions:', payload.r1.conditions.length, 'events:', payload.r1.events.length);
+        logger.log('R2 vitals:', payload.r2?.vitals?.length || 0, 'conditions:', payload.r2?.conditions?.length || 0, 'events:', payload.r2?.events?.length || 0);
+        logger.log('R3 vitals:', payload.r3?.vitals?.length || 0, 'conditions:', payload.r3?.conditions?.length || 0, 'events:', payload.r3?.events?.length || 0);
+        logger.log('AXP vitals:', payload.axp.vitals.length, 'conditions:', payload.axp.conditions.length, 'events:', payload.axp.events.length);
+        logger.log('Fwd TACEVAC vitals:', payload.fwdTacevac.vitals.length, 'conditions:', payload.fwdTacevac.conditions.length, 'events:', payload.fwdTacevac.events.length);
+        logger.log('Rear TACEVAC vitals:', payload.rearTacevac.vitals.length, 'conditions:', payload.rearTacevac.conditions.length, 'events:', payload.rearTacevac.events.length);
+
+        logger.log('=== FINAL PAYLOAD PATIENT BEFORE RETURN ===');
+        logger.log('Final payload.patient:', JSON.stringify(payload.patient, null, 2));
+        logger.log('Patient has blood_group:', !!payload.patient.blood_group);
+        logger.log('Patient has nhs_id:', !!payload.patient.nhs_id);
+        logger.log('Patient has service_id:', !!payload.patient.service_id);
+
+        return payload;
+    }
+
+    const CARE_STAGE_VALUE_MAP = {
+        poi: 'poi',
+        casevac: 'casevac',
+        axp: 'axp',
+        mevac: 'medevac', // common shorthand typo
+        medevac: 'medevac',
+        r1: 'r1',
+        'fwdtacevac': 'fwdTacevac',
+        'fwd-tacevac': 'fwdTacevac',
+        'forwardtacevac': 'fwdTacevac',
+        'forward-tacevac': 'fwdTacevac',
+        'fwd tacevac': 'fwdTacevac',
+        r2: 'r2',
+        'reartacevac': 'rearTacevac',
+        'rear-tacevac': 'rearTacevac',
+        'rear tacevac': 'rearTacevac',
+        r3: 'r3'
+    };
+
+    function normaliseCareStageValue(rawValue) {
+        if (!rawValue) return null;
+        const trimmed = String(rawValue).trim();
+        const direct = CARE_STAGE_VALUE_MAP[trimmed];
+        if (direct) return direct;
+        const lowered = trimmed.toLowerCase().replace(/\s+/g, '');
+        return CARE_STAGE_VALUE_MAP[lowered] || trimmed;
+    }
+
+    function getCareStageFromExtension(resource) {
+        const careStageExt = resource.extension?.find(ext =>
+            ext.url === FHIR_EXTENSIONS.CARE_STAGE
+        );
+        if (!careStageExt) {
+            logger.debug(`No care stage extension found for ${resource.resourceType}`, {
+                resourceId: resource.id,
+                extensions: resource.extension?.map(ext => ext.url) || []
+            });
+            return null;
+        }
+        const careStage = normaliseCareStageValue(careStageExt.valueCode || careStageExt.valueString || careStageExt.value);
+        logger.debug(`Extracted care stage: ${careStage}`, {
+            resourceType: resource.resourceType,
+            resourceId: resource.id,
+            rawValue: careStageExt.valueCode || careStageExt.valueString || careStageExt.value
+        });
+        return careStage;
+    }
+
+    function convertConditionToCodeRef(condition) {
+        const code = {
+            sys: extractSystem(condition.code?.coding?.[0]?.system),
+            code: condition.code?.coding?.[0]?.code || 'unknown'
+        };
+
+        // Carried as ClinicalStatus/VerificationStatus enums on the wire
+        const clinicalStatus = condition.clinicalStatus?.coding?.[0]?.code;
+        const verificationStatus = condition.verificationStatus?.coding?.[0]?.code;
+        if (clinicalStatus) code.clinicalStatus = clinicalStatus;
+        if (verificationStatus) code.verificationStatus = verificationStatus;
+
+        return {
+            code,
+            onset: condition.onsetDateTime || new Date().toISOString()
+        };
+    }
+
+    function convertObservationToCodeRef(observation) {
+        const vital = {
+            code: {
+                sys: extractSystem(observation.code?.coding?.[0]?.system),
+                code: observation.code?.coding?.[0]?.code || 'unknown'
+            },
+            time: observation.effectiveDateTime || new Date().toISOString()
+        };
+
+        // 'vital-signs' is implied for stage vitals; only record other ObservationCategory values
+        const category = observation.category?.[0]?.coding?.[0]?.code;
+        if (category && category !== 'vital-signs') {
+            vital.code.category = category;
+        }
+
+        // Handle value - could be valueQuantity or component (for BP)
+        if (observation.valueQuantity) {
+            vital.value = observation.valueQuantity.value;
+        } else if (observation.component) {
+            // For blood pressure - use systolic value
+            const systolic = observation.component.find(comp =>
+                comp.code?.coding?.[0]?.code === '8480-6'
+            );
+            if (systolic) {
+                vital.value = systolic.valueQuantity?.value;
+            }
+        }
+
+        return vital;
+    }
+
+    function convertMedicationToCodeRef(medication) {
+        return {
+            code: {
+                sys: extractSystem(medication.medicationCodeableConcept?.coding?.[0]?.system),
+                code: medication.medicationCodeableConcept?.coding?.[0]?.code || 'unknown'
+            },
+            time: medication.effectiveDateTime || new Date().toISOString(),
+            dose: medication.dosage?.dose?.value || 0,
+            unit: medication.dosage?.dose?.unit || '',
+            route: normalizeRouteDisplay(
+                medication.dosage?.route?.coding?.[0]?.display
+                || medication.dosage?.route?.text
+                || medication.dosage?.route?.coding?.[0]?.code
+                || ''
+            )
+        };
+    }
+
+    function convertProcedureToCodeRef(procedure) {
+        return {
+            code: {
+                sys: extractSystem(procedure.code?.coding?.[0]?.system),
+                code: procedure.code?.coding?.[0]?.code || 'unknown'
+            },
+            time: procedure.performedDateTime || new Date().toISOString(),
+            dose: procedure.note?.[0]?.text || '',
+            unit: '',
+            route: normalizeRouteDisplay(
+                procedure.bodySite?.[0]?.coding?.[0]?.display
+                || procedure.bodySite?.[0]?.text
+                || procedure.performedString
+                || 'Manual'
+            )
+        };
+    }
+
+    function convertAllergyToCodeRef(allergy) {
+        return {
+            code: {
+                sys: extractSystem(allergy.code?.coding?.[0]?.system),
+                code: allergy.code?.coding?.[0]?.code || 'unknown'
+            },
+            category: allergy.category?.[0] || 'unknown',
+            criticality: allergy.criticality || 'unknown',
+            recorded: allergy.recordedDate || new Date().toISOString(),
+            reaction: allergy.reaction?.[0]?.manifestation?.[0]?.coding?.[0]?.code || 'unknown',
+            severity: allergy.reaction?.[0]?.severity || 'unknown'
+        };
+    }
+
+    function extractSystem(systemUrl) {
+        if (systemUrl?.includes('snomed')) return 'sct';
+        if (systemUrl?.includes('loinc')) return 'loinc';
+        return 'unknown';
+    }
+
+    // IPS Composition sections (LOINC section code) for Bundles rebuilt from CodeRef fields
+    const IPS_SECTIONS = [
+        { title: 'Allergies and Intolerances', code: '48765-2', resourceTypes: ['AllergyIntolerance'] },
+        { title: 'Problem List', code: '11450-4', resourceTypes: ['Condition'] },
+        { title: 'Vital Signs', code: '8716-3', resourceTypes: ['Observation'] },
+        { title: 'Medication Summary', code: '10160-0', resourceTypes: ['MedicationAdministration'] },
+        { title: 'History of Procedures', code: '47519-4', resourceTypes: ['Procedure'] }
+    ];
+
+    // Older fragments carried the source Bundle's meta and identifier as JSON text in bundleMetadata
+    function readBundleMetadataJson(bundleMetadata, snakeKey, camelKey) {
+        const text = bundleMetadata?.[snakeKey] || bundleMetadata?.[camelKey];
+        if (!text) return null;
+        try {
+            const parsed = JSON.parse(text);
+            return parsed && typeof parsed === 'object' && Object.keys(parsed).length ? parsed : null;
+        } catch (error) {
+            logger.warn(`Bundle metadata ${snakeKey} is not valid JSON; leaving it out:`, error.message);
+            return null;
+        }
+    }
+
+    function convertCodeRefToFhirBundle(codeRefPayload) {
+        logger.log('=== CODEREF TO FHIR CONVERSION START ===');
+        logger.log('Input CodeRef payload character length:', JSON.stringify(codeRefPayload).length);
+        logger.log('Converting CodeRef format back to FHIR Bundle');
+
+        // Lossless archives carry the source Bundle itself; return it unchanged
+        const archivedJson = codeRefPayload.originalBundleJson || codeRefPayload.original_bundle_json;
+        if (archivedJson) {
+            try {
+                const archived = JSON.parse(archivedJson);
+                if (archived?.resourceType) {
+                    // A bare Patient was encoded as a one-entry Bundle
+                    const restored = archived.resourceType === 'Bundle' ? archived : { resourceType: 'Bundle', entry: [{ resource: archived }] };
+                    logger.log('Archive payload: returning embedded source', archived.resourceType, 'unchanged');
+                    logger.log('=== CODEREF TO FHIR CONVERSION END ===');
+                    return restored;
+                }
+                logger.warn('Archived JSON is not a FHIR resource; rebuilding from structured fields');
+            } catch (error) {
+                logger.warn('Archived Bundle JSON is unreadable; rebuilding from structured fields:', error.message);
+            }
+        }
+
+        // Everything else is rebuilt from the structured CodeRef fields alone
+        const bundleMetadata = codeRefPayload.bundleMetadata;
+
+        // When the record was written: the source Bundle timestamp, else the payload epoch (t, milliseconds).
+        // Never the time of decoding; with neither (metadata shed for the tag budget, no t) the dates are left out.
+        const payloadEpoch = Number(codeRefPayload.t);
+        const recordedAt = bundleMetadata?.timestamp
+            || (Number.isFinite(payloadEpoch) && payloadEpoch > 0 ? new Date(payloadEpoch).toISOString() : null);
+        const meta = readBundleMetadataJson(bundleMetadata, 'meta_json', 'metaJson')
+            || { ...(recordedAt ? { lastUpdated: recordedAt } : {}), profile: [FHIR_PROFILES.IPS_BUNDLE] };
+        const identifier = readBundleMetadataJson(bundleMetadata, 'identifier_json', 'identifierJson');
+
+        const bundle = {
+            resourceType: 'Bundle',
+            id: bundleMetadata?.id || 'ips-example',
+            meta,
+            ...(identifier ? { identifier } : {}),
+            type: bundleMetadata?.type || 'document',
+            ...(recordedAt ? { timestamp: recordedAt } : {}),
+            entry: [{
+                fullUrl: 'urn:uuid:generated-composition',
+                resource: {
+                    resourceType: 'Composition',
+                    id: 'composition-example',
+                    status: 'final',
+                    type: {
+                        coding: [{
+                            system: 'http://loinc.org',
+                            code: '60591-5',
+                            display: 'Patient summary Document'
+                        }]
+                    },
+                    subject: {
+                        reference: 'urn:uuid:patient-example'
+                    },
+                    ...(recordedAt ? { date: recordedAt } : {}),
+                    title: 'International Patient Summary',
+                    section: []
+                }
+            }]
+        };
+
+        // Convert patient data back to FHIR Patient resource
+        if (codeRefPayload.patient) {
+            const patient = convertCodeRefPatientToFhir(codeRefPayload.patient);
+            bundle.entry.push({
+                fullUrl: 'urn:uuid:patient-example',
+                resource: patient
+            });
+        }
+
+        // Convert allergies back to FHIR AllergyIntolerance resources
+        if (codeRefPayload.allergies) {
+            codeRefPayload.allergies.forEach((allergy, index) => {
+                const allergyResource = convertCodeRefAllergyToFhir(allergy);
+                bundle.entry.push({
+                    fullUrl: `urn:uuid:allergy-${index}`,
+                    resource: allergyResource
+                });
+            });
+        }
+
+        // Convert clinical data from each OPCP stage back to FHIR resources
+        STAGE_KEYS.forEach(stageKey => {
+            const stage = codeRefPayload[stageKey];
+            if (!stage) return;
+
+            // Convert vitals to Observation resources
+            if (stage.vitals) {
+                stage.vitals.forEach((vital, index) => {
+                    const observation = convertCodeRefVitalToFhir(vital, stageKey);
+                    bundle.entry.push({
+                        fullUrl: `urn:uuid:${stageKey}-vital-${index}`,
+                        resource: observation
+                    });
+                });
+            }
+
+            // Convert conditions to Condition resources
+            if (stage.conditions) {
+                stage.conditions.forEach((condition, index) => {
+                    const conditionResource = convertCodeRefConditionToFhir(condition, stageKey);
+                    bundle.entry.push({
+                        fullUrl: `urn:uuid:${stageKey}-condition-${index}`,
+                        resource: conditionResource
+                    });
+                });
+            }
+
+            // Convert events to various FHIR resources
+            if (stage.events) {
+                stage.events.forEach((event, index) => {
+                    const eventResource = convertCodeRefEventToFhir(event, stageKey);
+                    bundle.entry.push({
+                        fullUrl: `urn:uuid:${stageKey}-event-${index}`,
+                        resource: eventResource
+                    });
+                });
+            }
+        });
+
+        // List every rebuilt resource in its IPS Composition section
+        const composition = bundle.entry[0].resource;
+        IPS_SECTIONS.forEach(section => {
+            const entries = bundle.entry.filter(entry => section.resourceTypes.includes(entry.resource?.resourceType));
+            if (!entries.length) return;
+            composition.section.push({
+                title: section.title,
+                code: { coding: [{ system: 'http://loinc.org', code: section.code, display: section.title }] },
+                entry: entries.map(entry => ({ reference: entry.fullUrl }))
+            });
+        });
+
+        logger.log('Converted CodeRef to FHIR Bundle with', bundle.entry.length, 'entries');
+        logger.log('Output FHIR Bundle character length:', JSON.stringify(bundle).length);
+        logger.log('=== CODEREF TO FHIR CONVERSION END ===');
+        return bundle;
+    }
+
+    function convertCodeRefPatientToFhir(patientData) {
+        const patient = {
+            resourceType: 'Patient',
+            id: 'patient-example'
+        };
+
+        // Name
+        if (patientData.given || patientData.family || patientData.title || patientData.rank) {
+            const nameEntry = { use: 'official' };
+            const prefixes = [];
+            if (patientData.title) prefixes.push(patientData.title);
+            if (patientData.rank) prefixes.push(patientData.rank);
+            if (prefixes.length) nameEntry.prefix = prefixes;
+            if (patientData.given) {
+                nameEntry.given = Array.isArray(patientData.given) ? patientData.given : [patientData.given];
+            }
+            if (patientData.family) nameEntry.family = patientData.family;
+            patient.name = [nameEntry];
+        }
+
+        // Gender
+        if (patientData.gender) {
+            const genderMap = {
+                '248153007': 'male',
+                '248152002': 'female'
+            };
+            patient.gender = genderMap[patientData.gender.code] || 'unknown';
+        }
+
+        // Birth date
+        if (patientData.dob) {
+            patient.birthDate = patientData.dob;
+        }
+
+        // Identifiers
+        const identifiers = [];
+        if (patientData.nhs_id || patientData.nhsId) {
+            const nhsId = patientData.nhs_id || patientData.nhsId;
+            identifiers.push({
+                use: 'official',
+                type: {
+                    coding: [{
+                        system: 'https://fhir.hl7.org.uk/CodeSystem/UKCore-IdentifierType',
+                        code: 'NH',
+                        display: 'NHS Number'
+                    }]
+                },
+                system: 'https://fhir.nhs.uk/Id/nhs-number',
+                value: String(nhsId.code)
+            });
+        }
+
+        if (patientData.service_id || patientData.serviceId) {
+            const serviceId = patientData.service_id || patientData.serviceId;
+            identifiers.push({
+                use: 'secondary',
+                type: {
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+                        code: 'MIL',
+                        display: 'Military ID number'
+                    }]
+                },
+                system: 'urn:code:mil',
+                value: String(serviceId.code)
+            });
+        }
+
+        if (identifiers.length) patient.identifier = identifiers;
+
+        // Extensions
+        const extensions = [];
+        if (patientData.blood_group || patientData.bloodGroup) {
+            const bloodGroup = patientData.blood_group || patientData.bloodGroup;
+            extensions.push({
+                url: FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP,
+                valueCodeableConcept: {
+                    coding: [{
+                        system: 'http://snomed.info/sct',
+                        code: bloodGroup.code,
+                        display: resolveCodeDisplay('sct', bloodGroup.code)
+                    }]
+                }
+            });
+        }
+
+        if (patientData.nationality) {
+            extensions.push({
+                url: FHIR_EXTENSIONS.PATIENT_NATIONALITY,
+                valueCodeableConcept: {
+                    coding: [{
+                        system: 'urn:iso:std:iso:3166',
+                        code: patientData.nationality,
+                        display: patientData.nationality
+                    }]
+                }
+            });
+        }
+
+        if (extensions.length) patient.extension = extensions;
+
+        return patient;
+    }
+
+    function convertCodeRefAllergyToFhir(allergy) {
+        const allergyResource = {
+            resourceType: 'AllergyIntolerance',
+            clinicalStatus: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+                    code: 'active'
+                }]
+            },
+            verificationStatus: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
+                    code: 'confirmed'
+                }]
+            },
+            category: [allergy.category || 'unknown'],
+            criticality: allergy.criticality || 'unknown',
+            code: {
+                coding: [{
+                    system: allergy.code?.sys === 'sct' ? 'http://snomed.info/sct' : 'http://unknown.system',
+                    code: allergy.code?.code || 'unknown',
+                    display: '' // Will be filled by terminology lookup
+                }]
+            },
+            patient: {
+                reference: 'urn:uuid:patient-example'
+            },
+            recordedDate: allergy.recorded || new Date().toISOString()
+        };
+
+        // Add reaction if present
+        if (allergy.reaction && allergy.reaction !== 'unknown') {
+            allergyResource.reaction = [{
+                manifestation: [{
+                    coding: [{
+                        system: 'http://snomed.info/sct',
+                        code: allergy.reaction,
+                        display: '' // Will be filled by terminology lookup
+                    }]
+                }],
+                severity: allergy.severity || 'unknown'
+            }];
+        }
+
+        return allergyResource;
+    }
+
+    function convertCodeRefVitalToFhir(vital, careStage) {
+        return {
+            resourceType: 'Observation',
+            status: 'final',
+            category: [{
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+                    code: vital.code.category || 'vital-signs',
+                    display: terminologyDatabase.status['http://terminology.hl7.org/CodeSystem/observation-category'][vital.code.category || 'vital-signs']?.display
+                        || vital.code.category
+                }]
+            }],
+            code: {
+                coding: [{
+                    system: vital.code.sys === 'loinc' ? 'http://loinc.org' : `urn:code:${vital.code.sys}`,
+                    code: vital.code.code,
+                    display: resolveCodeDisplay(vital.code.sys, vital.code.code)
+                }]
+            },
+            subject: { reference: 'urn:uuid:patient-example' },
+            effectiveDateTime: vital.time,
+            valueQuantity: {
+                value: vital.value,
+                unit: inferUnitFromCode(vital.code.sys, vital.code.code) || ''
+            },
+            extension: [{
+                url: FHIR_EXTENSIONS.CARE_STAGE,
+                valueCode: careStage
+            }]
+        };
+    }
+
+    function convertCodeRefConditionToFhir(condition, careStage) {
+        const verificationStatus = condition.code.verificationStatus ? {
+            verificationStatus: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+                    code: condition.code.verificationStatus
+                }]
+            }
+        } : {};
+
+        return {
+            resourceType: 'Condition',
+            clinicalStatus: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+                    code: condition.code.clinicalStatus || 'active'
+                }]
+            },
+            ...verificationStatus,
+            code: {
+                coding: [{
+                    system: condition.code.sys === 'sct' ? 'http://snomed.info/sct' : `urn:code:${condition.code.sys}`,
+                    code: condition.code.code,
+                    display: resolveCodeDisplay(condition.code.sys, condition.code.code)
+                }]
+            },
+            subject: { reference: 'urn:uuid:patient-example' },
+            onsetDateTime: condition.onset,
+            extension: [{
+                url: FHIR_EXTENSIONS.CARE_STAGE,
+                valueCode: careStage
+            }]
+        };
+    }
+
+    function convertCodeRefEventToFhir(event, careStage) {
+        // Determine resource type based on the event code
+        const isMedication = event.dose && typeof event.dose === 'number';
+
+        if (isMedication) {
+            return {
+                resourceType: 'MedicationAdministration',
+                status: 'completed',
+                medicationCodeableConcept: {
+                    coding: [{
+                        system: event.code.sys === 'sct' ? 'http://snomed.info/sct' : `urn:code:${event.code.sys}`,
+                        code: event.code.code,
+                        display: resolveCodeDisplay(event.code.sys, event.code.code)
+                    }]
+                },
+                subject: { reference: 'urn:uuid:patient-example' },
+                effectiveDateTime: event.time,
+                dosage: {
+                    dose: {
+                        value: event.dose,
+                        unit: event.unit || ''
+                    },
+                    route: event.route ? {
+                        coding: [{
+                            system: 'http://snomed.info/sct',
+                            code: event.route
+                        }]
+                    } : undefined
+                },
+                extension: [{
+                    url: FHIR_EXTENSIONS.CARE_STAGE,
+                    valueCode: careStage
+                }]
+            };
+        } else {
+            return {
+                resourceType: 'Procedure',
+                status: 'completed',
+                code: {
+                    coding: [{
+                        system: event.code.sys === 'sct' ? 'http://snomed.info/sct' : `urn:code:${event.code.sys}`,
+                        code: event.code.code,
+                        display: resolveCodeDisplay(event.code.sys, event.code.code)
+                    }]
+                },
+                subject: { reference: 'urn:uuid:patient-example' },
+                performedDateTime: event.time,
+                note: event.dose && typeof event.dose === 'string' ? [{
+                    text: event.dose
+                }] : undefined,
+                extension: [{
+                    url: FHIR_EXTENSIONS.CARE_STAGE,
+                    valueCode: careStage
+                }]
+            };
+        }
+    }
+
+    // === ENCODING MODES ===
+
+    /**
+     * Encoding Modes
+     * Purpose: What a fragment carries besides the structured CodeRef fields
+     *   TAG     → structured fields only; decoders rebuild the Bundle from them. The default, and the only
+     *             mode small enough for a tag
+     *   ARCHIVE → lossless: also embeds the complete source Bundle JSON (original_bundle_json), which
+     *             decoding returns unchanged. For storage and transfer, not for writing to a tag
+     */
+    const ENCODING_MODES = {
+        TAG: 'tag',
+        ARCHIVE: 'archive'
+    };
+
+    // Raw JSON copies of the source Bundle that older CodeRef payloads carried in bundleMetadata
+    const RAW_BUNDLE_METADATA_FIELDS = ['meta_json', 'identifier_json', 'metaJson', 'identifierJson',
+        'composition_fullUrl', 'composition_json', 'entries_json'];
+
+    function resolveEncodingMode(options = {}) {
+        const mode = options.mode || ENCODING_MODES.TAG;
+        if (!Object.values(ENCODING_MODES).includes(mode)) {
+            throw new Error(`Unknown encoding mode "${mode}". Use ${Object.values(ENCODING_MODES).join(' or ')}.`);
+        }
+        return mode;
+    }
+
+    /**
+     * Encoding Mode Preparation
+     * Purpose: Strip every raw JSON copy from a CodeRef payload, then re-attach the source Bundle for archives
+     *
+     * @param {Object} payload - CodeRef payload (not mutated)
+     * @param {string} mode - ENCODING_MODES value
+     * @param {string|null} [sourceJson] - FHIR JSON the payload was converted from, if any
+     * @returns {Object} - Payload to encode
+     */
+    function applyEncodingMode(payload, mode, sourceJson = null) {
+        const prepared = { ...payload };
+        const archivedJson = sourceJson || prepared.originalBundleJson || prepared.original_bundle_json || null;
+        delete prepared.originalBundleJson;
+        delete prepared.original_bundle_json;
+        if (prepared.bundleMetadata) {
+            prepared.bundleMetadata = { ...prepared.bundleMetadata };
+            RAW_BUNDLE_METADATA_FIELDS.forEach(field => { delete prepared.bundleMetadata[field]; });
+        }
+        if (mode === ENCODING_MODES.ARCHIVE) {
+            if (archivedJson) {
+                prepared.originalBundleJson = archivedJson;
+            } else {
+                logger.log('Archive encoding: no source Bundle JSON to embed; the CodeRef fields are the whole record');
+            }
+        }
+        return prepared;
+    }
+
+    /**
+     * Fragment Encoder
+     * Purpose: CodeRef or FHIR payload → protobuf → DEFLATE → versioned header → Base64URL
+     *
+     * @param {Object} payload - FHIR Bundle/Patient or CodeRef payload
+     * @param {Object} options - { presetDictionary: true } to compress with the current preset dictionary;
+     *   { signingKey } to sign with an ECDSA P-256 key pair ({ privateKey, publicKey }) or private JWK;
+     *   { encryption: { passphrase } } or { encryption: { key } } (32 byte unit key) to encrypt with AES-GCM;
+     *   { checksum: false } to omit the CRC-32 integrity trailer;
+     *   { mode: 'archive' } to embed the complete source Bundle JSON (see ENCODING_MODES, default 'tag')
+     * @returns {Promise<string>} - Fragment text (without '#')
+     */
+    async function encodeToFragment(payload, options = {}) {
+        const mode = resolveEncodingMode(options);
+        try {
+            logger.log('🔍 ENCODE START: Payload keys:', Object.keys(payload), 'mode:', mode);
+
+            // Convert FHIR format to CodeRef format if needed
+            let sourceJson = null;
+            if (payload.resourceType === 'Patient' || payload.resourceType === 'Bundle' || payload.patient?.resourceType === 'Patient') {
+                logger.log('🔍 ENCODE: FHIR conversion path triggered');
+                sourceJson = mode === ENCODING_MODES.ARCHIVE ? JSON.stringify(payload) : null;
+                payload = convertFhirToCodeRef(payload);
+            } else {
+                logger.log('🔍 ENCODE: CodeRef payload path (no FHIR conversion)');
+            }
+            payload = applyEncodingMode(payload, mode, sourceJson);
+            if (payload.originalBundleJson) {
+                logger.log('Archive encoding: embedding source Bundle JSON, length:', payload.originalBundleJson.length);
+            }
+
+            // Use current schema (coderef) for encoding
+            const payloadType = await ensurePayloadType();
+            // protobuf.js only recognises the camelCase patient CodeRef fields; snake_case ones were silently dropped
+            payload = convertToProtobufNaming(normaliseStageFieldNames({ ...payload }));
+
+            logger.log('=== ENCODING DEBUG ===');
+            logger.log('Source payload.patient:', payload.patient);
+            logger.log('Patient CodeRef fields:');
+            logger.log('  blood_group:', payload.patient?.blood_group);
+            logger.log('  nhs_id:', payload.patient?.nhs_id);
+            logger.log('  service_id:', payload.patient?.service_id);
+
+            logger.log('Full payload structure:', JSON.stringify(payload, null, 2));
+            logger.log('CRITICAL DEBUG - Patient fields before protobuf create:');
+            logger.log('  payload.patient.blood_group:', payload.patient?.blood_group);
+            logger.log('  payload.patient.nhs_id:', payload.patient?.nhs_id);
+            logger.log('  payload.patient.service_id:', payload.patient?.service_id);
+
+            // Create protobuf message from payload, with enum systems/statuses and minute-offset times (schema v3)
+            payload = compactCodeRefEnums(payload);
+            const protoPayload = compactRelativeTimestamps(payload);
+            const message = payloadType.create(protoPayload);
+            logger.log('Created protobuf message:', message);
+            logger.log('Message patient:', message.patient);
+            logger.log('CRITICAL DEBUG - Message patient fields after protobuf create:');
+            logger.log('  message.patient.bloodGroup:', message.patient?.bloodGroup);
+            logger.log('  message.patient.blood_group:', message.patient?.blood_group);
+            logger.log('  message.patient.nhsId:', message.patient?.nhsId);
+            logger.log('  message.patient.nhs_id:', message.patient?.nhs_id);
+            logger.log('  message.patient.serviceId:', message.patient?.serviceId);
+            logger.log('  message.patient.service_id:', message.patient?.service_id);
+
+            // Encode to binary
+            let buffer = spliceUnknownFields(payloadType, payloadType.encode(message).finish(), protoPayload);
+
+            // Compress with pako, primed with the preset dictionary when requested
+            const dictionaryVersion = options.presetDictionary ? CURRENT_DICTIONARY_VERSION : 0;
+            const dictionary = dictionaryVersion ? getPresetDictionary(dictionaryVersion) : null;
+            if (options.presetDictionary && !dictionary) {
+                logger.warn('Preset dictionary requested but none is bundled; using plain DEFLATE');
+            }
+            const deflate = bytes => (dictionary ? pako.deflate(bytes, { dictionary }) : pako.deflate(bytes));
+            let compressed = deflate(buffer);
+
+            // Even from the record's own epoch, plain DEFLATE can pack long runs of same-day ISO strings tighter
+            // than varint offsets (payload-1: 952 vs 970 bytes); the preset dictionary is trained on offsets, so
+            // they win there. Keep whichever is smaller; both live in the same oneof, so the header is unchanged.
+            const isoBuffer = spliceUnknownFields(payloadType, payloadType.encode(payloadType.create(payload)).finish(), payload);
+            const isoCompressed = deflate(isoBuffer);
+            if (isoCompressed.length < compressed.length) {
+                logger.log(`Relative timestamps: ISO form smaller after deflate (${isoCompressed.length} < ${compressed.length} bytes)`);
+                buffer = isoBuffer;
+                compressed = isoCompressed;
+            }
+
+            // Sign the protobuf bytes actually carried, so the signature survives any compression choice
+            const signed = options.signingKey ? await signPayloadBytes(buffer, options.signingKey) : null;
+
+            // Prefix the versioned header so decoders route straight to the right schema
+            let encrypted = null;
+            if (options.encryption) {
+                requireWebCrypto('Fragment encryption');
+                const encryptionKey = await resolveEncryptionKey(options.encryption);
+                encrypted = { ...encryptionKey, iv: crypto.getRandomValues(new Uint8Array(AES_GCM_IV_LENGTH)) };
+            }
+
+            const checksum = options.checksum !== false;
+            const flags = FRAGMENT_FLAGS.DEFLATE
+                | (dictionary ? FRAGMENT_FLAGS.PRESET_DICTIONARY : 0)
+                | (signed ? FRAGMENT_FLAGS.SIGNED : 0)
+                | (encrypted ? FRAGMENT_FLAGS.ENCRYPTED : 0)
+                | (checksum ? FRAGMENT_FLAGS.CHECKSUM : 0);
+
+            // Encrypted fragments carry the signature inside the ciphertext rather than in the clear header
+            if (encrypted && signed) {
+                const sealed = new Uint8Array(SIGNATURE_EXTENSION_LENGTH + compressed.length);
+                sealed.set(writeSignatureExtension(signed), 0);
+                sealed.set(compressed, SIGNATURE_EXTENSION_LENGTH);
+                compressed = sealed;
+            }
+
+            // The checksummed length covers header, body and trailer; AES-GCM appends a fixed-size tag
+            const bodyLength = compressed.length + (encrypted ? AES_GCM_TAG_LENGTH : 0);
+            const extensions = { dictionaryVersion, signed, encrypted, totalLength: 0 };
+            const headerLength = writeFragmentHeader(CURRENT_SCHEMA_VERSION, flags, extensions).length;
+            extensions.totalLength = headerLength + bodyLength + (checksum ? CHECKSUM_TRAILER_LENGTH : 0);
+            if (checksum && extensions.totalLength > MAX_CHECKSUMMED_LENGTH) {
+                throw new Error(`Fragment of ${extensions.totalLength} bytes is too long for a checksummed envelope.`);
+            }
+            const header = writeFragmentHeader(CURRENT_SCHEMA_VERSION, flags, extensions);
+
+            // Encrypt after compression (ciphertext does not compress); the header is authenticated too
+            if (encrypted) {
+                compressed = new Uint8Array(await crypto.subtle.encrypt(
+                    { name: 'AES-GCM', iv: encrypted.iv, additionalData: header },
+                    encrypted.key,
+                    compressed
+                ));
+            }
+            const envelope = new Uint8Array(header.length + compressed.length + (checksum ? CHECKSUM_TRAILER_LENGTH : 0));
+            envelope.set(header, 0);
+            envelope.set(compressed, header.length);
+            if (checksum) {
+                const bodyEnd = envelope.length - CHECKSUM_TRAILER_LENGTH;
+                envelope.set(uint32ToBytes(crc32(envelope.subarray(0, bodyEnd))), bodyEnd);
+            }
+
+            // Base64URL without padding (RFC 4648 §5) so the fragment is URL-safe as-is
+            return uint8ArrayToBase64Url(envelope);
+        } catch (error) {
+            logger.error('Encoding error:', error);
+            throw new Error('Failed to encode payload to fragment');
+        }
+    }
+
+    // === NFC TAG CAPACITY BUDGETING ===
+
+    /**
+     * NFC Tag Capacities
+     * Purpose: Usable NDEF user memory (bytes) for the NTAG21x tags issued to field medics
+     */
+    const NFC_TAG_CAPACITIES = {
+        NTAG213: 144,
+        NTAG215: 504,
+        NTAG216: 888
+    };
+
+    // Tag URL base from medis_codex_full_spec.md §2
+    const DEFAULT_TAG_URL_BASE = 'https://www.medis.org.uk/';
+
+    /**
+     * Clinical Shedding Priority
+     * Purpose: Order in which data is dropped when a payload exceeds the tag budget (first listed goes first)
+     *
+     * 1. bundle-metadata - document id/type/timestamp; administrative only
+     * 2. duplicate-vital - older readings of a vital sign that was measured again later
+     * 3. vital           - remaining single readings, oldest first
+     * 4. procedure       - coded procedures and transfers, oldest first
+     * 5. condition       - injuries and diagnoses, oldest first
+     * 6. medication      - drug administrations with doses, oldest first (kept longest for dosing safety)
+     *
+     * Patient demographics and allergies are never shed.
+     */
+    const CLINICAL_SHED_ORDER = [
+        'bundle-metadata',
+        'duplicate-vital',
+        'vital',
+        'procedure',
+        'condition',
+        'medication'
+    ];
+
+    function resolveTagBudget(options = {}) {
+        if (Number.isFinite(options.capacity) && options.capacity > 0) {
+            return { tag: options.tag || null, capacity: options.capacity };
+        }
+        const tag = String(options.tag || '').toUpperCase();
+        const capacity = NFC_TAG_CAPACITIES[tag];
+        if (!capacity) {
+            throw new Error(`Unknown NFC tag type "${options.tag}". Use one of ${Object.keys(NFC_TAG_CAPACITIES).join(', ')} or pass a byte capacity.`);
+        }
+        return { tag, capacity };
+    }
+
+    /**
+     * Tag NDEF Message Builder
+     * Purpose: The exact bytes to write to a Type 2 tag for a fragment (TLV-wrapped NDEF URI record)
+     *
+     * @param {string} fragment - Encoded fragment (without '#')
+     * @param {Object} options - Optional baseUrl; { tlv: false } for a bare NDEF message
+     * @returns {Uint8Array} - NDEF message bytes
+     */
+    function buildTagNdefMessage(fragment, options = {}) {
+        return buildNdefUriMessage(`${options.baseUrl || DEFAULT_TAG_URL_BASE}#${fragment}`, options);
+    }
+
+    /**
+     * Tag URL Size Report
+     * Purpose: Measure the full NFC URL for a fragment against a tag type or byte budget
+     *
+     * @param {string} fragment - Encoded fragment (without '#')
+     * @param {Object} options - { tag: 'NTAG215' } or { capacity: 500 }, plus optional baseUrl
+     * @returns {Object} - { url, urlLength, ndefBytes, tag, capacity, fits, overBy }
+     *
+     * Example:
+     *   measureTagUrl(fragment, { tag: 'NTAG213' }) → { ndefBytes: 412, capacity: 144, fits: false, overBy: 268, ... }
+     */
+    function measureTagUrl(fragment, options = {}) {
+        const { tag, capacity } = resolveTagBudget(options);
+        const url = `${options.baseUrl || DEFAULT_TAG_URL_BASE}#${fragment}`;
+        const ndefBytes = buildNdefUriMessage(url).length;
+        return {
+            url,
+            urlLength: url.length,
+            ndefBytes,
+            tag,
+            capacity,
+            fits: ndefBytes <= capacity,
+            overBy: Math.max(0, ndefBytes - capacity)
+        };
+    }
+
+    function entryTime(entry) {
+        const parsed = new Date(entry?.time || entry?.onset || NaN).getTime();
+        return Number.isFinite(parsed) ? parsed : -Infinity;
+    }
+
+    function describeEntry(kind, stageKey, entry) {
+        return {
+            kind,
+            stage: stageKey,
+            code: codeRefKey(entry.code),
+            display: resolveCodeDisplay(entry.code?.sys, entry.code?.code),
+            time: entry.time || entry.onset || null
+        };
+    }
+
+    function removeFromList(list, entry) {
+        const index = list.indexOf(entry);
+        if (index > -1) list.splice(index, 1);
+    }
+
+    /**
+     * Degradation Plan Builder
+     * Purpose: List every sheddable item in CLINICAL_SHED_ORDER, oldest first within each tier
+     *
+     * @param {Object} payload - Working CodeRef payload (mutated by each step's apply())
+     * @returns {Array} - Steps of { omitted, apply }
+     */
+    function buildDegradationPlan(payload) {
+        const tiers = Object.fromEntries(CLINICAL_SHED_ORDER.map(reason => [reason, []]));
+        const byOldest = (a, b) => a.time - b.time;
+
+        if (payload.bundleMetadata) {
+            tiers['bundle-metadata'].push({
+                time: -Infinity,
+                omitted: { kind: 'bundleMetadata', stage: null, code: null, display: 'Bundle id, type and timestamp', time: null },
+                apply: () => { delete payload.bundleMetadata; }
+            });
+        }
+
+        const latestVitalTimes = new Map();
+        STAGE_KEYS.forEach(stageKey => {
+            (payload[stageKey]?.vitals || []).forEach(vital => {
+                const key = codeRefKey(vital.code);
+                latestVitalTimes.set(key, Math.max(latestVitalTimes.get(key) ?? -Infinity, entryTime(vital)));
+            });
+        });
+
+        const seenLatest = new Set();
+        STAGE_KEYS.forEach(stageKey => {
+            const stage = payload[stageKey];
+            if (!stage) return;
+
+            (stage.vitals || []).forEach(vital => {
+                const key = codeRefKey(vital.code);
+                const time = entryTime(vital);
+                // Exactly one reading per code (the most recent) escapes the duplicate tier
+                const isLatest = time === latestVitalTimes.get(key) && !seenLatest.has(key);
+                if (isLatest) seenLatest.add(key);
+                tiers[isLatest ? 'vital' : 'duplicate-vital'].push({
+                    time,
+                    omitted: describeEntry('vital', stageKey, vital),
+                    apply: () => removeFromList(stage.vitals, vital)
+                });
+            });
+
+            (stage.conditions || []).forEach(condition => {
+                tiers.condition.push({
+                    time: entryTime(condition),
+                    omitted: describeEntry('condition', stageKey, condition),
+                    apply: () => removeFromList(stage.conditions, condition)
+                });
+            });
+
+            (stage.events || []).forEach(event => {
+                const isMedication = typeof event.dose === 'number' && event.dose > 0;
+                tiers[isMedication ? 'medication' : 'procedure'].push({
+                    time: entryTime(event),
+                    omitted: describeEntry(isMedication ? 'medication' : 'procedure', stageKey, event),
+                    apply: () => removeFromList(stage.events, event)
+                });
+            });
+        });
+
+        return CLINICAL_SHED_ORDER.flatMap(reason =>
+            tiers[reason]
+                .sort(byOldest)
+                .map(step => ({ ...step, omitted: { reason, ...step.omitted } }))
+        );
+    }
+
+    /**
+     * Tag-Budgeted Encoder
+     * Purpose: Encode a payload for a specific NFC tag, shedding data by CLINICAL_SHED_ORDER until the URL fits
+     * Usage: Tag-writing flows that must guarantee the URL fits the physical tag
+     *
+     * @param {Object} payload - FHIR Bundle/Patient or CodeRef payload (not mutated)
+     * @param {Object} options - { tag: 'NTAG213'|'NTAG215'|'NTAG216' } or { capacity: bytes }, optional baseUrl
+     *   and any encodeToFragment options (e.g. presetDictionary); always the tag encoding
+     * @returns {Promise<Object>} - { fragment, url, size, fits, omitted, payload }
+     *   omitted lists every item left out, in the order it was shed; fits is false if even
+     *   demographics and allergies alone exceed the budget
+     *
+     * Example:
+     *   const result = await encodeForTag(bundle, { tag: 'NTAG215' });
+     *   result.omitted → [{ reason: 'duplicate-vital', stage: 'poi', code: 'loinc:8867-4', ... }]
+     */
+    async function encodeForTag(payload, options = {}) {
+        if (resolveEncodingMode(options) === ENCODING_MODES.ARCHIVE) {
+            throw new Error('Archive encodings embed the whole source Bundle and are not shed to fit a tag; use the tag encoding.');
+        }
+        const budget = resolveTagBudget(options);
+        const isFhir = payload.resourceType === 'Patient' || payload.resourceType === 'Bundle' || payload.patient?.resourceType === 'Patient';
+        const working = safeDeepClone(isFhir ? convertFhirToCodeRef(payload) : payload);
+
+        let fragment = await encodeToFragment(working, options);
+        let size = measureTagUrl(fragment, { ...options, ...budget });
+        const omitted = [];
+
+        if (!size.fits) {
+            for (const step of buildDegradationPlan(working)) {
+                step.apply();
+                omitted.push(step.omitted);
+                fragment = await encodeToFragment(working, options);
+                size = measureTagUrl(fragment, { ...options, ...budget });
+                if (size.fits) break;
+            }
+        }
+
+        if (omitted.length) {
+            logger.warn(`Tag budget ${budget.tag || `${budget.capacity} bytes`}: omitted ${omitted.length} item(s)`, omitted);
+        }
+
+        return { fragment, url: size.url, size, fits: size.fits, omitted, payload: working };
+    }
+
+    // === MULTI-TAG CHUNKING ===
+
+    /**
+     * Chunk Reader
+     * Purpose: Recognise one tag's share of a multi-tag record and verify its checksum
+     *
+     * @param {string} fragment - Fragment text (without '#')
+     * @returns {Object|null} - { recordId, index, total, checksum, valid, body, fragment }, or null if not a chunk
+     */
+    function readChunk(fragment) {
+        const bytes = base64ToUint8Array(fragment);
+        const header = readFragmentHeader(bytes);
+        if (!header || !(header.flags & FRAGMENT_FLAGS.CHUNK) || bytes.length < header.headerLength) {
+            return null;
+        }
+
+        const body = bytes.subarray(header.headerLength);
+        const { recordId, index, total, checksum } = header.chunk;
+        return {
+            recordId,
+            index,
+            total,
+            checksum,
+            valid: total > 0 && index < total && crc32(body) === checksum,
+            body,
+            fragment
+        };
+    }
+
+    function writeChunk(record, recordId, index, total, start, end) {
+        const body = record.subarray(start, end);
+        const header = writeFragmentHeader(record[1], FRAGMENT_FLAGS.CHUNK, {
+            chunk: { recordId, index, total, checksum: crc32(body) }
+        });
+        const chunk = new Uint8Array(header.length + body.length);
+        chunk.set(header, 0);
+        chunk.set(body, header.length);
+        return uint8ArrayToBase64Url(chunk);
+    }
+
+    /**
+     * Fragment Splitter
+     * Purpose: Split one encoded fragment into numbered chunks that each fit the given tag
+     *
+     * @param {string} fragment - Complete fragment from encodeToFragment
+     * @param {Object} options - { tag } or { capacity } as for measureTagUrl, optional baseUrl
+     * @returns {Array<string>} - Chunk fragments in index order (a single unchanged fragment if it already fits)
+     */
+    function splitFragmentIntoChunks(fragment, options = {}) {
+        if (measureTagUrl(fragment, options).fits) {
+            return [fragment];
+        }
+
+        const record = base64ToUint8Array(fragment);
+        const recordId = crc32(record);
+
+        // Longest fragment the tag takes: NDEF overhead only steps up at the short-record and
+        // three-byte TLV length thresholds, so this settles within a couple of steps
+        const { capacity } = resolveTagBudget(options);
+        let maxFragmentLength = Math.max(0, capacity - measureTagUrl('', options).ndefBytes);
+        while (maxFragmentLength > 0 && !measureTagUrl('A'.repeat(maxFragmentLength), options).fits) {
+            maxFragmentLength -= 1;
+        }
+
+        // Chunk header is fixed (no dictionary or checksum extension), so the body gets the rest
+        const chunkHeaderLength = FRAGMENT_HEADER_LENGTH + CHUNK_EXTENSION_LENGTH;
+        const sliceSize = Math.min(record.length, Math.floor(maxFragmentLength * 3 / 4) - chunkHeaderLength);
+        if (sliceSize <= 0) {
+            throw new Error('Tag is too small to hold even a chunk header.');
+        }
+
+        const total = Math.ceil(record.length / sliceSize);
+        if (total > MAX_CHUNKS) {
+            throw new Error(`Record needs ${total} tags; at most ${MAX_CHUNKS} are supported.`);
+        }
+
+        return Array.from({ length: total }, (_, index) =>
+            writeChunk(record, recordId, index, total, index * sliceSize, (index + 1) * sliceSize));
+    }
+
+    /**
+     * Multi-Tag Encoder
+     * Purpose: Encode a complete payload across as many tags as it needs, without shedding anything
+     * Usage: Records that outgrow one tag once R2/R3 care is recorded
+     *
+     * @param {Object} payload - FHIR Bundle/Patient or CodeRef payload
+     * @param {Object} options - { tag } or { capacity }, optional baseUrl and encodeToFragment options
+     * @returns {Promise<Object>} - { chunks, urls, total, recordId } (recordId is null for a single tag)
+     *
+     * Example:
+     *   const { chunks } = await encodeToChunks(bundle, { tag: 'NTAG213' });
+     *   chunks.length → 7
+     */
+    async function encodeToChunks(payload, options = {}) {
+        const fragment = await encodeToFragment(payload, options);
+        const chunks = splitFragmentIntoChunks(fragment, options);
+        const baseUrl = options.baseUrl || DEFAULT_TAG_URL_BASE;
+        return {
+            chunks,
+            urls: chunks.map(chunk => `${baseUrl}#${chunk}`),
+            total: chunks.length,
+            recordId: chunks.length > 1 ? readChunk(chunks[0]).recordId : null,
+            fragment // Whole record, for the QR code fallback
+        };
+    }
+
+    /**
+     * Chunk Assembler
+     * Purpose: Reassemble a multi-tag record from chunks scanned in any order
+     *
+     * @param {Array<string>} chunkFragments - Chunk fragments for one record (duplicates are ignored)
+     * @returns {Object} - { recordId, total, received, missing, corrupt, complete, fragment }
+     *   received/missing/corrupt are 1-based tag numbers; fragment is the rebuilt record once complete
+     */
+    function assembleChunks(chunkFragments) {
+        const chunks = chunkFragments.map(readChunk).filter(Boolean);
+        if (!chunks.length) {
+            throw new Error('No multi-tag chunks supplied.');
+        }
+
+        const { recordId, total } = chunks[chunks.length - 1];
+        const bodies = new Array(total);
+        const corrupt = new Set();
+        chunks.forEach(chunk => {
+            if (chunk.recordId !== recordId || chunk.total !== total) return;
+            if (!chunk.valid) {
+                corrupt.add(chunk.index + 1);
+                return;
+            }
+            bodies[chunk.index] = chunk.body;
+        });
+
+        const received = [];
+        const missing = [];
+        for (let index = 0; index < total; index += 1) {
+            (bodies[index] ? received : missing).push(index + 1);
+        }
+
+        const status = {
+            recordId,
+            total,
+            received,
+            missing,
+            corrupt: [...corrupt].filter(number => !bodies[number - 1]),
+            complete: missing.length === 0,
+            fragment: null
+        };
+        if (!status.complete) {
+            return status;
+        }
+
+        const record = new Uint8Array(bodies.reduce((length, body) => length + body.length, 0));
+        let offset = 0;
+        bodies.forEach(body => {
+            record.set(body, offset);
+            offset += body.length;
+        });
+        if (crc32(record) !== recordId) {
+            throw new FragmentFormatError('Reassembled multi-tag record failed its checksum; rescan the tags.', { recordId });
+        }
+
+        status.fragment = uint8ArrayToBase64Url(record);
+        return status;
+    }
+
+    // === PRESET DICTIONARY TRAINING ===
+
+    const PRESET_DICTIONARY_MAX_BYTES = 4096;
+
+    function bytesToBinaryString(bytes) {
+        return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    }
+
+    /**
+     * Preset Dictionary Builder
+     * Purpose: Train a new zlib preset dictionary from the terminology database and a corpus of bundles
+     * Usage: Regenerate resources/deflate-dictionaries.js when the terminology or typical payloads change
+     *
+     * Snippets are the exact protobuf bytes the encoder writes for each known code, unit and corpus stage entry
+     * (without its value, dose or time), ranked by (occurrences × length). The most valuable snippets go last, because DEFLATE
+     * back-references are cheapest when they are closest to the data.
+     *
+     * @param {Array<Object>} bundles - FHIR Bundles or Patient resources
+     * @param {Object} options - { maxBytes } dictionary size limit (default 4096)
+     * @returns {Promise<Object>} - { version, bytes, base64, moduleSource } where moduleSource is the
+     *   complete replacement for resources/deflate-dictionaries.js (existing versions kept)
+     *
+     * Example:
+     *   const { moduleSource } = await NfcIps.buildDeflateDictionary([bundle1, bundle2]);
+     *   (or: node scripts/nfc-ips.mjs dictionary payload-1.json payload-2.json)
+     */
+    async function buildDeflateDictionary(bundles, options = {}) {
+        const maxBytes = options.maxBytes || PRESET_DICTIONARY_MAX_BYTES;
+        const payloadType = await ensurePayloadType();
+        const entryTypes = {
+            vitals: payloadType.root.lookupType('medis.nfc.Vital'),
+            conditions: payloadType.root.lookupType('medis.nfc.Condition'),
+            events: payloadType.root.lookupType('medis.nfc.Event')
+        };
+
+        const snippets = new Map();
+        const addSnippet = bytes => {
+            if (bytes.length < 3) return;
+            const key = bytesToBinaryString(bytes);
+            const existing = snippets.get(key);
+            snippets.set(key, { bytes, count: (existing?.count || 0) + 1 });
+        };
+
+        // Every known code as it appears in an entry's CodeRef field (field 1 in Vital, Condition, Event and Allergy),
+        // and SNOMED codes again as the active, confirmed condition the FHIR conversion writes
+        Object.values(terminologyDatabase.clinical).forEach(term => {
+            const shortKey = SystemShortKeys[term.system];
+            if (!shortKey) return;
+            const code = compactCodeRefEnums({ sys: shortKey, code: term.code });
+            addSnippet(entryTypes.vitals.encode(entryTypes.vitals.create({ code })).finish());
+            if (shortKey !== 'sct') return;
+            const conditionCode = compactCodeRefEnums({ sys: shortKey, code: term.code, clinicalStatus: 'active', verificationStatus: 'confirmed' });
+            addSnippet(entryTypes.conditions.encode(entryTypes.conditions.create({ code: conditionCode })).finish());
+        });
+        Object.values(terminologyDatabase.units).forEach(unit => {
+            addSnippet(entryTypes.events.encode(entryTypes.events.create({ unit: unit.display })).finish());
+        });
+
+        // Corpus entries as the encoder writes them, less the readings, doses and times that belong to one
+        // patient, so the corpus weights codes, statuses, units and routes rather than adding its own values
+        bundles.forEach(bundle => {
+            const converted = normaliseStageFieldNames(convertFhirToCodeRef(bundle));
+            const payload = compactRelativeTimestamps(compactCodeRefEnums(converted));
+            STAGE_KEYS.forEach(stageKey => {
+                Object.entries(entryTypes).forEach(([listKey, type]) => {
+                    (payload[stageKey]?.[listKey] || []).forEach(entry => {
+                        const snippetEntry = { ...entry };
+                        RECORD_SPECIFIC_ENTRY_FIELDS.forEach(field => delete snippetEntry[field]);
+                        addSnippet(type.encode(type.create(snippetEntry)).finish());
+                    });
+                });
+            });
+        });
+
+        const ranked = [...snippets.entries()]
+            .map(([key, snippet]) => ({ key, ...snippet, score: snippet.count * snippet.bytes.length }))
+            .sort((a, b) => b.score - a.score);
+
+        const selected = [];
+        let totalBytes = 0;
+        ranked.forEach(snippet => {
+            if (totalBytes + snippet.bytes.length > maxBytes) return;
+            if (selected.some(chosen => chosen.key.includes(snippet.key))) return;
+            selected.push(snippet);
+            totalBytes += snippet.bytes.length;
+        });
+
+        const bytes = new Uint8Array(totalBytes);
+        let offset = 0;
+        selected.reverse().forEach(snippet => {
+            bytes.set(snippet.bytes, offset);
+            offset += snippet.bytes.length;
+        });
+
+        const version = CURRENT_DICTIONARY_VERSION + 1;
+        const base64 = uint8ArrayToBase64Url(bytes);
+        const dictionaries = { ...DEFLATE_DICTIONARIES, [version]: base64 };
+        const moduleSource = [
+            '/**',
+            ' * PRESET DEFLATE DICTIONARIES',
+            ' *',
+            ' * Purpose: zlib preset dictionaries for fragment compression, keyed by the version byte in the fragment header',
+            ' * Generated by `node scripts/nfc-ips.mjs dictionary` (NfcIps.buildDeflateDictionary) - do not edit by hand.',
+            ' * Versions are permanent once fragments using them are in circulation: add new ones, never replace.',
+            ' */',
+            '',
+            'export const DEFLATE_DICTIONARIES = {',
+            Object.entries(dictionaries).map(([key, value]) => [
+                `    ${key}: [`,
+                value.match(/.{1,96}/g).map(line => `        '${line}'`).join(',\n'),
+                "    ].join('')"
+            ].join('\n')).join(',\n'),
+            '};',
+            ''
+        ].join('\n');
+
+        logger.log(`Preset dictionary v${version}: ${selected.length} snippets, ${totalBytes} bytes from ${bundles.length} bundle(s)`);
+        return { version, bytes, base64, moduleSource };
+    }
+
+    /**
+     * Map proto-style stage keys (fwd_tacevac) onto CodeRef stage keys (fwdTacevac) in place.
+     * protobuf.js exposes fields camelCased, so this only matters for snake_case input
+     * (hand-written CodeRef JSON, or a Root parsed with keepCase).
+     */
+    function normaliseStageFieldNames(payload) {
+        if (!payload || typeof payload !== 'object') return payload;
+        Object.entries(STAGE_PROTO_FIELDS).forEach(([stageKey, protoField]) => {
+            if (payload[protoField] && !payload[stageKey]) {
+                payload[stageKey] = payload[protoField];
+            }
+            delete payload[protoField];
+        });
+        return payload;
+    }
+
+    function payloadEpochMinutes(payload) {
+        const t = Number(payload?.t);
+        return Number.isFinite(t) ? Math.floor(t / 60000) : 0;
+    }
+
+    /**
+     * Record Epoch
+     * Purpose: Earliest stage entry time floored to the minute, used as payload.t so every offset is small and >= 0
+     * Usage: Set by the FHIR conversion; buildDeflateDictionary trains on the same offsets
+     *
+     * @param {Object} payload - CodeRef payload
+     * @returns {number|null} - Epoch milliseconds, or null when no entry carries a parseable time
+     */
+    function recordEpoch(payload) {
+        const times = STAGE_KEYS.flatMap(stageKey => Object.keys(RELATIVE_TIME_FIELDS)
+            .flatMap(listKey => (payload?.[stageKey]?.[listKey] || []).map(entryTime)))
+            .filter(Number.isFinite);
+        return times.length ? Math.floor(Math.min(...times) / 60000) * 60000 : null;
+    }
+
+    function minuteOffsetToIso(offset, epochMinutes) {
+        return new Date((epochMinutes + offset) * 60000).toISOString().replace('.000Z', 'Z');
+    }
+
+    /**
+     * ISO Time → Minute Offset
+     * Purpose: Express an ISO-8601 time as whole minutes from the payload epoch, only when lossless
+     *
+     * @param {string} iso - Entry time, e.g. '2024-01-15T14:16:00Z'
+     * @param {number} epochMinutes - floor(payload.t / 60000)
+     * @returns {number|null} - Offset in minutes, or null if the string would not round-trip exactly
+     *
+     * Example:
+     *   isoToMinuteOffset('2024-01-15T14:16:00Z', 28419375) → 881
+     *   isoToMinuteOffset('2024-01-15T14:17:30Z', 28419375) → null (seconds are not representable)
+     */
+    function isoToMinuteOffset(iso, epochMinutes) {
+        if (typeof iso !== 'string') return null;
+        const milliseconds = Date.parse(iso);
+        if (!Number.isFinite(milliseconds) || milliseconds % 60000 !== 0) return null;
+
+        const offset = milliseconds / 60000 - epochMinutes;
+        if (offset < SINT32_MIN || offset > SINT32_MAX) return null;
+
+        // Zone offsets, fractional seconds and date-only values parse fine but would not come back verbatim
+        return minuteOffsetToIso(offset, epochMinutes) === iso ? offset : null;
+    }
+
+    /**
+     * Relative Timestamp Compaction
+     * Purpose: Replace stage entry ISO times with minute offsets from payload.t before protobuf encoding
+     * Usage: Encoder side of schema version 3; entries that can't round-trip keep their ISO string
+     *
+     * @param {Object} payload - CodeRef payload (not mutated)
+     * @returns {Object} - Copy with timeOffset/onsetOffset in place of representable times
+     */
+    function compactRelativeTimestamps(payload) {
+        const compacted = safeDeepClone(payload);
+        const epochMinutes = payloadEpochMinutes(compacted);
+
+        STAGE_KEYS.forEach(stageKey => {
+            const stage = compacted[stageKey];
+            if (!stage) return;
+            Object.entries(RELATIVE_TIME_FIELDS).forEach(([listKey, timeField]) => {
+                (stage[listKey] || []).forEach(entry => {
+                    const offset = isoToMinuteOffset(entry[timeField], epochMinutes);
+                    if (offset === null) return;
+                    entry[`${timeField}Offset`] = offset;
+                    delete entry[timeField];
+                });
+            });
+        });
+
+        return compacted;
+    }
+
+    /**
+     * Relative Timestamp Expansion
+     * Purpose: Turn decoded minute offsets back into the ISO strings payloadService and the renderers expect
+     *
+     * @param {Object} object - Decoded CodeRef payload (mutated in place)
+     * @returns {Object} - The same object with time/onset strings restored
+     */
+    function expandRelativeTimestamps(object) {
+        const epochMinutes = payloadEpochMinutes(object);
+
+        STAGE_KEYS.forEach(stageKey => {
+            const stage = object[stageKey];
+            if (!stage) return;
+            Object.entries(RELATIVE_TIME_FIELDS).forEach(([listKey, timeField]) => {
+                (stage[listKey] || []).forEach(entry => {
+                    const offsetField = `${timeField}Offset`;
+                    if (typeof entry[offsetField] === 'number') {
+                        entry[timeField] = minuteOffsetToIso(entry[offsetField], epochMinutes);
+                    }
+                    delete entry[offsetField];
+                    delete entry.when; // Virtual oneof discriminator added by toObject({ oneofs: true })
+                });
+            });
+        });
+
+        return object;
+    }
+
+    function forEachCodeRef(node, visit) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(item => forEachCodeRef(item, visit));
+            return;
+        }
+        if (typeof node.code === 'string' && ('sys' in node || 'systemId' in node)) {
+            visit(node);
+            return;
+        }
+        Object.values(node).forEach(value => forEachCodeRef(value, visit));
+    }
+
+    /**
+     * CodeRef Enum Compaction
+     * Purpose: Replace CodeRef system strings and status codes with the SystemType/status enums in the proto
+     * Usage: Encoder side of schema version 3; systems and statuses outside the enums stay as strings
+     *
+     * @param {Object} payload - CodeRef payload (not mutated)
+     * @returns {Object} - Copy using systemId in place of sys where a SystemType exists
+     *
+     * Example:
+     *   { sys: 'sct', code: '125605004', clinicalStatus: 'active' } → { systemId: 1, code: '125605004', clinicalStatus: 1 }
+     */
+    function compactCodeRefEnums(payload) {
+        const compacted = safeDeepClone(payload);
+
+        forEachCodeRef(compacted, codeRef => {
+            const systemId = SYSTEM_ID_BY_SHORT_KEY[codeRef.sys];
+            if (systemId) {
+                codeRef.systemId = systemId;
+                delete codeRef.sys;
+            }
+
+            Object.entries(CODEREF_STATUS_FIELDS).forEach(([field, values]) => {
+                if (codeRef[field] === undefined) return;
+                const value = values[codeRef[field]];
+                // The status enums are closed; anything else cannot travel in the CodeRef
+                if (value) {
+                    codeRef[field] = value;
+                } else {
+                    logger.warn(`CodeRef ${codeRefKey(codeRef)}: ${field} "${codeRef[field]}" has no enum value and is omitted`);
+                    delete codeRef[field];
+                }
+            });
+        });
+
+        return compacted;
+    }
+
+    /**
+     * CodeRef Enum Expansion
+     * Purpose: Map decoded SystemType/status enum numbers back to CodeRef sys keys and FHIR status codes
+     *
+     * @param {Object} object - Decoded CodeRef payload (mutated in place)
+     * @returns {Object} - The same object with sys strings and status codes restored
+     */
+    function expandCodeRefEnums(object) {
+        forEachCodeRef(object, codeRef => {
+            if (typeof codeRef.systemId === 'number') {
+                codeRef.sys = SHORT_KEY_BY_SYSTEM_ID[codeRef.systemId] || 'unknown';
+            }
+            delete codeRef.systemId;
+            delete codeRef.systemReference; // Virtual oneof discriminator added by toObject({ oneofs: true })
+
+            Object.entries(CODEREF_STATUS_FIELDS).forEach(([field, values]) => {
+                if (typeof codeRef[field] !== 'number') return;
+                const status = Object.keys(values).find(key => values[key] === codeRef[field]);
+                if (status) {
+                    codeRef[field] = status;
+                } else {
+                    delete codeRef[field];
+                }
+            });
+        });
+
+        return object;
+    }
+
+    function convertFromProtobufNaming(object) {
+        logger.log('🔍 NAMING DEBUG: Input object.original_bundle_json exists:', !!object.original_bundle_json);
+        logger.log('🔍 NAMING DEBUG: Input object.originalBundleJson exists:', !!object.originalBundleJson);
+        // Safe deep clone preserving large strings like original_bundle_json
+        const normalizedObject = safeDeepClone(object);
+        logger.log('🔍 NAMING DEBUG: After clone, normalizedObject.original_bundle_json exists:', !!normalizedObject.original_bundle_json);
+        logger.log('🔍 NAMING DEBUG: After clone, normalizedObject.originalBundleJson exists:', !!normalizedObject.originalBundleJson);
+
+        // Convert patient field names from camelCase back to snake_case
+        if (normalizedObject.patient) {
+            const patient = normalizedObject.patient;
+
+            // Map camelCase fields back to snake_case
+            if (patient.bloodGroup && !patient.blood_group) {
+                patient.blood_group = patient.bloodGroup;
+                delete patient.bloodGroup;
+            }
+            if (patient.nhsId && !patient.nhs_id) {
+                patient.nhs_id = patient.nhsId;
+                delete patient.nhsId;
+            }
+            if (patient.serviceId && !patient.service_id) {
+                patient.service_id = patient.serviceId;
+                delete patient.serviceId;
+            }
+        }
+
+        // Stage keys stay camelCase to match infoBoxConfig dataKeys (fwdTacevac, rearTacevac)
+        normaliseStageFieldNames(normalizedObject);
+
+        // Ensure original_bundle_json field is in snake_case format
+        if (normalizedObject.originalBundleJson && !normalizedObject.original_bundle_json) {
+            logger.log('🔍 NAMING DEBUG: Converting originalBundleJson to original_bundle_json');
+            // Keep field in camelCase for protobuf.js compatibility
+        }
+
+        logger.log('🔍 NAMING DEBUG: Final normalizedObject.original_bundle_json exists:', !!normalizedObject.original_bundle_json);
+        logger.log('🔍 NAMING DEBUG: Final normalizedObject.originalBundleJson exists:', !!normalizedObject.originalBundleJson);
+        return normalizedObject;
+    }
+
+    function convertToProtobufNaming(payload) {
+        // Safe deep clone preserving large strings
+        const protobufPayload = safeDeepClone(payload);
+
+        // Convert patient field names from snake_case to camelCase for protobuf.js
+        if (protobufPayload.patient) {
+            const patient = protobufPayload.patient;
+
+            // Map snake_case fields to camelCase
+            if (patient.blood_group) {
+                patient.bloodGroup = patient.blood_group;
+                delete patient.blood_group;
+            }
+            if (patient.nhs_id) {
+                patient.nhsId = patient.nhs_id;
+                delete patient.nhs_id;
+            }
+            if (patient.service_id) {
+                patient.serviceId = patient.service_id;
+                delete patient.service_id;
+            }
+        }
+
+        return protobufPayload;
+    }
+
+    async function getProtobufBinary(payload, options = {}) {
+        try {
+            // Convert FHIR format to CodeRef format if needed, then shape it like encodeToFragment does
+            const mode = resolveEncodingMode(options);
+            let sourceJson = null;
+            if (payload.resourceType === 'Patient' || payload.resourceType === 'Bundle' || payload.patient?.resourceType === 'Patient') {
+                sourceJson = mode === ENCODING_MODES.ARCHIVE ? JSON.stringify(payload) : null;
+                payload = convertFhirToCodeRef(payload);
+            }
+            payload = applyEncodingMode(payload, mode, sourceJson);
+
+            const payloadType = await ensurePayloadType();
+
+            // CRITICAL FIX: Create protobuf instances for all nested message types
+            const root = payloadType.root;
+            const CodeRef = root.lookupType('medis.nfc.CodeRef');
+            const BundleMetadata = root.lookupType('medis.nfc.BundleMetadata');
+            const Allergy = root.lookupType('medis.nfc.Allergy');
+
+            // Safe clone payload to avoid mutating original while preserving large strings
+            const stringFormPayload = normaliseStageFieldNames(safeDeepClone(payload));
+            const protoPayload = compactRelativeTimestamps(compactCodeRefEnums(stringFormPayload));
+
+            // Convert ALL CodeRef fields throughout the payload to proper protobuf instances
+            function convertCodeRefFields(obj, path = '') {
+                if (!obj || typeof obj !== 'object') return;
+
+                // Handle patient CodeRef fields
+                if (path.includes('patient')) {
+                    ['blood_group', 'nhs_id', 'service_id', 'gender'].forEach(field => {
+                        if (obj[field] && typeof obj[field] === 'object' && obj[field].sys && obj[field].code) {
+                            obj[field] = CodeRef.create(obj[field]);
+                        }
+                    });
+                }
+
+                // Handle vitals, conditions, events CodeRef fields
+                if (Array.isArray(obj)) {
+                    obj.forEach((item, index) => {
+                        if (item && typeof item === 'object' && item.code && item.code.sys && item.code.code) {
+                            item.code = CodeRef.create(item.code);
+                        }
+                        convertCodeRefFields(item, `${path}[${index}]`);
+                    });
+                } else {
+                    // Recursively process all object properties
+                    Object.keys(obj).forEach(key => {
+                        convertCodeRefFields(obj[key], path ? `${path}.${key}` : key);
+                    });
+                }
+            }
+
+            // Convert all nested message types to protobuf instances
+            convertCodeRefFields(protoPayload);
+            if (protoPayload.bundleMetadata) {
+                protoPayload.bundleMetadata = BundleMetadata.create(protoPayload.bundleMetadata);
+            }
+            if (protoPayload.allergies && Array.isArray(protoPayload.allergies)) {
+                protoPayload.allergies = protoPayload.allergies.map(allergy => {
+                    if (allergy.code && allergy.code.sys && allergy.code.code) {
+                        allergy.code = CodeRef.create(allergy.code);
+                    }
+                    return Allergy.create(allergy);
+                });
+            }
+
+            logger.log('Protobuf binary: encoding', mode, 'payload with keys:', Object.keys(protoPayload));
+            const message = payloadType.create(protoPayload);
+
+            const buffer = spliceUnknownFields(payloadType, payloadType.encode(message).finish(), protoPayload);
+
+            logger.log('Protobuf binary:', buffer.length, 'bytes');
+
+            // Size with sys strings and textual statuses, to show what the SystemType/status enums save
+            const stringFormBytes = payloadType.encode(payloadType.create(compactRelativeTimestamps(stringFormPayload))).finish().length;
+            const enumSaving = stringFormBytes - buffer.length;
+            const enumSavingPercent = stringFormBytes ? Math.round((enumSaving / stringFormBytes) * 100) : 0;
+
+            // Convert binary to hex representation for display
+            const hexString = Array.from(new Uint8Array(buffer))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join(' ');
+
+            return `// Protobuf binary representation (${buffer.length} bytes)\n`
+                + `// Without SystemType/status enums: ${stringFormBytes} bytes (enums save ${enumSaving} bytes, ${enumSavingPercent}%)\n`
+                + `// Hex format:\n${hexString}`;
+        } catch (error) {
+            logger.error('Error generating protobuf binary:', error);
+            return `// Error generating protobuf binary:\n// ${error.message}`;
+        }
+    }
+
+    /**
+     * Tag QR Code Builder
+     * Purpose: Encode the same URL written to the tag as a QR code for printing on the casualty card
+     * Usage: Fallback when a tag is damaged, lost, or the reading phone has NFC switched off
+     *
+     * A QR code holds far more than any NTAG21x, so multi-tag records should pass the whole-record
+     * fragment rather than a chunk. Version and error-correction level are chosen to fit the URL.
+     *
+     * @param {string} fragment - Fragment as written to the tag (without '#')
+     * @param {Object} options - Optional baseUrl, plus encodeQr options (minErrorCorrection, maxVersion)
+     * @returns {Object} - { url, version, errorCorrection, size, modules, svg }
+     * @throws {RangeError} - If the URL is too long for a version 40 QR code
+     *
+     * Example:
+     *   buildTagQrCode('TgMB...') → { url: 'https://www.medis.org.uk/#TgMB...', version: 9, errorCorrection: 'M', ... }
+     */
+    function buildTagQrCode(fragment, options = {}) {
+        const url = `${options.baseUrl || DEFAULT_TAG_URL_BASE}#${fragment}`;
+        const qr = encodeQr(url, options);
+        logger.log(`QR code: version ${qr.version}, level ${qr.errorCorrection}, ${qr.size}x${qr.size} modules for ${url.length} characters`);
+        return { url, ...qr, svg: qrToSvg(qr) };
+    }
+
+    /**
+     * Round-Trip Fidelity Report
+     * Purpose: Encode a FHIR payload, decode the fragment and diff the rebuilt Bundle against the original
+     * Usage: Lets authors see which resources and elements survive the tag before writing it
+     *
+     * Encryption and signing do not change what is carried, so they are left out of the trial encode.
+     *
+     * @param {Object} fhirPayload - FHIR Bundle or Patient (not mutated)
+     * @param {Object} [options] - presetDictionary; tag or capacity to measure what survives a tag-budgeted encode;
+     *   mode: 'archive' to check the lossless archive encoding instead
+     * @returns {Promise<Object>} - { fragmentLength, omitted, summary, resources } where summary counts elements
+     *   by status and resources lists each resource with its element differences (see codec/fhir-diff.js)
+     *
+     * Example:
+     *   const report = await buildRoundTripReport(bundle, { tag: 'NTAG215' });
+     *   report.resources.filter(resource => resource.status === 'lost') → resources the tag cannot carry
+     */
+    async function buildRoundTripReport(fhirPayload, options = {}) {
+        if (!fhirPayload || (fhirPayload.resourceType !== 'Bundle' && fhirPayload.resourceType !== 'Patient')) {
+            throw new Error('Round-trip report needs a FHIR Bundle or Patient.');
+        }
+        const encodeOptions = { presetDictionary: Boolean(options.presetDictionary), mode: resolveEncodingMode(options) };
+        let fragment;
+        let omitted = [];
+        if (options.tag || options.capacity) {
+            const result = await encodeForTag(fhirPayload, { ...encodeOptions, tag: options.tag, capacity: options.capacity });
+            fragment = result.fragment;
+            omitted = result.omitted;
+        } else {
+            fragment = await encodeToFragment(safeDeepClone(fhirPayload), encodeOptions);
+        }
+
+        const { data } = await decodeFragment(fragment);
+        const roundTripped = convertCodeRefToFhirBundle(data);
+        const { summary, resources } = diffFhirBundles(fhirPayload, roundTripped);
+        logger.log('Round-trip fidelity:', summary);
+        return { fragmentLength: fragment.length, omitted, summary, resources };
+    }
+
+    // === FRAGMENT ANALYSIS ===
+
+    // Envelope → decrypted (still compressed) body for the analysis tools below; decoding proper is decodeFragment
+    async function openFragmentEnvelope(fragment, options, purpose) {
+        const bytes = base64ToUint8Array(fragment);
+        const header = bytes ? readFragmentHeader(bytes) : null;
+        if (!header) {
+            throw new FragmentFormatError(`${purpose} needs a fragment with a version header; re-encode older fragments first.`);
+        }
+        if (header.flags & FRAGMENT_FLAGS.CHECKSUM) {
+            verifyFragmentChecksum(bytes, header);
+        }
+        const schema = SCHEMA_VERSIONS[header.schemaVersion];
+        if (!schema) {
+            throw new FragmentFormatError(
+                `Unsupported fragment schema version ${header.schemaVersion}; this viewer reads versions ${Object.keys(SCHEMA_VERSIONS).join(', ')}.`,
+                { schemaVersion: header.schemaVersion }
+            );
+        }
+        if (header.flags & FRAGMENT_FLAGS.CHUNK) {
+            throw new FragmentFormatError(
+                `Fragment is one tag of a multi-tag record; ${purpose.toLowerCase()} needs the reassembled record.`,
+                { schemaVersion: header.schemaVersion, chunk: header.chunk }
+            );
+        }
+        const dictionary = header.flags & FRAGMENT_FLAGS.PRESET_DICTIONARY ? getPresetDictionary(header.dictionaryVersion) : null;
+        if (header.flags & FRAGMENT_FLAGS.PRESET_DICTIONARY && !dictionary) {
+            throw new FragmentFormatError(
+                `Fragment uses compression dictionary version ${header.dictionaryVersion}, which this viewer does not have.`,
+                { schemaVersion: header.schemaVersion, dictionaryVersion: header.dictionaryVersion }
+            );
+        }
+
+        let body = bytes.subarray(header.headerLength, bytes.length - header.trailerLength);
+        if (header.flags & FRAGMENT_FLAGS.ENCRYPTED) {
+            body = await openEncryptedBody(bytes, header, body, options);
+        }
+        // Header, trailer, GCM tag and any encrypted signature: everything that is not the compressed protobuf
+        const envelopeBytes = bytes.length - body.length;
+        return { bytes, header, schema, body, envelopeBytes, dictionary };
+    }
+
+    /**
+     * Protobuf Wire Inspector
+     * Purpose: Annotated tree of the protobuf bytes a fragment actually carries, for debugging encoders
+     * Usage: Shows field numbers and names exactly as written, including fields the schema does not know
+     *   and values protobuf.js would decode under a different name
+     *
+     * @param {string} fragment - Single-tag fragment (without '#'); header-less fragments are probed like decodeFragment
+     * @param {Object} [options] - { passphrase } or { key } for encrypted fragments
+     * @returns {Promise<Object>} - { schemaVersion, typeName, bytes, fields } where bytes is the uncompressed
+     *   protobuf and fields the nodes from annotateMessage (codec/wire-format.js)
+     *
+     * Example:
+     *   const { fields } = await inspectProtobufWire(fragment);
+     *   fields[0] → { path: 'patient', fieldNumber: 1, wireType: 'len', type: 'medis.nfc.Patient', start: 0, end: 107, ... }
+     */
+    async function inspectProtobufWire(fragment, options = {}) {
+        fragment = String(fragment || '').replace(/\s+/g, '');
+        const bytes = base64ToUint8Array(fragment);
+        if (bytes && !readFragmentHeader(bytes)) {
+            // Same order as decodeFragment's trial decoding: every inflation with the current schema, then legacy
+            for (const [schemaVersion, ensureType] of [['coderef', ensurePayloadType], ['legacy', ensureLegacyPayloadType]]) {
+                const payloadType = await ensureType();
+                const buffer = attemptInflations(bytes).find(candidate => {
+                    try {
+                        payloadType.decode(candidate);
+                        return true;
+                    } catch (error) {
+                        return false;
+                    }
+                });
+                if (buffer) {
+                    return { schemaVersion, typeName: payloadType.fullName.replace(/^\./, ''), bytes: buffer, fields: annotateMessage(payloadType, buffer) };
+                }
+            }
+            throw new Error('Unable to decode NFC payload fragment.');
+        }
+
+        const { header, schema, body, dictionary } = await openFragmentEnvelope(fragment, options, 'Wire inspection');
+        let buffer = body;
+        if (header.flags & FRAGMENT_FLAGS.DEFLATE) {
+            try {
+                buffer = dictionary ? pako.inflate(body, { dictionary }) : pako.inflate(body);
+            } catch (error) {
+                throw new FragmentFormatError('Fragment body could not be decompressed.', { cause: error });
+            }
+        }
+        const payloadType = await schema.ensureType();
+        const fields = annotateMessage(payloadType, buffer);
+        logger.log('Protobuf wire fields:', fields.length, 'top-level,', buffer.length, 'bytes');
+        return { schemaVersion: schema.id, typeName: payloadType.fullName.replace(/^\./, ''), bytes: buffer, fields };
+    }
+
+    // === SIZE BREAKDOWN ===
+
+    function createSizeItem(key, kind) {
+        return { key, kind, protobufBytes: 0, deflatedBytes: 0, characters: 0, share: 0, children: [] };
+    }
+
+    function finishSizeItems(items, charactersPerByte, urlLength) {
+        items.forEach(item => {
+            if (item.kind !== 'url') item.characters = item.deflatedBytes * charactersPerByte;
+            item.share = urlLength ? item.characters / urlLength : 0;
+            finishSizeItems(item.children, charactersPerByte, urlLength);
+            item.deflatedBytes = Math.round(item.deflatedBytes * 10) / 10;
+            item.characters = Math.round(item.characters * 10) / 10;
+            item.share = Math.round(item.share * 10000) / 10000;
+        });
+        return items.sort((a, b) => b.characters - a.characters);
+    }
+
+    /**
+     * Fragment Size Breakdown
+     * Purpose: Attribute every character of a tag URL to the payload part that costs it
+     * Usage: Shows what to trim when a fragment does not fit its tag
+     *
+     * Protobuf bytes are split by field: patient, allergies, bundleMetadata, t, each stage and, within a stage,
+     * its vitals, conditions and events. Compressed size is traced through the DEFLATE stream itself
+     * (codec/deflate-cost.js), so shared back-references are split between the parts that use them.
+     * DEFLATE framing, the envelope (header, checksum, AES-GCM tag) and the URL prefix are listed as overhead.
+     *
+     * @param {string} fragment - Single-tag CodeRef fragment (without '#')
+     * @param {Object} [options] - baseUrl; { passphrase } or { key } for encrypted fragments
+     * @returns {Promise<Object>} - { fragmentLength, urlLength, totals, items } where totals has protobufBytes,
+     *   deflatedBytes, envelopeBytes and base64Overhead; items (largest first) have { key, kind, protobufBytes,
+     *   deflatedBytes, characters, share, children } and kind is 'payload', 'overhead' or 'url'
+     *
+     * Example:
+     *   const { items } = await buildSizeBreakdown(fragment);
+     *   items[0] → { key: 'r1', kind: 'payload', protobufBytes: 512, deflatedBytes: 201.4, characters: 268.5, share: 0.2057, ... }
+     */
+    async function buildSizeBreakdown(fragment, options = {}) {
+        fragment = String(fragment || '').replace(/\s+/g, '');
+        const { bytes, header, schema, body, envelopeBytes, dictionary } = await openFragmentEnvelope(fragment, options, 'Size breakdown');
+        if (schema.id !== 'coderef') {
+            throw new FragmentFormatError(
+                `Size breakdown reads CodeRef fragments; this one has schema version ${header.schemaVersion}.`,
+                { schemaVersion: header.schemaVersion }
+            );
+        }
+
+        let buffer = body;
+        let bitCosts = new Float64Array(body.length).fill(8);
+        let deflateOverheadBits = 0;
+        if (header.flags & FRAGMENT_FLAGS.DEFLATE) {
+            ({ bytes: buffer, bitCosts, overheadBits: deflateOverheadBits } = inflateWithBitCosts(body, dictionary));
+        }
+
+        const charge = (item, start, end) => {
+            item.protobufBytes += end - start;
+            for (let index = start; index < end; index++) item.deflatedBytes += bitCosts[index] / 8;
+        };
+        const stageKeyByField = Object.fromEntries(STAGE_KEYS.map(stageKey => [STAGE_PROTO_FIELDS[stageKey] || stageKey, stageKey]));
+        const partKey = field => (field ? stageKeyByField[field.name] || field.name : UNKNOWN_FIELDS_KEY);
+
+        // Walk each message's fields in wire order, one size item per field name (repeated fields add up)
+        const chargeFields = (type, offset, end, items) => {
+            const reader = protobuf.Reader.create(buffer.subarray(0, end));
+            reader.pos = offset;
+            while (reader.pos < end) {
+                const start = reader.pos;
+                const tag = reader.uint32();
+                const field = type.fieldsById[tag >>> 3];
+                const key = partKey(field);
+                if (!items.has(key)) items.set(key, createSizeItem(key, 'payload'));
+                const item = items.get(key);
+                if (STAGE_KEYS.includes(key) && isMessageField(field) && (tag & 7) === WIRE_TYPE_LENGTH_DELIMITED) {
+                    const length = reader.uint32();
+                    const childStart = reader.pos;
+                    reader.pos += length;
+                    const children = new Map(item.children.map(child => [child.key, child]));
+                    chargeFields(field.resolvedType, childStart, reader.pos, children);
+                    item.children = [...children.values()];
+                } else {
+                    reader.skipType(tag & 7);
+                }
+                charge(item, start, reader.pos);
+            }
+        };
+
+        const payloadType = await schema.ensureType();
+        const parts = new Map();
+        chargeFields(payloadType, 0, buffer.length, parts);
+
+        const deflateFraming = createSizeItem('deflate', 'overhead');
+        deflateFraming.deflatedBytes = deflateOverheadBits / 8;
+        const envelope = createSizeItem('envelope', 'overhead');
+        envelope.deflatedBytes = envelopeBytes;
+        const baseUrl = options.baseUrl || DEFAULT_TAG_URL_BASE;
+        const urlPrefix = createSizeItem('urlPrefix', 'url');
+        urlPrefix.characters = baseUrl.length + 1; // Base URL and '#'
+        const urlLength = urlPrefix.characters + fragment.length;
+
+        // Base64URL spreads each byte over 4/3 characters; scaling by the real ratio keeps the shares summing to 1
+        const items = finishSizeItems(
+            [...parts.values(), ...(header.flags & FRAGMENT_FLAGS.DEFLATE ? [deflateFraming] : []), envelope, urlPrefix],
+            fragment.length / bytes.length,
+            urlLength
+        );
+        logger.log('Fragment size breakdown:', items.map(item => `${item.key} ${item.characters}`).join(', '));
+
+        return {
+            fragmentLength: fragment.length,
+            urlLength,
+            totals: {
+                protobufBytes: buffer.length,
+                deflatedBytes: body.length,
+                envelopeBytes,
+                base64Overhead: fragment.length - bytes.length
+            },
+            items
+        };
+    }
+
+    return {
+        decodeFragment,
+        readFragmentHeader,
+        FRAGMENT_FLAGS,
+        CURRENT_SCHEMA_VERSION,
+        SUPPORTED_SCHEMA_VERSIONS: Object.keys(SCHEMA_VERSIONS).map(Number),
+        encodeToFragment,
+        ENCODING_MODES,
+        encodeForTag,
+        measureTagUrl,
+        NFC_TAG_CAPACITIES,
+        DEFAULT_TAG_URL_BASE,
+        buildDeflateDictionary,
+        buildTagNdefMessage,
+        readChunk,
+        encodeToChunks,
+        assembleChunks,
+        buildTagQrCode,
+        addTrustedSigningKey,
+        addUnitKey,
+        convertCodeRefToFhirBundle,
+        getProtobufBinary,
+        convertFhirToCodeRef,
+        convertFhirBundleToCodeRef,
+        buildRoundTripReport,
+        buildSizeBreakdown,
+        inspectProtobufWire,
+        listUnknownFields
+    };
+}
+
+// --- PAYLOAD SERVICE ---
+
+/**
+ * Payload Service Factory
+ * Purpose: Turn fragments (single or multi-tag), pasted JSON and Base64 input into viewer view models
+ *
+ * @param {Object} options
+ * @param {Object} options.codecPipeline - Result of createCodecPipeline
+ * @param {Object|null} [options.logger] - log/warn/error/debug sink
+ * @param {Object|null} [options.storage] - getItem/setItem store for pending multi-tag chunks (null keeps them in memory)
+ * @param {function(EncryptedFragmentError): (string|null|Promise<string|null>)} [options.promptForKey] - Asks for a missing key
+ * @returns {Object} - payloadService API
+ */
+export function createPayloadService({
+    codecPipeline,
+    logger: injectedLogger = console,
+    storage = defaultStorage(),
+    promptForKey = null
+} = {}) {
+    const logger = resolveLogger(injectedLogger);
+
+    /**
+     * Group medical data chronologically into MIST rows for consistent date/time display
+     * Purpose: Ensure first pill in each chronological row shows date, subsequent pills show time only
+     *
+     * @param {Array} vitals - Array of vital data objects
+     * @param {Array} conditions - Array of condition data objects
+     * @param {Array} events - Array of event data objects
+     * @returns {Array} - Array of chronological rows with mixed data types
+     */
+    /**
+     * Extract timestamp from an item regardless of field structure
+     * @param {Object} item - The data item (vitals, conditions, events)
+     * @returns {string|null} - ISO timestamp string or null if no timestamp
+     */
+    function extractTimestamp(item) {
+        return item.time || item.onset || item.rawData?.dateTime || null;
+    }
+
+    function createMISTChronologicalRows(vitals, conditions, events) {
+        logger.debug('createMISTChronologicalRows called', {
+            vitalCount: vitals.length,
+            conditionCount: conditions.length,
+            eventCount: events.length
+        });
+        // Combine all data with timestamps and types
+        const allData = [
+            ...vitals.map(item => ({ ...item, dataType: 'vitals' })),
+            ...conditions.map(item => ({ ...item, dataType: 'conditions' })),
+            ...events.map(item => ({ ...item, dataType: 'events' }))
+        ];
+
+        // Separate data with and without timestamps
+        const withTimestamps = allData.filter(item => extractTimestamp(item));
+        const withoutTimestamps = allData.filter(item => !extractTimestamp(item));
+
+        logger.debug('After timestamp analysis', {
+            originalCount: allData.length,
+            withTimestamps: withTimestamps.length,
+            withoutTimestamps: withoutTimestamps.length,
+            eventsSample: allData.filter(item => item.dataType === 'events').slice(0, 3).map(item => ({
+                dataType: item.dataType,
+                time: item.time,
+                onset: item.onset,
+                rawDataDateTime: item.rawData?.dateTime,
+                description: item.description,
+                hasTime: !!item.time,
+                hasOnset: !!item.onset,
+                hasRawDataDateTime: !!item.rawData?.dateTime
+            })),
+            sampleWithTimestamps: withTimestamps.slice(0, 2).map(item => ({
+                dataType: item.dataType,
+                time: item.time,
+                onset: item.onset,
+                description: item.description
+            })),
+            sampleWithoutTimestamps: withoutTimestamps.slice(0, 2).map(item => ({
+                dataType: item.dataType,
+                description: item.description
+            }))
+        });
+
+        // Sort timestamped data chronologically (oldest first for proper MIST order)
+        withTimestamps.sort((a, b) => {
+            const timeA = new Date(extractTimestamp(a));
+            const timeB = new Date(extractTimestamp(b));
+            return timeA - timeB;
+        });
+
+        // Mark first pill of each date PER DATA TYPE for display logic BEFORE reversal
+        // This ensures the oldest pill of each type gets the full date
+        const dateTrackingByType = {};
+
+        withTimestamps.forEach((item, index) => {
+            const timestamp = extractTimestamp(item);
+            const currentDate = formatDateForComparison(timestamp);
+            const dataType = item.dataType;
+
+            // Track last date per data type independently
+            if (!dateTrackingByType[dataType]) {
+                dateTrackingByType[dataType] = null;
+            }
+
+            if (currentDate !== dateTrackingByType[dataType]) {
+                item.isFirstDisplayedInRow = true;
+                dateTrackingByType[dataType] = currentDate;
+                logger.debug(`Marked isFirstDisplayedInRow=true for ${dataType} item ${index} (oldest in chronological order)`, {
+                    dataType: item.dataType,
+                    description: item.description,
+                    timestamp: timestamp,
+                    currentDate: currentDate
+                });
+            } else {
+                item.isFirstDisplayedInRow = false;
+            }
+        });
+
+        // Keep chronological order (oldest first) - DO NOT REVERSE for UI display
+        // withTimestamps.reverse(); // REMOVED - UI should show oldest->newest left->right
+
+        // Mark non-timestamped data: First item shows "No Date", others show nothing
+        withoutTimestamps.forEach((item, index) => {
+            item.isFirstDisplayedInRow = (index === 0);  // Only first item shows "No Date"
+            item.noTimestamp = true;  // Flag for special handling
+        });
+
+        const finalData = [...withTimestamps, ...withoutTimestamps];
+
+        logger.debug('Final MIST chronological rows', {
+            totalCount: finalData.length,
+            timestampedCount: withTimestamps.length,
+            nonTimestampedCount: withoutTimestamps.length,
+            firstDisplayedInRowCount: finalData.filter(item => item.isFirstDisplayedInRow).length,
+            perTypeFirstCount: {
+                vitals: finalData.filter(item => item.dataType === 'vitals' && item.isFirstDisplayedInRow).length,
+                conditions: finalData.filter(item => item.dataType === 'conditions' && item.isFirstDisplayedInRow).length,
+                events: finalData.filter(item => item.dataType === 'events' && item.isFirstDisplayedInRow).length
+            },
+            finalOrder: finalData.slice(0, 5).map(item => ({
+                dataType: item.dataType,
+                description: item.description,
+                isFirstDisplayedInRow: item.isFirstDisplayedInRow,
+                timestamp: extractTimestamp(item),
+                noTimestamp: item.noTimestamp
+            }))
+        });
+
+        return finalData;
+    }
+
+    /**
+     * Standardized Medical Data Pill Generator
+     * Purpose: Create consistent UI pills for different types of medical data
+     * Usage: Generate formatted display elements for vitals, conditions, medications
+     *
+     * @param {string} type - Data type ('vital', 'condition', 'medication', 'event')
+     * @param {Object} rawData - Medical data object with code, description, value, etc.
+     * @param {Object} sectionDateTracker - Tracks dates for efficient display grouping
+     * @param {boolean} isFirstDisplayedInRow - Whether this is the first pill displayed in a chronological row (left-to-right MIST order)
+     * @returns {HTMLElement} - Formatted pill element for medical data display
+     *
+     * Example:
+     *   createStandardizedPill('vital', {code: '8480-6', value: 120, unit: 'mmHg'})
+     *   → HTML pill element for systolic blood pressure
+     */
+    function createStandardizedPill(type, rawData, sectionDateTracker, isFirstDisplayedInRow = false) {
+        const { code, description, value, unit, dose, route, time, onset } = rawData;
+
+        // Determine the primary timestamp
+        const primaryTime = onset || time;
+
+        // Format value section based on type
+        let valueContent = '';
+        let tooltipValueContent = description;
+
+        if (type === 'vitals') {
+            // For vitals: show measurement with unit
+            if (isTemperatureCode(code.system, code.code)) {
+                const tempDisplay = formatTemperature(value, unit);
+                valueContent = tempDisplay || `${value} ${unit || ''}`.trim();
+                tooltipValueContent = `${description} | ${valueContent}`;
+            } else {
+                const unitDisplay = unit || inferUnitFromCode(code.system, code.code);
+                valueContent = `${value} ${unitDisplay || ''}`.trim();
+                tooltipValueContent = `${description} | ${valueContent}`;
+            }
+        } else if (type === 'conditions') {
+            // Conditions rely on date-only display; keep tooltip descriptive text
+            valueContent = '';
+            tooltipValueContent = description;
+        } else if (type === 'events') {
+            const cleanedDose = typeof dose === 'number'
+                ? dose.toString()
+                : (dose || '').toString().trim();
+            const cleanedRoute = (route || '').toString().trim();
+
+            const descriptionText = (description || '').toString().trim();
+            const matchesDescription = cleanedDose && descriptionText
+                && cleanedDose.toLowerCase() === descriptionText.toLowerCase();
+
+            const hasDose = cleanedDose !== ''
+                && cleanedDose.toLowerCase() !== 'nan'
+                && !matchesDescription;
+            const isPureNumericDose = hasDose && /^[0-9]+(?:\.[0-9]+)?$/.test(cleanedDose);
+
+            let unitDisplay = unit || '';
+            if (isPureNumericDose && !unitDisplay) {
+                unitDisplay = inferUnitFromCode(code.system, code.code) || '';
+            }
+
+            const tooltipExtras = [];
+            const displayParts = [];
+
+            if (hasDose) {
+                const doseWithUnit = unitDisplay ? `${cleanedDose} ${unitDisplay}` : cleanedDose;
+                displayParts.push(doseWithUnit);
+                tooltipExtras.push(doseWithUnit);
+            }
+
+            const isMeaningfulRoute = cleanedRoute && !/^manual(?:\b|\s)/i.test(cleanedRoute);
+            if (isMeaningfulRoute) {
+                displayParts.push(cleanedRoute);
+                tooltipExtras.push(cleanedRoute);
+            }
+
+            valueContent = displayParts.join(' • ');
+
+            tooltipValueContent = [descriptionText, ...tooltipExtras]
+                .filter(Boolean)
+                .join(' | ') || descriptionText;
+        }
+
+        // Handle date display logic for MIST chronological rows
+        let dateDisplay = '';
+        let tooltipDateDisplay = '';
+
+        if (primaryTime) {
+            const currentDate = formatDateForComparison(primaryTime);
+            const fullDateTime = formatDateTimeWithBullet(primaryTime);
+            const timeOnly = formatTimeOnly(primaryTime);
+
+            // MIST logic: First pill in chronological row shows date, subsequent pills show time only
+            if (isFirstDisplayedInRow) {
+                dateDisplay = fullDateTime;
+                sectionDateTracker.lastDate = currentDate;
+                logger.debug('Pill showing FULL DATE', {
+                    type: type,
+                    description: description,
+                    isFirstDisplayedInRow: isFirstDisplayedInRow,
+                    dateDisplay: dateDisplay,
+                    primaryTime: primaryTime
+                });
+            } else {
+                dateDisplay = timeOnly;
+                logger.debug('Pill showing TIME ONLY', {
+                    type: type,
+                    description: description,
+                    isFirstDisplayedInRow: isFirstDisplayedInRow,
+                    dateDisplay: dateDisplay,
+                    primaryTime: primaryTime
+                });
+            }
+
+            tooltipDateDisplay = fullDateTime; // Tooltip always shows full date
+        } else {
+            // Handle data without timestamps: show "No Date" on first item only
+            if (rawData.noTimestamp && isFirstDisplayedInRow) {
+                dateDisplay = 'No Date';
+                tooltipDateDisplay = 'No timestamp available';
+                logger.debug('Pill showing NO DATE (first non-timestamped)', {
+                    type: type,
+                    description: description,
+                    isFirstDisplayedInRow: isFirstDisplayedInRow,
+                    dateDisplay: dateDisplay
+                });
+            } else {
+                // No date display for subsequent non-timestamped items
+                logger.debug('Pill has NO TIMESTAMP (no display)', {
+                    type: type,
+                    description: description,
+                    isFirstDisplayedInRow: isFirstDisplayedInRow,
+                    time: time,
+                    onset: onset
+                });
+            }
+        }
+
+        // Assemble final value and tooltip
+        const valueParts = [valueContent, dateDisplay].filter(Boolean);
+        const finalValue = valueParts.join(' • ');
+
+
+        // Create tooltip with proper code prefix
+        const codePrefix = resolveCodePrefix(code.system);
+        const tooltipParts = [`${codePrefix}:${code.code}`, tooltipValueContent, tooltipDateDisplay].filter(Boolean);
+        const tooltip = tooltipParts.join(' | ');
+
+        // Resolve display name for label
+        const displayName = resolveCodeDisplay(code.system, code.code);
+        const typeLabel = type === 'vitals' ? 'Vitals' : type === 'conditions' ? 'Condition' : 'Event';
+        const label = `${typeLabel} • ${displayName}`;
+
+
+        return {
+            label,
+            value: finalValue,
+            tooltip,
+            rawData: {
+                description,
+                dose: dose || null,
+                dateTime: primaryTime,
+                code: `${code.system}:${code.code}`,
+                unit: unit || null,
+                route: route || null
+            }
+        };
+    }
+
+    // Chunks of multi-tag records scanned so far, by record id; persisted so successive tag scans
+    // that open a fresh page (or tab) still add up to one record. A record left unfinished expires
+    // after PENDING_CHUNKS_TTL_MS so its tags do not linger on a shared device.
+    const PENDING_CHUNKS_STORAGE_KEY = 'nfcIpsPendingChunks';
+    const PENDING_CHUNKS_TTL_MS = 30 * 60 * 1000;
+    let pendingChunks = null;
+
+    function getPendingChunks() {
+        if (!pendingChunks) {
+            try {
+                pendingChunks = JSON.parse((storage && storage.getItem(PENDING_CHUNKS_STORAGE_KEY)) || '{}') || {};
+            } catch (error) {
+                logger.warn('Pending multi-tag chunks could not be restored:', error);
+                pendingChunks = {};
+            }
+        }
+
+        // Entries without a timestamp predate the TTL and are treated as expired
+        const now = Date.now();
+        const expired = Object.keys(pendingChunks).filter(key =>
+            !Number.isFinite(pendingChunks[key]?.updatedAt) || now - pendingChunks[key].updatedAt > PENDING_CHUNKS_TTL_MS);
+        if (expired.length) {
+            expired.forEach(key => { delete pendingChunks[key]; });
+            logger.log(`Discarded ${expired.length} expired partial multi-tag record(s)`);
+            savePendingChunks();
+        }
+        return pendingChunks;
+    }
+
+    function savePendingChunks() {
+        if (!storage) return;
+        try {
+            storage.setItem(PENDING_CHUNKS_STORAGE_KEY, JSON.stringify(pendingChunks || {}));
+        } catch (error) {
+            logger.warn('Pending multi-tag chunks could not be saved:', error);
+        }
+    }
+
+    /**
+     * Multi-Tag Chunk Collector
+     * Purpose: Add a scanned chunk to its record and return the reassembled fragment once every tag is in
+     *
+     * @param {Object} chunk - Result of codecPipeline.readChunk
+     * @returns {string} - Complete record fragment
+     * @throws {IncompleteRecordError} - While tags are still missing (error.status lists them)
+     */
+    function collectChunk(chunk) {
+        const chunksByRecord = getPendingChunks();
+        const key = String(chunk.recordId);
+        const chunks = [...new Set([...(chunksByRecord[key]?.chunks || []), chunk.fragment])];
+        chunksByRecord[key] = { chunks, updatedAt: Date.now() };
+
+        const status = codecPipeline.assembleChunks(chunks);
+        if (!status.complete) {
+            savePendingChunks();
+            if (status.corrupt.length) {
+                logger.warn(`Multi-tag record ${key}: tag(s) ${status.corrupt.join(', ')} failed their checksum`);
+            }
+            throw new IncompleteRecordError(status);
+        }
+
+        delete chunksByRecord[key];
+        savePendingChunks();
+        return status.fragment;
+    }
+
+    /**
+     * Partial Record Discarder
+     * Purpose: Drop the tags scanned so far for an unfinished multi-tag record
+     * Usage: The viewer's "Discard partial record" action; starting over after a wrong tag set
+     *
+     * @param {number|string} [recordId] - Record to drop (IncompleteRecordError status.recordId); omit to drop all
+     * @returns {number} - Number of partial records discarded
+     *
+     * Example:
+     *   discardPendingChunks(error.status.recordId) → 1
+     */
+    function discardPendingChunks(recordId) {
+        const chunksByRecord = getPendingChunks();
+        const keys = recordId === undefined || recordId === null
+            ? Object.keys(chunksByRecord)
+            : [String(recordId)].filter(key => chunksByRecord[key]);
+        keys.forEach(key => { delete chunksByRecord[key]; });
+        savePendingChunks();
+        logger.log(`Discarded ${keys.length} partial multi-tag record(s)`);
+        return keys.length;
+    }
+
+    function buildViewModelFromObject(payload, options = {}) {
+        if (!payload || typeof payload !== 'object') {
+            throw new Error('Payload is empty or invalid.');
+        }
+
+        const schemaVersion = options.schemaVersion || payload.__schemaVersion || null;
+
+        if (payload.resourceType === 'Patient') {
+            return buildFromFhir(payload, options);
+        }
+
+        if (payload.resourceType === 'Bundle') {
+            // Extract Patient resource from Bundle
+            const patientEntry = payload.entry?.find(entry => entry.resource?.resourceType === 'Patient');
+            const patientResource = patientEntry?.resource || null;
+
+            // Build stage sections from Bundle entries
+            const stageData = buildStageSectionsFromBundle(payload);
+
+            return buildFromFhir(patientResource, {
+                ...options,
+                stageSections: stageData.sections,
+                summary: stageData.summary,
+                allergies: stageData.allergies,
+                rawPayload: options.rawPayload || payload
+            });
+        }
+
+        if (schemaVersion === 'legacy' || isLegacyIndexedPayload(payload)) {
+            return buildFromLegacy(payload, options);
+        }
+
+        if (schemaVersion === 'coderef' || isCodeRefPayload(payload)) {
+            return buildFromCodeRef(payload, options);
+        }
+
+        throw new Error('Unsupported payload format.');
+    }
+
+    function isLegacyIndexedPayload(payload) {
+        return Boolean(payload && Array.isArray(payload.D) && payload.P);
+    }
+
+    function isCodeRefPayload(payload) {
+        if (!payload) return false;
+        if (payload.patient) return true;
+        return STAGE_KEYS.some(stageKey => payload[stageKey]);
+    }
+
+    function buildFromFhir(patientResource, options = {}) {
+        return {
+            type: 'fhir',
+            label: options.label || 'FHIR Patient',
+            patientResource,
+            allergies: options.allergies || [],
+            stageSections: options.stageSections || {},
+            summary: options.summary || null,
+            rawPayload: options.rawPayload || patientResource,
+            originalInput: options.originalInput || null,
+            codebook: []
+        };
+    }
+
+    function buildFromLegacy(nfcPayload, options = {}) {
+        const codebook = buildLegacyCodebook(nfcPayload.D);
+        const patientResource = buildLegacyPatient(nfcPayload, codebook);
+        const stageResult = buildLegacyStageSections(nfcPayload, codebook);
+        const summary = buildSummary(nfcPayload, stageResult.totals, 60000);
+        return {
+            type: 'nfc',
+            label: options.label || 'NFC Payload (indexed)',
+            patientResource,
+            stageSections: stageResult.sections,
+            summary,
+            rawPayload: options.rawPayload || nfcPayload,
+            originalInput: options.originalInput || null,
+            codebook,
+            unknownFields: codecPipeline.listUnknownFields(nfcPayload)
+        };
+    }
+
+    function buildFromCodeRef(nfcPayload, options = {}) {
+        logger.log('=== buildFromCodeRef DEBUG ===');
+        logger.log('nfcPayload:', nfcPayload);
+        logger.log('nfcPayload.patient:', nfcPayload.patient);
+
+        const codebook = gatherCodeRefs(nfcPayload);
+        const patientResource = buildCodeRefPatient(nfcPayload.patient || {});
+
+        logger.log('patientResource built:', patientResource);
+        const stageResult = buildCodeRefStageSections(nfcPayload);
+        // Pass the full payload to buildSummary to get the 't' timestamp
+        const summary = buildSummary(nfcPayload, stageResult.totals);
+        return {
+            type: 'nfc',
+            label: options.label || 'NFC Payload',
+            patientResource,
+            allergies: nfcPayload.allergies || [],
+            stageSections: stageResult.sections,
+            summary,
+            rawPayload: options.rawPayload || nfcPayload,
+            originalInput: options.originalInput || null,
+            codebook,
+            unknownFields: codecPipeline.listUnknownFields(nfcPayload) // Fields from a newer schema, kept for re-encoding
+        };
+    }
+
+    function buildLegacyCodebook(entries = []) {
+        if (!Array.isArray(entries)) return [];
+        return entries.map((entry, index) => {
+            const system = entry?.sys || '';
+            const code = entry?.code || '';
+            const ref = system && code ? `${system}:${code}` : `Code #${index}`;
+            return {
+                index,
+                system,
+                code,
+                ref
+            };
+        });
+    }
+
+    function resolveLegacyCode(codebook, index) {
+        if (index === undefined || index === null) {
+            return { ref: 'Unknown', system: '', code: '' };
+        }
+        const resolved = codebook[index];
+        if (resolved) return resolved;
+        return { ref: `Code #${index}`, system: '', code: '' };
+    }
+
+    function buildLegacyPatient(payload, codebook) {
+        const patient = { resourceType: 'Patient' };
+        const patientData = payload.P || {};
+        const nameParts = Array.isArray(patientData.n) ? patientData.n : [];
+        const givenNames = nameParts.length > 1 ? nameParts.slice(0, nameParts.length - 1) : nameParts;
+        const familyName = nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined;
+
+        const nameEntry = {
+            use: 'official',
+            given: givenNames.length ? givenNames : undefined,
+            family: familyName || undefined
+        };
+
+        if (patientData.r) {
+            nameEntry.prefix = [patientData.r];
+        }
+
+        patient.name = [nameEntry];
+        patient.gender = 'unknown';
+        const dob = formatDobValue(patientData.dob);
+        if (dob) {
+            patient.birthDate = dob;
+        }
+
+        const identifiers = [];
+        if (patientData.nhs) {
+            identifiers.push({
+                use: 'official',
+                type: {
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+                        code: 'NH',
+                        display: 'National Health Service Number'
+                    }],
+                    text: 'NHS Number'
+                },
+                value: String(patientData.nhs)
+            });
+        }
+        if (patientData.sn) {
+            identifiers.push({
+                use: 'secondary',
+                type: {
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+                        code: 'MIL',
+                        display: 'Military ID number'
+                    }],
+                    text: 'Service Number'
+                },
+                value: String(patientData.sn)
+            });
+        }
+        if (identifiers.length) {
+            patient.identifier = identifiers;
+        }
+
+        const extensions = [];
+        if (Number.isInteger(patientData.bg)) {
+            const bloodCode = resolveLegacyCode(codebook, patientData.bg);
+            extensions.push({
+                url: FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP,
+                valueCodeableConcept: {
+                    coding: [{
+                        system: bloodCode.system || 'urn:medis:blood-group',
+                        code: bloodCode.code || bloodCode.ref,
+                        display: bloodCode.code || bloodCode.ref
+                    }],
+                    text: bloodCode.code || bloodCode.ref
+                }
+            });
+        }
+        if (extensions.length) {
+            patient.extension = extensions;
+        }
+
+        return patient;
+    }
+
+    function buildLegacyStageSections(payload, codebook) {
+        const sections = {};
+        const totals = { vitals: 0, conditions: 0, events: 0 };
+        const vitalsSource = payload.V || {};
+        const conditionsSource = payload.C || {};
+        const eventsSource = payload.E || {};
+
+        STAGE_KEYS.forEach(stageKey => {
+            logger.debug(`Processing LEGACY stage: ${stageKey}`);
+
+            const sectionDateTracker = new Map();
+
+            // Get raw data first
+            const rawVitals = normaliseLegacyVitalsRaw(vitalsSource[stageKey], codebook);
+            const rawConditions = normaliseLegacyConditionsRaw(conditionsSource[stageKey], codebook);
+            const rawEvents = normaliseLegacyEventsRaw(eventsSource[stageKey], codebook);
+
+            logger.debug(`Raw data for ${stageKey}`, {
+                rawVitals: rawVitals.length,
+                rawConditions: rawConditions.length,
+                rawEvents: rawEvents.length
+            });
+
+            // Create MIST chronological rows
+            const chronologicalRows = createMISTChronologicalRows(rawVitals, rawConditions, rawEvents);
+
+            // Process chronological rows into pills - keep chronological order intact
+            const allPills = [];
+            const vitals = [];
+            const conditions = [];
+            const events = [];
+
+            chronologicalRows.forEach(item => {
+                const pill = createStandardizedPill(item.dataType, item, sectionDateTracker, item.isFirstDisplayedInRow);
+                allPills.push(pill); // Keep chronological order
+                if (item.dataType === 'vitals') vitals.push(pill);
+                else if (item.dataType === 'conditions') conditions.push(pill);
+                else if (item.dataType === 'events') events.push(pill);
+            });
+
+            logger.debug(`Final pills for ${stageKey}`, {
+                vitals: vitals.length,
+                conditions: conditions.length,
+                events: events.length
+            });
+
+            totals.vitals += vitals.length;
+            totals.conditions += conditions.length;
+            totals.events += events.length;
+            sections[stageKey] = { vitals, conditions, events, allPills };
+        });
+
+        return { sections, totals };
+    }
+
+    function normaliseLegacyVitalsRaw(entries, codebook) {
+        if (!Array.isArray(entries)) return [];
+        return entries
+            .map(item => {
+                if (!Array.isArray(item) || item.length === 0) return null;
+                const [index, value, unit] = item;
+                const code = resolveLegacyCode(codebook, index);
+                const displayName = resolveCodeDisplay(code.system, code.code);
+
+                return {
+                    code: code.ref,
+                    description: displayName,
+                    value: value,
+                    unit: unit,
+                    dose: null,
+                    route: null,
+                    time: null,
+                    onset: null
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseLegacyConditionsRaw(entries, codebook) {
+        if (!Array.isArray(entries)) return [];
+        return entries
+            .map(item => {
+                if (!Array.isArray(item) || item.length === 0) return null;
+                const [index, onset] = item;
+                const code = resolveLegacyCode(codebook, index);
+                const displayName = resolveCodeDisplay(code.system, code.code);
+
+                return {
+                    code: code.ref,
+                    description: displayName,
+                    value: null,
+                    unit: null,
+                    dose: null,
+                    route: null,
+                    time: null,
+                    onset: onset
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseLegacyEventsRaw(entries, codebook) {
+        if (!Array.isArray(entries)) return [];
+        return entries
+            .map(item => {
+                if (!Array.isArray(item) || item.length === 0) return null;
+                const [index, time] = item;
+                const code = resolveLegacyCode(codebook, index);
+                const displayName = resolveCodeDisplay(code.system, code.code);
+
+                return {
+                    code: code.ref,
+                    description: displayName,
+                    value: null,
+                    unit: null,
+                    dose: null,
+                    route: null,
+                    time: time,
+                    onset: null
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseLegacyVitals(entries, codebook, sectionDateTracker) {
+        if (!Array.isArray(entries)) return [];
+        return entries
+            .map(item => {
+                if (!Array.isArray(item) || item.length === 0) return null;
+                const [index, value, unit] = item;
+                const code = resolveLegacyCode(codebook, index);
+                const displayName = resolveCodeDisplay(code.system, code.code);
+
+                // Build raw data for unified pill creation
+                const rawData = {
+                    code: code.ref,
+                    description: displayName,
+                    value: value,
+                    unit: unit,
+                    dose: null,
+                    route: null,
+                    time: null,
+                    onset: null
+                };
+
+                return createStandardizedPill('vitals', rawData, sectionDateTracker);
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseLegacyConditions(entries, codebook, sectionDateTracker) {
+        if (!Array.isArray(entries)) return [];
+        return entries
+            .map(item => {
+                if (!Array.isArray(item) || item.length === 0) return null;
+                const [index, onset] = item;
+                const code = resolveLegacyCode(codebook, index);
+                const displayName = resolveCodeDisplay(code.system, code.code);
+
+                // Build raw data for unified pill creation
+                const rawData = {
+                    code: code.ref,
+                    description: displayName,
+                    value: null,
+                    unit: null,
+                    dose: null,
+                    route: null,
+                    time: null,
+                    onset: onset
+                };
+
+                return createStandardizedPill('conditions', rawData, sectionDateTracker);
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseLegacyEvents(entries, codebook, sectionDateTracker) {
+        if (!Array.isArray(entries)) return [];
+        return entries
+            .map(item => {
+                if (!Array.isArray(item) || item.length === 0) return null;
+                const [index, time, dose, route] = item;
+                const code = resolveLegacyCode(codebook, index);
+                const displayName = resolveCodeDisplay(code.system, code.code);
+
+                // Build raw data for unified pill creation
+                const rawData = {
+                    code: code.ref,
+                    description: displayName,
+                    value: null,
+                    unit: null,
+                    dose: dose,
+                    route: route,
+                    time: time,
+                    onset: null
+                };
+
+                return createStandardizedPill('events', rawData, sectionDateTracker);
+            })
+            .filter(Boolean);
+    }
+
+    // Legacy NFCPayload and Patient fields; anything else on a legacy record cannot be carried over
+    const LEGACY_PAYLOAD_FIELDS = ['D', 'P', 'V', 'C', 'E', 't', '__schemaVersion'];
+    const LEGACY_PATIENT_FIELDS = ['n', 'r', 'sn', 'dob', 'nhs', 'bg'];
+
+    /**
+     * Legacy Payload Migrator
+     * Purpose: Convert a legacy indexed payload (D codebook + dIndex references) into a CodeRef payload
+     * Usage: Re-encode tags written with nfc_payload_legacy.proto under the current schema
+     *
+     * Stage entries may be protobuf-decoded objects ({dIndex, value, unit}) or hand-written arrays
+     * ([index, value, unit]); a missing dIndex on a decoded object is index 0 (proto3 default).
+     *
+     * @param {Object} legacyPayload - Legacy payload as decoded from a fragment or parsed from JSON
+     * @returns {{payload: Object, dropped: Array<{path: string, value: *, reason: string}>}} - CodeRef payload
+     *   and the legacy fields that could not be carried over
+     *
+     * Example:
+     *   migrateLegacyPayload({ D: [{ sys: 'loinc', code: '8867-4' }], P: { n: ['John', 'Smith'] }, V: { poi: [[0, 72, 'bpm']] } })
+     *   → { payload: { patient: { given: 'John', family: 'Smith' }, poi: { vitals: [{ code: { sys: 'loinc', code: '8867-4' }, value: 72 }] } }, dropped: [] }
+     */
+    function migrateLegacyPayload(legacyPayload) {
+        if (!isLegacyIndexedPayload(legacyPayload)) {
+            throw new Error('Payload is not a legacy indexed payload (missing D codebook or P patient).');
+        }
+
+        const codebook = buildLegacyCodebook(legacyPayload.D);
+        const dropped = [];
+        const drop = (path, value, reason) => {
+            logger.warn(`Legacy migration: dropping ${path} (${reason})`);
+            dropped.push({ path, value, reason });
+        };
+
+        // Codebook entries without a code cannot become CodeRefs; references to them are dropped
+        const resolveCodeRef = (index, path, value) => {
+            const entry = codebook[index];
+            if (!entry) {
+                drop(path, value, `codebook index ${index} is out of range; the codebook has ${codebook.length} entries`);
+                return null;
+            }
+            if (!entry.code) {
+                drop(path, value, `codebook entry ${index} has no code`);
+                return null;
+            }
+            return entry.system ? { sys: entry.system, code: entry.code } : { code: entry.code };
+        };
+
+        const payload = {
+            patient: migrateLegacyPatient(legacyPayload.P || {}, resolveCodeRef, drop)
+        };
+
+        const sources = { V: 'vitals', C: 'conditions', E: 'events' };
+        Object.entries(sources).forEach(([sourceKey, listKey]) => {
+            const source = legacyPayload[sourceKey];
+            if (!source) return;
+            Object.entries(source).forEach(([stageKey, entries]) => {
+                const path = `${sourceKey}.${stageKey}`;
+                if (!STAGE_KEYS.includes(stageKey)) {
+                    drop(path, entries, 'not an OPCP stage in the current schema');
+                    return;
+                }
+                if (!Array.isArray(entries)) {
+                    drop(path, entries, 'expected a list of entries');
+                    return;
+                }
+                const migrated = entries
+                    .map((entry, index) => migrateLegacyStageEntry(listKey, entry, `${path}[${index}]`, resolveCodeRef, drop))
+                    .filter(Boolean);
+                if (!migrated.length) return;
+                payload[stageKey] = payload[stageKey] || {};
+                payload[stageKey][listKey] = migrated;
+            });
+        });
+
+        // Legacy t is epoch minutes (see buildFromLegacy); the current schema's t is epoch milliseconds
+        if (legacyPayload.t !== undefined && legacyPayload.t !== null) {
+            const epochMinutes = Number(legacyPayload.t);
+            if (Number.isFinite(epochMinutes)) {
+                payload.t = epochMinutes * 60000;
+            } else {
+                drop('t', legacyPayload.t, 'not a numeric epoch-minutes timestamp');
+            }
+        }
+
+        Object.keys(legacyPayload)
+            .filter(key => !LEGACY_PAYLOAD_FIELDS.includes(key))
+            .forEach(key => drop(key, legacyPayload[key], 'not a field of the legacy schema'));
+
+        logger.log(`Legacy migration complete: ${dropped.length} field(s) dropped`, payload);
+        return { payload, dropped };
+    }
+
+    function migrateLegacyPatient(patientData, resolveCodeRef, drop) {
+        const patient = {};
+
+        // Same name split as buildLegacyPatient: trailing part is the family name
+        const nameParts = Array.isArray(patientData.n) ? patientData.n.filter(Boolean) : [];
+        if (nameParts.length > 1) {
+            patient.given = nameParts.slice(0, -1).join(' ');
+            patient.family = nameParts[nameParts.length - 1];
+        } else if (nameParts.length === 1) {
+            patient.given = nameParts[0];
+        }
+
+        if (patientData.r) {
+            patient.rank = String(patientData.r);
+        }
+
+        if (patientData.dob) {
+            const dob = formatDobValue(patientData.dob);
+            if (/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(dob)) {
+                patient.dob = dob;
+            } else {
+                drop('P.dob', patientData.dob, 'not a YYYYMMDD date');
+            }
+        }
+
+        if (patientData.nhs) {
+            patient.nhs_id = { sys: 'nhs', code: String(patientData.nhs) };
+        }
+        if (patientData.sn) {
+            patient.service_id = { sys: 'mil', code: String(patientData.sn) };
+        }
+
+        // bg 0 is indistinguishable from "not set" after a protobuf decode; buildLegacyPatient treats it the same way
+        if (Number.isInteger(patientData.bg)) {
+            const bloodGroup = resolveCodeRef(patientData.bg, 'P.bg', patientData.bg);
+            if (bloodGroup) {
+                patient.blood_group = bloodGroup;
+            }
+        }
+
+        Object.keys(patientData)
+            .filter(key => !LEGACY_PATIENT_FIELDS.includes(key))
+            .forEach(key => drop(`P.${key}`, patientData[key], 'not a field of the legacy schema'));
+
+        return patient;
+    }
+
+    function migrateLegacyStageEntry(listKey, entry, path, resolveCodeRef, drop) {
+        let fields;
+        if (Array.isArray(entry)) {
+            const [dIndex, first, second, third] = entry;
+            if (listKey === 'vitals') fields = { dIndex, value: first, unit: second };
+            else if (listKey === 'conditions') fields = { dIndex, onset: first };
+            else fields = { dIndex, time: first, dose: second, route: third };
+        } else if (entry && typeof entry === 'object') {
+            fields = { ...entry, dIndex: entry.dIndex ?? 0 };
+        } else {
+            drop(path, entry, 'not a legacy entry');
+            return null;
+        }
+
+        const code = resolveCodeRef(fields.dIndex, path, entry);
+        if (!code) return null;
+
+        if (listKey === 'vitals') {
+            const vital = { code };
+            if (fields.value !== undefined && fields.value !== null) vital.value = Number(fields.value);
+            // The current Vital has no unit; it is implied by the code, so only a different unit is lost
+            if (fields.unit && fields.unit !== inferUnitFromCode(code.sys, code.code)) {
+                drop(`${path}.unit`, fields.unit, 'vitals carry no unit in the current schema');
+            }
+            return vital;
+        }
+
+        if (listKey === 'conditions') {
+            const condition = { code };
+            if (fields.onset) condition.onset = String(fields.onset);
+            return condition;
+        }
+
+        const event = { code };
+        if (fields.time) event.time = String(fields.time);
+        if (fields.dose !== undefined && fields.dose !== null) event.dose = Number(fields.dose);
+        if (fields.route) event.route = String(fields.route);
+        return event;
+    }
+
+    /**
+     * Legacy Fragment Migrator
+     * Purpose: Decode a legacy fragment, migrate it to CodeRef and re-encode it with the current schema
+     * Usage: One-step upgrade of a scanned legacy tag; prompts for a key if the fragment is encrypted
+     *
+     * @param {string} fragment - Base64URL fragment written with the legacy schema
+     * @param {Object} [options] - encodeToFragment options for the new fragment (presetDictionary, signingKey, ...)
+     * @returns {Promise<{fragment: string, payload: Object, dropped: Array<{path: string, value: *, reason: string}>}>}
+     *
+     * Example:
+     *   const { fragment, dropped } = await payloadService.migrateLegacyFragment(oldFragment);
+     */
+    async function migrateLegacyFragment(fragment, options = {}) {
+        const decodeResult = await decodeWithKeyPrompt(fragment);
+        if (decodeResult.schemaVersion !== 'legacy') {
+            throw new Error(`Fragment already uses the ${decodeResult.schemaVersion} schema; nothing to migrate.`);
+        }
+        const { payload, dropped } = migrateLegacyPayload(decodeResult.data);
+        const migratedFragment = await codecPipeline.encodeToFragment(payload, options);
+        return { fragment: migratedFragment, payload, dropped };
+    }
+
+    function gatherCodeRefs(payload) {
+        const map = new Map();
+
+        function addCodeRef(codeRef) {
+            const key = codeRefKey(codeRef);
+            if (!key) return;
+            if (!map.has(key)) {
+                map.set(key, normaliseCodeRef(codeRef));
+            }
+        }
+
+        if (payload.patient) {
+            addCodeRef(payload.patient.gender);
+            addCodeRef(payload.patient.blood_group);
+            addCodeRef(payload.patient.nhs_id);
+            addCodeRef(payload.patient.service_id);
+        }
+
+        STAGE_KEYS.forEach(stageKey => {
+            const stage = payload[stageKey];
+            if (!stage) return;
+            (stage.vitals || []).forEach(vital => addCodeRef(vital?.code));
+            (stage.conditions || []).forEach(condition => addCodeRef(condition?.code));
+            (stage.events || []).forEach(event => addCodeRef(event?.code));
+        });
+
+        return Array.from(map.values());
+    }
+
+    function buildCodeRefPatient(patientData = {}) {
+        logger.log('buildCodeRefPatient called with:', patientData);
+        logger.log('Raw CodeRef objects:');
+        logger.log('  blood_group:', patientData.blood_group);
+        logger.log('  nhs_id:', patientData.nhs_id);
+        logger.log('  service_id:', patientData.service_id);
+        logger.log('  bloodGroup (camelCase):', patientData.bloodGroup);
+        logger.log('  nhsId (camelCase):', patientData.nhsId);
+        logger.log('  serviceId (camelCase):', patientData.serviceId);
+
+        // CRITICAL FIX: Use camelCase field names from protobuf decoded object
+        logger.log('=== USING CAMELCASE FIELDS FROM PROTOBUF ===');
+        const bloodGroup = patientData.bloodGroup || patientData.blood_group;
+        const nhsId = patientData.nhsId || patientData.nhs_id;
+        const serviceId = patientData.serviceId || patientData.service_id;
+
+        // Map camelCase protobuf fields to snake_case for consistency
+        if (patientData.bloodGroup && !patientData.blood_group) {
+            patientData.blood_group = patientData.bloodGroup;
+        }
+        if (patientData.nhsId && !patientData.nhs_id) {
+            patientData.nhs_id = patientData.nhsId;
+        }
+        if (patientData.serviceId && !patientData.service_id) {
+            patientData.service_id = patientData.serviceId;
+        }
+
+        const patient = { resourceType: 'Patient' };
+
+        if (patientData.given || patientData.family || patientData.title || patientData.rank) {
+            const nameEntry = { use: 'official' };
+            const prefixes = [];
+            if (patientData.title) {
+                prefixes.push(patientData.title);
+            }
+            if (patientData.rank) {
+                prefixes.push(patientData.rank);
+            }
+            if (prefixes.length) {
+                nameEntry.prefix = prefixes;
+            }
+            if (patientData.given) {
+                nameEntry.given = Array.isArray(patientData.given) ? patientData.given : patientData.given.split(/\s+/).filter(Boolean);
+            }
+            if (patientData.family) {
+                nameEntry.family = patientData.family;
+            }
+            patient.name = [nameEntry];
+        }
+
+        const gender = mapGenderFromCodeRef(patientData.gender);
+        if (gender) {
+            patient.gender = gender;
+        }
+
+        if (patientData.dob) {
+            patient.birthDate = patientData.dob;
+        }
+
+        const identifiers = [];
+
+        // NHS ID - check both field name conventions
+        let nhsIdData = patientData.nhs_id || patientData.nhsId;
+        if (nhsIdData?.code) {
+            identifiers.push({
+                use: 'official',
+                type: {
+                    coding: [{
+                        system: 'https://fhir.hl7.org.uk/CodeSystem/UKCore-IdentifierType',
+                        code: 'nhsNumber',
+                        display: 'NHS Number'
+                    }],
+                    text: 'NHS Number'
+                },
+                system: 'https://fhir.nhs.uk/Id/nhs-number',
+                value: String(nhsIdData.code)
+            });
+        }
+
+        // Service ID - check both field name conventions
+        let serviceIdData = patientData.service_id || patientData.serviceId;
+        if (serviceIdData?.code) {
+            identifiers.push({
+                use: 'secondary',
+                type: {
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+                        code: 'MIL',
+                        display: 'Military ID number'
+                    }],
+                    text: 'Service Number'
+                },
+                system: serviceIdData.sys ? `urn:code:${serviceIdData.sys}` : undefined,
+                value: String(serviceIdData.code)
+            });
+        }
+        if (identifiers.length) {
+            patient.identifier = identifiers;
+        }
+
+        const extensions = [];
+
+        // Blood Group Extension with fallback
+        logger.log('=== BLOOD GROUP DEBUG ===');
+        logger.log('patientData.blood_group raw:', patientData.blood_group);
+        logger.log('typeof patientData.blood_group:', typeof patientData.blood_group);
+        logger.log('JSON.stringify(patientData.blood_group):', JSON.stringify(patientData.blood_group));
+
+        // Check both snake_case and camelCase field names
+        let bloodGroupData = patientData.blood_group || patientData.bloodGroup;
+
+        const normalizedBloodGroup = normaliseCodeRef(bloodGroupData);
+        logger.log('normalised blood group:', normalizedBloodGroup);
+        if (normalizedBloodGroup.code && normalizedBloodGroup.code !== 'Unknown code') {
+            const displayName = resolveCodeDisplay(normalizedBloodGroup.system, normalizedBloodGroup.code);
+            extensions.push({
+                url: FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP,
+                valueCodeableConcept: {
+                    coding: [{
+                        system: normalizedBloodGroup.system === 'sct' ? 'http://snomed.info/sct' : `urn:code:${normalizedBloodGroup.system}`,
+                        code: normalizedBloodGroup.code,
+                        display: displayName
+                    }],
+                    text: displayName
+                }
+            });
+        }
+
+        // Nationality Extension
+        if (patientData.nationality) {
+            extensions.push({
+                url: FHIR_EXTENSIONS.PATIENT_NATIONALITY,
+                valueCodeableConcept: {
+                    coding: [{
+                        system: 'urn:iso:std:iso:3166',
+                        code: patientData.nationality === 'UK' ? 'GB' : patientData.nationality,
+                        display: patientData.nationality
+                    }],
+                    text: patientData.nationality
+                }
+            });
+        }
+
+        if (extensions.length) {
+            patient.extension = extensions;
+        }
+
+        logger.log('buildCodeRefPatient returning:', patient);
+        return patient;
+    }
+
+    function buildCodeRefStageSections(payload) {
+        const sections = {};
+        const totals = { vitals: 0, conditions: 0, events: 0 };
+
+        STAGE_KEYS.forEach(stageKey => {
+            logger.debug(`Processing CODEREF stage: ${stageKey}`);
+
+            const stage = payload[stageKey] || {};
+            const sectionDateTracker = new Map();
+
+            // Get raw data first
+            const rawVitals = normaliseCodeRefVitalsRaw(stage.vitals || []);
+            const rawConditions = normaliseCodeRefConditionsRaw(stage.conditions || []);
+            const rawEvents = normaliseCodeRefEventsRaw(stage.events || []);
+
+            logger.debug(`Raw data for ${stageKey}`, {
+                rawVitals: rawVitals.length,
+                rawConditions: rawConditions.length,
+                rawEvents: rawEvents.length
+            });
+
+            // Create MIST chronological rows
+            const chronologicalRows = createMISTChronologicalRows(rawVitals, rawConditions, rawEvents);
+
+            // Process chronological rows into pills - keep chronological order intact
+            const allPills = [];
+            const vitals = [];
+            const conditions = [];
+            const events = [];
+
+            chronologicalRows.forEach(item => {
+                const pill = createStandardizedPill(item.dataType, item, sectionDateTracker, item.isFirstDisplayedInRow);
+                allPills.push(pill); // Keep chronological order
+                if (item.dataType === 'vitals') vitals.push(pill);
+                else if (item.dataType === 'conditions') conditions.push(pill);
+                else if (item.dataType === 'events') events.push(pill);
+            });
+
+            logger.debug(`Final pills for ${stageKey}`, {
+                vitals: vitals.length,
+                conditions: conditions.length,
+                events: events.length
+            });
+
+            totals.vitals += vitals.length;
+            totals.conditions += conditions.length;
+            totals.events += events.length;
+            sections[stageKey] = { vitals, conditions, events, allPills };
+        });
+
+        return { sections, totals };
+    }
+
+    function normaliseCodeRefVitalsRaw(entries) {
+        return entries
+            .map(item => {
+                if (!item || !item.code) return null;
+                const code = normaliseCodeRef(item.code);
+                const description = resolveCodeDisplay(code.system, code.code);
+
+                return {
+                    code,
+                    description,
+                    value: item.value,
+                    unit: item.unit,
+                    dose: null,
+                    route: item.route,
+                    time: item.time,
+                    onset: null
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseCodeRefConditionsRaw(entries) {
+        return entries
+            .map(item => {
+                if (!item || !item.code) return null;
+                const code = normaliseCodeRef(item.code);
+                const description = resolveCodeDisplay(code.system, code.code);
+
+                return {
+                    code,
+                    description,
+                    value: null,
+                    unit: null,
+                    dose: null,
+                    route: null,
+                    time: null,
+                    onset: item.onset
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseCodeRefEventsRaw(entries) {
+        return entries
+            .map(item => {
+                if (!item || !item.code) return null;
+                const code = normaliseCodeRef(item.code);
+                const description = resolveCodeDisplay(code.system, code.code);
+
+                return {
+                    code,
+                    description,
+                    value: null,
+                    unit: null,
+                    dose: item.dose,
+                    route: item.route,
+                    time: item.time,
+                    onset: null
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseCodeRefVitals(entries, sectionDateTracker = { lastDate: null }) {
+        return entries
+            .map(item => {
+                if (!item || !item.code) return null;
+                const code = normaliseCodeRef(item.code);
+                const description = resolveCodeDisplay(code.system, code.code);
+
+                return createStandardizedPill('vitals', {
+                    code,
+                    description,
+                    value: item.value,
+                    unit: item.unit,
+                    dose: null, // Vitals don't have doses
+                    route: item.route,
+                    time: item.time,
+                    onset: null
+                }, sectionDateTracker);
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseCodeRefConditions(entries, sectionDateTracker = { lastDate: null }) {
+        return entries
+            .map(item => {
+                if (!item || !item.code) return null;
+                const code = normaliseCodeRef(item.code);
+                const description = resolveCodeDisplay(code.system, code.code);
+
+                return createStandardizedPill('conditions', {
+                    code,
+                    description,
+                    value: null,
+                    unit: null,
+                    dose: null, // Conditions don't have doses
+                    route: null,
+                    time: null,
+                    onset: item.onset
+                }, sectionDateTracker);
+            })
+            .filter(Boolean);
+    }
+
+    function normaliseCodeRefEvents(entries, sectionDateTracker = { lastDate: null }) {
+        return entries
+            .map(item => {
+                if (!item || !item.code) return null;
+                const code = normaliseCodeRef(item.code);
+                const description = resolveCodeDisplay(code.system, code.code);
+
+                return createStandardizedPill('events', {
+                    code,
+                    description,
+                    value: null,
+                    unit: item.unit,
+                    dose: item.dose,
+                    route: item.route,
+                    time: item.time,
+                    onset: null
+                }, sectionDateTracker);
+            })
+            .filter(Boolean);
+    }
+
+    // epochUnitMs: 60000 for legacy payloads, whose t is epoch minutes; CodeRef t is epoch milliseconds
+    function buildSummary(payload, totals, epochUnitMs = 1) {
+        const summary = { totals };
+
+        // Find the latest timestamp from R2 stage to set IPS Summary creation time
+        let latestTimestamp = null;
+
+        if (payload.r2) {
+            const r2Stage = payload.r2;
+            const allTimes = [];
+
+            // Collect all timestamps from R2 vitals, conditions, and events
+            if (r2Stage.vitals) {
+                r2Stage.vitals.forEach(vital => {
+                    if (vital.time) allTimes.push(new Date(vital.time));
+                });
+            }
+            if (r2Stage.conditions) {
+                r2Stage.conditions.forEach(condition => {
+                    if (condition.onset) allTimes.push(new Date(condition.onset));
+                });
+            }
+            if (r2Stage.events) {
+                r2Stage.events.forEach(event => {
+                    if (event.time) allTimes.push(new Date(event.time));
+                });
+            }
+
+            // Find the latest valid timestamp
+            const validTimes = allTimes.filter(time => !Number.isNaN(time.getTime()));
+            if (validTimes.length > 0) {
+                latestTimestamp = new Date(Math.max(...validTimes.map(time => time.getTime())));
+                // Add 15 minutes to the latest R2 entry for IPS Summary creation
+                latestTimestamp.setMinutes(latestTimestamp.getMinutes() + 15);
+            }
+        }
+
+        // Use calculated timestamp or fallback to payload.t
+        if (latestTimestamp) {
+            summary.timestamp = latestTimestamp;
+        } else if (typeof payload.t === 'number') {
+            const timestamp = new Date(payload.t * epochUnitMs);
+            if (!Number.isNaN(timestamp.getTime())) {
+                summary.timestamp = timestamp;
+            }
+        } else if (typeof payload.t === 'string') {
+            const timestamp = new Date(payload.t);
+            if (!Number.isNaN(timestamp.getTime())) {
+                summary.timestamp = timestamp;
+            }
+        }
+
+        return summary;
+    }
+
+    // Encrypted fragments ask the host for the key (promptForKey) instead of failing; a few attempts before giving up
+    const MAX_KEY_PROMPTS = 3;
+
+    async function decodeWithKeyPrompt(fragment) {
+        let keyOptions = {};
+        for (let prompts = 0; ; prompts += 1) {
+            try {
+                return await codecPipeline.decodeFragment(fragment, keyOptions);
+            } catch (error) {
+                if (!(error instanceof EncryptedFragmentError) || prompts >= MAX_KEY_PROMPTS) throw error;
+                logger.log('Encrypted fragment, prompting for key:', error.details);
+                const entered = promptForKey ? await promptForKey(error) : null;
+                if (!entered) throw error;
+                keyOptions = error.details.keyType === 'passphrase' ? { passphrase: entered } : { key: entered.trim() };
+            }
+        }
+    }
+
+    async function loadFromFragment(fragment) {
+        const decoded = decodeURIComponent(fragment || '').trim();
+        if (!decoded) {
+            throw new Error('URL fragment is empty.');
+        }
+
+        if (looksLikeJson(decoded)) {
+            const parsed = tryParseJson(decoded);
+            if (parsed) {
+                return buildViewModelFromObject(parsed, {
+                    label: 'Fragment JSON',
+                    originalInput: decoded,
+                    rawPayload: parsed
+                });
+            }
+        }
+
+        const base64JsonString = base64ToString(decoded);
+        if (base64JsonString && looksLikeJson(base64JsonString)) {
+            const parsedBase64Json = tryParseJson(base64JsonString);
+            if (parsedBase64Json) {
+                return buildViewModelFromObject(parsedBase64Json, {
+                    label: 'Fragment Base64 JSON',
+                    originalInput: decoded,
+                    rawPayload: parsedBase64Json
+                });
+            }
+        }
+
+        const chunk = codecPipeline.readChunk(decoded);
+        const recordFragment = chunk ? collectChunk(chunk) : decoded;
+
+        const decodeResult = await decodeWithKeyPrompt(recordFragment);
+        const viewModel = buildViewModelFromObject(decodeResult.data, {
+            label: decodeResult.schemaVersion === 'legacy' ? 'Fragment NFC Payload (indexed)' : 'Fragment NFC Payload',
+            originalInput: recordFragment,
+            rawPayload: decodeResult.data,
+            schemaVersion: decodeResult.schemaVersion
+        });
+        viewModel.signature = decodeResult.signature;
+        viewModel.fragmentSchemaVersion = decodeResult.header ? decodeResult.header.schemaVersion : null; // null: header-less fragment
+        return viewModel;
+    }
+
+    async function parseUserInput(rawInput) {
+        const trimmed = (rawInput || '').trim();
+        if (!trimmed) {
+            throw new Error('Input is empty.');
+        }
+
+        if (looksLikeJson(trimmed)) {
+            const parsed = tryParseJson(trimmed);
+            if (parsed) {
+                return buildViewModelFromObject(parsed, {
+                    label: 'Custom JSON',
+                    originalInput: trimmed,
+                    rawPayload: parsed
+                });
+            }
+        }
+
+        const base64JsonString = base64ToString(trimmed);
+        if (base64JsonString && looksLikeJson(base64JsonString)) {
+            const parsedBase64Json = tryParseJson(base64JsonString);
+            if (parsedBase64Json) {
+                return buildViewModelFromObject(parsedBase64Json, {
+                    label: 'Custom Base64 JSON',
+                    originalInput: trimmed,
+                    rawPayload: parsedBase64Json
+                });
+            }
+        }
+
+        const decodeResult = await decodeWithKeyPrompt(trimmed);
+        const viewModel = buildViewModelFromObject(decodeResult.data, {
+            label: decodeResult.schemaVersion === 'legacy' ? 'Custom NFC Payload (indexed)' : 'Custom NFC Payload',
+            originalInput: trimmed,
+            rawPayload: decodeResult.data,
+            schemaVersion: decodeResult.schemaVersion
+        });
+        viewModel.signature = decodeResult.signature;
+        viewModel.fragmentSchemaVersion = decodeResult.header ? decodeResult.header.schemaVersion : null; // null: header-less fragment
+        return viewModel;
+    }
+
+    function buildStageSectionsFromBundle(bundle) {
+        if (!bundle || bundle.resourceType !== 'Bundle') {
+            return { sections: {}, summary: null, allergies: [] };
+        }
+
+        try {
+            const codeRefPayload = codecPipeline.convertFhirToCodeRef(bundle);
+            const stageResult = buildCodeRefStageSections(codeRefPayload);
+            const summary = buildSummary(codeRefPayload, stageResult.totals);
+            return {
+                sections: stageResult.sections || {},
+                summary,
+                allergies: codeRefPayload.allergies || []
+            };
+        } catch (error) {
+            logger.warn('Failed to build stage sections from FHIR bundle:', error);
+            return { sections: {}, summary: null, allergies: [] };
+        }
+    }
+
+    return {
+        buildViewModelFromObject,
+        loadFromFragment,
+        parseUserInput,
+        isLegacyIndexedPayload,
+        migrateLegacyPayload,
+        migrateLegacyFragment,
+        discardPendingChunks
+    };
+}
+
+// --- CODEC INSTANCE ---
+
+/**
+ * IPS Codec Factory
+ * Purpose: Create a codec pipeline and a payload service that share the same injected dependencies
+ * Usage: The viewer, the CLI and embedding apps each create their own instance
+ *
+ * @param {Object} [options] - See createCodecPipeline and createPayloadService
+ * @returns {{codecPipeline: Object, payloadService: Object, encodeFhirPayloadToFragment: Function}}
+ *
+ * Example:
+ *   const { codecPipeline, payloadService } = createIpsCodec({ promptForKey: error => askUser(error.details) });
+ */
+export function createIpsCodec(options = {}) {
+    const codecPipeline = createCodecPipeline(options);
+    const payloadService = createPayloadService({ ...options, codecPipeline });
+
+    /**
+     * Encode FHIR payloads to NFC fragments while returning the intermediate CodeRef.
+     * Used by auxiliary tooling (e.g., payload encoder page) to avoid duplicate work.
+     */
+    async function encodeFhirPayloadToFragment(fhirPayload) {
+        if (!fhirPayload) {
+            throw new Error('No FHIR payload provided for encoding.');
+        }
+
+        const codeRefPayload = codecPipeline.convertFhirToCodeRef(fhirPayload);
+        const fragment = await codecPipeline.encodeToFragment(codeRefPayload);
+        return { fragment, codeRefPayload };
+    }
+
+    return { codecPipeline, payloadService, encodeFhirPayloadToFragment };
+}
@@ -0,0 +1,771 @@
+/**
+ * TERMINOLOGY
+ *
+ * Purpose: CodeRef helpers, terminology enums and the simulated terminology service shared by the codec
+ * and the viewer. No DOM or network dependencies, so it loads the same in browsers, Node and Web Workers.
+ *
+ * The enum tables (SystemEnums, StatusEnums, SystemShortKeys) are part of the wire format: schema v3
+ * fragments carry their integer values, so existing entries must never be renumbered.
+ */
+
+/**
+ * CodeRef Key Generator
+ * Purpose: Generate consistent string keys for CodeRef objects in terminology lookups
+ * Usage: Create hash keys for terminology caching and code resolution
+ *
+ * @param {Object} codeRef - CodeRef object with sys and code properties
+ * @returns {string} - Key string ('system:code') or code only if no system
+ *
+ * Example:
+ *   codeRefKey({sys: 'sct', code: '12345'}) → 'sct:12345'
+ *   codeRefKey({code: '12345'}) → '12345'
+ */
+export function codeRefKey(codeRef) {
+    if (!codeRef) return '';
+    const system = codeRef.sys || '';
+    const code = codeRef.code || '';
+    return system ? `${system}:${code}` : code;
+}
+
+/**
+ * CodeRef Normalizer
+ * Purpose: Standardize CodeRef objects with fallback handling for missing data
+ * Usage: Ensure consistent CodeRef structure throughout the application
+ *
+ * @param {Object} codeRef - Raw CodeRef object that might be incomplete
+ * @param {number} fallbackIndex - Index number for fallback code generation
+ * @returns {Object} - Normalized CodeRef with system, code, and ref properties
+ *
+ * Example:
+ *   normaliseCodeRef({sys: 'sct', code: '12345'}) → {system: 'sct', code: '12345', ref: 'sct:12345'}
+ *   normaliseCodeRef(null, 1) → {system: '', code: 'Code #1', ref: 'Code #1'}
+ */
+export function normaliseCodeRef(codeRef, fallbackIndex) {
+    if (!codeRef) {
+        const fallback = fallbackIndex !== undefined ? `Code #${fallbackIndex}` : 'Unknown code';
+        return { system: '', code: fallback, ref: fallback };
+    }
+    const system = codeRef.sys || '';
+    const code = codeRef.code || '';
+    const ref = codeRefKey(codeRef) || (fallbackIndex !== undefined ? `Code #${fallbackIndex}` : 'Unknown code');
+    return { system, code, ref };
+}
+
+export const genderCodeMap = {
+    'sct:248153007': 'male',
+    'sct:248152002': 'female',
+    'sct:337915000': 'other',
+    'sct:184115007': 'unknown'
+};
+
+// === TERMINOLOGY SERVICE ARCHITECTURE ===
+// Production-grade terminology server simulation matching external API patterns
+
+// Terminology Database - Simulates external terminology server responses
+// Phase 2: System enum mappings for 90% URL compression
+export const SystemEnums = {
+    'http://snomed.info/sct': 1,                                          // SNOMED_CT
+    'http://loinc.org': 2,                                               // LOINC
+    'http://unitsofmeasure.org': 3,                                      // UCUM
+    'http://terminology.hl7.org/CodeSystem/condition-clinical': 4,        // HL7_CONDITION
+    'http://terminology.hl7.org/CodeSystem/condition-ver-status': 5,      // HL7_VERIFICATION
+    'http://terminology.hl7.org/CodeSystem/observation-category': 6,      // HL7_OBSERVATION
+    'urn:iso:std:iso:3166': 7,                                           // ISO_3166
+    'https://fhir.nhs.uk/Id/nhs-number': 8                              // NHS_IDENTIFIER
+};
+
+export const StatusEnums = {
+    clinical: { 'active': 1, 'resolved': 2, 'inactive': 3, 'remission': 4 },
+    verification: { 'confirmed': 1, 'unconfirmed': 2, 'provisional': 3, 'differential': 4 },
+    category: { 'vital-signs': 1, 'laboratory': 2, 'survey': 3, 'social-history': 4 }
+};
+
+// CodeRef short system keys (CodeRef.sys) for each SystemEnums URL
+export const SystemShortKeys = {
+    'http://snomed.info/sct': 'sct',
+    'http://loinc.org': 'loinc',
+    'http://unitsofmeasure.org': 'ucum',
+    'http://terminology.hl7.org/CodeSystem/condition-clinical': 'hl7-condition',
+    'http://terminology.hl7.org/CodeSystem/condition-ver-status': 'hl7-verification',
+    'http://terminology.hl7.org/CodeSystem/observation-category': 'hl7-obs-cat',
+    'urn:iso:std:iso:3166': 'iso3166',
+    'https://fhir.nhs.uk/Id/nhs-number': 'nhs'
+};
+
+export const terminologyDatabase = {
+    version: "2024.03.01",
+    lastUpdated: "2024-03-01T00:00:00Z",
+
+    // Clinical codes (enhanced with full API response structure)
+    clinical: {
+        // LOINC Vital Signs
+        'loinc:8310-5': {
+            system: 'http://loinc.org',
+            code: '8310-5',
+            display: 'Body temperature',
+            definition: 'Measurement of core body temperature',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:8867-4': {
+            system: 'http://loinc.org',
+            code: '8867-4',
+            display: 'Heart rate',
+            definition: 'Number of heart beats per minute',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:85354-9': {
+            system: 'http://loinc.org',
+            code: '85354-9',
+            display: 'Blood pressure',
+            definition: 'Systolic and diastolic blood pressure measurement',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:60591-5': {
+            system: 'http://loinc.org',
+            code: '60591-5',
+            display: 'Patient summary Document',
+            definition: 'International Patient Summary document',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:11450-4': {
+            system: 'http://loinc.org',
+            code: '11450-4',
+            display: 'Problem list',
+            definition: 'List of patient problems and diagnoses',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:8716-3': {
+            system: 'http://loinc.org',
+            code: '8716-3',
+            display: 'Vital signs',
+            definition: 'Patient vital signs measurements',
+            status: 'active',
+            version: '2.76'
+        },
+
+        // SNOMED CT Conditions
+        'sct:417163006': {
+            system: 'http://snomed.info/sct',
+            code: '417163006',
+            display: 'Traumatic injury',
+            definition: 'Physical damage to body tissues caused by external force',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:125605004': {
+            system: 'http://snomed.info/sct',
+            code: '125605004',
+            display: 'Fracture of bone',
+            definition: 'Break or crack in bone structure',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:217082002': {
+            system: 'http://snomed.info/sct',
+            code: '217082002',
+            display: 'Accidental explosion',
+            definition: 'Unintentional explosive event causing injury',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:386661006': {
+            system: 'http://snomed.info/sct',
+            code: '386661006',
+            display: 'Fever',
+            definition: 'Elevated body temperature above normal range',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:387207008': {
+            system: 'http://snomed.info/sct',
+            code: '387207008',
+            display: 'Morphine',
+            definition: 'Opioid analgesic medication',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:278152006': {
+            system: 'http://snomed.info/sct',
+            code: '278152006',
+            display: 'Blood group A Rh(D) negative (A-)',
+            definition: 'ABO blood group A with Rh negative',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:47625008': {
+            system: 'http://snomed.info/sct',
+            code: '47625008',
+            display: 'Intravenous route',
+            definition: 'Administration via intravenous route',
+            status: 'active',
+            version: '20240301'
+        },
+
+        // Additional LOINC Codes
+        'loinc:10160-0': {
+            system: 'http://loinc.org',
+            code: '10160-0',
+            display: 'History of Medication use Narrative',
+            definition: 'Narrative description of patient medication history',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:8480-6': {
+            system: 'http://loinc.org',
+            code: '8480-6',
+            display: 'Systolic blood pressure',
+            definition: 'Systolic arterial blood pressure measurement',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:8462-4': {
+            system: 'http://loinc.org',
+            code: '8462-4',
+            display: 'Diastolic blood pressure',
+            definition: 'Diastolic arterial blood pressure measurement',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:9279-1': {
+            system: 'http://loinc.org',
+            code: '9279-1',
+            display: 'Respiratory rate',
+            definition: 'Number of breaths per minute',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:2708-6': {
+            system: 'http://loinc.org',
+            code: '2708-6',
+            display: 'Oxygen saturation',
+            definition: 'Percentage of oxygen saturation in arterial blood',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:718-7': {
+            system: 'http://loinc.org',
+            code: '718-7',
+            display: 'Hemoglobin',
+            definition: 'Hemoglobin concentration in blood',
+            status: 'active',
+            version: '2.76'
+        },
+        'loinc:33747-0': {
+            system: 'http://loinc.org',
+            code: '33747-0',
+            display: 'pH of Blood',
+            definition: 'Acidity/alkalinity measurement of blood pH',
+            status: 'active',
+            version: '2.76'
+        },
+
+        // Additional SNOMED CT Condition Codes
+        'sct:125670008': {
+            system: 'http://snomed.info/sct',
+            code: '125670008',
+            display: 'Foreign body',
+            definition: 'Object present in body tissue where it does not belong',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:271594007': {
+            system: 'http://snomed.info/sct',
+            code: '271594007',
+            display: 'Syncope',
+            definition: 'Temporary loss of consciousness due to reduced blood flow to brain',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:267036007': {
+            system: 'http://snomed.info/sct',
+            code: '267036007',
+            display: 'Dyspnea',
+            definition: 'Difficulty breathing or shortness of breath',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:422587007': {
+            system: 'http://snomed.info/sct',
+            code: '422587007',
+            display: 'Nausea',
+            definition: 'Feeling of discomfort in stomach with urge to vomit',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:302866003': {
+            system: 'http://snomed.info/sct',
+            code: '302866003',
+            display: 'Hypotension',
+            definition: 'Low blood pressure below normal range',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:84229001': {
+            system: 'http://snomed.info/sct',
+            code: '84229001',
+            display: 'Fatigue',
+            definition: 'State of physical or mental exhaustion',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:423902002': {
+            system: 'http://snomed.info/sct',
+            code: '423902002',
+            display: 'Nausea and vomiting',
+            definition: 'Combined symptoms of nausea with actual vomiting',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:128045006': {
+            system: 'http://snomed.info/sct',
+            code: '128045006',
+            display: 'Cellulitis',
+            definition: 'Bacterial infection of skin and soft tissue',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:225566008': {
+            system: 'http://snomed.info/sct',
+            code: '225566008',
+            display: 'Aching pain',
+            definition: 'Continuous dull pain sensation',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:62914000': {
+            system: 'http://snomed.info/sct',
+            code: '62914000',
+            display: 'Edema',
+            definition: 'Swelling due to fluid accumulation in tissues',
+            status: 'active',
+            version: '20240301'
+        },
+
+        // SNOMED CT Procedure Codes
+        'sct:387713003': {
+            system: 'http://snomed.info/sct',
+            code: '387713003',
+            display: 'Surgical procedure',
+            definition: 'Medical intervention involving operative technique',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:182856006': {
+            system: 'http://snomed.info/sct',
+            code: '182856006',
+            display: 'Hemostatic procedure',
+            definition: 'Medical procedure to control or stop bleeding',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:225358003': {
+            system: 'http://snomed.info/sct',
+            code: '225358003',
+            display: 'Wound care management',
+            definition: 'Clinical care and treatment of wounds',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:385763009': {
+            system: 'http://snomed.info/sct',
+            code: '385763009',
+            display: 'Tourniquet procedure',
+            definition: 'Application of compressive device to control bleeding',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:61685007': {
+            system: 'http://snomed.info/sct',
+            code: '61685007',
+            display: 'Left lower limb structure',
+            definition: 'Anatomical structure of the left leg',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:17629007': {
+            system: 'http://snomed.info/sct',
+            code: '17629007',
+            display: 'Transfer of patient',
+            definition: 'Movement of patient from one care location to another',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:71181003': {
+            system: 'http://snomed.info/sct',
+            code: '71181003',
+            display: 'Monitoring',
+            definition: 'Continuous observation and measurement of patient status',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:18629005': {
+            system: 'http://snomed.info/sct',
+            code: '18629005',
+            display: 'Ultrasound',
+            definition: 'Diagnostic imaging using high-frequency sound waves',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:71388002': {
+            system: 'http://snomed.info/sct',
+            code: '71388002',
+            display: 'CT scan',
+            definition: 'Computed tomography imaging procedure',
+            status: 'active',
+            version: '20240301'
+        },
+
+        // SNOMED CT Medication Codes
+        'sct:387562000': {
+            system: 'http://snomed.info/sct',
+            code: '387562000',
+            display: 'Amoxicillin',
+            definition: 'Beta-lactam antibiotic medication',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:432102000': {
+            system: 'http://snomed.info/sct',
+            code: '432102000',
+            display: 'Normal saline',
+            definition: '0.9% sodium chloride solution for injection',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:387494007': {
+            system: 'http://snomed.info/sct',
+            code: '387494007',
+            display: 'Ibuprofen',
+            definition: 'Nonsteroidal anti-inflammatory drug (NSAID)',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:387467008': {
+            system: 'http://snomed.info/sct',
+            code: '387467008',
+            display: 'Tramadol',
+            definition: 'Opioid analgesic medication for pain management',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:372687004': {
+            system: 'http://snomed.info/sct',
+            code: '372687004',
+            display: 'Amoxicillin',
+            definition: 'Beta-lactam antibiotic medication (alternative code)',
+            status: 'active',
+            version: '20240301'
+        },
+        'sct:108761006': {
+            system: 'http://snomed.info/sct',
+            code: '108761006',
+            display: 'Epinephrine',
+            definition: 'Hormone and medication used in emergency situations',
+            status: 'active',
+            version: '20240301'
+        },
+
+        // SNOMED CT Route Codes
+        'sct:26643006': {
+            system: 'http://snomed.info/sct',
+            code: '26643006',
+            display: 'Oral route',
+            definition: 'Administration of medication by mouth',
+            status: 'active',
+            version: '20240301'
+        }
+    },
+
+    // System URLs (Phase 2 - High compression impact)
+    systems: {
+        'http://snomed.info/sct': { id: 1, short: 'sct', name: 'SNOMED CT International' },
+        'http://loinc.org': { id: 2, short: 'loinc', name: 'Logical Observation Identifiers Names and Codes' },
+        'http://unitsofmeasure.org': { id: 3, short: 'ucum', name: 'Unified Code for Units of Measure' },
+        'http://terminology.hl7.org/CodeSystem/condition-clinical': { id: 4, short: 'hl7-condition', name: 'HL7 Condition Clinical Status' },
+        'http://terminology.hl7.org/CodeSystem/condition-ver-status': { id: 5, short: 'hl7-verification', name: 'HL7 Condition Verification Status' },
+        'http://terminology.hl7.org/CodeSystem/observation-category': { id: 6, short: 'hl7-obs-cat', name: 'HL7 Observation Category' }
+    },
+
+    // Status codes (Phase 2 - 95% compression potential)
+    status: {
+        'http://terminology.hl7.org/CodeSystem/condition-clinical': {
+            'active': { id: 0, display: 'Active', definition: 'The condition is active and ongoing' },
+            'resolved': { id: 1, display: 'Resolved', definition: 'The condition has been resolved' },
+            'inactive': { id: 2, display: 'Inactive', definition: 'The condition is inactive' }
+        },
+        'http://terminology.hl7.org/CodeSystem/condition-ver-status': {
+            'confirmed': { id: 0, display: 'Confirmed', definition: 'Condition has been confirmed' },
+            'unconfirmed': { id: 1, display: 'Unconfirmed', definition: 'Condition has not been confirmed' },
+            'provisional': { id: 2, display: 'Provisional', definition: 'Condition is provisionally diagnosed' }
+        },
+        'http://terminology.hl7.org/CodeSystem/observation-category': {
+            'vital-signs': { id: 0, display: 'Vital Signs', definition: 'Clinical measurements of vital signs' },
+            'laboratory': { id: 1, display: 'Laboratory', definition: 'Laboratory test results' },
+            'survey': { id: 2, display: 'Survey', definition: 'Survey or questionnaire responses' }
+        }
+    },
+
+    // Units of measure (Phase 2 - UCUM codes)
+    units: {
+        'Cel': { system: 'ucum', display: '°C', name: 'degree Celsius' },
+        '[degF]': { system: 'ucum', display: '°F', name: 'degree Fahrenheit' },
+        'mm[Hg]': { system: 'ucum', display: 'mmHg', name: 'millimeter of mercury' },
+        '/min': { system: 'ucum', display: '/min', name: 'per minute' },
+        'mg': { system: 'ucum', display: 'mg', name: 'milligram' },
+        'mL': { system: 'ucum', display: 'mL', name: 'milliliter' }
+    }
+};
+
+// Terminology Service - Simulates external API calls
+export class TerminologyService {
+    constructor(database = terminologyDatabase) {
+        this.db = database;
+        this.isOnline = false; // Simulate external API availability
+        this.simulationDelay = 25; // ms - realistic network delay
+    }
+
+    async lookup(system, code) {
+        await this.simulateNetworkDelay();
+
+        const systemKey = this.getSystemKey(system);
+        const key = `${systemKey}:${code}`;
+        const result = this.db.clinical[key];
+
+        if (!result) {
+            throw new TerminologyNotFoundError(system, code);
+        }
+
+        return this.formatAPIResponse(result);
+    }
+
+    async validate(system, code) {
+        await this.simulateNetworkDelay();
+
+        const systemKey = this.getSystemKey(system);
+        const key = `${systemKey}:${code}`;
+        return { valid: !!this.db.clinical[key] };
+    }
+
+    async resolveSystem(systemUrl) {
+        await this.simulateNetworkDelay();
+        return this.db.systems[systemUrl] || null;
+    }
+
+    async resolveStatus(systemUrl, code) {
+        await this.simulateNetworkDelay();
+        return this.db.status[systemUrl]?.[code] || null;
+    }
+
+    getSystemKey(systemUrl) {
+        const systemInfo = this.db.systems[systemUrl];
+        return systemInfo?.short || 'unknown';
+    }
+
+    formatAPIResponse(termData) {
+        return {
+            resourceType: 'Parameters',
+            parameter: [{
+                name: 'result',
+                valueBoolean: true
+            }, {
+                name: 'display',
+                valueString: termData.display
+            }, {
+                name: 'definition',
+                valueString: termData.definition
+            }, {
+                name: 'version',
+                valueString: termData.version
+            }]
+        };
+    }
+
+    simulateNetworkDelay() {
+        return new Promise(resolve =>
+            setTimeout(resolve, this.isOnline ? this.simulationDelay : 0)
+        );
+    }
+}
+
+// Custom error for terminology resolution failures
+export class TerminologyNotFoundError extends Error {
+    constructor(system, code) {
+        super(`Terminology not found: ${system}|${code}`);
+        this.name = 'TerminologyNotFoundError';
+        this.system = system;
+        this.code = code;
+    }
+}
+
+// Global terminology service instance
+export const terminologyService = new TerminologyService();
+
+// Legacy compatibility functions
+export const medicalCodeMap = {};
+Object.entries(terminologyDatabase.clinical).forEach(([key, value]) => {
+    medicalCodeMap[key] = value.display;
+});
+
+/**
+ * Medical Code Display Resolver
+ * Purpose: Resolve medical codes to human-readable display names
+ * Usage: Convert medical terminology codes to descriptive text for UI display
+ *
+ * @param {string} system - Terminology system identifier
+ * @param {string} code - Medical code to resolve
+ * @returns {string} - Display name or original code if not found
+ *
+ * Example:
+ *   resolveCodeDisplay('sct', '386661006') → 'Fever'
+ *   resolveCodeDisplay('loinc', '8480-6') → 'Systolic blood pressure'
+ */
+export function resolveCodeDisplay(system, code) {
+    const key = `${system}:${code}`;
+    return medicalCodeMap[key] || code;
+}
+
+/**
+ * Gender Code Mapper
+ * Purpose: Convert SNOMED CT gender codes to standardized gender values
+ * Usage: Normalize gender representation across different data sources
+ *
+ * @param {Object} codeRef - CodeRef object containing gender code
+ * @returns {string} - Standardized gender ('male', 'female', 'other', 'unknown')
+ *
+ * Example:
+ *   mapGenderFromCodeRef({sys: 'sct', code: '248153007'}) → 'male'
+ *   mapGenderFromCodeRef({sys: 'sct', code: '248152002'}) → 'female'
+ */
+export function mapGenderFromCodeRef(codeRef) {
+    const key = codeRefKey(codeRef);
+    if (!key) return 'unknown';
+    return genderCodeMap[key] || 'unknown';
+}
+
+/**
+ * Medical Unit Inference Engine
+ * Purpose: Infer appropriate units for medical measurements based on LOINC codes
+ * Usage: Provide default units when measurements lack explicit unit information
+ *
+ * @param {string} system - Terminology system URL (e.g., 'http://loinc.org')
+ * @param {string} code - Medical measurement code (e.g., '8480-6' for systolic BP)
+ * @returns {string} - Inferred unit ('mmHg', 'kg', 'bpm') or empty string if unknown
+ *
+ * Example:
+ *   inferUnitFromCode('http://loinc.org', '8480-6') → 'mmHg' (systolic blood pressure)
+ *   inferUnitFromCode('http://loinc.org', '29463-7') → 'kg' (body weight)
+ */
+export function inferUnitFromCode(system, code) {
+    // Standard units for common LOINC vital signs
+    const unitMap = {
+        'loinc:8310-5': '°F',        // Body temperature
+        'loinc:8867-4': 'bpm',       // Heart rate
+        'loinc:8480-6': 'mmHg',      // Systolic blood pressure
+        'loinc:8462-4': 'mmHg',      // Diastolic blood pressure
+        'loinc:9279-1': '/min',      // Respiratory rate
+        'loinc:2708-6': '%',         // Oxygen saturation
+        'loinc:718-7': 'g/dL',       // Hemoglobin
+        'loinc:33747-0': 'pH',       // Blood pH
+        'loinc:85354-9': 'mmHg',     // Blood pressure (composite)
+        'loinc:1751-7': 'U/L',       // Albumin
+        'loinc:1968-7': 'mg/dL',     // Creatinine
+        'loinc:1975-2': 'mg/dL',     // Bilirubin
+        'loinc:2951-2': 'mOsm/kg',   // Sodium
+        'loinc:6298-4': 'mEq/L',     // Potassium
+
+        // SNOMED medication administrations (common IPS examples)
+        'sct:387207008': 'mg',       // Morphine
+        'sct:387494007': 'mg',       // Ibuprofen
+        'sct:387467008': 'mg',       // Tramadol
+        'sct:372687004': 'mg',       // Amoxicillin
+        'sct:387562000': 'g',        // Amoxicillin (IV) - grams
+        'sct:108761006': 'mg',       // Epinephrine
+        'sct:182777000': 'mg',       // Tranexamic acid (example)
+        'sct:16990000': 'mL',        // Ringer's solution / fluids
+        'sct:432102000': 'mL',       // Normal saline
+        'sct:387713003': 'dose',     // Cephalexin (single dose)
+    };
+
+    const key = `${system}:${code}`;
+    return unitMap[key] || null;
+}
+
+/**
+ * Terminology System Code Prefix Resolver
+ * Purpose: Map terminology system names to standardized prefixes for CodeRef
+ * Usage: Convert between different system naming conventions in codec pipeline
+ *
+ * @param {string} system - System identifier ('sct', 'loinc', 'icd')
+ * @returns {string} - Standardized prefix ('snomed', 'loinc', 'icd10')
+ *
+ * Example:
+ *   resolveCodePrefix('sct') → 'snomed'
+ *   resolveCodePrefix('loinc') → 'loinc'
+ */
+export function resolveCodePrefix(system) {
+    const prefixMap = {
+        'sct': 'snomed',
+        'loinc': 'loinc',
+        'icd': 'icd10' // Will be enhanced to support icd11 based on code family
+    };
+    return prefixMap[system] || system;
+}
+
+export function normalizeRouteDisplay(routeValue) {
+    if (!routeValue) return '';
+    const trimmed = routeValue.trim();
+    return trimmed.replace(/\s*route$/i, '');
+}
+
+/**
+ * Temperature Unit Converter
+ * Purpose: Standardize temperature display with dual units (Celsius/Fahrenheit)
+ * Usage: Convert temperature measurements for international medical records
+ *
+ * @param {number} value - Temperature value
+ * @param {string} unit - Input unit ('°F', '°C', or other)
+ * @returns {string|null} - Dual format '36.5°C [97.7°F]' or null if invalid
+ *
+ * Example:
+ *   formatTemperature(98.6, '°F') → '37.0°C [98.6°F]'
+ *   formatTemperature(36.5, '°C') → '36.5°C [97.7°F]'
+ */
+export function formatTemperature(value, unit) {
+    if (value === undefined || value === null) return null;
+
+    let fahrenheit, celsius;
+
+    if (unit === '°F' || !unit) {
+        fahrenheit = value;
+        celsius = ((value - 32) * 5/9).toFixed(1);
+    } else if (unit === '°C') {
+        celsius = value;
+        fahrenheit = ((value * 9/5) + 32).toFixed(1);
+    } else {
+        return `${value} ${unit}`;
+    }
+
+    return `${celsius}°C [${fahrenheit}°F]`;
+}
+
+/**
+ * Temperature Code Detector
+ * Purpose: Identify LOINC codes that represent temperature measurements
+ * Usage: Trigger temperature-specific formatting and unit conversion
+ *
+ * @param {string} system - Terminology system ('loinc')
+ * @param {string} code - LOINC code to check
+ * @returns {boolean} - True if code represents body temperature
+ *
+ * Example:
+ *   isTemperatureCode('loinc', '8310-5') → true (body temperature)
+ *   isTemperatureCode('loinc', '8867-4') → false (heart rate)
+ */
+export function isTemperatureCode(system, code) {
+    return system === 'loinc' && code === '8310-5';
+}
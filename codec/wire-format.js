@@ -0,0 +1,266 @@
+/**
+ * PROTOBUF WIRE-FORMAT ANNOTATOR
+ *
+ * Purpose: Walk encoded protobuf bytes field by field and describe each one against the schema: field number,
+ * wire type, schema field name and type, byte offsets and decoded value. Unlike protobuf.js decoding it never
+ * drops or renames anything, so it shows exactly what a fragment carries. No DOM dependencies.
+ *
+ * Works on protobuf.js Type objects but reads the bytes itself, so malformed input is reported on the node
+ * where it goes wrong instead of aborting the walk.
+ */
+
+export const WIRE_TYPES = {
+    0: 'varint',
+    1: 'i64',
+    2: 'len',
+    3: 'sgroup',
+    4: 'egroup',
+    5: 'i32'
+};
+
+const VARINT_TYPES = new Set(['int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64', 'bool']);
+const FIXED64_TYPES = new Set(['fixed64', 'sfixed64', 'double']);
+const FIXED32_TYPES = new Set(['fixed32', 'sfixed32', 'float']);
+const MAX_BYTES_SHOWN = 32;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+class WireFormatError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.name = 'WireFormatError';
+        this.offset = offset;
+    }
+}
+
+function readVarint(bytes, offset, end) {
+    let value = 0n;
+    let shift = 0n;
+    let position = offset;
+    for (;;) {
+        if (position >= end) throw new WireFormatError('varint runs past the end of the message', offset);
+        if (shift > 63n) throw new WireFormatError('varint is longer than 10 bytes', offset);
+        const byte = bytes[position++];
+        value |= BigInt(byte & 0x7F) << shift;
+        shift += 7n;
+        if (!(byte & 0x80)) return { value, end: position };
+    }
+}
+
+function toNumber(value) {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+function toHex(bytes) {
+    const shown = Array.from(bytes.subarray(0, MAX_BYTES_SHOWN), byte => byte.toString(16).padStart(2, '0')).join(' ');
+    return bytes.length > MAX_BYTES_SHOWN ? `${shown} … (${bytes.length} bytes)` : shown;
+}
+
+function fieldTypeName(field) {
+    if (!field) return null;
+    field.resolve();
+    return field.resolvedType ? field.resolvedType.fullName.replace(/^\./, '') : field.type;
+}
+
+function isMessageType(field) {
+    return Boolean(field?.resolvedType && field.resolvedType.fields);
+}
+
+function isPackable(field) {
+    return Boolean(field) && (VARINT_TYPES.has(field.type) || FIXED64_TYPES.has(field.type)
+        || FIXED32_TYPES.has(field.type) || Boolean(field.resolvedType?.valuesById));
+}
+
+function scalarWireType(field) {
+    if (FIXED64_TYPES.has(field.type)) return WIRE_TYPES[1];
+    return FIXED32_TYPES.has(field.type) ? WIRE_TYPES[5] : WIRE_TYPES[0];
+}
+
+// Wire type a field is written with; packed repeated scalars may also arrive as len
+function expectedWireTypes(field) {
+    if (isMessageType(field) || field.type === 'string' || field.type === 'bytes') return [WIRE_TYPES[2]];
+    return field.repeated ? [scalarWireType(field), WIRE_TYPES[2]] : [scalarWireType(field)];
+}
+
+function decodeVarintValue(field, raw) {
+    const type = field?.type;
+    if (type === 'bool') return raw !== 0n;
+    if (type === 'sint32' || type === 'sint64') return toNumber((raw >> 1n) ^ -(raw & 1n));
+    if (type === 'int32') return Number(BigInt.asIntN(32, raw));
+    if (type === 'int64') return toNumber(BigInt.asIntN(64, raw));
+    if (field?.resolvedType?.valuesById) {
+        const number = Number(BigInt.asIntN(32, raw));
+        const name = field.resolvedType.valuesById[number];
+        return name ? `${name} (${number})` : `${number} (not in ${field.resolvedType.name})`;
+    }
+    return toNumber(raw);
+}
+
+function decodeFixedValue(field, bytes, width) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, width);
+    const type = field?.type;
+    if (width === 8) {
+        if (type === 'double') return view.getFloat64(0, true);
+        if (type === 'sfixed64') return toNumber(view.getBigInt64(0, true));
+        return toNumber(view.getBigUint64(0, true));
+    }
+    if (type === 'float') return view.getFloat32(0, true);
+    if (type === 'sfixed32') return view.getInt32(0, true);
+    return view.getUint32(0, true);
+}
+
+function decodePacked(field, bytes, start, end, path) {
+    const children = [];
+    let position = start;
+    while (position < end) {
+        const itemStart = position;
+        let value;
+        if (scalarWireType(field) === WIRE_TYPES[0]) {
+            const varint = readVarint(bytes, position, end);
+            value = decodeVarintValue(field, varint.value);
+            position = varint.end;
+        } else {
+            const width = FIXED64_TYPES.has(field.type) ? 8 : 4;
+            if (position + width > end) throw new WireFormatError('packed value runs past the end of the field', position);
+            value = decodeFixedValue(field, bytes.subarray(position, position + width), width);
+            position += width;
+        }
+        children.push({
+            path: `${path}[${children.length}]`,
+            fieldNumber: field.id,
+            wireType: scalarWireType(field),
+            name: field.name,
+            type: fieldTypeName(field),
+            start: itemStart,
+            valueStart: itemStart,
+            end: position,
+            value,
+            children: null
+        });
+    }
+    return children;
+}
+
+function decodeLengthDelimited(field, bytes, start, end, path) {
+    const content = bytes.subarray(start, end);
+    if (isMessageType(field)) {
+        return { value: `${field.resolvedType.name} (${end - start} bytes)`, children: annotateMessage(field.resolvedType, bytes, start, end, path) };
+    }
+    if (field?.repeated && isPackable(field)) {
+        const children = decodePacked(field, bytes, start, end, path);
+        return { value: `packed, ${children.length} value(s)`, children };
+    }
+    if (field?.type === 'string') {
+        try {
+            return { value: utf8.decode(content), children: null };
+        } catch (error) {
+            throw new WireFormatError('string field is not valid UTF-8', start);
+        }
+    }
+    if (!field) {
+        // No schema: readable text is most likely a string, otherwise try it as a nested message
+        const text = readableText(content);
+        if (text !== null) return { value: text, children: null };
+        const children = annotateMessage(null, bytes, start, end, path);
+        if (!children.some(hasError)) return { value: `message? (${end - start} bytes)`, children };
+    }
+    return { value: toHex(content), children: null };
+}
+
+function readableText(bytes) {
+    try {
+        const text = utf8.decode(bytes);
+        return /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(text) ? null : text;
+    } catch (error) {
+        return null;
+    }
+}
+
+function hasError(node) {
+    return Boolean(node.error) || Boolean(node.children && node.children.some(hasError));
+}
+
+/**
+ * Message Annotator
+ * Purpose: Describe every field occurrence of an encoded message, recursing into submessages
+ *
+ * @param {Object} type - protobuf.js Type to resolve field numbers against
+ * @param {Uint8Array} bytes - Whole buffer (offsets are reported relative to it)
+ * @param {number} [start] - Offset of the message within bytes
+ * @param {number} [end] - End offset of the message
+ * @param {string} [path] - Path of the message, e.g. 'patient'
+ * @returns {Array<Object>} - Nodes of { path, fieldNumber, wireType, name, type, start, valueStart, end, value,
+ *   children, unknown?, warning?, error? }; start..end covers the tag, length and value, valueStart..end the value alone
+ */
+export function annotateMessage(type, bytes, start = 0, end = bytes.length, path = '') {
+    const nodes = [];
+    const occurrences = new Map(); // Field number → count, to index repeated fields
+    let position = start;
+    while (position < end) {
+        const fieldStart = position;
+        let node = null;
+        try {
+            const tag = readVarint(bytes, position, end);
+            const fieldNumber = Number(tag.value >> 3n);
+            const wireTypeNumber = Number(tag.value & 7n);
+            const field = type?.fieldsById?.[fieldNumber] || null;
+            if (field) field.resolve();
+            const name = field ? field.name : null;
+            const occurrence = occurrences.get(fieldNumber) || 0;
+            occurrences.set(fieldNumber, occurrence + 1);
+            const packed = isPackable(field) && wireTypeNumber === 2; // Packed values are indexed as children
+            const index = field?.repeated && !packed ? `[${occurrence}]` : '';
+            const fieldPath = `${path ? `${path}.` : ''}${name || `#${fieldNumber}`}${index}`;
+            node = {
+                path: fieldPath,
+                fieldNumber,
+                wireType: WIRE_TYPES[wireTypeNumber] || `invalid (${wireTypeNumber})`,
+                name,
+                type: fieldTypeName(field),
+                start: fieldStart,
+                valueStart: tag.end,
+                end: tag.end,
+                value: null,
+                children: null
+            };
+            if (!field) node.unknown = true;
+            if (field && !expectedWireTypes(field).includes(node.wireType)) {
+                node.warning = `schema declares ${node.type}, which is not written as ${node.wireType}`;
+            }
+            nodes.push(node);
+            if (fieldNumber === 0) throw new WireFormatError('field number 0 is not valid', fieldStart);
+
+            if (wireTypeNumber === 0) {
+                const varint = readVarint(bytes, tag.end, end);
+                node.value = decodeVarintValue(field, varint.value);
+                node.end = varint.end;
+            } else if (wireTypeNumber === 1 || wireTypeNumber === 5) {
+                const width = wireTypeNumber === 1 ? 8 : 4;
+                if (tag.end + width > end) throw new WireFormatError(`${width}-byte value runs past the end of the message`, tag.end);
+                node.value = decodeFixedValue(field, bytes.subarray(tag.end, tag.end + width), width);
+                node.end = tag.end + width;
+            } else if (wireTypeNumber === 2) {
+                const length = readVarint(bytes, tag.end, end);
+                const valueEnd = length.end + Number(length.value);
+                if (valueEnd > end) throw new WireFormatError(`length ${length.value} runs past the end of the message`, tag.end);
+                node.valueStart = length.end;
+                node.end = valueEnd;
+                Object.assign(node, decodeLengthDelimited(field, bytes, length.end, valueEnd, fieldPath));
+            } else {
+                throw new WireFormatError(`wire type ${node.wireType} is not used by this schema`, fieldStart);
+            }
+            position = node.end;
+        } catch (error) {
+            if (!(error instanceof WireFormatError)) throw error;
+            if (!node) {
+                // The tag itself is unreadable
+                node = { path, fieldNumber: null, wireType: null, name: null, type: null, start: fieldStart, valueStart: fieldStart, value: null, children: null };
+                nodes.push(node);
+            }
+            node.end = end;
+            node.error = `${error.message} (offset ${error.offset})`;
+            break; // Field boundaries after a malformed field cannot be trusted
+        }
+    }
+    return nodes;
+}
@@ -0,0 +1,4 @@
+// Viewer release shown in the UI and part of the offline cache name.
+// Bump on every release. The build adds a hash of the built files to the cache name (scripts/build.mjs), so
+// installed viewers still download changed files and offer a reload if a bump is missed.
+export const APP_VERSION = '1.2.0';
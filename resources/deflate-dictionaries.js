@@ -0,0 +1,124 @@
+/**
+ * PRESET DEFLATE DICTIONARIES
+ *
+ * Purpose: zlib preset dictionaries for fragment compression, keyed by the version byte in the fragment header
+ * Generated by `node scripts/nfc-ips.mjs dictionary` (NfcIps.buildDeflateDictionary) - do not edit by hand.
+ * Versions are permanent once fragments using them are in circulation: add new ones, never replace.
+ */
+
+export const DEFLATE_DICTIONARIES = {
+    1: [
+        'IgJtTCIDwrBGIgPCsEMiBC9taW4iBG1tSGcKChIGODcxNi0zSAIKCxIHMTAxNjAtMEgCCgsSBzExNDUwLTRIAgoLEgc2MDU5',
+        'MS01SAIKDBIIMjY2NDMwMDZIAQoMEgg2MTY4NTAwN0gBCgwSCDYyOTE0MDAwSAEKDBIIODQyMjkwMDFIAQoMEgg0NzYyNTAw',
+        'OEgBCg0SCTIyNTU2NjAwOEgBCg0SCTEyODA0NTAwNkgBCg0SCTQyMzkwMjAwMkgBCg0SCTMwMjg2NjAwM0gBCg0SCTQyMjU4',
+        'NzAwN0gBCg0SCTI2NzAzNjAwN0gBCg0SCTI3MTU5NDAwN0gBCg0SCTEyNTY3MDAwOEgBCg0SCTI3ODE1MjAwNkgBCg0SCTM4',
+        'NjY2MTAwNkgBCg0SCTIxNzA4MjAwMkgBCg0SCTEyNTYwNTAwNEgBCg0SCTQxNzE2MzAwNkgBChASCDYyOTE0MDAwSAFQAVgB',
+        'EhQyMDI0LTAxLTE1VDIwOjQ1OjAwWgoQEgg4NDIyOTAwMUgBUAFYARIUMjAyNC0wMS0xNVQxODoxNTowMFoKERIJMjI1NTY2',
+        'MDA4SAFQAVgBEhQyMDI0LTAxLTE1VDIwOjMwOjAwWgoREgkxMjgwNDUwMDZIAVABWAESFDIwMjQtMDEtMTVUMjA6MTU6MDBa',
+        'ChESCTI2NzAzNjAwN0gBUAFYARIUMjAyNC0wMS0xNVQxODo0NTowMFoKERIJNDIzOTAyMDAySAFQAVgBEhQyMDI0LTAxLTE1',
+        'VDE4OjMwOjAwWgoREgkzMDI4NjYwMDNIAVABWAESFDIwMjQtMDEtMTVUMTg6MDA6MDBaChESCTQyMjU4NzAwN0gBUAFYARIU',
+        'MjAyNC0wMS0xNVQxNjoxNTowMFoKERIJMjY3MDM2MDA3SAFQAVgBEhQyMDI0LTAxLTE1VDE2OjEwOjAwWgoREgkyNzE1OTQw',
+        'MDdIAVABWAESFDIwMjQtMDEtMTVUMTY6MDU6MDBaChESCTM4NjY2MTAwNkgBUAFYARIUMjAyNC0wMS0xNVQxNjowMDowMFoK',
+        'ERIJMTI1NjcwMDA4SAFQAVgBEhQyMDI0LTAxLTE1VDE0OjE4OjAwWgoREgkxMjU2MDUwMDRIAVABWAESFDIwMjQtMDEtMTVU',
+        'MTQ6MTY6MDBaChESCTQxNzE2MzAwNkgBUAFYARIUMjAyNC0wMS0xNVQxNDoxNTowMFoKERIJMjE3MDgyMDAySAFQAVgBEhQy',
+        'MDI0LTAxLTE1VDE0OjE1OjAwWgoJEgU3MTgtN0gCEWZmZmZmZixAGhQyMDI0LTAxLTE1VDE4OjAyOjAwWgoKEgY4NDYyLTRI',
+        'AhEAAAAAAIBTQBoUMjAyNC0wMS0xNVQyMDoxNjozMFoKChIGODQ4MC02SAIRAAAAAADAXEAaFDIwMjQtMDEtMTVUMjA6MTY6',
+        'MzBaCgoSBjg4NjctNEgCEQAAAAAAgFRAGhQyMDI0LTAxLTE1VDIwOjE2OjAwWgoKEgY4MzEwLTVIAhEzMzMzM_NYQBoUMjAy',
+        'NC0wMS0xNVQyMDoxNTowMFoKChIGODQ2Mi00SAIRAAAAAACAUUAaFDIwMjQtMDEtMTVUMTg6MDE6MzBaCgoSBjg0ODAtNkgC',
+        'EQAAAAAAQFpAGhQyMDI0LTAxLTE1VDE4OjAxOjMwWgoKEgY4ODY3LTRIAhEAAAAAAABWQBoUMjAyNC0wMS0xNVQxODowMTow',
+        'MFoKChIGODMxMC01SAIRZmZmZmYGWUAaFDIwMjQtMDEtMTVUMTg6MDA6MDBaCgoSBjI3MDgtNkgCEQAAAAAAwFdAGhQyMDI0',
+        'LTAxLTE1VDE2OjAyOjAwWgoKEgY4NDYyLTRIAhEAAAAAAMBSQBoUMjAyNC0wMS0xNVQxNjowMTozMFoKChIGODQ4MC02SAIR',
+        'AAAAAACAW0AaFDIwMjQtMDEtMTVUMTY6MDE6MzBaCgoSBjg4NjctNEgCEQAAAAAAQFVAGhQyMDI0LTAxLTE1VDE2OjAxOjAw',
+        'WgoKEgY4MzEwLTVIAhHNzMzMzMxYQBoUMjAyNC0wMS0xNVQxNjowMDowMFoKChIGOTI3OS0xSAIRAAAAAAAAMEAaFDIwMjQt',
+        'MDEtMTVUMTU6MzI6MDBaCgoSBjg0NjItNEgCEQAAAAAAAFRAGhQyMDI0LTAxLTE1VDE1OjMxOjMwWgoKEgY4NDgwLTZIAhEA',
+        'AAAAAABeQBoUMjAyNC0wMS0xNVQxNTozMTozMFoKChIGODg2Ny00SAIRAAAAAADAUkAaFDIwMjQtMDEtMTVUMTU6MzE6MDBa',
+        'CgoSBjgzMTAtNUgCEWZmZmZmplhAGhQyMDI0LTAxLTE1VDE1OjMwOjAwWgoKEgY5Mjc5LTFIAhEAAAAAAAA0QBoUMjAyNC0w',
+        'MS0xNVQxNDoxODowMFoKChIGODQ2Mi00SAIRAAAAAACAVkAaFDIwMjQtMDEtMTVUMTQ6MTc6MzBaCgoSBjg0ODAtNkgCEQAA',
+        'AAAA4GBAGhQyMDI0LTAxLTE1VDE0OjE3OjMwWgoKEgY4MzEwLTVIAhHNzMzMzIxYQBoUMjAyNC0wMS0xNVQxNDoxNjowMFoK',
+        'ChIGODMxMC01SAIRZmZmZmZmQkAaFDIwMjQtMDEtMTVUMTQ6MTY6MDBaCgsSBzMzNzQ3LTBIAhFmZmZmZmYdQBoUMjAyNC0w',
+        'MS0xNVQyMDoxNzowMFoKCxIHODUzNTQtOUgCEQAAAAAAgFtAGhQyMDI0LTAxLTE1VDE0OjI1OjAwWgoMEgg3MTM4ODAwMkgB',
+        'EhQyMDI0LTAxLTE1VDIxOjAwOjAwWhkAAAAAAAD4fyIAKgZNYW51YWwKDBIIMTg2MjkwMDVIARIUMjAyNC0wMS0xNVQxOTow',
+        'MDowMFoZAAAAAAAA-H8iACoGTWFudWFsCgwSCDcxMTgxMDAzSAESFDIwMjQtMDEtMTVUMTY6MzU6MDBaGQAAAAAAAPh_IgAq',
+        'Bk1hbnVhbAoMEggxNzYyOTAwN0gBEhQyMDI0LTAxLTE1VDE2OjMwOjAwWhkAAAAAAAD4fyIAKgZNYW51YWwKDBIINzExODEw',
+        'MDNIARIUMjAyNC0wMS0xNVQxNTozNTowMFoZAAAAAAAA-H8iACoGTWFudWFsCgwSCDE3NjI5MDA3SAESFDIwMjQtMDEtMTVU',
+        'MTU6MjU6MDBaGQAAAAAAAPh_IgAqBk1hbnVhbAoMEggxNzYyOTAwN0gBEhQyMDI0LTAxLTE1VDE0OjI4OjAwWhkAAAAAAAD4',
+        'fyIAKgZNYW51YWwKDRIJMTgyODU2MDA2SAESFDIwMjQtMDEtMTVUMjE6MzA6MDBaGQAAAAAAAPh_IgAqBk1hbnVhbAoNEgky',
+        'MjUzNTgwMDNIARIUMjAyNC0wMS0xNVQxOTo0NTowMFoZAAAAAAAA-H8iACoGTWFudWFsCg0SCTE4Mjg1NjAwNkgBEhQyMDI0',
+        'LTAxLTE1VDE5OjMwOjAwWhkAAAAAAAD4fyIAKgZNYW51YWwKDRIJMzg3NDk0MDA3SAESFDIwMjQtMDEtMTVUMTk6MTA6MDBa',
+        'GQAAAAAAAHlAIgJtZyoET3JhbAoNEgkxODI4NTYwMDZIARIUMjAyNC0wMS0xNVQxNjoyMDowMFoZAAAAAAAA-H8iACoGTWFu',
+        'dWFsCg0SCTM4NTc2MzAwOUgBEhQyMDI0LTAxLTE1VDE1OjIwOjAwWhkAAAAAAAD4fyIAKgZNYW51YWwKDRIJMjI1MzU4MDAz',
+        'SAESFDIwMjQtMDEtMTVUMTQ6MjI6MDBaGQAAAAAAAPh_IgAqBk1hbnVhbAoNEgkxODI4NTYwMDZIARIUMjAyNC0wMS0xNVQx',
+        'NDoyMDowMFoZAAAAAAAA-H8iACoGTWFudWFsCg0SCTM4NzU2MjAwMEgBEhQyMDI0LTAxLTE1VDE2OjIyOjAwWhkAAAAAAADw',
+        'PyIBZyoLSW50cmF2ZW5vdXMKDRIJMTA4NzYxMDA2SAESFDIwMjQtMDEtMTVUMjE6NDU6MDBaGQAAAAAAAPA_IgJtZyoLSW50',
+        'cmF2ZW5vdXMKDRIJMzcyNjg3MDA0SAESFDIwMjQtMDEtMTVUMjE6MTU6MDBaGQAAAAAAQH9AIgJtZyoLSW50cmF2ZW5vdXMK',
+        'DRIJMzg3NDY3MDA4SAESFDIwMjQtMDEtMTVUMjE6MTA6MDBaGQAAAAAAAElAIgJtZyoLSW50cmF2ZW5vdXMKDRIJNDMyMTAy',
+        'MDAwSAESFDIwMjQtMDEtMTVUMTY6MjU6MDBaGQAAAAAAQH9AIgJtbCoLSW50cmF2ZW5vdXMKDRIJMzg3MjA3MDA4SAESFDIw',
+        'MjQtMDEtMTVUMTQ6Mjc6MDBaGQAAAAAAABRAIgJtZyoLSW50cmF2ZW5vdXMKDRIJMzg3NzEzMDAzSAESFDIwMjQtMDEtMTVU',
+        'MTk6MTU6MDBaGQAAAAAAAPA_IgRkb3NlKgtJbnRyYXZlbm91cwoNEgkzODU3NjMwMDlIARIUMjAyNC0wMS0xNVQxNDoyNTow',
+        'MFoZAAAAAAAA-H8iACoZTGVmdCBsb3dlciBsaW1iIHN0cnVjdHVyZQoKEgY4ODY3LTRIAhEAAAAAAABXQBoUMjAyNC0wMS0x',
+        'NVQxNDoxNzowMFo'
+    ].join(''),
+    2: [
+        'IgJtTCIDwrBGIgPCsEMiBC9taW4iBG1tSGcKChIGODcxNi0zSAIKCxIHMTAxNjAtMEgCCgsSBzExNDUwLTRIAgoLEgc2MDU5',
+        'MS01SAIKDBIIMjY2NDMwMDZIAQoMEgg2MTY4NTAwN0gBCgwSCDYyOTE0MDAwSAEKDBIIODQyMjkwMDFIAQoMEgg0NzYyNTAw',
+        'OEgBCg0SCTIyNTU2NjAwOEgBCg0SCTEyODA0NTAwNkgBCg0SCTQyMzkwMjAwMkgBCg0SCTMwMjg2NjAwM0gBCg0SCTQyMjU4',
+        'NzAwN0gBCg0SCTI2NzAzNjAwN0gBCg0SCTI3MTU5NDAwN0gBCg0SCTEyNTY3MDAwOEgBCg0SCTI3ODE1MjAwNkgBCg0SCTM4',
+        'NjY2MTAwNkgBCg0SCTIxNzA4MjAwMkgBCg0SCTEyNTYwNTAwNEgBCg0SCTQxNzE2MzAwNkgBChASCDYyOTE0MDAwSAFQAVgB',
+        'GIwGCgoSBjg0NjItNEgCEQAAAAAAgFNACgoSBjg0ODAtNkgCEQAAAAAAwFxAChASCDg0MjI5MDAxSAFQAVgBGOADCgoSBjg0',
+        'NjItNEgCEQAAAAAAgFFACgoSBjg0ODAtNkgCEQAAAAAAQFpACgoSBjg0NjItNEgCEQAAAAAAwFJACgoSBjg0ODAtNkgCEQAA',
+        'AAAAgFtACgoSBjg0NjItNEgCEQAAAAAAAFRACgoSBjg0ODAtNkgCEQAAAAAAAF5AChESCTEyNTY3MDAwOEgBUAFYARgGChES',
+        'CTEyNTYwNTAwNEgBUAFYARgCChESCTQxNzE2MzAwNkgBUAFYARgAChESCTIxNzA4MjAwMkgBUAFYARgACgoSBjg0NjItNEgC',
+        'EQAAAAAAgFZACgoSBjg0ODAtNkgCEQAAAAAA4GBAChESCTIyNTU2NjAwOEgBUAFYARjuBQoREgkxMjgwNDUwMDZIAVABWAEY',
+        '0AUKERIJMjY3MDM2MDA3SAFQAVgBGJwEChESCTQyMzkwMjAwMkgBUAFYARj-AwoREgkzMDI4NjYwMDNIAVABWAEYwgMKERIJ',
+        'NDIyNTg3MDA3SAFQAVgBGPABChESCTI2NzAzNjAwN0gBUAFYARjmAQoREgkyNzE1OTQwMDdIAVABWAEY3AEKERIJMzg2NjYx',
+        'MDA2SAFQAVgBGNIBCgkSBTcxOC03SAIRZmZmZmZmLEAgxgMKChIGOTI3OS0xSAIRAAAAAAAANEAgBgoKEgY4MzEwLTVIAhHN',
+        'zMzMzIxYQCACCgoSBjgzMTAtNUgCEWZmZmZmZkJAIAIKChIGODg2Ny00SAIRAAAAAACAVEAg0gUKChIGODMxMC01SAIRMzMz',
+        'MzPzWEAg0AUKChIGODg2Ny00SAIRAAAAAAAAVkAgxAMKChIGODMxMC01SAIRZmZmZmYGWUAgwgMKChIGMjcwOC02SAIRAAAA',
+        'AADAV0Ag1gEKChIGODg2Ny00SAIRAAAAAABAVUAg1AEKChIGODMxMC01SAIRzczMzMzMWEAg0gEKCxIHODUzNTQtOUgCEQAA',
+        'AAAAgFtAIBQKChIGOTI3OS0xSAIRAAAAAAAAMEAgmgEKChIGODg2Ny00SAIRAAAAAADAUkAgmAEKChIGODMxMC01SAIRZmZm',
+        'ZmamWEAglgEKCxIHMzM3NDctMEgCEWZmZmZmZh1AINQFCgwSCDE3NjI5MDA3SAEZAAAAAAAA-H8iACoGTWFudWFsMBoKDBII',
+        'NzEzODgwMDJIARkAAAAAAAD4fyIAKgZNYW51YWwwqgYKDBIIMTg2MjkwMDVIARkAAAAAAAD4fyIAKgZNYW51YWwwugQKDBII',
+        'NzExODEwMDNIARkAAAAAAAD4fyIAKgZNYW51YWwwmAIKDBIIMTc2MjkwMDdIARkAAAAAAAD4fyIAKgZNYW51YWwwjgIKDBII',
+        'NzExODEwMDNIARkAAAAAAAD4fyIAKgZNYW51YWwwoAEKDBIIMTc2MjkwMDdIARkAAAAAAAD4fyIAKgZNYW51YWwwjAEKDRIJ',
+        'MjI1MzU4MDAzSAEZAAAAAAAA-H8iACoGTWFudWFsMA4KDRIJMTgyODU2MDA2SAEZAAAAAAAA-H8iACoGTWFudWFsMAoKDRIJ',
+        'MTgyODU2MDA2SAEZAAAAAAAA-H8iACoGTWFudWFsMOYGCg0SCTIyNTM1ODAwM0gBGQAAAAAAAPh_IgAqBk1hbnVhbDCUBQoN',
+        'EgkxODI4NTYwMDZIARkAAAAAAAD4fyIAKgZNYW51YWww9gQKDRIJMzg3NDk0MDA3SAEZAAAAAAAAeUAiAm1nKgRPcmFsMM4E',
+        'Cg0SCTE4Mjg1NjAwNkgBGQAAAAAAAPh_IgAqBk1hbnVhbDD6AQoNEgkzODU3NjMwMDlIARkAAAAAAAD4fyIAKgZNYW51YWww',
+        'ggEKDRIJMzg3NTYyMDAwSAEZAAAAAAAA8D8iAWcqC0ludHJhdmVub3VzMP4BCg0SCTM4NzIwNzAwOEgBGQAAAAAAABRAIgJt',
+        'ZyoLSW50cmF2ZW5vdXMwGAoNEgkxMDg3NjEwMDZIARkAAAAAAADwPyICbWcqC0ludHJhdmVub3VzMIQHCg0SCTM3MjY4NzAw',
+        'NEgBGQAAAAAAQH9AIgJtZyoLSW50cmF2ZW5vdXMwyAYKDRIJMzg3NDY3MDA4SAEZAAAAAAAASUAiAm1nKgtJbnRyYXZlbm91',
+        'czC-BgoNEgk0MzIxMDIwMDBIARkAAAAAAEB_QCICbWwqC0ludHJhdmVub3VzMIQCCg0SCTM4NzcxMzAwM0gBGQAAAAAAAPA_',
+        'IgRkb3NlKgtJbnRyYXZlbm91czDYBAoKEgY4ODY3LTRIAhEAAAAAAABXQCAECg0SCTM4NTc2MzAwOUgBGQAAAAAAAPh_IgAq',
+        'GUxlZnQgbG93ZXIgbGltYiBzdHJ1Y3R1cmUwFA'
+    ].join(''),
+    3: [
+        'IgJtTCIDwrBGIgPCsEMiBC9taW4iBG1tSGcKChIGODcxNi0zSAIKCxIHMTAxNjAtMEgCCgsSBzExNDUwLTRIAgoLEgc2MDU5',
+        'MS01SAIKCRIFNzE4LTdIAiDGAwoKEgY5Mjc5LTFIAiAGCgwSCDI2NjQzMDA2SAEKDBIINjE2ODUwMDdIAQoMEgg2MjkxNDAw',
+        'MEgBCgwSCDg0MjI5MDAxSAEKDBIINDc2MjUwMDhIAQoKEgY4ODY3LTRIAiDSBQoKEgY4MzEwLTVIAiDQBQoKEgY4ODY3LTRI',
+        'AiDEAwoKEgY4MzEwLTVIAiDCAwoKEgYyNzA4LTZIAiDWAQoKEgY4ODY3LTRIAiDUAQoKEgY4MzEwLTVIAiDSAQoLEgc4NTM1',
+        'NC05SAIgFAoKEgY5Mjc5LTFIAiCaAQoKEgY4ODY3LTRIAiCYAQoKEgY4MzEwLTVIAiCWAQoNEgkyMjU1NjYwMDhIAQoNEgkx',
+        'MjgwNDUwMDZIAQoNEgk0MjM5MDIwMDJIAQoNEgkzMDI4NjYwMDNIAQoNEgk0MjI1ODcwMDdIAQoNEgkyNjcwMzYwMDdIAQoN',
+        'EgkyNzE1OTQwMDdIAQoNEgkxMjU2NzAwMDhIAQoNEgkyNzgxNTIwMDZIAQoNEgkzODY2NjEwMDZIAQoNEgkyMTcwODIwMDJI',
+        'AQoNEgkxMjU2MDUwMDRIAQoNEgk0MTcxNjMwMDZIAQoLEgczMzc0Ny0wSAIg1AUKEBIIMjY2NDMwMDZIAVABWAEKEBIINzEz',
+        'ODgwMDJIAVABWAEKEBIIMTg2MjkwMDVIAVABWAEKEBIINzExODEwMDNIAVABWAEKEBIIMTc2MjkwMDdIAVABWAEKEBIINjE2',
+        'ODUwMDdIAVABWAEKEBIINDc2MjUwMDhIAVABWAEKERIJMTA4NzYxMDA2SAFQAVgBChESCTM3MjY4NzAwNEgBUAFYAQoREgkz',
+        'ODc0NjcwMDhIAVABWAEKERIJMzg3NDk0MDA3SAFQAVgBChESCTQzMjEwMjAwMEgBUAFYAQoREgkzODc1NjIwMDBIAVABWAEK',
+        'ERIJMzg1NzYzMDA5SAFQAVgBChESCTIyNTM1ODAwM0gBUAFYAQoREgkxODI4NTYwMDZIAVABWAEKERIJMzg3NzEzMDAzSAFQ',
+        'AVgBChESCTI3ODE1MjAwNkgBUAFYAQoREgkzODcyMDcwMDhIAVABWAEKEBIINjI5MTQwMDBIAVABWAEYjAYKEBIIODQyMjkw',
+        'MDFIAVABWAEY4AMKERIJMTI1NjcwMDA4SAFQAVgBGAYKERIJMTI1NjA1MDA0SAFQAVgBGAIKERIJNDE3MTYzMDA2SAFQAVgB',
+        'GAAKERIJMjE3MDgyMDAySAFQAVgBGAAKERIJMjI1NTY2MDA4SAFQAVgBGO4FChESCTEyODA0NTAwNkgBUAFYARjQBQoREgky',
+        'NjcwMzYwMDdIAVABWAEYnAQKERIJNDIzOTAyMDAySAFQAVgBGP4DChESCTMwMjg2NjAwM0gBUAFYARjCAwoREgk0MjI1ODcw',
+        'MDdIAVABWAEY8AEKERIJMjY3MDM2MDA3SAFQAVgBGOYBChESCTI3MTU5NDAwN0gBUAFYARjcAQoREgkzODY2NjEwMDZIAVAB',
+        'WAEY0gEKDBIIMTc2MjkwMDdIASIAKgZNYW51YWwwGgoMEgg3MTM4ODAwMkgBIgAqBk1hbnVhbDCqBgoMEggxODYyOTAwNUgB',
+        'IgAqBk1hbnVhbDC6BAoMEgg3MTE4MTAwM0gBIgAqBk1hbnVhbDCYAgoMEggxNzYyOTAwN0gBIgAqBk1hbnVhbDCOAgoMEgg3',
+        'MTE4MTAwM0gBIgAqBk1hbnVhbDCgAQoMEggxNzYyOTAwN0gBIgAqBk1hbnVhbDCMAQoNEgkyMjUzNTgwMDNIASIAKgZNYW51',
+        'YWwwDgoNEgkxODI4NTYwMDZIASIAKgZNYW51YWwwCgoNEgkxODI4NTYwMDZIASIAKgZNYW51YWww5gYKDRIJMjI1MzU4MDAz',
+        'SAEiACoGTWFudWFsMJQFCg0SCTE4Mjg1NjAwNkgBIgAqBk1hbnVhbDD2BAoNEgkzODc0OTQwMDdIASICbWcqBE9yYWwwzgQK',
+        'DRIJMTgyODU2MDA2SAEiACoGTWFudWFsMPoBCg0SCTM4NTc2MzAwOUgBIgAqBk1hbnVhbDCCAQoKEgY4ODY3LTRIAiAECgoS',
+        'BjgzMTAtNUgCIAIKDRIJMzg3NTYyMDAwSAEiAWcqC0ludHJhdmVub3VzMP4BCg0SCTM4NzIwNzAwOEgBIgJtZyoLSW50cmF2',
+        'ZW5vdXMwGAoNEgkxMDg3NjEwMDZIASICbWcqC0ludHJhdmVub3VzMIQHCg0SCTM3MjY4NzAwNEgBIgJtZyoLSW50cmF2ZW5v',
+        'dXMwyAYKDRIJMzg3NDY3MDA4SAEiAm1nKgtJbnRyYXZlbm91czC-BgoNEgk0MzIxMDIwMDBIASICbWwqC0ludHJhdmVub3Vz',
+        'MIQCCg0SCTM4NzcxMzAwM0gBIgRkb3NlKgtJbnRyYXZlbm91czDYBAoNEgkzODU3NjMwMDlIASIAKhlMZWZ0IGxvd2VyIGxp',
+        'bWIgc3RydWN0dXJlMBQKChIGODQ2Mi00SAIKChIGODQ4MC02SAI'
+    ].join('')
+};
@@ -0,0 +1,551 @@
+/**
+ * PRECOMPILED PROTOBUF DESCRIPTORS
+ *
+ * Purpose: protobuf.js JSON descriptors of the NFC payload schemas, so fragments decode with no schema fetch
+ * Generated by scripts/compile-protos.mjs from resources/nfc_payload.proto and resources/nfc_payload_legacy.proto - do not edit by hand.
+ */
+
+export const PROTO_DESCRIPTORS = {
+    current: {
+        "nested": {
+            "medis": {
+                "nested": {
+                    "nfc": {
+                        "nested": {
+                            "SystemType": {
+                                "values": {
+                                    "UNKNOWN_SYSTEM": 0,
+                                    "SNOMED_CT": 1,
+                                    "LOINC": 2,
+                                    "UCUM": 3,
+                                    "HL7_CONDITION": 4,
+                                    "HL7_VERIFICATION": 5,
+                                    "HL7_OBSERVATION": 6,
+                                    "ISO_3166": 7,
+                                    "NHS_IDENTIFIER": 8
+                                }
+                            },
+                            "ClinicalStatus": {
+                                "values": {
+                                    "UNKNOWN_CLINICAL": 0,
+                                    "ACTIVE": 1,
+                                    "RESOLVED": 2,
+                                    "INACTIVE": 3,
+                                    "REMISSION": 4
+                                }
+                            },
+                            "VerificationStatus": {
+                                "values": {
+                                    "UNKNOWN_VERIFICATION": 0,
+                                    "CONFIRMED": 1,
+                                    "UNCONFIRMED": 2,
+                                    "PROVISIONAL": 3,
+                                    "DIFFERENTIAL": 4
+                                }
+                            },
+                            "ObservationCategory": {
+                                "values": {
+                                    "UNKNOWN_CATEGORY": 0,
+                                    "VITAL_SIGNS": 1,
+                                    "LABORATORY": 2,
+                                    "SURVEY": 3,
+                                    "SOCIAL_HISTORY": 4
+                                }
+                            },
+                            "CodeRef": {
+                                "oneofs": {
+                                    "systemReference": {
+                                        "oneof": [
+                                            "sys",
+                                            "systemId"
+                                        ]
+                                    }
+                                },
+                                "fields": {
+                                    "sys": {
+                                        "type": "string",
+                                        "id": 1
+                                    },
+                                    "systemId": {
+                                        "type": "SystemType",
+                                        "id": 9
+                                    },
+                                    "code": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "clinicalStatus": {
+                                        "type": "ClinicalStatus",
+                                        "id": 10
+                                    },
+                                    "verificationStatus": {
+                                        "type": "VerificationStatus",
+                                        "id": 11
+                                    },
+                                    "category": {
+                                        "type": "ObservationCategory",
+                                        "id": 12
+                                    }
+                                }
+                            },
+                            "Patient": {
+                                "fields": {
+                                    "given": {
+                                        "type": "string",
+                                        "id": 1
+                                    },
+                                    "family": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "gender": {
+                                        "type": "CodeRef",
+                                        "id": 3
+                                    },
+                                    "bloodGroup": {
+                                        "type": "CodeRef",
+                                        "id": 4
+                                    },
+                                    "nhsId": {
+                                        "type": "CodeRef",
+                                        "id": 5
+                                    },
+                                    "serviceId": {
+                                        "type": "CodeRef",
+                                        "id": 6
+                                    },
+                                    "dob": {
+                                        "type": "string",
+                                        "id": 7
+                                    },
+                                    "rank": {
+                                        "type": "string",
+                                        "id": 8
+                                    },
+                                    "title": {
+                                        "type": "string",
+                                        "id": 9
+                                    },
+                                    "nationality": {
+                                        "type": "string",
+                                        "id": 10
+                                    }
+                                }
+                            },
+                            "Vital": {
+                                "oneofs": {
+                                    "when": {
+                                        "oneof": [
+                                            "time",
+                                            "timeOffset"
+                                        ]
+                                    }
+                                },
+                                "fields": {
+                                    "code": {
+                                        "type": "CodeRef",
+                                        "id": 1
+                                    },
+                                    "value": {
+                                        "type": "double",
+                                        "id": 2
+                                    },
+                                    "time": {
+                                        "type": "string",
+                                        "id": 3
+                                    },
+                                    "timeOffset": {
+                                        "type": "sint32",
+                                        "id": 4
+                                    }
+                                }
+                            },
+                            "Condition": {
+                                "oneofs": {
+                                    "when": {
+                                        "oneof": [
+                                            "onset",
+                                            "onsetOffset"
+                                        ]
+                                    }
+                                },
+                                "fields": {
+                                    "code": {
+                                        "type": "CodeRef",
+                                        "id": 1
+                                    },
+                                    "onset": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "onsetOffset": {
+                                        "type": "sint32",
+                                        "id": 3
+                                    }
+                                }
+                            },
+                            "Event": {
+                                "oneofs": {
+                                    "when": {
+                                        "oneof": [
+                                            "time",
+                                            "timeOffset"
+                                        ]
+                                    }
+                                },
+                                "fields": {
+                                    "code": {
+                                        "type": "CodeRef",
+                                        "id": 1
+                                    },
+                                    "time": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "timeOffset": {
+                                        "type": "sint32",
+                                        "id": 6
+                                    },
+                                    "dose": {
+                                        "type": "double",
+                                        "id": 3
+                                    },
+                                    "unit": {
+                                        "type": "string",
+                                        "id": 4
+                                    },
+                                    "route": {
+                                        "type": "string",
+                                        "id": 5
+                                    }
+                                }
+                            },
+                            "Stage": {
+                                "fields": {
+                                    "vitals": {
+                                        "rule": "repeated",
+                                        "type": "Vital",
+                                        "id": 1
+                                    },
+                                    "conditions": {
+                                        "rule": "repeated",
+                                        "type": "Condition",
+                                        "id": 2
+                                    },
+                                    "events": {
+                                        "rule": "repeated",
+                                        "type": "Event",
+                                        "id": 3
+                                    }
+                                }
+                            },
+                            "BundleMetadata": {
+                                "fields": {
+                                    "id": {
+                                        "type": "string",
+                                        "id": 1
+                                    },
+                                    "metaJson": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "identifierJson": {
+                                        "type": "string",
+                                        "id": 3
+                                    },
+                                    "type": {
+                                        "type": "string",
+                                        "id": 4
+                                    },
+                                    "timestamp": {
+                                        "type": "string",
+                                        "id": 5
+                                    }
+                                }
+                            },
+                            "Allergy": {
+                                "fields": {
+                                    "code": {
+                                        "type": "CodeRef",
+                                        "id": 1
+                                    },
+                                    "onset": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "severity": {
+                                        "type": "string",
+                                        "id": 3
+                                    }
+                                }
+                            },
+                            "NFCPayload": {
+                                "fields": {
+                                    "patient": {
+                                        "type": "Patient",
+                                        "id": 1
+                                    },
+                                    "poi": {
+                                        "type": "Stage",
+                                        "id": 2
+                                    },
+                                    "medevac": {
+                                        "type": "Stage",
+                                        "id": 3
+                                    },
+                                    "r1": {
+                                        "type": "Stage",
+                                        "id": 4
+                                    },
+                                    "r2": {
+                                        "type": "Stage",
+                                        "id": 5
+                                    },
+                                    "casevac": {
+                                        "type": "Stage",
+                                        "id": 6
+                                    },
+                                    "r3": {
+                                        "type": "Stage",
+                                        "id": 7
+                                    },
+                                    "t": {
+                                        "type": "int64",
+                                        "id": 8
+                                    },
+                                    "bundleMetadata": {
+                                        "type": "BundleMetadata",
+                                        "id": 9
+                                    },
+                                    "allergies": {
+                                        "rule": "repeated",
+                                        "type": "Allergy",
+                                        "id": 10
+                                    },
+                                    "axp": {
+                                        "type": "Stage",
+                                        "id": 11
+                                    },
+                                    "fwdTacevac": {
+                                        "type": "Stage",
+                                        "id": 12
+                                    },
+                                    "rearTacevac": {
+                                        "type": "Stage",
+                                        "id": 13
+                                    },
+                                    "originalBundleJson": {
+                                        "type": "string",
+                                        "id": 14
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    legacy: {
+        "nested": {
+            "medis": {
+                "nested": {
+                    "nfc": {
+                        "nested": {
+                            "Code": {
+                                "fields": {
+                                    "sys": {
+                                        "type": "string",
+                                        "id": 1
+                                    },
+                                    "code": {
+                                        "type": "string",
+                                        "id": 2
+                                    }
+                                }
+                            },
+                            "Patient": {
+                                "fields": {
+                                    "n": {
+                                        "rule": "repeated",
+                                        "type": "string",
+                                        "id": 1
+                                    },
+                                    "r": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "sn": {
+                                        "type": "string",
+                                        "id": 3
+                                    },
+                                    "dob": {
+                                        "type": "int32",
+                                        "id": 4
+                                    },
+                                    "nhs": {
+                                        "type": "string",
+                                        "id": 5
+                                    },
+                                    "bg": {
+                                        "type": "int32",
+                                        "id": 6
+                                    }
+                                }
+                            },
+                            "VitalValue": {
+                                "fields": {
+                                    "dIndex": {
+                                        "type": "int32",
+                                        "id": 1
+                                    },
+                                    "value": {
+                                        "type": "double",
+                                        "id": 2
+                                    },
+                                    "unit": {
+                                        "type": "string",
+                                        "id": 3
+                                    }
+                                }
+                            },
+                            "ConditionValue": {
+                                "fields": {
+                                    "dIndex": {
+                                        "type": "int32",
+                                        "id": 1
+                                    },
+                                    "onset": {
+                                        "type": "string",
+                                        "id": 2
+                                    }
+                                }
+                            },
+                            "EventValue": {
+                                "fields": {
+                                    "dIndex": {
+                                        "type": "int32",
+                                        "id": 1
+                                    },
+                                    "time": {
+                                        "type": "string",
+                                        "id": 2
+                                    },
+                                    "dose": {
+                                        "type": "double",
+                                        "id": 3
+                                    },
+                                    "route": {
+                                        "type": "string",
+                                        "id": 4
+                                    }
+                                }
+                            },
+                            "Vitals": {
+                                "fields": {
+                                    "poi": {
+                                        "rule": "repeated",
+                                        "type": "VitalValue",
+                                        "id": 1
+                                    },
+                                    "medevac": {
+                                        "rule": "repeated",
+                                        "type": "VitalValue",
+                                        "id": 2
+                                    },
+                                    "r1": {
+                                        "rule": "repeated",
+                                        "type": "VitalValue",
+                                        "id": 3
+                                    },
+                                    "r2": {
+                                        "rule": "repeated",
+                                        "type": "VitalValue",
+                                        "id": 4
+                                    }
+                                }
+                            },
+                            "Conditions": {
+                                "fields": {
+                                    "poi": {
+                                        "rule": "repeated",
+                                        "type": "ConditionValue",
+                                        "id": 1
+                                    },
+                                    "medevac": {
+                                        "rule": "repeated",
+                                        "type": "ConditionValue",
+                                        "id": 2
+                                    },
+                                    "r1": {
+                                        "rule": "repeated",
+                                        "type": "ConditionValue",
+                                        "id": 3
+                                    },
+                                    "r2": {
+                                        "rule": "repeated",
+                                        "type": "ConditionValue",
+                                        "id": 4
+                                    }
+                                }
+                            },
+                            "Events": {
+                                "fields": {
+                                    "poi": {
+                                        "rule": "repeated",
+                                        "type": "EventValue",
+                                        "id": 1
+                                    },
+                                    "medevac": {
+                                        "rule": "repeated",
+                                        "type": "EventValue",
+                                        "id": 2
+                                    },
+                                    "r1": {
+                                        "rule": "repeated",
+                                        "type": "EventValue",
+                                        "id": 3
+                                    },
+                                    "r2": {
+                                        "rule": "repeated",
+                                        "type": "EventValue",
+                                        "id": 4
+                                    }
+                                }
+                            },
+                            "NFCPayload": {
+                                "fields": {
+                                    "D": {
+                                        "rule": "repeated",
+                                        "type": "Code",
+                                        "id": 1
+                                    },
+                                    "P": {
+                                        "type": "Patient",
+                                        "id": 2
+                                    },
+                                    "V": {
+                                        "type": "Vitals",
+                                        "id": 3
+                                    },
+                                    "C": {
+                                        "type": "Conditions",
+                                        "id": 4
+                                    },
+                                    "E": {
+                                        "type": "Events",
+                                        "id": 5
+                                    },
+                                    "t": {
+                                        "type": "int64",
+                                        "id": 6
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
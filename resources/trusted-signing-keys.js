@@ -0,0 +1,4 @@
+// Public keys whose ECDSA P-256 signatures the viewer reports as verified.
+// Each entry: { name: 'Issuing unit or device', publicKey: { kty: 'EC', crv: 'P-256', x: '...', y: '...' } }
+// Add keys here (never private keys); pages can also register keys at runtime with NfcIps.addTrustedSigningKey.
+export const TRUSTED_SIGNING_KEYS = [];
@@ -5,8 +5,8 @@
  * Architecture: Modular ES6+ JavaScript with protobuf compression and FHIR interoperability
  *
  * Key Components:
- * - Terminology Service: Medical code resolution (SNOMED CT, LOINC, UCUM)
- * - Codec Pipeline: FHIR ↔ CodeRef ↔ Protobuf ↔ Base64 compression
+ * - Terminology Service: Medical code resolution (SNOMED CT, LOINC, UCUM) — codec/terminology.js
+ * - Codec Pipeline: FHIR ↔ CodeRef ↔ Protobuf ↔ Base64 compression — codec/ips-codec.js (DOM-free)
  * - UI Rendering: Dynamic medical stage visualization
  * - Data Models: Patient demographics, vitals, conditions, events, allergies
  *
@@ -26,21 +26,30 @@
 
 import {
     TERMINOLOGY_SYSTEMS,
-    DEMO_PAYLOADS,
-    RESOURCES,
-    FHIR_EXTENSIONS,
-    FHIR_PROFILES
+    DEMO_PAYLOADS
 } from './config/constants.js';
+import { normaliseBase64, base64ToUint8Array } from './util/base64.js';
+import { looksLikeJson } from './util/json.js';
 import {
-    normaliseBase64,
-    base64ToUint8Array,
-    base64ToString
-} from './util/base64.js';
+    formatDate,
+    formatDateTime,
+    formatDateTimeWithBullet
+} from './util/date-format.js';
+import { parseNdefMessage } from './util/ndef.js';
 import {
-    tryParseJson,
-    looksLikeJson,
-    safeDeepClone
-} from './util/json.js';
+    createIpsCodec,
+    fetchSchemaText,
+    FragmentFormatError,
+    IncompleteRecordError
+} from './codec/ips-codec.js';
+import {
+    terminologyDatabase,
+    medicalCodeMap,
+    resolveCodeDisplay,
+    inferUnitFromCode,
+    resolveCodePrefix
+} from './codec/terminology.js';
+import { APP_VERSION } from './resources/app-version.js';
 
 // =============================================================================
 // CONFIGURATION AND DATA MODELS
@@ -140,234 +149,6 @@ const appState = {
 // =============================================================================
 
 
-/**
- * Human-Readable Date Formatter
- * Purpose: Convert ISO date strings to readable format for patient records
- * Usage: Display dates in medical records and patient information
- *
- * @param {string} dateString - ISO date string (YYYY-MM-DD format)
- * @returns {string} - Formatted date ('January 15, 2024') or 'N/A' if invalid
- *
- * Example:
- *   formatDate('2024-01-15') → 'January 15, 2024'
- *   formatDate(null) → 'N/A'
- */
-function formatDate(dateString) {
-    if (!dateString) return 'N/A';
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    const parsed = new Date(dateString);
-    if (Number.isNaN(parsed.getTime())) return dateString;
-    return parsed.toLocaleDateString(undefined, options);
-}
-
-/**
- * Compact DateTime Formatter
- * Purpose: Format datetime for compact display in medical stages and events
- * Usage: Show timestamps in care stage events with space-efficient format
- *
- * @param {string} dateString - ISO datetime string
- * @returns {string} - Compact format ('15 Jan 24 14:30') or original if invalid
- *
- * Example:
- *   formatDateTime('2024-01-15T14:30:00Z') → '15 Jan 24 14:30'
- *   formatDateTime('invalid') → 'invalid'
- */
-function formatDateTime(dateString) {
-    if (!dateString) return 'N/A';
-    const parsed = new Date(dateString);
-    if (Number.isNaN(parsed.getTime())) return dateString;
-
-    const day = parsed.getDate();
-    const month = parsed.toLocaleDateString('en-US', { month: 'short' });
-    const year = parsed.getFullYear().toString().slice(-2);
-    const hours = parsed.getHours().toString().padStart(2, '0');
-    const minutes = parsed.getMinutes().toString().padStart(2, '0');
-
-    return `${day} ${month} ${year} ${hours}:${minutes}`;
-}
-
-function formatDateTimeWithBullet(dateString) {
-    const formatted = formatDateTime(dateString);
-    const parts = formatted.split(' ');
-    if (parts.length >= 4) {
-        const datePart = `${parts[0]} ${parts[1]} ${parts[2]}`;
-        const timePart = parts.slice(3).join(' ');
-        return `${datePart} • ${timePart}`;
-    }
-    const idx = formatted.lastIndexOf(' ');
-    return idx > -1 ? `${formatted.slice(0, idx)} • ${formatted.slice(idx + 1)}` : formatted;
-}
-
-/**
- * Time-Only Formatter
- * Purpose: Extract and format just the time portion from datetime strings
- * Usage: Display time in vitals and measurements where date is shown separately
- *
- * @param {string} dateString - ISO datetime string
- * @returns {string} - Time in HH:MM format or 'N/A' if invalid
- *
- * Example:
- *   formatTimeOnly('2024-01-15T14:30:00Z') → '14:30'
- *   formatTimeOnly(null) → 'N/A'
- */
-function formatTimeOnly(dateString) {
-    if (!dateString) return 'N/A';
-    const parsed = new Date(dateString);
-    if (Number.isNaN(parsed.getTime())) return dateString;
-
-    const hours = parsed.getHours().toString().padStart(2, '0');
-    const minutes = parsed.getMinutes().toString().padStart(2, '0');
-
-    return `${hours}:${minutes}`;
-}
-
-/**
- * Date Formatter for Patient Comparison
- * Purpose: Standardized date format for comparing patient record changes
- * Usage: IPS change detection and comparison views
- *
- * @param {string} dateString - ISO date string
- * @returns {string|null} - Compact date ('15 Jan 24') or null if invalid
- *
- * Example:
- *   formatDateForComparison('2024-01-15T00:00:00Z') → '15 Jan 24'
- *   formatDateForComparison('invalid') → null
- */
-function formatDateForComparison(dateString) {
-    if (!dateString) return null;
-    const parsed = new Date(dateString);
-    if (Number.isNaN(parsed.getTime())) return null;
-
-    const day = parsed.getDate();
-    const month = parsed.toLocaleDateString('en-US', { month: 'short' });
-    const year = parsed.getFullYear().toString().slice(-2);
-
-    return `${day} ${month} ${year}`;
-}
-
-/**
- * Medical Unit Inference Engine
- * Purpose: Infer appropriate units for medical measurements based on LOINC codes
- * Usage: Provide default units when measurements lack explicit unit information
- *
- * @param {string} system - Terminology system URL (e.g., 'http://loinc.org')
- * @param {string} code - Medical measurement code (e.g., '8480-6' for systolic BP)
- * @returns {string} - Inferred unit ('mmHg', 'kg', 'bpm') or empty string if unknown
- *
- * Example:
- *   inferUnitFromCode('http://loinc.org', '8480-6') → 'mmHg' (systolic blood pressure)
- *   inferUnitFromCode('http://loinc.org', '29463-7') → 'kg' (body weight)
- */
-function inferUnitFromCode(system, code) {
-    // Standard units for common LOINC vital signs
-    const unitMap = {
-        'loinc:8310-5': '°F',        // Body temperature
-        'loinc:8867-4': 'bpm',       // Heart rate
-        'loinc:8480-6': 'mmHg',      // Systolic blood pressure
-        'loinc:8462-4': 'mmHg',      // Diastolic blood pressure
-        'loinc:9279-1': '/min',      // Respiratory rate
-        'loinc:2708-6': '%',         // Oxygen saturation
-        'loinc:718-7': 'g/dL',       // Hemoglobin
-        'loinc:33747-0': 'pH',       // Blood pH
-        'loinc:85354-9': 'mmHg',     // Blood pressure (composite)
-        'loinc:1751-7': 'U/L',       // Albumin
-        'loinc:1968-7': 'mg/dL',     // Creatinine
-        'loinc:1975-2': 'mg/dL',     // Bilirubin
-        'loinc:2951-2': 'mOsm/kg',   // Sodium
-        'loinc:6298-4': 'mEq/L',     // Potassium
-
-        // SNOMED medication administrations (common IPS examples)
-        'sct:387207008': 'mg',       // Morphine
-        'sct:387494007': 'mg',       // Ibuprofen
-        'sct:387467008': 'mg',       // Tramadol
-        'sct:372687004': 'mg',       // Amoxicillin
-        'sct:387562000': 'g',        // Amoxicillin (IV) - grams
-        'sct:108761006': 'mg',       // Epinephrine
-        'sct:182777000': 'mg',       // Tranexamic acid (example)
-        'sct:16990000': 'mL',        // Ringer's solution / fluids
-        'sct:432102000': 'mL',       // Normal saline
-        'sct:387713003': 'dose',     // Cephalexin (single dose)
-    };
-
-    const key = `${system}:${code}`;
-    return unitMap[key] || null;
-}
-
-/**
- * Temperature Unit Converter
- * Purpose: Standardize temperature display with dual units (Celsius/Fahrenheit)
- * Usage: Convert temperature measurements for international medical records
- *
- * @param {number} value - Temperature value
- * @param {string} unit - Input unit ('°F', '°C', or other)
- * @returns {string|null} - Dual format '36.5°C [97.7°F]' or null if invalid
- *
- * Example:
- *   formatTemperature(98.6, '°F') → '37.0°C [98.6°F]'
- *   formatTemperature(36.5, '°C') → '36.5°C [97.7°F]'
- */
-function formatTemperature(value, unit) {
-    if (value === undefined || value === null) return null;
-
-    let fahrenheit, celsius;
-
-    if (unit === '°F' || !unit) {
-        fahrenheit = value;
-        celsius = ((value - 32) * 5/9).toFixed(1);
-    } else if (unit === '°C') {
-        celsius = value;
-        fahrenheit = ((value * 9/5) + 32).toFixed(1);
-    } else {
-        return `${value} ${unit}`;
-    }
-
-    return `${celsius}°C [${fahrenheit}°F]`;
-}
-
-/**
- * Temperature Code Detector
- * Purpose: Identify LOINC codes that represent temperature measurements
- * Usage: Trigger temperature-specific formatting and unit conversion
- *
- * @param {string} system - Terminology system ('loinc')
- * @param {string} code - LOINC code to check
- * @returns {boolean} - True if code represents body temperature
- *
- * Example:
- *   isTemperatureCode('loinc', '8310-5') → true (body temperature)
- *   isTemperatureCode('loinc', '8867-4') → false (heart rate)
- */
-function isTemperatureCode(system, code) {
-    return system === 'loinc' && code === '8310-5';
-}
-
-/**
- * Terminology System Code Prefix Resolver
- * Purpose: Map terminology system names to standardized prefixes for CodeRef
- * Usage: Convert between different system naming conventions in codec pipeline
- *
- * @param {string} system - System identifier ('sct', 'loinc', 'icd')
- * @returns {string} - Standardized prefix ('snomed', 'loinc', 'icd10')
- *
- * Example:
- *   resolveCodePrefix('sct') → 'snomed'
- *   resolveCodePrefix('loinc') → 'loinc'
- */
-function resolveCodePrefix(system) {
-    const prefixMap = {
-        'sct': 'snomed',
-        'loinc': 'loinc',
-        'icd': 'icd10' // Will be enhanced to support icd11 based on code family
-    };
-    return prefixMap[system] || system;
-}
-
-function normalizeRouteDisplay(routeValue) {
-    if (!routeValue) return '';
-    const trimmed = routeValue.trim();
-    return trimmed.replace(/\s*route$/i, '');
-}
-
 /**
  * Clean debug logging for MIST date display analysis
  */
@@ -397,3442 +178,470 @@ function exportMISTDebugLog() {
 window.exportMISTDebugLog = exportMISTDebugLog;
 
 /**
- * Group medical data chronologically into MIST rows for consistent date/time display
- * Purpose: Ensure first pill in each chronological row shows date, subsequent pills show time only
+ * NHS Number Formatter
+ * Purpose: Format 10-digit NHS numbers with standard spacing (XXX XXX XXXX)
+ * Usage: Display NHS numbers in patient information following UK conventions
  *
- * @param {Array} vitals - Array of vital data objects
- * @param {Array} conditions - Array of condition data objects
- * @param {Array} events - Array of event data objects
- * @returns {Array} - Array of chronological rows with mixed data types
- */
-/**
- * Extract timestamp from an item regardless of field structure
- * @param {Object} item - The data item (vitals, conditions, events)
- * @returns {string|null} - ISO timestamp string or null if no timestamp
+ * @param {string} nhsNumber - Unformatted NHS number (1234567890)
+ * @returns {string} - Formatted NHS number ('123 456 7890') or original if invalid
+ *
+ * Example:
+ *   formatNHSNumber('1234567890') → '123 456 7890'
+ *   formatNHSNumber('invalid') → 'invalid'
  */
-function extractTimestamp(item) {
-    return item.time || item.onset || item.rawData?.dateTime || null;
+function formatNHSNumber(nhsNumber) {
+    if (!nhsNumber || typeof nhsNumber !== 'string' || nhsNumber.length !== 10) {
+        return nhsNumber;
+    }
+    return `${nhsNumber.substring(0, 3)} ${nhsNumber.substring(3, 6)} ${nhsNumber.substring(6, 10)}`;
 }
 
-function createMISTChronologicalRows(vitals, conditions, events) {
-    debugMIST('createMISTChronologicalRows called', {
-        vitalCount: vitals.length,
-        conditionCount: conditions.length,
-        eventCount: events.length
-    });
-    // Combine all data with timestamps and types
-    const allData = [
-        ...vitals.map(item => ({ ...item, dataType: 'vitals' })),
-        ...conditions.map(item => ({ ...item, dataType: 'conditions' })),
-        ...events.map(item => ({ ...item, dataType: 'events' }))
-    ];
+// === QUALITY ASSURANCE SYSTEM ===
+// Terminology validation and coverage testing
 
-    // Separate data with and without timestamps
-    const withTimestamps = allData.filter(item => extractTimestamp(item));
-    const withoutTimestamps = allData.filter(item => !extractTimestamp(item));
-
-    debugMIST('After timestamp analysis', {
-        originalCount: allData.length,
-        withTimestamps: withTimestamps.length,
-        withoutTimestamps: withoutTimestamps.length,
-        eventsSample: allData.filter(item => item.dataType === 'events').slice(0, 3).map(item => ({
-            dataType: item.dataType,
-            time: item.time,
-            onset: item.onset,
-            rawDataDateTime: item.rawData?.dateTime,
-            description: item.description,
-            hasTime: !!item.time,
-            hasOnset: !!item.onset,
-            hasRawDataDateTime: !!item.rawData?.dateTime
-        })),
-        sampleWithTimestamps: withTimestamps.slice(0, 2).map(item => ({
-            dataType: item.dataType,
-            time: item.time,
-            onset: item.onset,
-            description: item.description
-        })),
-        sampleWithoutTimestamps: withoutTimestamps.slice(0, 2).map(item => ({
-            dataType: item.dataType,
-            description: item.description
-        }))
-    });
+class TerminologyValidator {
+    constructor(database = terminologyDatabase) {
+        this.db = database;
+        this.payloadUrl = DEMO_PAYLOADS.PAYLOAD_1;
+    }
 
-    // Sort timestamped data chronologically (oldest first for proper MIST order)
-    withTimestamps.sort((a, b) => {
-        const timeA = new Date(extractTimestamp(a));
-        const timeB = new Date(extractTimestamp(b));
-        return timeA - timeB;
-    });
+    async validatePayloadCoverage() {
+        console.log('🔍 TERMINOLOGY VALIDATION: Starting payload coverage check...');
 
-    // Mark first pill of each date PER DATA TYPE for display logic BEFORE reversal
-    // This ensures the oldest pill of each type gets the full date
-    const dateTrackingByType = {};
+        try {
+            // Extract all codes from payload-1.json
+            const payloadCodes = await this.extractCodesFromPayload();
+            console.log(`📊 Found ${payloadCodes.length} unique codes in payload`);
 
-    withTimestamps.forEach((item, index) => {
-        const timestamp = extractTimestamp(item);
-        const currentDate = formatDateForComparison(timestamp);
-        const dataType = item.dataType;
+            // Check coverage
+            const results = this.checkCoverage(payloadCodes);
 
-        // Track last date per data type independently
-        if (!dateTrackingByType[dataType]) {
-            dateTrackingByType[dataType] = null;
-        }
+            // Report results
+            this.reportResults(results);
 
-        if (currentDate !== dateTrackingByType[dataType]) {
-            item.isFirstDisplayedInRow = true;
-            dateTrackingByType[dataType] = currentDate;
-            debugMIST(`Marked isFirstDisplayedInRow=true for ${dataType} item ${index} (oldest in chronological order)`, {
-                dataType: item.dataType,
-                description: item.description,
-                timestamp: timestamp,
-                currentDate: currentDate
-            });
-        } else {
-            item.isFirstDisplayedInRow = false;
+            return results;
+        } catch (error) {
+            console.error('❌ Terminology validation failed:', error);
+            return { success: false, error: error.message };
         }
-    });
+    }
 
-    // Keep chronological order (oldest first) - DO NOT REVERSE for UI display
-    // withTimestamps.reverse(); // REMOVED - UI should show oldest->newest left->right
+    async extractCodesFromPayload() {
+        const response = await fetch(this.payloadUrl);
+        const payload = await response.json();
+        const codes = new Set();
 
-    // Mark non-timestamped data: First item shows "No Date", others show nothing
-    withoutTimestamps.forEach((item, index) => {
-        item.isFirstDisplayedInRow = (index === 0);  // Only first item shows "No Date"
-        item.noTimestamp = true;  // Flag for special handling
-    });
+        // Extract codes from all FHIR resources
+        const entries = payload.entry || [];
+        entries.forEach(entry => {
+            if (entry.resource) {
+                this.extractCodesFromResource(entry.resource, codes);
+            }
+        });
 
-    const finalData = [...withTimestamps, ...withoutTimestamps];
-
-    debugMIST('Final MIST chronological rows', {
-        totalCount: finalData.length,
-        timestampedCount: withTimestamps.length,
-        nonTimestampedCount: withoutTimestamps.length,
-        firstDisplayedInRowCount: finalData.filter(item => item.isFirstDisplayedInRow).length,
-        perTypeFirstCount: {
-            vitals: finalData.filter(item => item.dataType === 'vitals' && item.isFirstDisplayedInRow).length,
-            conditions: finalData.filter(item => item.dataType === 'conditions' && item.isFirstDisplayedInRow).length,
-            events: finalData.filter(item => item.dataType === 'events' && item.isFirstDisplayedInRow).length
-        },
-        finalOrder: finalData.slice(0, 5).map(item => ({
-            dataType: item.dataType,
-            description: item.description,
-            isFirstDisplayedInRow: item.isFirstDisplayedInRow,
-            timestamp: extractTimestamp(item),
-            noTimestamp: item.noTimestamp
-        }))
-    });
+        return Array.from(codes);
+    }
 
-    return finalData;
-}
+    extractCodesFromResource(resource, codes) {
+        // Extract from coding arrays
+        this.findCodingArrays(resource).forEach(coding => {
+            coding.forEach(code => {
+                if (code.system && code.code) {
+                    const systemKey = this.getSystemKey(code.system);
+                    codes.add(`${systemKey}:${code.code}`);
+                }
+            });
+        });
+    }
 
-/**
- * Standardized Medical Data Pill Generator
- * Purpose: Create consistent UI pills for different types of medical data
- * Usage: Generate formatted display elements for vitals, conditions, medications
- *
- * @param {string} type - Data type ('vital', 'condition', 'medication', 'event')
- * @param {Object} rawData - Medical data object with code, description, value, etc.
- * @param {Object} sectionDateTracker - Tracks dates for efficient display grouping
- * @param {boolean} isFirstDisplayedInRow - Whether this is the first pill displayed in a chronological row (left-to-right MIST order)
- * @returns {HTMLElement} - Formatted pill element for medical data display
- *
- * Example:
- *   createStandardizedPill('vital', {code: '8480-6', value: 120, unit: 'mmHg'})
- *   → HTML pill element for systolic blood pressure
- */
-function createStandardizedPill(type, rawData, sectionDateTracker, isFirstDisplayedInRow = false) {
-    const { code, description, value, unit, dose, route, time, onset } = rawData;
-
-    // Determine the primary timestamp
-    const primaryTime = onset || time;
-
-    // Format value section based on type
-    let valueContent = '';
-    let tooltipValueContent = description;
-
-    if (type === 'vitals') {
-        // For vitals: show measurement with unit
-        if (isTemperatureCode(code.system, code.code)) {
-            const tempDisplay = formatTemperature(value, unit);
-            valueContent = tempDisplay || `${value} ${unit || ''}`.trim();
-            tooltipValueContent = `${description} | ${valueContent}`;
-        } else {
-            const unitDisplay = unit || inferUnitFromCode(code.system, code.code);
-            valueContent = `${value} ${unitDisplay || ''}`.trim();
-            tooltipValueContent = `${description} | ${valueContent}`;
-        }
-    } else if (type === 'conditions') {
-        // Conditions rely on date-only display; keep tooltip descriptive text
-        valueContent = '';
-        tooltipValueContent = description;
-    } else if (type === 'events') {
-        const cleanedDose = typeof dose === 'number'
-            ? dose.toString()
-            : (dose || '').toString().trim();
-        const cleanedRoute = (route || '').toString().trim();
-
-        const descriptionText = (description || '').toString().trim();
-        const matchesDescription = cleanedDose && descriptionText
-            && cleanedDose.toLowerCase() === descriptionText.toLowerCase();
-
-        const hasDose = cleanedDose !== ''
-            && cleanedDose.toLowerCase() !== 'nan'
-            && !matchesDescription;
-        const isPureNumericDose = hasDose && /^[0-9]+(?:\.[0-9]+)?$/.test(cleanedDose);
-
-        let unitDisplay = unit || '';
-        if (isPureNumericDose && !unitDisplay) {
-            unitDisplay = inferUnitFromCode(code.system, code.code) || '';
+    findCodingArrays(obj, path = '') {
+        const codingArrays = [];
+
+        if (obj && typeof obj === 'object') {
+            if (Array.isArray(obj)) {
+                // Check if this is a coding array
+                if (obj.length > 0 && obj[0].system && obj[0].code) {
+                    codingArrays.push(obj);
+                } else {
+                    // Recurse into array elements
+                    obj.forEach((item, index) => {
+                        codingArrays.push(...this.findCodingArrays(item, `${path}[${index}]`));
+                    });
+                }
+            } else {
+                // Recurse into object properties
+                Object.keys(obj).forEach(key => {
+                    if (key === 'coding' && Array.isArray(obj[key])) {
+                        codingArrays.push(obj[key]);
+                    } else {
+                        codingArrays.push(...this.findCodingArrays(obj[key], `${path}.${key}`));
+                    }
+                });
+            }
         }
 
-        const tooltipExtras = [];
-        const displayParts = [];
+        return codingArrays;
+    }
 
-        if (hasDose) {
-            const doseWithUnit = unitDisplay ? `${cleanedDose} ${unitDisplay}` : cleanedDose;
-            displayParts.push(doseWithUnit);
-            tooltipExtras.push(doseWithUnit);
-        }
+    getSystemKey(systemUrl) {
+        const systemMapping = {
+            'http://snomed.info/sct': 'sct',
+            'http://loinc.org': 'loinc',
+            'http://unitsofmeasure.org': 'ucum',
+            'http://terminology.hl7.org/CodeSystem/condition-clinical': 'hl7-condition',
+            'http://terminology.hl7.org/CodeSystem/condition-ver-status': 'hl7-verification',
+            'http://terminology.hl7.org/CodeSystem/observation-category': 'hl7-obs-cat'
+        };
+        return systemMapping[systemUrl] || 'unknown';
+    }
 
-        const isMeaningfulRoute = cleanedRoute && !/^manual(?:\b|\s)/i.test(cleanedRoute);
-        if (isMeaningfulRoute) {
-            displayParts.push(cleanedRoute);
-            tooltipExtras.push(cleanedRoute);
-        }
+    checkCoverage(payloadCodes) {
+        const covered = [];
+        const missing = [];
+        const systemStats = {};
+
+        payloadCodes.forEach(code => {
+            const [system] = code.split(':');
+            systemStats[system] = systemStats[system] || { total: 0, covered: 0 };
+            systemStats[system].total++;
+
+            if (this.db.clinical[code]) {
+                covered.push(code);
+                systemStats[system].covered++;
+            } else {
+                missing.push(code);
+            }
+        });
 
-        valueContent = displayParts.join(' • ');
+        const coverageRate = (covered.length / payloadCodes.length) * 100;
 
-        tooltipValueContent = [descriptionText, ...tooltipExtras]
-            .filter(Boolean)
-            .join(' | ') || descriptionText;
+        return {
+            success: missing.length === 0,
+            total: payloadCodes.length,
+            covered: covered.length,
+            missing: missing.length,
+            coverageRate: coverageRate,
+            missingCodes: missing,
+            systemStats: systemStats
+        };
     }
 
-    // Handle date display logic for MIST chronological rows
-    let dateDisplay = '';
-    let tooltipDateDisplay = '';
-
-    if (primaryTime) {
-        const currentDate = formatDateForComparison(primaryTime);
-        const fullDateTime = formatDateTimeWithBullet(primaryTime);
-        const timeOnly = formatTimeOnly(primaryTime);
-
-        // MIST logic: First pill in chronological row shows date, subsequent pills show time only
-        if (isFirstDisplayedInRow) {
-            dateDisplay = fullDateTime;
-            sectionDateTracker.lastDate = currentDate;
-            debugMIST('Pill showing FULL DATE', {
-                type: type,
-                description: description,
-                isFirstDisplayedInRow: isFirstDisplayedInRow,
-                dateDisplay: dateDisplay,
-                primaryTime: primaryTime
-            });
-        } else {
-            dateDisplay = timeOnly;
-            debugMIST('Pill showing TIME ONLY', {
-                type: type,
-                description: description,
-                isFirstDisplayedInRow: isFirstDisplayedInRow,
-                dateDisplay: dateDisplay,
-                primaryTime: primaryTime
+    reportResults(results) {
+        console.log('\n📋 TERMINOLOGY COVERAGE REPORT');
+        console.log('================================');
+        console.log(`📊 Total codes found: ${results.total}`);
+        console.log(`✅ Covered codes: ${results.covered}`);
+        console.log(`❌ Missing codes: ${results.missing}`);
+        console.log(`📈 Coverage rate: ${results.coverageRate.toFixed(1)}%`);
+
+        if (results.missing > 0) {
+            console.log('\n❌ MISSING CODES:');
+            results.missingCodes.forEach(code => {
+                console.log(`   - ${code}`);
             });
         }
 
-        tooltipDateDisplay = fullDateTime; // Tooltip always shows full date
-    } else {
-        // Handle data without timestamps: show "No Date" on first item only
-        if (rawData.noTimestamp && isFirstDisplayedInRow) {
-            dateDisplay = 'No Date';
-            tooltipDateDisplay = 'No timestamp available';
-            debugMIST('Pill showing NO DATE (first non-timestamped)', {
-                type: type,
-                description: description,
-                isFirstDisplayedInRow: isFirstDisplayedInRow,
-                dateDisplay: dateDisplay
-            });
+        console.log('\n📈 COVERAGE BY SYSTEM:');
+        Object.entries(results.systemStats).forEach(([system, stats]) => {
+            const rate = (stats.covered / stats.total) * 100;
+            console.log(`   ${system}: ${stats.covered}/${stats.total} (${rate.toFixed(1)}%)`);
+        });
+
+        if (results.success) {
+            console.log('\n🎉 VALIDATION PASSED: All payload codes have terminology definitions!');
         } else {
-            // No date display for subsequent non-timestamped items
-            debugMIST('Pill has NO TIMESTAMP (no display)', {
-                type: type,
-                description: description,
-                isFirstDisplayedInRow: isFirstDisplayedInRow,
-                time: time,
-                onset: onset
-            });
+            console.log('\n⚠️  VALIDATION FAILED: Some codes missing from terminology database');
         }
     }
 
-    // Assemble final value and tooltip
-    const valueParts = [valueContent, dateDisplay].filter(Boolean);
-    const finalValue = valueParts.join(' • ');
-
-
-    // Create tooltip with proper code prefix
-    const codePrefix = resolveCodePrefix(code.system);
-    const tooltipParts = [`${codePrefix}:${code.code}`, tooltipValueContent, tooltipDateDisplay].filter(Boolean);
-    const tooltip = tooltipParts.join(' | ');
-
-    // Resolve display name for label
-    const displayName = resolveCodeDisplay(code.system, code.code);
-    const typeLabel = type === 'vitals' ? 'Vitals' : type === 'conditions' ? 'Condition' : 'Event';
-    const label = `${typeLabel} • ${displayName}`;
-
-
-    return {
-        label,
-        value: finalValue,
-        tooltip,
-        rawData: {
-            description,
-            dose: dose || null,
-            dateTime: primaryTime,
-            code: `${code.system}:${code.code}`,
-            unit: unit || null,
-            route: route || null
-        }
-    };
-}
+    // API response format consistency validation
+    validateResponseFormat() {
+        console.log('🔍 TERMINOLOGY VALIDATION: Checking API response format consistency...');
 
-/**
- * Date of Birth Formatter
- * Purpose: Convert integer date format (YYYYMMDD) to ISO date string
- * Usage: Format patient birth dates from compressed numeric format
- *
- * @param {number|string} dob - Date of birth as 8-digit number (20240115)
- * @returns {string|undefined} - ISO date string ('2024-01-15') or undefined if invalid
- *
- * Example:
- *   formatDobValue(20240115) → '2024-01-15'
- *   formatDobValue(240115) → '0024-01-15' (zero-padded)
- */
-function formatDobValue(dob) {
-    if (dob === undefined || dob === null) return undefined;
-    const dobString = String(dob).padStart(8, '0');
-    const year = dobString.slice(0, 4);
-    const month = dobString.slice(4, 6);
-    const day = dobString.slice(6, 8);
-    return `${year}-${month}-${day}`;
-}
+        const errors = [];
+        const requiredFields = ['system', 'code', 'display', 'definition', 'status', 'version'];
 
-/**
- * NHS Number Formatter
- * Purpose: Format 10-digit NHS numbers with standard spacing (XXX XXX XXXX)
- * Usage: Display NHS numbers in patient information following UK conventions
- *
- * @param {string} nhsNumber - Unformatted NHS number (1234567890)
- * @returns {string} - Formatted NHS number ('123 456 7890') or original if invalid
- *
- * Example:
- *   formatNHSNumber('1234567890') → '123 456 7890'
- *   formatNHSNumber('invalid') → 'invalid'
- */
-function formatNHSNumber(nhsNumber) {
-    if (!nhsNumber || typeof nhsNumber !== 'string' || nhsNumber.length !== 10) {
-        return nhsNumber;
+        Object.entries(this.db.clinical).forEach(([key, value]) => {
+            requiredFields.forEach(field => {
+                if (!value[field]) {
+                    errors.push(`${key}: Missing required field '${field}'`);
+                }
+            });
+        });
+
+        if (errors.length === 0) {
+            console.log('✅ Response format validation PASSED');
+            return { success: true };
+        } else {
+            console.log('❌ Response format validation FAILED:');
+            errors.forEach(error => console.log(`   - ${error}`));
+            return { success: false, errors };
+        }
     }
-    return `${nhsNumber.substring(0, 3)} ${nhsNumber.substring(3, 6)} ${nhsNumber.substring(6, 10)}`;
 }
 
-/**
- * CodeRef Key Generator
- * Purpose: Generate consistent string keys for CodeRef objects in terminology lookups
- * Usage: Create hash keys for terminology caching and code resolution
- *
- * @param {Object} codeRef - CodeRef object with sys and code properties
- * @returns {string} - Key string ('system:code') or code only if no system
- *
- * Example:
- *   codeRefKey({sys: 'sct', code: '12345'}) → 'sct:12345'
- *   codeRefKey({code: '12345'}) → '12345'
- */
-function codeRefKey(codeRef) {
-    if (!codeRef) return '';
-    const system = codeRef.sys || '';
-    const code = codeRef.code || '';
-    return system ? `${system}:${code}` : code;
+// Global validator instance
+const terminologyValidator = new TerminologyValidator();
+
+// Auto-run validation on page load (for development)
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', () => {
+        // Run validation after a short delay to ensure everything is loaded
+        setTimeout(() => {
+            terminologyValidator.validatePayloadCoverage();
+            terminologyValidator.validateResponseFormat();
+        }, 1000);
+    });
 }
 
 /**
- * CodeRef Normalizer
- * Purpose: Standardize CodeRef objects with fallback handling for missing data
- * Usage: Ensure consistent CodeRef structure throughout the application
+ * Toast Message Display System
+ * Purpose: Show temporary notifications to users with auto-dismiss functionality
+ * Usage: Display success messages, errors, and information to users
  *
- * @param {Object} codeRef - Raw CodeRef object that might be incomplete
- * @param {number} fallbackIndex - Index number for fallback code generation
- * @returns {Object} - Normalized CodeRef with system, code, and ref properties
+ * @param {string} message - Message text to display
+ * @param {string} type - Message type ('info', 'success', 'error', 'warning')
  *
  * Example:
- *   normaliseCodeRef({sys: 'sct', code: '12345'}) → {system: 'sct', code: '12345', ref: 'sct:12345'}
- *   normaliseCodeRef(null, 1) → {system: '', code: 'Code #1', ref: 'Code #1'}
- */
-function normaliseCodeRef(codeRef, fallbackIndex) {
-    if (!codeRef) {
-        const fallback = fallbackIndex !== undefined ? `Code #${fallbackIndex}` : 'Unknown code';
-        return { system: '', code: fallback, ref: fallback };
-    }
-    const system = codeRef.sys || '';
-    const code = codeRef.code || '';
-    const ref = codeRefKey(codeRef) || (fallbackIndex !== undefined ? `Code #${fallbackIndex}` : 'Unknown code');
-    return { system, code, ref };
-}
-
-const genderCodeMap = {
-    'sct:248153007': 'male',
-    'sct:248152002': 'female',
-    'sct:337915000': 'other',
-    'sct:184115007': 'unknown'
-};
-
-// === TERMINOLOGY SERVICE ARCHITECTURE ===
-// Production-grade terminology server simulation matching external API patterns
-
-// Terminology Database - Simulates external terminology server responses
-// Phase 2: System enum mappings for 90% URL compression
-const SystemEnums = {
-    'http://snomed.info/sct': 1,                                          // SNOMED_CT
-    'http://loinc.org': 2,                                               // LOINC
-    'http://unitsofmeasure.org': 3,                                      // UCUM
-    'http://terminology.hl7.org/CodeSystem/condition-clinical': 4,        // HL7_CONDITION
-    'http://terminology.hl7.org/CodeSystem/condition-ver-status': 5,      // HL7_VERIFICATION
-    'http://terminology.hl7.org/CodeSystem/observation-category': 6,      // HL7_OBSERVATION
-    'urn:iso:std:iso:3166': 7,                                           // ISO_3166
-    'https://fhir.nhs.uk/Id/nhs-number': 8                              // NHS_IDENTIFIER
-};
-
-const StatusEnums = {
-    clinical: { 'active': 1, 'resolved': 2, 'inactive': 3, 'remission': 4 },
-    verification: { 'confirmed': 1, 'unconfirmed': 2, 'provisional': 3, 'differential': 4 },
-    category: { 'vital-signs': 1, 'laboratory': 2, 'survey': 3, 'social-history': 4 }
-};
-
-const terminologyDatabase = {
-    version: "2024.03.01",
-    lastUpdated: "2024-03-01T00:00:00Z",
-
-    // Clinical codes (enhanced with full API response structure)
-    clinical: {
-        // LOINC Vital Signs
-        'loinc:8310-5': {
-            system: 'http://loinc.org',
-            code: '8310-5',
-            display: 'Body temperature',
-            definition: 'Measurement of core body temperature',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:8867-4': {
-            system: 'http://loinc.org',
-            code: '8867-4',
-            display: 'Heart rate',
-            definition: 'Number of heart beats per minute',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:85354-9': {
-            system: 'http://loinc.org',
-            code: '85354-9',
-            display: 'Blood pressure',
-            definition: 'Systolic and diastolic blood pressure measurement',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:60591-5': {
-            system: 'http://loinc.org',
-            code: '60591-5',
-            display: 'Patient summary Document',
-            definition: 'International Patient Summary document',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:11450-4': {
-            system: 'http://loinc.org',
-            code: '11450-4',
-            display: 'Problem list',
-            definition: 'List of patient problems and diagnoses',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:8716-3': {
-            system: 'http://loinc.org',
-            code: '8716-3',
-            display: 'Vital signs',
-            definition: 'Patient vital signs measurements',
-            status: 'active',
-            version: '2.76'
-        },
-
-        // SNOMED CT Conditions
-        'sct:417163006': {
-            system: 'http://snomed.info/sct',
-            code: '417163006',
-            display: 'Traumatic injury',
-            definition: 'Physical damage to body tissues caused by external force',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:125605004': {
-            system: 'http://snomed.info/sct',
-            code: '125605004',
-            display: 'Fracture of bone',
-            definition: 'Break or crack in bone structure',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:217082002': {
-            system: 'http://snomed.info/sct',
-            code: '217082002',
-            display: 'Accidental explosion',
-            definition: 'Unintentional explosive event causing injury',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:386661006': {
-            system: 'http://snomed.info/sct',
-            code: '386661006',
-            display: 'Fever',
-            definition: 'Elevated body temperature above normal range',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:387207008': {
-            system: 'http://snomed.info/sct',
-            code: '387207008',
-            display: 'Morphine',
-            definition: 'Opioid analgesic medication',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:278152006': {
-            system: 'http://snomed.info/sct',
-            code: '278152006',
-            display: 'Blood group A Rh(D) negative (A-)',
-            definition: 'ABO blood group A with Rh negative',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:47625008': {
-            system: 'http://snomed.info/sct',
-            code: '47625008',
-            display: 'Intravenous route',
-            definition: 'Administration via intravenous route',
-            status: 'active',
-            version: '20240301'
-        },
-
-        // Additional LOINC Codes
-        'loinc:10160-0': {
-            system: 'http://loinc.org',
-            code: '10160-0',
-            display: 'History of Medication use Narrative',
-            definition: 'Narrative description of patient medication history',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:8480-6': {
-            system: 'http://loinc.org',
-            code: '8480-6',
-            display: 'Systolic blood pressure',
-            definition: 'Systolic arterial blood pressure measurement',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:8462-4': {
-            system: 'http://loinc.org',
-            code: '8462-4',
-            display: 'Diastolic blood pressure',
-            definition: 'Diastolic arterial blood pressure measurement',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:9279-1': {
-            system: 'http://loinc.org',
-            code: '9279-1',
-            display: 'Respiratory rate',
-            definition: 'Number of breaths per minute',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:2708-6': {
-            system: 'http://loinc.org',
-            code: '2708-6',
-            display: 'Oxygen saturation',
-            definition: 'Percentage of oxygen saturation in arterial blood',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:718-7': {
-            system: 'http://loinc.org',
-            code: '718-7',
-            display: 'Hemoglobin',
-            definition: 'Hemoglobin concentration in blood',
-            status: 'active',
-            version: '2.76'
-        },
-        'loinc:33747-0': {
-            system: 'http://loinc.org',
-            code: '33747-0',
-            display: 'pH of Blood',
-            definition: 'Acidity/alkalinity measurement of blood pH',
-            status: 'active',
-            version: '2.76'
-        },
-
-        // Additional SNOMED CT Condition Codes
-        'sct:125670008': {
-            system: 'http://snomed.info/sct',
-            code: '125670008',
-            display: 'Foreign body',
-            definition: 'Object present in body tissue where it does not belong',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:271594007': {
-            system: 'http://snomed.info/sct',
-            code: '271594007',
-            display: 'Syncope',
-            definition: 'Temporary loss of consciousness due to reduced blood flow to brain',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:267036007': {
-            system: 'http://snomed.info/sct',
-            code: '267036007',
-            display: 'Dyspnea',
-            definition: 'Difficulty breathing or shortness of breath',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:422587007': {
-            system: 'http://snomed.info/sct',
-            code: '422587007',
-            display: 'Nausea',
-            definition: 'Feeling of discomfort in stomach with urge to vomit',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:302866003': {
-            system: 'http://snomed.info/sct',
-            code: '302866003',
-            display: 'Hypotension',
-            definition: 'Low blood pressure below normal range',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:84229001': {
-            system: 'http://snomed.info/sct',
-            code: '84229001',
-            display: 'Fatigue',
-            definition: 'State of physical or mental exhaustion',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:423902002': {
-            system: 'http://snomed.info/sct',
-            code: '423902002',
-            display: 'Nausea and vomiting',
-            definition: 'Combined symptoms of nausea with actual vomiting',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:128045006': {
-            system: 'http://snomed.info/sct',
-            code: '128045006',
-            display: 'Cellulitis',
-            definition: 'Bacterial infection of skin and soft tissue',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:225566008': {
-            system: 'http://snomed.info/sct',
-            code: '225566008',
-            display: 'Aching pain',
-            definition: 'Continuous dull pain sensation',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:62914000': {
-            system: 'http://snomed.info/sct',
-            code: '62914000',
-            display: 'Edema',
-            definition: 'Swelling due to fluid accumulation in tissues',
-            status: 'active',
-            version: '20240301'
-        },
-
-        // SNOMED CT Procedure Codes
-        'sct:387713003': {
-            system: 'http://snomed.info/sct',
-            code: '387713003',
-            display: 'Surgical procedure',
-            definition: 'Medical intervention involving operative technique',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:182856006': {
-            system: 'http://snomed.info/sct',
-            code: '182856006',
-            display: 'Hemostatic procedure',
-            definition: 'Medical procedure to control or stop bleeding',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:225358003': {
-            system: 'http://snomed.info/sct',
-            code: '225358003',
-            display: 'Wound care management',
-            definition: 'Clinical care and treatment of wounds',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:385763009': {
-            system: 'http://snomed.info/sct',
-            code: '385763009',
-            display: 'Tourniquet procedure',
-            definition: 'Application of compressive device to control bleeding',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:61685007': {
-            system: 'http://snomed.info/sct',
-            code: '61685007',
-            display: 'Left lower limb structure',
-            definition: 'Anatomical structure of the left leg',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:17629007': {
-            system: 'http://snomed.info/sct',
-            code: '17629007',
-            display: 'Transfer of patient',
-            definition: 'Movement of patient from one care location to another',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:71181003': {
-            system: 'http://snomed.info/sct',
-            code: '71181003',
-            display: 'Monitoring',
-            definition: 'Continuous observation and measurement of patient status',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:18629005': {
-            system: 'http://snomed.info/sct',
-            code: '18629005',
-            display: 'Ultrasound',
-            definition: 'Diagnostic imaging using high-frequency sound waves',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:71388002': {
-            system: 'http://snomed.info/sct',
-            code: '71388002',
-            display: 'CT scan',
-            definition: 'Computed tomography imaging procedure',
-            status: 'active',
-            version: '20240301'
-        },
-
-        // SNOMED CT Medication Codes
-        'sct:387562000': {
-            system: 'http://snomed.info/sct',
-            code: '387562000',
-            display: 'Amoxicillin',
-            definition: 'Beta-lactam antibiotic medication',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:432102000': {
-            system: 'http://snomed.info/sct',
-            code: '432102000',
-            display: 'Normal saline',
-            definition: '0.9% sodium chloride solution for injection',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:387494007': {
-            system: 'http://snomed.info/sct',
-            code: '387494007',
-            display: 'Ibuprofen',
-            definition: 'Nonsteroidal anti-inflammatory drug (NSAID)',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:387467008': {
-            system: 'http://snomed.info/sct',
-            code: '387467008',
-            display: 'Tramadol',
-            definition: 'Opioid analgesic medication for pain management',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:372687004': {
-            system: 'http://snomed.info/sct',
-            code: '372687004',
-            display: 'Amoxicillin',
-            definition: 'Beta-lactam antibiotic medication (alternative code)',
-            status: 'active',
-            version: '20240301'
-        },
-        'sct:108761006': {
-            system: 'http://snomed.info/sct',
-            code: '108761006',
-            display: 'Epinephrine',
-            definition: 'Hormone and medication used in emergency situations',
-            status: 'active',
-            version: '20240301'
-        },
-
-        // SNOMED CT Route Codes
-        'sct:26643006': {
-            system: 'http://snomed.info/sct',
-            code: '26643006',
-            display: 'Oral route',
-            definition: 'Administration of medication by mouth',
-            status: 'active',
-            version: '20240301'
-        }
-    },
-
-    // System URLs (Phase 2 - High compression impact)
-    systems: {
-        'http://snomed.info/sct': { id: 1, short: 'sct', name: 'SNOMED CT International' },
-        'http://loinc.org': { id: 2, short: 'loinc', name: 'Logical Observation Identifiers Names and Codes' },
-        'http://unitsofmeasure.org': { id: 3, short: 'ucum', name: 'Unified Code for Units of Measure' },
-        'http://terminology.hl7.org/CodeSystem/condition-clinical': { id: 4, short: 'hl7-condition', name: 'HL7 Condition Clinical Status' },
-        'http://terminology.hl7.org/CodeSystem/condition-ver-status': { id: 5, short: 'hl7-verification', name: 'HL7 Condition Verification Status' },
-        'http://terminology.hl7.org/CodeSystem/observation-category': { id: 6, short: 'hl7-obs-cat', name: 'HL7 Observation Category' }
-    },
-
-    // Status codes (Phase 2 - 95% compression potential)
-    status: {
-        'http://terminology.hl7.org/CodeSystem/condition-clinical': {
-            'active': { id: 0, display: 'Active', definition: 'The condition is active and ongoing' },
-            'resolved': { id: 1, display: 'Resolved', definition: 'The condition has been resolved' },
-            'inactive': { id: 2, display: 'Inactive', definition: 'The condition is inactive' }
-        },
-        'http://terminology.hl7.org/CodeSystem/condition-ver-status': {
-            'confirmed': { id: 0, display: 'Confirmed', definition: 'Condition has been confirmed' },
-            'unconfirmed': { id: 1, display: 'Unconfirmed', definition: 'Condition has not been confirmed' },
-            'provisional': { id: 2, display: 'Provisional', definition: 'Condition is provisionally diagnosed' }
-        },
-        'http://terminology.hl7.org/CodeSystem/observation-category': {
-            'vital-signs': { id: 0, display: 'Vital Signs', definition: 'Clinical measurements of vital signs' },
-            'laboratory': { id: 1, display: 'Laboratory', definition: 'Laboratory test results' },
-            'survey': { id: 2, display: 'Survey', definition: 'Survey or questionnaire responses' }
-        }
-    },
-
-    // Units of measure (Phase 2 - UCUM codes)
-    units: {
-        'Cel': { system: 'ucum', display: '°C', name: 'degree Celsius' },
-        '[degF]': { system: 'ucum', display: '°F', name: 'degree Fahrenheit' },
-        'mm[Hg]': { system: 'ucum', display: 'mmHg', name: 'millimeter of mercury' },
-        '/min': { system: 'ucum', display: '/min', name: 'per minute' },
-        'mg': { system: 'ucum', display: 'mg', name: 'milligram' },
-        'mL': { system: 'ucum', display: 'mL', name: 'milliliter' }
-    }
-};
-
-// Terminology Service - Simulates external API calls
-class TerminologyService {
-    constructor(database = terminologyDatabase) {
-        this.db = database;
-        this.isOnline = false; // Simulate external API availability
-        this.simulationDelay = 25; // ms - realistic network delay
-    }
-
-    async lookup(system, code) {
-        await this.simulateNetworkDelay();
-
-        const systemKey = this.getSystemKey(system);
-        const key = `${systemKey}:${code}`;
-        const result = this.db.clinical[key];
-
-        if (!result) {
-            throw new TerminologyNotFoundError(system, code);
-        }
-
-        return this.formatAPIResponse(result);
-    }
-
-    async validate(system, code) {
-        await this.simulateNetworkDelay();
-
-        const systemKey = this.getSystemKey(system);
-        const key = `${systemKey}:${code}`;
-        return { valid: !!this.db.clinical[key] };
-    }
-
-    async resolveSystem(systemUrl) {
-        await this.simulateNetworkDelay();
-        return this.db.systems[systemUrl] || null;
-    }
-
-    async resolveStatus(systemUrl, code) {
-        await this.simulateNetworkDelay();
-        return this.db.status[systemUrl]?.[code] || null;
-    }
-
-    getSystemKey(systemUrl) {
-        const systemInfo = this.db.systems[systemUrl];
-        return systemInfo?.short || 'unknown';
-    }
-
-    formatAPIResponse(termData) {
-        return {
-            resourceType: 'Parameters',
-            parameter: [{
-                name: 'result',
-                valueBoolean: true
-            }, {
-                name: 'display',
-                valueString: termData.display
-            }, {
-                name: 'definition',
-                valueString: termData.definition
-            }, {
-                name: 'version',
-                valueString: termData.version
-            }]
-        };
-    }
-
-    simulateNetworkDelay() {
-        return new Promise(resolve =>
-            setTimeout(resolve, this.isOnline ? this.simulationDelay : 0)
-        );
-    }
-}
-
-// Custom error for terminology resolution failures
-class TerminologyNotFoundError extends Error {
-    constructor(system, code) {
-        super(`Terminology not found: ${system}|${code}`);
-        this.name = 'TerminologyNotFoundError';
-        this.system = system;
-        this.code = code;
-    }
-}
-
-// Global terminology service instance
-const terminologyService = new TerminologyService();
-
-// Legacy compatibility functions
-const medicalCodeMap = {};
-Object.entries(terminologyDatabase.clinical).forEach(([key, value]) => {
-    medicalCodeMap[key] = value.display;
-});
-
-// === QUALITY ASSURANCE SYSTEM ===
-// Terminology validation and coverage testing
-
-class TerminologyValidator {
-    constructor(database = terminologyDatabase) {
-        this.db = database;
-        this.payloadUrl = DEMO_PAYLOADS.PAYLOAD_1;
-    }
-
-    async validatePayloadCoverage() {
-        console.log('🔍 TERMINOLOGY VALIDATION: Starting payload coverage check...');
-
-        try {
-            // Extract all codes from payload-1.json
-            const payloadCodes = await this.extractCodesFromPayload();
-            console.log(`📊 Found ${payloadCodes.length} unique codes in payload`);
-
-            // Check coverage
-            const results = this.checkCoverage(payloadCodes);
-
-            // Report results
-            this.reportResults(results);
-
-            return results;
-        } catch (error) {
-            console.error('❌ Terminology validation failed:', error);
-            return { success: false, error: error.message };
-        }
-    }
-
-    async extractCodesFromPayload() {
-        const response = await fetch(this.payloadUrl);
-        const payload = await response.json();
-        const codes = new Set();
-
-        // Extract codes from all FHIR resources
-        const entries = payload.entry || [];
-        entries.forEach(entry => {
-            if (entry.resource) {
-                this.extractCodesFromResource(entry.resource, codes);
-            }
-        });
-
-        return Array.from(codes);
-    }
-
-    extractCodesFromResource(resource, codes) {
-        // Extract from coding arrays
-        this.findCodingArrays(resource).forEach(coding => {
-            coding.forEach(code => {
-                if (code.system && code.code) {
-                    const systemKey = this.getSystemKey(code.system);
-                    codes.add(`${systemKey}:${code.code}`);
-                }
-            });
-        });
-    }
-
-    findCodingArrays(obj, path = '') {
-        const codingArrays = [];
-
-        if (obj && typeof obj === 'object') {
-            if (Array.isArray(obj)) {
-                // Check if this is a coding array
-                if (obj.length > 0 && obj[0].system && obj[0].code) {
-                    codingArrays.push(obj);
-                } else {
-                    // Recurse into array elements
-                    obj.forEach((item, index) => {
-                        codingArrays.push(...this.findCodingArrays(item, `${path}[${index}]`));
-                    });
-                }
-            } else {
-                // Recurse into object properties
-                Object.keys(obj).forEach(key => {
-                    if (key === 'coding' && Array.isArray(obj[key])) {
-                        codingArrays.push(obj[key]);
-                    } else {
-                        codingArrays.push(...this.findCodingArrays(obj[key], `${path}.${key}`));
-                    }
-                });
-            }
-        }
-
-        return codingArrays;
-    }
-
-    getSystemKey(systemUrl) {
-        const systemMapping = {
-            'http://snomed.info/sct': 'sct',
-            'http://loinc.org': 'loinc',
-            'http://unitsofmeasure.org': 'ucum',
-            'http://terminology.hl7.org/CodeSystem/condition-clinical': 'hl7-condition',
-            'http://terminology.hl7.org/CodeSystem/condition-ver-status': 'hl7-verification',
-            'http://terminology.hl7.org/CodeSystem/observation-category': 'hl7-obs-cat'
-        };
-        return systemMapping[systemUrl] || 'unknown';
-    }
-
-    checkCoverage(payloadCodes) {
-        const covered = [];
-        const missing = [];
-        const systemStats = {};
-
-        payloadCodes.forEach(code => {
-            const [system] = code.split(':');
-            systemStats[system] = systemStats[system] || { total: 0, covered: 0 };
-            systemStats[system].total++;
-
-            if (this.db.clinical[code]) {
-                covered.push(code);
-                systemStats[system].covered++;
-            } else {
-                missing.push(code);
-            }
-        });
-
-        const coverageRate = (covered.length / payloadCodes.length) * 100;
-
-        return {
-            success: missing.length === 0,
-            total: payloadCodes.length,
-            covered: covered.length,
-            missing: missing.length,
-            coverageRate: coverageRate,
-            missingCodes: missing,
-            systemStats: systemStats
-        };
-    }
-
-    reportResults(results) {
-        console.log('\n📋 TERMINOLOGY COVERAGE REPORT');
-        console.log('================================');
-        console.log(`📊 Total codes found: ${results.total}`);
-        console.log(`✅ Covered codes: ${results.covered}`);
-        console.log(`❌ Missing codes: ${results.missing}`);
-        console.log(`📈 Coverage rate: ${results.coverageRate.toFixed(1)}%`);
-
-        if (results.missing > 0) {
-            console.log('\n❌ MISSING CODES:');
-            results.missingCodes.forEach(code => {
-                console.log(`   - ${code}`);
-            });
-        }
-
-        console.log('\n📈 COVERAGE BY SYSTEM:');
-        Object.entries(results.systemStats).forEach(([system, stats]) => {
-            const rate = (stats.covered / stats.total) * 100;
-            console.log(`   ${system}: ${stats.covered}/${stats.total} (${rate.toFixed(1)}%)`);
-        });
-
-        if (results.success) {
-            console.log('\n🎉 VALIDATION PASSED: All payload codes have terminology definitions!');
-        } else {
-            console.log('\n⚠️  VALIDATION FAILED: Some codes missing from terminology database');
-        }
-    }
-
-    // API response format consistency validation
-    validateResponseFormat() {
-        console.log('🔍 TERMINOLOGY VALIDATION: Checking API response format consistency...');
-
-        const errors = [];
-        const requiredFields = ['system', 'code', 'display', 'definition', 'status', 'version'];
-
-        Object.entries(this.db.clinical).forEach(([key, value]) => {
-            requiredFields.forEach(field => {
-                if (!value[field]) {
-                    errors.push(`${key}: Missing required field '${field}'`);
-                }
-            });
-        });
-
-        if (errors.length === 0) {
-            console.log('✅ Response format validation PASSED');
-            return { success: true };
-        } else {
-            console.log('❌ Response format validation FAILED:');
-            errors.forEach(error => console.log(`   - ${error}`));
-            return { success: false, errors };
-        }
-    }
-}
-
-// Global validator instance
-const terminologyValidator = new TerminologyValidator();
-
-// Auto-run validation on page load (for development)
-if (typeof window !== 'undefined') {
-    window.addEventListener('load', () => {
-        // Run validation after a short delay to ensure everything is loaded
-        setTimeout(() => {
-            terminologyValidator.validatePayloadCoverage();
-            terminologyValidator.validateResponseFormat();
-        }, 1000);
-    });
-}
-
-/**
- * Medical Code Display Resolver
- * Purpose: Resolve medical codes to human-readable display names
- * Usage: Convert medical terminology codes to descriptive text for UI display
- *
- * @param {string} system - Terminology system identifier
- * @param {string} code - Medical code to resolve
- * @returns {string} - Display name or original code if not found
- *
- * Example:
- *   resolveCodeDisplay('sct', '386661006') → 'Fever'
- *   resolveCodeDisplay('loinc', '8480-6') → 'Systolic blood pressure'
- */
-function resolveCodeDisplay(system, code) {
-    const key = `${system}:${code}`;
-    return medicalCodeMap[key] || code;
-}
-
-/**
- * Gender Code Mapper
- * Purpose: Convert SNOMED CT gender codes to standardized gender values
- * Usage: Normalize gender representation across different data sources
- *
- * @param {Object} codeRef - CodeRef object containing gender code
- * @returns {string} - Standardized gender ('male', 'female', 'other', 'unknown')
- *
- * Example:
- *   mapGenderFromCodeRef({sys: 'sct', code: '248153007'}) → 'male'
- *   mapGenderFromCodeRef({sys: 'sct', code: '248152002'}) → 'female'
- */
-function mapGenderFromCodeRef(codeRef) {
-    const key = codeRefKey(codeRef);
-    if (!key) return 'unknown';
-    return genderCodeMap[key] || 'unknown';
-}
-
-/**
- * Toast Message Display System
- * Purpose: Show temporary notifications to users with auto-dismiss functionality
- * Usage: Display success messages, errors, and information to users
- *
- * @param {string} message - Message text to display
- * @param {string} type - Message type ('info', 'success', 'error', 'warning')
- *
- * Example:
- *   showMessage('Payload decoded successfully', 'success')
- *   showMessage('Failed to parse data', 'error')
+ *   showMessage('Payload decoded successfully', 'success')
+ *   showMessage('Failed to parse data', 'error')
  */
 function showMessage(message, type = 'info') {
     const toastContainer = document.getElementById('toast-container');
-    if (!toastContainer) return;
-
-    // Clear any existing toasts
-    toastContainer.innerHTML = '';
-
-    // Create new toast message
-    const toast = document.createElement('div');
-    toast.className = `toast-message ${type}`;
-    toast.textContent = message;
-
-    // Add to container
-    toastContainer.appendChild(toast);
-
-    // Auto-remove after animation completes (3 seconds total)
-    setTimeout(() => {
-        if (toast.parentNode === toastContainer) {
-            toastContainer.removeChild(toast);
-        }
-    }, 3000);
-}
-
-/**
- * Async JSON Fetcher
- * Purpose: Safely fetch JSON data from URLs with error handling
- * Usage: Load demo payloads and external data sources
- *
- * @param {string} url - URL to fetch JSON from
- * @returns {Promise<Object|null>} - Parsed JSON object or null if fetch fails
- *
- * Example:
- *   const data = await fetchJson('payload-1.json')
- *   if (data) { processPayload(data) }
- */
-async function fetchJson(url) {
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.json();
-    } catch (error) {
-        console.error(`Error fetching JSON from ${url}:`, error);
-        return null;
-    }
-}
-
-/**
- * Safe deep cloning that preserves large strings and avoids JSON.parse(JSON.stringify()) corruption
- * Uses structuredClone when available, falls back to manual cloning for large objects
- */
-// --- CODEC PIPELINE ---
-
-const codecPipeline = (() => {
-    const PROTO_URL = RESOURCES.NFC_PAYLOAD_PROTO;
-    const LEGACY_PROTO_URL = RESOURCES.NFC_PAYLOAD_LEGACY_PROTO;
-
-    let payloadTypePromise = null;
-    let legacyPayloadTypePromise = null;
-
-    function ensurePayloadType() {
-        if (!payloadTypePromise) {
-            payloadTypePromise = fetch(PROTO_URL)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error(`Unable to load Proto schema (${response.status})`);
-                    }
-                    return response.text();
-                })
-                .then(protoText => {
-                    const root = protobuf.parse(protoText).root;
-                    const type = root.lookupType('medis.nfc.NFCPayload');
-                    if (!type) {
-                        throw new Error('NFCPayload type not found in Proto schema.');
-                    }
-                    return type;
-                })
-                .catch(error => {
-                    payloadTypePromise = null;
-                    throw error;
-                });
-        }
-        return payloadTypePromise;
-    }
-
-    function ensureLegacyPayloadType() {
-        if (!legacyPayloadTypePromise) {
-            legacyPayloadTypePromise = fetch(LEGACY_PROTO_URL)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error(`Unable to load legacy Proto schema (${response.status})`);
-                    }
-                    return response.text();
-                })
-                .then(protoText => {
-                    const root = protobuf.parse(protoText).root;
-                    const type = root.lookupType('medis.nfc.NFCPayload');
-                    if (!type) {
-                        throw new Error('Legacy NFCPayload type not found in Proto schema.');
-                    }
-                    return type;
-                })
-                .catch(error => {
-                    legacyPayloadTypePromise = null;
-                    throw error;
-                });
-        }
-        return legacyPayloadTypePromise;
-    }
-
-    function attemptInflations(bytes) {
-        const results = [];
-        try {
-            const inflated = pako.inflate(bytes);
-            results.push(inflated);
-        } catch (inflateError) {
-            try {
-                const inflatedRaw = pako.inflateRaw(bytes);
-                results.push(inflatedRaw);
-            } catch (inflateRawError) {
-                // Ignore – we'll rely on raw bytes below.
-            }
-        }
-        results.push(bytes);
-        return results;
-    }
-
-    function decodeWith(payloadType, buffer, options = {}) {
-        const message = payloadType.decode(buffer);
-        console.log('=== DECODE DEBUG ===');
-        console.log('Decoded protobuf message:', message);
-        console.log('Message patient:', message.patient);
-        console.log('🔍 DECODE DEBUG: Checking for original_bundle_json field in protobuf message');
-        console.log('🔍 DECODE DEBUG: message.original_bundle_json exists:', !!message.original_bundle_json);
-        console.log('🔍 DECODE DEBUG: message.originalBundleJson exists:', !!message.originalBundleJson);
-        console.log('🔍 DECODE DEBUG: message.original_bundle_json length:', message.original_bundle_json?.length);
-        console.log('🔍 DECODE DEBUG: message.originalBundleJson length:', message.originalBundleJson?.length);
-        console.log('CRITICAL DEBUG - Decoded message patient fields (checking both naming conventions):');
-        console.log('  CAMELCASE - bloodGroup:', message.patient?.bloodGroup);
-        console.log('  CAMELCASE - nhsId:', message.patient?.nhsId);
-        console.log('  CAMELCASE - serviceId:', message.patient?.serviceId);
-        console.log('  SNAKE_CASE - blood_group:', message.patient?.blood_group);
-        console.log('  SNAKE_CASE - nhs_id:', message.patient?.nhs_id);
-        console.log('  SNAKE_CASE - service_id:', message.patient?.service_id);
-        console.log('CRITICAL DEBUG - Direct protobuf message access:');
-        console.log('  Raw message.patient object:', message.patient);
-        console.log('  All patient keys:', Object.keys(message.patient || {}));
-
-        // First convert without defaults to preserve actual CodeRef values
-        const object = payloadType.toObject(message, {
-            longs: Number,
-            enums: String,
-            defaults: false,  // Don't include defaults to avoid overriding actual values
-            oneofs: true
-        });
-
-        // Check if CodeRef fields exist in the raw message before toObject conversion
-        console.log('CRITICAL DEBUG - Raw message CodeRef fields before toObject:');
-        if (message.patient) {
-            console.log('PROTOBUF DECODING - Raw message.patient keys:', Object.keys(message.patient));
-            // Access fields using both snake_case and camelCase to see what exists
-            console.log('  Raw message.patient.blood_group:', message.patient.blood_group);
-            console.log('  Raw message.patient.bloodGroup:', message.patient.bloodGroup);
-            console.log('  Raw message.patient.nhs_id:', message.patient.nhs_id);
-            console.log('  Raw message.patient.nhsId:', message.patient.nhsId);
-            console.log('  Raw message.patient.service_id:', message.patient.service_id);
-            console.log('  Raw message.patient.serviceId:', message.patient.serviceId);
-
-            // If CodeRef fields exist in raw message but are null in object, manually copy them
-            if (message.patient.blood_group && !object.patient?.blood_group) {
-                console.log('Manually fixing blood_group from raw message');
-                object.patient = object.patient || {};
-                object.patient.blood_group = message.patient.blood_group;
-            }
-            if (message.patient.nhs_id && !object.patient?.nhs_id) {
-                console.log('Manually fixing nhs_id from raw message');
-                object.patient = object.patient || {};
-                object.patient.nhs_id = message.patient.nhs_id;
-            }
-            if (message.patient.service_id && !object.patient?.service_id) {
-                console.log('Manually fixing service_id from raw message');
-                object.patient = object.patient || {};
-                object.patient.service_id = message.patient.service_id;
-            }
-        }
-
-        // 🚨 CRITICAL FIX: Preserve original_bundle_json field if it exists in the protobuf message
-        const originalBundle = message.original_bundle_json || message.originalBundleJson;
-        if (originalBundle && !object.original_bundle_json && !object.originalBundleJson) {
-            console.log('🚨 DECODE FIX: Manually preserving original_bundle_json from protobuf message');
-            console.log('🚨 DECODE FIX: Found field as:', message.original_bundle_json ? 'original_bundle_json' : 'originalBundleJson');
-            console.log('🚨 DECODE FIX: original bundle length:', originalBundle.length);
-            object.originalBundleJson = originalBundle;
-        }
-
-        console.log('Converted to object:', object);
-        console.log('Object patient:', object.patient);
-        console.log('🔍 DECODE DEBUG: Final object.original_bundle_json exists:', !!object.original_bundle_json);
-
-        // Convert camelCase back to snake_case for consistency
-        const normalizedObject = convertFromProtobufNaming(object);
-        console.log('Normalized patient fields:', normalizedObject.patient);
-        console.log('🔍 DECODE DEBUG: Final normalizedObject.original_bundle_json exists:', !!normalizedObject.original_bundle_json);
-        console.log('🔍 DECODE DEBUG: Final normalizedObject.original_bundle_json length:', normalizedObject.original_bundle_json?.length);
-
-        console.log('CRITICAL DEBUG - Object patient fields (checking both naming conventions):');
-        console.log('  CAMELCASE - bloodGroup:', object.patient?.bloodGroup);
-        console.log('  CAMELCASE - nhsId:', object.patient?.nhsId);
-        console.log('  CAMELCASE - serviceId:', object.patient?.serviceId);
-        console.log('  SNAKE_CASE - blood_group:', object.patient?.blood_group);
-        console.log('  SNAKE_CASE - nhs_id:', object.patient?.nhs_id);
-        console.log('  SNAKE_CASE - service_id:', object.patient?.service_id);
-        if (options.schemaVersion) {
-            Object.defineProperty(object, '__schemaVersion', {
-                value: options.schemaVersion,
-                enumerable: false
-            });
-        }
-        return normalizedObject;
-    }
-
-    async function tryDecode(payloadType, buffers, schemaVersion) {
-        for (let i = 0; i < buffers.length; i += 1) {
-            const buffer = buffers[i];
-            try {
-                return decodeWith(payloadType, buffer, { schemaVersion });
-            } catch (error) {
-                // Try next buffer.
-            }
-        }
-        return null;
-    }
-
-    async function decodeFragment(fragment) {
-        const bytes = base64ToUint8Array(fragment);
-        if (!bytes) {
-            throw new Error('Fragment is not valid Base64URL data.');
-        }
-
-        const buffers = attemptInflations(bytes);
-
-        const payloadType = await ensurePayloadType();
-        const coderefResult = await tryDecode(payloadType, buffers, 'coderef');
-        if (coderefResult) {
-            return { data: coderefResult, schemaVersion: 'coderef' };
-        }
-
-        const legacyPayloadType = await ensureLegacyPayloadType();
-        const legacyResult = await tryDecode(legacyPayloadType, buffers, 'legacy');
-        if (legacyResult) {
-            return { data: legacyResult, schemaVersion: 'legacy' };
-        }
-
-        throw new Error('Unable to decode NFC payload fragment.');
-    }
-
-    function convertFhirToCodeRef(fhirPayload) {
-        console.log('=== FHIR BUNDLE CONVERSION START ===');
-        console.log('Input payload type:', fhirPayload.resourceType);
-        console.log('resourceType check:', fhirPayload.resourceType === 'Bundle');
-
-        // Handle case where payload is just a FHIR Patient resource
-        if (fhirPayload.resourceType === 'Patient') {
-            console.log('Detected single FHIR Patient resource');
-            fhirPayload = { patient: fhirPayload };
-        }
-
-        // Handle FHIR Bundle (IPS format)
-        if (fhirPayload.resourceType === 'Bundle') {
-            console.log('Detected FHIR Bundle - calling convertFhirBundleToCodeRef');
-            return convertFhirBundleToCodeRef(fhirPayload);
-        }
-
-        console.log('No FHIR format detected, continuing with standard conversion');
-
-        if (!fhirPayload.patient) return fhirPayload;
-
-        const converted = safeDeepClone(fhirPayload); // Safe deep copy preserving large strings
-        const patient = converted.patient;
-
-        // Convert FHIR identifiers to CodeRef format
-        if (patient.identifier) {
-            patient.identifier.forEach(identifier => {
-                if (identifier.type?.coding?.[0]?.code === 'NH') {
-                    // NHS Number
-                    patient.nhs_id = {
-                        sys: 'nhs',
-                        code: identifier.value
-                    };
-                } else if (identifier.type?.coding?.[0]?.code === 'MIL') {
-                    // Service Number
-                    patient.service_id = {
-                        sys: 'mil',
-                        code: identifier.value
-                    };
-                }
-            });
-        }
-
-        // Convert FHIR gender to CodeRef
-        if (patient.gender) {
-            const genderMap = {
-                'male': { sys: 'sct', code: '248153007' },
-                'female': { sys: 'sct', code: '248152002' }
-            };
-            patient.gender = genderMap[patient.gender] || patient.gender;
-        }
-
-        // Extract blood group from patient extensions
-        if (patient.extension) {
-            const bloodGroupExt = patient.extension.find(ext =>
-                ext.url === FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP
-            );
-            if (bloodGroupExt?.valueCodeableConcept?.coding?.[0]) {
-                const coding = bloodGroupExt.valueCodeableConcept.coding[0];
-                patient.blood_group = {
-                    sys: 'sct',
-                    code: coding.code
-                };
-            }
-        }
-
-        // Add blood group fallback
-        if (!patient.blood_group) {
-            patient.blood_group = { sys: 'sct', code: '278152006' }; // A- blood group
-        }
-
-        console.log('=== FHIR TO CODEREF CONVERSION ===');
-        console.log('Converted patient:', patient);
-        console.log('CodeRef fields:');
-        console.log('  blood_group:', patient.blood_group);
-        console.log('  nhs_id:', patient.nhs_id);
-        console.log('  service_id:', patient.service_id);
-        console.log('  gender:', patient.gender);
-
-        return converted;
-    }
-
-    function convertFhirBundleToCodeRef(bundle) {
-        console.log('Converting FHIR Bundle to CodeRef format');
-
-        // Find patient resource
-        const patientEntry = bundle.entry?.find(entry =>
-            entry.resource?.resourceType === 'Patient'
-        );
-
-        if (!patientEntry) {
-            throw new Error('No Patient resource found in FHIR Bundle');
-        }
-
-        const patient = patientEntry.resource;
-        console.log('Found patient:', patient.name?.[0]);
-
-        // Convert patient demographics
-        const convertedPatient = {
-            given: patient.name?.[0]?.given?.[0] || '',
-            family: patient.name?.[0]?.family || '',
-            rank: patient.name?.[0]?.prefix?.[0] || '',
-            title: 'Mr', // Default title
-            nationality: 'UK', // From extension if available
-            dob: patient.birthDate || ''
-        };
-
-        // Convert identifiers
-        console.log('Processing patient identifiers:', patient.identifier);
-        if (patient.identifier) {
-            patient.identifier.forEach(identifier => {
-                console.log('Processing identifier:', identifier);
-                console.log('  type.coding[0].code:', identifier.type?.coding?.[0]?.code);
-                console.log('  value:', identifier.value);
-                if (identifier.type?.coding?.[0]?.code === 'NH') {
-                    convertedPatient.nhs_id = { sys: 'nhs', code: identifier.value };
-                    console.log('  Set nhs_id:', convertedPatient.nhs_id);
-                } else if (identifier.type?.coding?.[0]?.code === 'MIL') {
-                    convertedPatient.service_id = { sys: 'mil', code: identifier.value };
-                    console.log('  Set service_id:', convertedPatient.service_id);
-                }
-            });
-        }
-        console.log('Final convertedPatient identifiers:');
-        console.log('  nhs_id:', convertedPatient.nhs_id);
-        console.log('  service_id:', convertedPatient.service_id);
-        console.log('  blood_group:', convertedPatient.blood_group);
-
-        // Convert gender
-        if (patient.gender) {
-            const genderMap = {
-                'male': { sys: 'sct', code: '248153007' },
-                'female': { sys: 'sct', code: '248152002' }
-            };
-            convertedPatient.gender = genderMap[patient.gender];
-        }
-
-        // Extract blood group from extensions
-        if (patient.extension) {
-            const bloodGroupExt = patient.extension.find(ext =>
-                ext.url === FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP
-            );
-            if (bloodGroupExt?.valueCodeableConcept?.coding?.[0]) {
-                const coding = bloodGroupExt.valueCodeableConcept.coding[0];
-                convertedPatient.blood_group = { sys: 'sct', code: coding.code };
-                console.log('  Set blood_group:', convertedPatient.blood_group);
-            }
-        }
-
-        // Preserve original Bundle metadata with proper serialization for protobuf
-        const bundleMetadata = {
-            id: bundle.id || '',
-            meta_json: JSON.stringify(bundle.meta || {}),
-            identifier_json: JSON.stringify(bundle.identifier || {}),
-            type: bundle.type || 'document',
-            timestamp: bundle.timestamp || new Date().toISOString(),
-            composition_fullUrl: bundle.entry?.find(entry => entry.resource?.resourceType === 'Composition')?.fullUrl || null,
-            composition_json: JSON.stringify(bundle.entry?.find(entry => entry.resource?.resourceType === 'Composition')?.resource || null),
-            entries_json: JSON.stringify(bundle.entry || [])
-        };
-
-        console.log('BUNDLE PRESERVATION - Storing bundleMetadata:', bundleMetadata);
-
-        // Initialize payload structure with care stages
-        const payload = {
-            patient: convertedPatient,
-            allergies: [],
-            bundleMetadata: bundleMetadata,
-            poi: { vitals: [], conditions: [], events: [] },
-            casevac: { vitals: [], conditions: [], events: [] },
-            axp: { vitals: [], conditions: [], events: [] },
-            medevac: { vitals: [], conditions: [], events: [] },
-            r1: { vitals: [], conditions: [], events: [] },
-            fwdTacevac: { vitals: [], conditions: [], events: [] },
-            r2: { vitals: [], conditions: [], events: [] },
-            rearTacevac: { vitals: [], conditions: [], events: [] },
-            r3: { vitals: [], conditions: [], events: [] },
-            t: Date.now()
-        };
-
-        // Process all clinical resources and categorize by care-stage extension
-        console.log('Processing', bundle.entry.length, 'bundle entries');
-        bundle.entry.forEach(entry => {
-            if (!entry.resource) return;
-
-            const resource = entry.resource;
-
-            // Handle allergies separately (no care-stage assignment)
-            if (resource.resourceType === 'AllergyIntolerance') {
-                payload.allergies.push(convertAllergyToCodeRef(resource));
-                return;
-            }
-
-            const careStage = getCareStageFromExtension(resource);
-
-            if (!careStage) return;
-
-            if (resource.resourceType === 'Condition') {
-                payload[careStage].conditions.push(convertConditionToCodeRef(resource));
-            } else if (resource.resourceType === 'Observation' &&
-                       resource.category?.[0]?.coding?.[0]?.code === 'vital-signs') {
-                payload[careStage].vitals.push(convertObservationToCodeRef(resource));
-            } else if (resource.resourceType === 'MedicationAdministration') {
-                payload[careStage].events.push(convertMedicationToCodeRef(resource));
-            } else if (resource.resourceType === 'Procedure') {
-                payload[careStage].events.push(convertProcedureToCodeRef(resource));
-            }
-        });
-
-        console.log('=== CONVERTED CODEREF PAYLOAD ===');
-        console.log('Patient:', payload.patient);
-        console.log('Allergies:', payload.allergies);
-        console.log('POI stage:', payload.poi);
-        console.log('CASEVAC stage:', payload.casevac);
-        console.log('MEDEVAC stage:', payload.medevac);
-
-        // Focus on proper CodeRef compression - no duplication needed
-
-        console.log('=== CONVERSION RESULT SUMMARY ===');
-        console.log('Patient converted:', !!payload.patient);
-        console.log('Allergies:', payload.allergies.length);
-        console.log('POI vitals:', payload.poi.vitals.length, 'conditions:', payload.poi.conditions.length, 'events:', payload.poi.events.length);
-        console.log('CASEVAC vitals:', payload.casevac.vitals.length, 'conditions:', payload.casevac.conditions.length, 'events:', payload.casevac.events.length);
-        console.log('MEDEVAC vitals:', payload.medevac.vitals.length, 'conditions:', payload.medevac.conditions.length, 'events:', payload.medevac.events.length);
-        console.log('R1 vitals:', payload.r1.vitals.length, 'conditions:', payload.r1.conditions.length, 'events:', payload.r1.events.length);
-        console.log('R2 vitals:', payload.r2?.vitals?.length || 0, 'conditions:', payload.r2?.conditions?.length || 0, 'events:', payload.r2?.events?.length || 0);
-        console.log('R3 vitals:', payload.r3?.vitals?.length || 0, 'conditions:', payload.r3?.conditions?.length || 0, 'events:', payload.r3?.events?.length || 0);
-
-        console.log('=== FINAL PAYLOAD PATIENT BEFORE RETURN ===');
-        console.log('Final payload.patient:', JSON.stringify(payload.patient, null, 2));
-        console.log('Patient has blood_group:', !!payload.patient.blood_group);
-        console.log('Patient has nhs_id:', !!payload.patient.nhs_id);
-        console.log('Patient has service_id:', !!payload.patient.service_id);
-
-        return payload;
-    }
-
-    const CARE_STAGE_VALUE_MAP = {
-        poi: 'poi',
-        casevac: 'casevac',
-        axp: 'axp',
-        mevac: 'medevac', // common shorthand typo
-        medevac: 'medevac',
-        r1: 'r1',
-        'fwdtacevac': 'fwdTacevac',
-        'fwd-tacevac': 'fwdTacevac',
-        'forwardtacevac': 'fwdTacevac',
-        'forward-tacevac': 'fwdTacevac',
-        'fwd tacevac': 'fwdTacevac',
-        r2: 'r2',
-        'reartacevac': 'rearTacevac',
-        'rear-tacevac': 'rearTacevac',
-        'rear tacevac': 'rearTacevac',
-        r3: 'r3'
-    };
-
-    function normaliseCareStageValue(rawValue) {
-        if (!rawValue) return null;
-        const trimmed = String(rawValue).trim();
-        const direct = CARE_STAGE_VALUE_MAP[trimmed];
-        if (direct) return direct;
-        const lowered = trimmed.toLowerCase().replace(/\s+/g, '');
-        return CARE_STAGE_VALUE_MAP[lowered] || trimmed;
-    }
-
-    function getCareStageFromExtension(resource) {
-        const careStageExt = resource.extension?.find(ext =>
-            ext.url === FHIR_EXTENSIONS.CARE_STAGE
-        );
-        if (!careStageExt) {
-            debugMIST(`No care stage extension found for ${resource.resourceType}`, {
-                resourceId: resource.id,
-                extensions: resource.extension?.map(ext => ext.url) || []
-            });
-            return null;
-        }
-        const careStage = normaliseCareStageValue(careStageExt.valueCode || careStageExt.valueString || careStageExt.value);
-        debugMIST(`Extracted care stage: ${careStage}`, {
-            resourceType: resource.resourceType,
-            resourceId: resource.id,
-            rawValue: careStageExt.valueCode || careStageExt.valueString || careStageExt.value
-        });
-        return careStage;
-    }
-
-    function convertConditionToCodeRef(condition) {
-        return {
-            code: {
-                sys: extractSystem(condition.code?.coding?.[0]?.system),
-                code: condition.code?.coding?.[0]?.code || 'unknown'
-            },
-            onset: condition.onsetDateTime || new Date().toISOString()
-        };
-    }
-
-    function convertObservationToCodeRef(observation) {
-        const vital = {
-            code: {
-                sys: extractSystem(observation.code?.coding?.[0]?.system),
-                code: observation.code?.coding?.[0]?.code || 'unknown'
-            },
-            time: observation.effectiveDateTime || new Date().toISOString()
-        };
-
-        // Handle value - could be valueQuantity or component (for BP)
-        if (observation.valueQuantity) {
-            vital.value = observation.valueQuantity.value;
-        } else if (observation.component) {
-            // For blood pressure - use systolic value
-            const systolic = observation.component.find(comp =>
-                comp.code?.coding?.[0]?.code === '8480-6'
-            );
-            if (systolic) {
-                vital.value = systolic.valueQuantity?.value;
-            }
-        }
-
-        return vital;
-    }
-
-    function convertMedicationToCodeRef(medication) {
-        return {
-            code: {
-                sys: extractSystem(medication.medicationCodeableConcept?.coding?.[0]?.system),
-                code: medication.medicationCodeableConcept?.coding?.[0]?.code || 'unknown'
-            },
-            time: medication.effectiveDateTime || new Date().toISOString(),
-            dose: medication.dosage?.dose?.value || 0,
-            unit: medication.dosage?.dose?.unit || '',
-            route: normalizeRouteDisplay(
-                medication.dosage?.route?.coding?.[0]?.display
-                || medication.dosage?.route?.text
-                || medication.dosage?.route?.coding?.[0]?.code
-                || ''
-            )
-        };
-    }
-
-    function convertProcedureToCodeRef(procedure) {
-        return {
-            code: {
-                sys: extractSystem(procedure.code?.coding?.[0]?.system),
-                code: procedure.code?.coding?.[0]?.code || 'unknown'
-            },
-            time: procedure.performedDateTime || new Date().toISOString(),
-            dose: procedure.note?.[0]?.text || '',
-            unit: '',
-            route: normalizeRouteDisplay(
-                procedure.bodySite?.[0]?.coding?.[0]?.display
-                || procedure.bodySite?.[0]?.text
-                || procedure.performedString
-                || 'Manual'
-            )
-        };
-    }
-
-    function convertAllergyToCodeRef(allergy) {
-        return {
-            code: {
-                sys: extractSystem(allergy.code?.coding?.[0]?.system),
-                code: allergy.code?.coding?.[0]?.code || 'unknown'
-            },
-            category: allergy.category?.[0] || 'unknown',
-            criticality: allergy.criticality || 'unknown',
-            recorded: allergy.recordedDate || new Date().toISOString(),
-            reaction: allergy.reaction?.[0]?.manifestation?.[0]?.coding?.[0]?.code || 'unknown',
-            severity: allergy.reaction?.[0]?.severity || 'unknown'
-        };
-    }
-
-    function extractSystem(systemUrl) {
-        if (systemUrl?.includes('snomed')) return 'sct';
-        if (systemUrl?.includes('loinc')) return 'loinc';
-        return 'unknown';
-    }
-
-    function convertCodeRefToFhirBundle(codeRefPayload) {
-        console.log('=== CODEREF TO FHIR CONVERSION START ===');
-        console.log('Input CodeRef payload character length:', JSON.stringify(codeRefPayload).length);
-        console.log('Converting CodeRef format back to FHIR Bundle');
-
-        // PERFECT RESTORATION: Use preserved original Bundle entries for exact reconstruction
-        const bundleMetadata = codeRefPayload.bundleMetadata;
-
-        // Restore original Bundle structure exactly as it was
-        const bundle = {
-            resourceType: 'Bundle',
-            id: bundleMetadata?.id || 'ips-example',
-            meta: bundleMetadata?.meta_json ? JSON.parse(bundleMetadata.meta_json) : {
-                lastUpdated: new Date().toISOString(),
-                profile: [FHIR_PROFILES.IPS_BUNDLE]
-            },
-            identifier: bundleMetadata?.identifier_json ? JSON.parse(bundleMetadata.identifier_json) : {
-                system: 'urn:oid:2.16.840.1.113883.4.3.2.1',
-                value: 'IPS-001'
-            },
-            type: bundleMetadata?.type || 'document',
-            timestamp: bundleMetadata?.timestamp || new Date().toISOString(),
-            entry: []
-        };
-
-        const originalEntries = bundleMetadata?.entries_json ? JSON.parse(bundleMetadata.entries_json) : null;
-        if (originalEntries) {
-            bundle.entry = originalEntries.map(entry => ({ ...entry, resource: entry.resource ? JSON.parse(JSON.stringify(entry.resource)) : entry.resource }));
-        } else {
-            bundle.entry.push({
-                fullUrl: bundleMetadata?.composition_fullUrl || 'urn:uuid:generated-composition',
-                resource: bundleMetadata?.composition_json ? JSON.parse(bundleMetadata.composition_json) : {
-                    resourceType: 'Composition',
-                    id: 'composition-example',
-                    status: 'final',
-                    type: {
-                        coding: [{
-                            system: 'http://loinc.org',
-                            code: '60591-5',
-                            display: 'Patient summary Document'
-                        }]
-                    },
-                    subject: {
-                        reference: 'urn:uuid:patient-example'
-                    },
-                    date: new Date().toISOString(),
-                    author: [{ reference: 'urn:uuid:practitioner-example' }],
-                    title: 'International Patient Summary',
-                    section: []
-                }
-            });
-        }
-
-        // Convert patient data back to FHIR Patient resource
-        if (codeRefPayload.patient) {
-            const patient = convertCodeRefPatientToFhir(codeRefPayload.patient);
-            bundle.entry.push({
-                fullUrl: 'urn:uuid:patient-example',
-                resource: patient
-            });
-        }
-
-        // Convert allergies back to FHIR AllergyIntolerance resources
-        if (codeRefPayload.allergies) {
-            codeRefPayload.allergies.forEach((allergy, index) => {
-                const allergyResource = convertCodeRefAllergyToFhir(allergy);
-                bundle.entry.push({
-                    fullUrl: `urn:uuid:allergy-${index}`,
-                    resource: allergyResource
-                });
-            });
-        }
-
-        // Convert clinical data from each stage back to FHIR resources
-        const stageKeys = ['poi', 'casevac', 'axp', 'medevac', 'r1', 'fwdTacevac', 'r2', 'rearTacevac', 'r3'];
-        stageKeys.forEach(stageKey => {
-            const stage = codeRefPayload[stageKey];
-            if (!stage) return;
-
-            // Convert vitals to Observation resources
-            if (stage.vitals) {
-                stage.vitals.forEach((vital, index) => {
-                    const observation = convertCodeRefVitalToFhir(vital, stageKey);
-                    bundle.entry.push({
-                        fullUrl: `urn:uuid:${stageKey}-vital-${index}`,
-                        resource: observation
-                    });
-                });
-            }
-
-            // Convert conditions to Condition resources
-            if (stage.conditions) {
-                stage.conditions.forEach((condition, index) => {
-                    const conditionResource = convertCodeRefConditionToFhir(condition, stageKey);
-                    bundle.entry.push({
-                        fullUrl: `urn:uuid:${stageKey}-condition-${index}`,
-                        resource: conditionResource
-                    });
-                });
-            }
-
-            // Convert events to various FHIR resources
-            if (stage.events) {
-                stage.events.forEach((event, index) => {
-                    const eventResource = convertCodeRefEventToFhir(event, stageKey);
-                    bundle.entry.push({
-                        fullUrl: `urn:uuid:${stageKey}-event-${index}`,
-                        resource: eventResource
-                    });
-                });
-            }
-        });
-
-        console.log('Converted CodeRef to FHIR Bundle with', bundle.entry.length, 'entries');
-        console.log('Output FHIR Bundle character length:', JSON.stringify(bundle).length);
-        console.log('=== CODEREF TO FHIR CONVERSION END ===');
-        return bundle;
-    }
-
-    function convertCodeRefPatientToFhir(patientData) {
-        const patient = {
-            resourceType: 'Patient',
-            id: 'patient-example'
-        };
-
-        // Name
-        if (patientData.given || patientData.family || patientData.title || patientData.rank) {
-            const nameEntry = { use: 'official' };
-            const prefixes = [];
-            if (patientData.title) prefixes.push(patientData.title);
-            if (patientData.rank) prefixes.push(patientData.rank);
-            if (prefixes.length) nameEntry.prefix = prefixes;
-            if (patientData.given) {
-                nameEntry.given = Array.isArray(patientData.given) ? patientData.given : [patientData.given];
-            }
-            if (patientData.family) nameEntry.family = patientData.family;
-            patient.name = [nameEntry];
-        }
-
-        // Gender
-        if (patientData.gender) {
-            const genderMap = {
-                '248153007': 'male',
-                '248152002': 'female'
-            };
-            patient.gender = genderMap[patientData.gender.code] || 'unknown';
-        }
-
-        // Birth date
-        if (patientData.dob) {
-            patient.birthDate = patientData.dob;
-        }
-
-        // Identifiers
-        const identifiers = [];
-        if (patientData.nhs_id || patientData.nhsId) {
-            const nhsId = patientData.nhs_id || patientData.nhsId;
-            identifiers.push({
-                use: 'official',
-                type: {
-                    coding: [{
-                        system: 'https://fhir.hl7.org.uk/CodeSystem/UKCore-IdentifierType',
-                        code: 'NH',
-                        display: 'NHS Number'
-                    }]
-                },
-                system: 'https://fhir.nhs.uk/Id/nhs-number',
-                value: String(nhsId.code)
-            });
-        }
-
-        if (patientData.service_id || patientData.serviceId) {
-            const serviceId = patientData.service_id || patientData.serviceId;
-            identifiers.push({
-                use: 'secondary',
-                type: {
-                    coding: [{
-                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
-                        code: 'MIL',
-                        display: 'Military ID number'
-                    }]
-                },
-                system: 'urn:code:mil',
-                value: String(serviceId.code)
-            });
-        }
-
-        if (identifiers.length) patient.identifier = identifiers;
-
-        // Extensions
-        const extensions = [];
-        if (patientData.blood_group || patientData.bloodGroup) {
-            const bloodGroup = patientData.blood_group || patientData.bloodGroup;
-            extensions.push({
-                url: FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP,
-                valueCodeableConcept: {
-                    coding: [{
-                        system: 'http://snomed.info/sct',
-                        code: bloodGroup.code,
-                        display: resolveCodeDisplay('sct', bloodGroup.code)
-                    }]
-                }
-            });
-        }
-
-        if (patientData.nationality) {
-            extensions.push({
-                url: FHIR_EXTENSIONS.PATIENT_NATIONALITY,
-                valueCodeableConcept: {
-                    coding: [{
-                        system: 'urn:iso:std:iso:3166',
-                        code: patientData.nationality,
-                        display: patientData.nationality
-                    }]
-                }
-            });
-        }
-
-        if (extensions.length) patient.extension = extensions;
-
-        return patient;
-    }
-
-    function convertCodeRefAllergyToFhir(allergy) {
-        const allergyResource = {
-            resourceType: 'AllergyIntolerance',
-            clinicalStatus: {
-                coding: [{
-                    system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
-                    code: 'active'
-                }]
-            },
-            verificationStatus: {
-                coding: [{
-                    system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
-                    code: 'confirmed'
-                }]
-            },
-            category: [allergy.category || 'unknown'],
-            criticality: allergy.criticality || 'unknown',
-            code: {
-                coding: [{
-                    system: allergy.code?.sys === 'sct' ? 'http://snomed.info/sct' : 'http://unknown.system',
-                    code: allergy.code?.code || 'unknown',
-                    display: '' // Will be filled by terminology lookup
-                }]
-            },
-            patient: {
-                reference: 'urn:uuid:patient-example'
-            },
-            recordedDate: allergy.recorded || new Date().toISOString()
-        };
-
-        // Add reaction if present
-        if (allergy.reaction && allergy.reaction !== 'unknown') {
-            allergyResource.reaction = [{
-                manifestation: [{
-                    coding: [{
-                        system: 'http://snomed.info/sct',
-                        code: allergy.reaction,
-                        display: '' // Will be filled by terminology lookup
-                    }]
-                }],
-                severity: allergy.severity || 'unknown'
-            }];
-        }
-
-        return allergyResource;
-    }
-
-    function convertCodeRefVitalToFhir(vital, careStage) {
-        return {
-            resourceType: 'Observation',
-            status: 'final',
-            category: [{
-                coding: [{
-                    system: 'http://terminology.hl7.org/CodeSystem/observation-category',
-                    code: 'vital-signs',
-                    display: 'Vital Signs'
-                }]
-            }],
-            code: {
-                coding: [{
-                    system: vital.code.sys === 'loinc' ? 'http://loinc.org' : `urn:code:${vital.code.sys}`,
-                    code: vital.code.code,
-                    display: resolveCodeDisplay(vital.code.sys, vital.code.code)
-                }]
-            },
-            subject: { reference: 'urn:uuid:patient-example' },
-            effectiveDateTime: vital.time,
-            valueQuantity: {
-                value: vital.value,
-                unit: inferUnitFromCode(vital.code.sys, vital.code.code) || ''
-            },
-            extension: [{
-                url: FHIR_EXTENSIONS.CARE_STAGE,
-                valueCode: careStage
-            }]
-        };
-    }
-
-    function convertCodeRefConditionToFhir(condition, careStage) {
-        return {
-            resourceType: 'Condition',
-            clinicalStatus: {
-                coding: [{
-                    system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
-                    code: 'active'
-                }]
-            },
-            code: {
-                coding: [{
-                    system: condition.code.sys === 'sct' ? 'http://snomed.info/sct' : `urn:code:${condition.code.sys}`,
-                    code: condition.code.code,
-                    display: resolveCodeDisplay(condition.code.sys, condition.code.code)
-                }]
-            },
-            subject: { reference: 'urn:uuid:patient-example' },
-            onsetDateTime: condition.onset,
-            extension: [{
-                url: FHIR_EXTENSIONS.CARE_STAGE,
-                valueCode: careStage
-            }]
-        };
-    }
-
-    function convertCodeRefEventToFhir(event, careStage) {
-        // Determine resource type based on the event code
-        const isMedication = event.dose && typeof event.dose === 'number';
-
-        if (isMedication) {
-            return {
-                resourceType: 'MedicationAdministration',
-                status: 'completed',
-                medicationCodeableConcept: {
-                    coding: [{
-                        system: event.code.sys === 'sct' ? 'http://snomed.info/sct' : `urn:code:${event.code.sys}`,
-                        code: event.code.code,
-                        display: resolveCodeDisplay(event.code.sys, event.code.code)
-                    }]
-                },
-                subject: { reference: 'urn:uuid:patient-example' },
-                effectiveDateTime: event.time,
-                dosage: {
-                    dose: {
-                        value: event.dose,
-                        unit: event.unit || ''
-                    },
-                    route: event.route ? {
-                        coding: [{
-                            system: 'http://snomed.info/sct',
-                            code: event.route
-                        }]
-                    } : undefined
-                },
-                extension: [{
-                    url: FHIR_EXTENSIONS.CARE_STAGE,
-                    valueCode: careStage
-                }]
-            };
-        } else {
-            return {
-                resourceType: 'Procedure',
-                status: 'completed',
-                code: {
-                    coding: [{
-                        system: event.code.sys === 'sct' ? 'http://snomed.info/sct' : `urn:code:${event.code.sys}`,
-                        code: event.code.code,
-                        display: resolveCodeDisplay(event.code.sys, event.code.code)
-                    }]
-                },
-                subject: { reference: 'urn:uuid:patient-example' },
-                performedDateTime: event.time,
-                note: event.dose && typeof event.dose === 'string' ? [{
-                    text: event.dose
-                }] : undefined,
-                extension: [{
-                    url: FHIR_EXTENSIONS.CARE_STAGE,
-                    valueCode: careStage
-                }]
-            };
-        }
-    }
-
-    async function encodeToFragment(payload) {
-        try {
-            console.log('🔍 ENCODE START: Payload keys:', Object.keys(payload));
-            console.log('🔍 ENCODE START: original_bundle_json exists:', !!payload.original_bundle_json);
-            if (payload.original_bundle_json) {
-                console.log('🔍 ENCODE START: original_bundle_json length:', payload.original_bundle_json.length);
-            }
-
-            // Convert FHIR format to CodeRef format if needed
-            if (payload.resourceType === 'Patient' || payload.resourceType === 'Bundle' || payload.patient?.resourceType === 'Patient') {
-                console.log('🔍 ENCODE: FHIR conversion path triggered');
-                const originalBundleJson = payload.original_bundle_json; // Try to preserve if it exists
-                const rawFhirJson = JSON.stringify(payload); // Always preserve the raw FHIR as backup
-                payload = convertFhirToCodeRef(payload);
-
-                // The convertFhirToCodeRef already adds original_bundle_json, but ensure it's preserved
-                if (!payload.originalBundleJson) {
-                    payload.originalBundleJson = originalBundleJson || rawFhirJson;
-                    console.log('✅ UNIVERSAL: Added originalBundleJson in encodeToFragment, length:', payload.originalBundleJson.length);
-                } else {
-                    console.log('✅ UNIVERSAL: originalBundleJson already present from conversion, length:', payload.originalBundleJson.length);
-                }
-            } else {
-                console.log('🔍 ENCODE: CodeRef payload path (no FHIR conversion)');
-                console.log('🔍 ENCODE: Payload original_bundle_json before protobuf:', !!payload.original_bundle_json);
-            }
-
-            // Use current schema (coderef) for encoding
-            const payloadType = await ensurePayloadType();
-
-            console.log('=== ENCODING DEBUG ===');
-            console.log('Source payload.patient:', payload.patient);
-            console.log('Patient CodeRef fields:');
-            console.log('  blood_group:', payload.patient?.blood_group);
-            console.log('  nhs_id:', payload.patient?.nhs_id);
-            console.log('  service_id:', payload.patient?.service_id);
-
-            console.log('Full payload structure:', JSON.stringify(payload, null, 2));
-            console.log('CRITICAL DEBUG - Patient fields before protobuf create:');
-            console.log('  payload.patient.blood_group:', payload.patient?.blood_group);
-            console.log('  payload.patient.nhs_id:', payload.patient?.nhs_id);
-            console.log('  payload.patient.service_id:', payload.patient?.service_id);
-
-            // Create protobuf message from payload
-            const message = payloadType.create(payload);
-            console.log('Created protobuf message:', message);
-            console.log('Message patient:', message.patient);
-            console.log('CRITICAL DEBUG - Message patient fields after protobuf create:');
-            console.log('  message.patient.bloodGroup:', message.patient?.bloodGroup);
-            console.log('  message.patient.blood_group:', message.patient?.blood_group);
-            console.log('  message.patient.nhsId:', message.patient?.nhsId);
-            console.log('  message.patient.nhs_id:', message.patient?.nhs_id);
-            console.log('  message.patient.serviceId:', message.patient?.serviceId);
-            console.log('  message.patient.service_id:', message.patient?.service_id);
-
-            // Encode to binary
-            const buffer = payloadType.encode(message).finish();
-
-            // Compress with pako
-            const compressed = pako.deflate(buffer);
-
-            // Convert to base64
-            let binary = '';
-            const bytes = new Uint8Array(compressed);
-            for (let i = 0; i < bytes.byteLength; i++) {
-                binary += String.fromCharCode(bytes[i]);
-            }
-            const base64 = btoa(binary);
-
-            return base64;
-        } catch (error) {
-            console.error('Encoding error:', error);
-            throw new Error('Failed to encode payload to fragment');
-        }
-    }
-
-    function convertFromProtobufNaming(object) {
-        console.log('🔍 NAMING DEBUG: Input object.original_bundle_json exists:', !!object.original_bundle_json);
-        console.log('🔍 NAMING DEBUG: Input object.originalBundleJson exists:', !!object.originalBundleJson);
-        // Safe deep clone preserving large strings like original_bundle_json
-        const normalizedObject = safeDeepClone(object);
-        console.log('🔍 NAMING DEBUG: After clone, normalizedObject.original_bundle_json exists:', !!normalizedObject.original_bundle_json);
-        console.log('🔍 NAMING DEBUG: After clone, normalizedObject.originalBundleJson exists:', !!normalizedObject.originalBundleJson);
-
-        // Convert patient field names from camelCase back to snake_case
-        if (normalizedObject.patient) {
-            const patient = normalizedObject.patient;
-
-            // Map camelCase fields back to snake_case
-            if (patient.bloodGroup && !patient.blood_group) {
-                patient.blood_group = patient.bloodGroup;
-                delete patient.bloodGroup;
-            }
-            if (patient.nhsId && !patient.nhs_id) {
-                patient.nhs_id = patient.nhsId;
-                delete patient.nhsId;
-            }
-            if (patient.serviceId && !patient.service_id) {
-                patient.service_id = patient.serviceId;
-                delete patient.serviceId;
-            }
-        }
-
-        // Ensure original_bundle_json field is in snake_case format
-        if (normalizedObject.originalBundleJson && !normalizedObject.original_bundle_json) {
-            console.log('🔍 NAMING DEBUG: Converting originalBundleJson to original_bundle_json');
-            // Keep field in camelCase for protobuf.js compatibility
-        }
-
-        console.log('🔍 NAMING DEBUG: Final normalizedObject.original_bundle_json exists:', !!normalizedObject.original_bundle_json);
-        console.log('🔍 NAMING DEBUG: Final normalizedObject.originalBundleJson exists:', !!normalizedObject.originalBundleJson);
-        return normalizedObject;
-    }
-
-    function convertToProtobufNaming(payload) {
-        // Safe deep clone preserving large strings
-        const protobufPayload = safeDeepClone(payload);
-
-        // Convert patient field names from snake_case to camelCase for protobuf.js
-        if (protobufPayload.patient) {
-            const patient = protobufPayload.patient;
-
-            // Map snake_case fields to camelCase
-            if (patient.blood_group) {
-                patient.bloodGroup = patient.blood_group;
-                delete patient.blood_group;
-            }
-            if (patient.nhs_id) {
-                patient.nhsId = patient.nhs_id;
-                delete patient.nhs_id;
-            }
-            if (patient.service_id) {
-                patient.serviceId = patient.service_id;
-                delete patient.service_id;
-            }
-        }
-
-        return protobufPayload;
-    }
-
-    async function getProtobufBinary(payload) {
-        try {
-            // Convert FHIR format to CodeRef format if needed
-            if (payload.resourceType === 'Patient' || payload.resourceType === 'Bundle' || payload.patient?.resourceType === 'Patient') {
-                payload = convertFhirToCodeRef(payload);
-            }
-
-            const payloadType = await ensurePayloadType();
-
-            // Essential debug: Confirm universal solution is active
-            console.log('🔄 UNIVERSAL: Encoding with original Bundle preservation');
-
-            // CRITICAL FIX: Create protobuf instances for all nested message types
-            const root = payloadType.root;
-            const CodeRef = root.lookupType('medis.nfc.CodeRef');
-            const BundleMetadata = root.lookupType('medis.nfc.BundleMetadata');
-            const Allergy = root.lookupType('medis.nfc.Allergy');
-
-            // Safe clone payload to avoid mutating original while preserving large strings
-            const protoPayload = safeDeepClone(payload);
-
-            // Convert ALL CodeRef fields throughout the payload to proper protobuf instances
-            function convertCodeRefFields(obj, path = '') {
-                if (!obj || typeof obj !== 'object') return;
-
-                // Handle patient CodeRef fields
-                if (path.includes('patient')) {
-                    ['blood_group', 'nhs_id', 'service_id', 'gender'].forEach(field => {
-                        if (obj[field] && typeof obj[field] === 'object' && obj[field].sys && obj[field].code) {
-                            obj[field] = CodeRef.create(obj[field]);
-                        }
-                    });
-                }
-
-                // Handle vitals, conditions, events CodeRef fields
-                if (Array.isArray(obj)) {
-                    obj.forEach((item, index) => {
-                        if (item && typeof item === 'object' && item.code && item.code.sys && item.code.code) {
-                            item.code = CodeRef.create(item.code);
-                        }
-                        convertCodeRefFields(item, `${path}[${index}]`);
-                    });
-                } else {
-                    // Recursively process all object properties
-                    Object.keys(obj).forEach(key => {
-                        convertCodeRefFields(obj[key], path ? `${path}.${key}` : key);
-                    });
-                }
-            }
-
-            // Convert all nested message types to protobuf instances
-            convertCodeRefFields(protoPayload);
-            if (protoPayload.bundleMetadata) {
-                protoPayload.bundleMetadata = BundleMetadata.create(protoPayload.bundleMetadata);
-            }
-            if (protoPayload.allergies && Array.isArray(protoPayload.allergies)) {
-                protoPayload.allergies = protoPayload.allergies.map(allergy => {
-                    if (allergy.code && allergy.code.sys && allergy.code.code) {
-                        allergy.code = CodeRef.create(allergy.code);
-                    }
-                    return Allergy.create(allergy);
-                });
-            }
-
-            // Log original Bundle JSON storage for universal restoration
-            if (protoPayload.originalBundleJson) {
-                console.log('🔄 UNIVERSAL: Bundle JSON → Protobuf, length:', protoPayload.originalBundleJson.length);
-            } else {
-                console.log('❌ UNIVERSAL: originalBundleJson field missing before protobuf creation');
-                console.log('❌ UNIVERSAL: protoPayload keys:', Object.keys(protoPayload));
-
-                // FINAL FAILSAFE: Create originalBundleJson from the current payload data
-                console.log('🚨 FINAL FAILSAFE: Creating originalBundleJson from payload data');
-                protoPayload.originalBundleJson = JSON.stringify({
-                    resourceType: "Bundle",
-                    id: protoPayload.bundleMetadata?.id || "restored-bundle",
-                    type: "document",
-                    timestamp: protoPayload.bundleMetadata?.timestamp || new Date().toISOString(),
-                    entry: [], // Reconstructed from payload data - minimal structure for character preservation
-                    restored: true // Flag to indicate this was reconstructed
-                });
-                console.log('🚨 FINAL FAILSAFE: Added fallback originalBundleJson, length:', protoPayload.originalBundleJson.length);
-            }
-
-            console.log('🔧 PROTOBUF CREATION DEBUG');
-            console.log('🔧 protoPayload.original_bundle_json exists:', !!protoPayload.original_bundle_json);
-            console.log('🔧 protoPayload.originalBundleJson exists:', !!protoPayload.originalBundleJson);
-            console.log('🔧 protoPayload.originalBundleJson length:', protoPayload.originalBundleJson?.length);
-            console.log('🔧 Creating protobuf message with keys:', Object.keys(protoPayload));
-
-            // CRITICAL: Check schema fields
-            console.log('🔧 SCHEMA DEBUG: payloadType fields:', Object.keys(payloadType.fields));
-            console.log('🔧 SCHEMA DEBUG: field 11 info:', payloadType.fields['original_bundle_json']);
-            console.log('🔧 SCHEMA DEBUG: field 11 name:', payloadType.fields[11]?.name);
-
-            const message = payloadType.create(protoPayload);
-
-            console.log('🔧 Created message.original_bundle_json exists:', !!message.original_bundle_json);
-            console.log('🔧 Created message.originalBundleJson exists:', !!message.originalBundleJson);
-            console.log('🔧 Created message keys:', Object.keys(message));
-            console.log('🔧 Created message field 11 value:', message[Object.keys(payloadType.fields)[10]]);
-
-            // CRITICAL: Check if field 11 exists with different name
-            for (let i = 0; i < 15; i++) {
-                const field = payloadType.fields[i];
-                if (field) {
-                    console.log(`🔧 Field ${i}: ${field.name} = ${message[field.name]?.length || message[field.name]}`);
-                }
-            }
-
-            const buffer = payloadType.encode(message).finish();
-
-            console.log('🔧 PROTOBUF ENCODING COMPLETE');
-            console.log('🔧 Buffer size:', buffer.length, 'bytes');
-            console.log('🔧 Testing immediate decode to verify field preservation...');
-
-            // CRITICAL TEST: Immediately decode to verify field preservation
-            const testDecode = payloadType.decode(buffer);
-            console.log('🔧 IMMEDIATE DECODE TEST: original_bundle_json exists:', !!testDecode.original_bundle_json);
-            console.log('🔧 IMMEDIATE DECODE TEST: originalBundleJson exists:', !!testDecode.originalBundleJson);
-            console.log('🔧 IMMEDIATE DECODE TEST: originalBundleJson length:', testDecode.originalBundleJson?.length);
-            if (!testDecode.originalBundleJson) {
-                console.log('🚨 CRITICAL FAILURE: Field lost during protobuf encode/decode cycle!');
-                console.log('🚨 Available fields in decoded message:', Object.keys(testDecode));
-
-                // Test with smaller string to verify if it's a size issue
-                console.log('🔧 SIZE TEST: Testing encode/decode with small string...');
-                const testPayload = { ...protoPayload, originalBundleJson: 'test123' };
-                const testMessage = payloadType.create(testPayload);
-                const testBuffer = payloadType.encode(testMessage).finish();
-                const testDecodeSmall = payloadType.decode(testBuffer);
-                console.log('🔧 SIZE TEST: Small string survived:', !!testDecodeSmall.originalBundleJson);
-                console.log('🔧 SIZE TEST: Small string value:', testDecodeSmall.originalBundleJson);
-            }
-
-            // Convert binary to hex representation for display
-            const hexString = Array.from(new Uint8Array(buffer))
-                .map(byte => byte.toString(16).padStart(2, '0'))
-                .join(' ');
-
-            return `// Protobuf binary representation (${buffer.length} bytes)\n// Hex format:\n${hexString}`;
-        } catch (error) {
-            console.error('Error generating protobuf binary:', error);
-            return `// Error generating protobuf binary:\n// ${error.message}`;
-        }
-    }
-
-    return {
-        decodeFragment,
-        encodeToFragment,
-        convertCodeRefToFhirBundle,
-        getProtobufBinary,
-        convertFhirToCodeRef,
-        convertFhirBundleToCodeRef
-    };
-})();
-
-/**
- * Encode FHIR payloads to NFC fragments while returning the intermediate CodeRef.
- * Used by auxiliary tooling (e.g., payload encoder page) to avoid duplicate work.
- */
-async function encodeFhirPayloadToFragment(fhirPayload) {
-    if (!fhirPayload) {
-        throw new Error('No FHIR payload provided for encoding.');
-    }
-
-    const codeRefPayload = codecPipeline.convertFhirToCodeRef(fhirPayload);
-    const fragment = await codecPipeline.encodeToFragment(codeRefPayload);
-    return { fragment, codeRefPayload };
-}
-
-// Provide a minimal shared API for secondary pages without leaking internals.
-window.NfcIps = {
-    ...(window.NfcIps || {}),
-    showMessage,
-    convertFhirToCodeRef: codecPipeline.convertFhirToCodeRef,
-    convertFhirBundleToCodeRef: codecPipeline.convertFhirBundleToCodeRef,
-    encodeCodeRefToFragment: codecPipeline.encodeToFragment,
-    encodeFhirToFragment: encodeFhirPayloadToFragment,
-    decodeFragment: codecPipeline.decodeFragment
-};
-
-// --- PAYLOAD SERVICE ---
-
-const payloadService = (() => {
-    function buildViewModelFromObject(payload, options = {}) {
-        if (!payload || typeof payload !== 'object') {
-            throw new Error('Payload is empty or invalid.');
-        }
-
-        const schemaVersion = options.schemaVersion || payload.__schemaVersion || null;
-
-        if (payload.resourceType === 'Patient') {
-            return buildFromFhir(payload, options);
-        }
-
-        if (payload.resourceType === 'Bundle') {
-            // Extract Patient resource from Bundle
-            const patientEntry = payload.entry?.find(entry => entry.resource?.resourceType === 'Patient');
-            const patientResource = patientEntry?.resource || null;
-
-            // Build stage sections from Bundle entries
-            const stageData = buildStageSectionsFromBundle(payload);
-
-            return buildFromFhir(patientResource, {
-                ...options,
-                stageSections: stageData.sections,
-                summary: stageData.summary,
-                allergies: stageData.allergies,
-                rawPayload: options.rawPayload || payload
-            });
-        }
-
-        if (schemaVersion === 'legacy' || isLegacyIndexedPayload(payload)) {
-            return buildFromLegacy(payload, options);
-        }
-
-        if (schemaVersion === 'coderef' || isCodeRefPayload(payload)) {
-            return buildFromCodeRef(payload, options);
-        }
-
-        throw new Error('Unsupported payload format.');
-    }
-
-    function isLegacyIndexedPayload(payload) {
-        return Boolean(payload && Array.isArray(payload.D) && payload.P);
-    }
-
-    function isCodeRefPayload(payload) {
-        if (!payload) return false;
-        if (payload.patient) return true;
-        return stageKeys.some(stageKey => payload[stageKey]);
-    }
-
-    function buildFromFhir(patientResource, options = {}) {
-        return {
-            type: 'fhir',
-            label: options.label || 'FHIR Patient',
-            patientResource,
-            allergies: options.allergies || [],
-            stageSections: options.stageSections || {},
-            summary: options.summary || null,
-            rawPayload: options.rawPayload || patientResource,
-            originalInput: options.originalInput || null,
-            codebook: []
-        };
-    }
-
-    function buildFromLegacy(nfcPayload, options = {}) {
-        const codebook = buildLegacyCodebook(nfcPayload.D);
-        const patientResource = buildLegacyPatient(nfcPayload, codebook);
-        const stageResult = buildLegacyStageSections(nfcPayload, codebook);
-        const summary = buildSummary(nfcPayload, stageResult.totals);
-        return {
-            type: 'nfc',
-            label: options.label || 'NFC Payload (indexed)',
-            patientResource,
-            stageSections: stageResult.sections,
-            summary,
-            rawPayload: options.rawPayload || nfcPayload,
-            originalInput: options.originalInput || null,
-            codebook
-        };
-    }
-
-    function buildFromCodeRef(nfcPayload, options = {}) {
-        console.log('=== buildFromCodeRef DEBUG ===');
-        console.log('nfcPayload:', nfcPayload);
-        console.log('nfcPayload.patient:', nfcPayload.patient);
-
-        const codebook = gatherCodeRefs(nfcPayload);
-        const patientResource = buildCodeRefPatient(nfcPayload.patient || {});
-
-        console.log('patientResource built:', patientResource);
-        const stageResult = buildCodeRefStageSections(nfcPayload);
-        // Pass the full payload to buildSummary to get the 't' timestamp
-        const summary = buildSummary(nfcPayload, stageResult.totals);
-        return {
-            type: 'nfc',
-            label: options.label || 'NFC Payload',
-            patientResource,
-            allergies: nfcPayload.allergies || [],
-            stageSections: stageResult.sections,
-            summary,
-            rawPayload: options.rawPayload || nfcPayload,
-            originalInput: options.originalInput || null,
-            codebook
-        };
-    }
-
-    function buildLegacyCodebook(entries = []) {
-        if (!Array.isArray(entries)) return [];
-        return entries.map((entry, index) => {
-            const system = entry?.sys || '';
-            const code = entry?.code || '';
-            const ref = system && code ? `${system}:${code}` : `Code #${index}`;
-            return {
-                index,
-                system,
-                code,
-                ref
-            };
-        });
-    }
-
-    function resolveLegacyCode(codebook, index) {
-        if (index === undefined || index === null) {
-            return { ref: 'Unknown', system: '', code: '' };
-        }
-        const resolved = codebook[index];
-        if (resolved) return resolved;
-        return { ref: `Code #${index}`, system: '', code: '' };
-    }
-
-    function buildLegacyPatient(payload, codebook) {
-        const patient = { resourceType: 'Patient' };
-        const patientData = payload.P || {};
-        const nameParts = Array.isArray(patientData.n) ? patientData.n : [];
-        const givenNames = nameParts.length > 1 ? nameParts.slice(0, nameParts.length - 1) : nameParts;
-        const familyName = nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined;
-
-        const nameEntry = {
-            use: 'official',
-            given: givenNames.length ? givenNames : undefined,
-            family: familyName || undefined
-        };
-
-        if (patientData.r) {
-            nameEntry.prefix = [patientData.r];
-        }
-
-        patient.name = [nameEntry];
-        patient.gender = 'unknown';
-        const dob = formatDobValue(patientData.dob);
-        if (dob) {
-            patient.birthDate = dob;
-        }
-
-        const identifiers = [];
-        if (patientData.nhs) {
-            identifiers.push({
-                use: 'official',
-                type: {
-                    coding: [{
-                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
-                        code: 'NH',
-                        display: 'National Health Service Number'
-                    }],
-                    text: 'NHS Number'
-                },
-                value: String(patientData.nhs)
-            });
-        }
-        if (patientData.sn) {
-            identifiers.push({
-                use: 'secondary',
-                type: {
-                    coding: [{
-                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
-                        code: 'MIL',
-                        display: 'Military ID number'
-                    }],
-                    text: 'Service Number'
-                },
-                value: String(patientData.sn)
-            });
-        }
-        if (identifiers.length) {
-            patient.identifier = identifiers;
-        }
-
-        const extensions = [];
-        if (Number.isInteger(patientData.bg)) {
-            const bloodCode = resolveLegacyCode(codebook, patientData.bg);
-            extensions.push({
-                url: FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP,
-                valueCodeableConcept: {
-                    coding: [{
-                        system: bloodCode.system || 'urn:medis:blood-group',
-                        code: bloodCode.code || bloodCode.ref,
-                        display: bloodCode.code || bloodCode.ref
-                    }],
-                    text: bloodCode.code || bloodCode.ref
-                }
-            });
-        }
-        if (extensions.length) {
-            patient.extension = extensions;
-        }
-
-        return patient;
-    }
-
-    function buildLegacyStageSections(payload, codebook) {
-        const sections = {};
-        const totals = { vitals: 0, conditions: 0, events: 0 };
-        const vitalsSource = payload.V || {};
-        const conditionsSource = payload.C || {};
-        const eventsSource = payload.E || {};
-
-        stageKeys.forEach(stageKey => {
-            debugMIST(`Processing LEGACY stage: ${stageKey}`);
-
-            const sectionDateTracker = new Map();
-
-            // Get raw data first
-            const rawVitals = normaliseLegacyVitalsRaw(vitalsSource[stageKey], codebook);
-            const rawConditions = normaliseLegacyConditionsRaw(conditionsSource[stageKey], codebook);
-            const rawEvents = normaliseLegacyEventsRaw(eventsSource[stageKey], codebook);
-
-            debugMIST(`Raw data for ${stageKey}`, {
-                rawVitals: rawVitals.length,
-                rawConditions: rawConditions.length,
-                rawEvents: rawEvents.length
-            });
-
-            // Create MIST chronological rows
-            const chronologicalRows = createMISTChronologicalRows(rawVitals, rawConditions, rawEvents);
-
-            // Process chronological rows into pills - keep chronological order intact
-            const allPills = [];
-            const vitals = [];
-            const conditions = [];
-            const events = [];
-
-            chronologicalRows.forEach(item => {
-                const pill = createStandardizedPill(item.dataType, item, sectionDateTracker, item.isFirstDisplayedInRow);
-                allPills.push(pill); // Keep chronological order
-                if (item.dataType === 'vitals') vitals.push(pill);
-                else if (item.dataType === 'conditions') conditions.push(pill);
-                else if (item.dataType === 'events') events.push(pill);
-            });
-
-            debugMIST(`Final pills for ${stageKey}`, {
-                vitals: vitals.length,
-                conditions: conditions.length,
-                events: events.length
-            });
-
-            totals.vitals += vitals.length;
-            totals.conditions += conditions.length;
-            totals.events += events.length;
-            sections[stageKey] = { vitals, conditions, events, allPills };
-        });
-
-        return { sections, totals };
-    }
-
-    function normaliseLegacyVitalsRaw(entries, codebook) {
-        if (!Array.isArray(entries)) return [];
-        return entries
-            .map(item => {
-                if (!Array.isArray(item) || item.length === 0) return null;
-                const [index, value, unit] = item;
-                const code = resolveLegacyCode(codebook, index);
-                const displayName = resolveCodeDisplay(code.system, code.code);
-
-                return {
-                    code: code.ref,
-                    description: displayName,
-                    value: value,
-                    unit: unit,
-                    dose: null,
-                    route: null,
-                    time: null,
-                    onset: null
-                };
-            })
-            .filter(Boolean);
-    }
-
-    function normaliseLegacyConditionsRaw(entries, codebook) {
-        if (!Array.isArray(entries)) return [];
-        return entries
-            .map(item => {
-                if (!Array.isArray(item) || item.length === 0) return null;
-                const [index, onset] = item;
-                const code = resolveLegacyCode(codebook, index);
-                const displayName = resolveCodeDisplay(code.system, code.code);
-
-                return {
-                    code: code.ref,
-                    description: displayName,
-                    value: null,
-                    unit: null,
-                    dose: null,
-                    route: null,
-                    time: null,
-                    onset: onset
-                };
-            })
-            .filter(Boolean);
-    }
-
-    function normaliseLegacyEventsRaw(entries, codebook) {
-        if (!Array.isArray(entries)) return [];
-        return entries
-            .map(item => {
-                if (!Array.isArray(item) || item.length === 0) return null;
-                const [index, time] = item;
-                const code = resolveLegacyCode(codebook, index);
-                const displayName = resolveCodeDisplay(code.system, code.code);
-
-                return {
-                    code: code.ref,
-                    description: displayName,
-                    value: null,
-                    unit: null,
-                    dose: null,
-                    route: null,
-                    time: time,
-                    onset: null
-                };
-            })
-            .filter(Boolean);
-    }
-
-    function normaliseLegacyVitals(entries, codebook, sectionDateTracker) {
-        if (!Array.isArray(entries)) return [];
-        return entries
-            .map(item => {
-                if (!Array.isArray(item) || item.length === 0) return null;
-                const [index, value, unit] = item;
-                const code = resolveLegacyCode(codebook, index);
-                const displayName = resolveCodeDisplay(code.system, code.code);
-
-                // Build raw data for unified pill creation
-                const rawData = {
-                    code: code.ref,
-                    description: displayName,
-                    value: value,
-                    unit: unit,
-                    dose: null,
-                    route: null,
-                    time: null,
-                    onset: null
-                };
-
-                return createStandardizedPill('vitals', rawData, sectionDateTracker);
-            })
-            .filter(Boolean);
-    }
-
-    function normaliseLegacyConditions(entries, codebook, sectionDateTracker) {
-        if (!Array.isArray(entries)) return [];
-        return entries
-            .map(item => {
-                if (!Array.isArray(item) || item.length === 0) return null;
-                const [index, onset] = item;
-                const code = resolveLegacyCode(codebook, index);
-                const displayName = resolveCodeDisplay(code.system, code.code);
-
-                // Build raw data for unified pill creation
-                const rawData = {
-                    code: code.ref,
-                    description: displayName,
-                    value: null,
-                    unit: null,
-                    dose: null,
-                    route: null,
-                    time: null,
-                    onset: onset
-                };
-
-                return createStandardizedPill('conditions', rawData, sectionDateTracker);
-            })
-            .filter(Boolean);
-    }
-
-    function normaliseLegacyEvents(entries, codebook, sectionDateTracker) {
-        if (!Array.isArray(entries)) return [];
-        return entries
-            .map(item => {
-                if (!Array.isArray(item) || item.length === 0) return null;
-                const [index, time, dose, route] = item;
-                const code = resolveLegacyCode(codebook, index);
-                const displayName = resolveCodeDisplay(code.system, code.code);
-
-                // Build raw data for unified pill creation
-                const rawData = {
-                    code: code.ref,
-                    description: displayName,
-                    value: null,
-                    unit: null,
-                    dose: dose,
-                    route: route,
-                    time: time,
-                    onset: null
-                };
-
-                return createStandardizedPill('events', rawData, sectionDateTracker);
-            })
-            .filter(Boolean);
-    }
-
-    function gatherCodeRefs(payload) {
-        const map = new Map();
-
-        function addCodeRef(codeRef) {
-            const key = codeRefKey(codeRef);
-            if (!key) return;
-            if (!map.has(key)) {
-                map.set(key, normaliseCodeRef(codeRef));
-            }
-        }
-
-        if (payload.patient) {
-            addCodeRef(payload.patient.gender);
-            addCodeRef(payload.patient.blood_group);
-            addCodeRef(payload.patient.nhs_id);
-            addCodeRef(payload.patient.service_id);
-        }
-
-        stageKeys.forEach(stageKey => {
-            const stage = payload[stageKey];
-            if (!stage) return;
-            (stage.vitals || []).forEach(vital => addCodeRef(vital?.code));
-            (stage.conditions || []).forEach(condition => addCodeRef(condition?.code));
-            (stage.events || []).forEach(event => addCodeRef(event?.code));
-        });
-
-        return Array.from(map.values());
-    }
-
-    function buildCodeRefPatient(patientData = {}) {
-        console.log('buildCodeRefPatient called with:', patientData);
-        console.log('Raw CodeRef objects:');
-        console.log('  blood_group:', patientData.blood_group);
-        console.log('  nhs_id:', patientData.nhs_id);
-        console.log('  service_id:', patientData.service_id);
-        console.log('  bloodGroup (camelCase):', patientData.bloodGroup);
-        console.log('  nhsId (camelCase):', patientData.nhsId);
-        console.log('  serviceId (camelCase):', patientData.serviceId);
-
-        // CRITICAL FIX: Use camelCase field names from protobuf decoded object
-        console.log('=== USING CAMELCASE FIELDS FROM PROTOBUF ===');
-        const bloodGroup = patientData.bloodGroup || patientData.blood_group;
-        const nhsId = patientData.nhsId || patientData.nhs_id;
-        const serviceId = patientData.serviceId || patientData.service_id;
-
-        // Map camelCase protobuf fields to snake_case for consistency
-        if (patientData.bloodGroup && !patientData.blood_group) {
-            patientData.blood_group = patientData.bloodGroup;
-        }
-        if (patientData.nhsId && !patientData.nhs_id) {
-            patientData.nhs_id = patientData.nhsId;
-        }
-        if (patientData.serviceId && !patientData.service_id) {
-            patientData.service_id = patientData.serviceId;
-        }
-
-        const patient = { resourceType: 'Patient' };
-
-        if (patientData.given || patientData.family || patientData.title || patientData.rank) {
-            const nameEntry = { use: 'official' };
-            const prefixes = [];
-            if (patientData.title) {
-                prefixes.push(patientData.title);
-            }
-            if (patientData.rank) {
-                prefixes.push(patientData.rank);
-            }
-            if (prefixes.length) {
-                nameEntry.prefix = prefixes;
-            }
-            if (patientData.given) {
-                nameEntry.given = Array.isArray(patientData.given) ? patientData.given : patientData.given.split(/\s+/).filter(Boolean);
-            }
-            if (patientData.family) {
-                nameEntry.family = patientData.family;
-            }
-            patient.name = [nameEntry];
-        }
-
-        const gender = mapGenderFromCodeRef(patientData.gender);
-        if (gender) {
-            patient.gender = gender;
-        }
-
-        if (patientData.dob) {
-            patient.birthDate = patientData.dob;
-        }
-
-        const identifiers = [];
-
-        // NHS ID - check both field name conventions
-        let nhsIdData = patientData.nhs_id || patientData.nhsId;
-        if (nhsIdData?.code) {
-            identifiers.push({
-                use: 'official',
-                type: {
-                    coding: [{
-                        system: 'https://fhir.hl7.org.uk/CodeSystem/UKCore-IdentifierType',
-                        code: 'nhsNumber',
-                        display: 'NHS Number'
-                    }],
-                    text: 'NHS Number'
-                },
-                system: 'https://fhir.nhs.uk/Id/nhs-number',
-                value: String(nhsIdData.code)
-            });
-        }
-
-        // Service ID - check both field name conventions
-        let serviceIdData = patientData.service_id || patientData.serviceId;
-        if (serviceIdData?.code) {
-            identifiers.push({
-                use: 'secondary',
-                type: {
-                    coding: [{
-                        system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
-                        code: 'MIL',
-                        display: 'Military ID number'
-                    }],
-                    text: 'Service Number'
-                },
-                system: serviceIdData.sys ? `urn:code:${serviceIdData.sys}` : undefined,
-                value: String(serviceIdData.code)
-            });
-        }
-        if (identifiers.length) {
-            patient.identifier = identifiers;
-        }
-
-        const extensions = [];
-
-        // Blood Group Extension with fallback
-        console.log('=== BLOOD GROUP DEBUG ===');
-        console.log('patientData.blood_group raw:', patientData.blood_group);
-        console.log('typeof patientData.blood_group:', typeof patientData.blood_group);
-        console.log('JSON.stringify(patientData.blood_group):', JSON.stringify(patientData.blood_group));
-
-        // Check both snake_case and camelCase field names
-        let bloodGroupData = patientData.blood_group || patientData.bloodGroup;
-
-        const normalizedBloodGroup = normaliseCodeRef(bloodGroupData);
-        console.log('normalised blood group:', normalizedBloodGroup);
-        if (normalizedBloodGroup.code && normalizedBloodGroup.code !== 'Unknown code') {
-            const displayName = resolveCodeDisplay(normalizedBloodGroup.system, normalizedBloodGroup.code);
-            extensions.push({
-                url: FHIR_EXTENSIONS.PATIENT_BLOOD_GROUP,
-                valueCodeableConcept: {
-                    coding: [{
-                        system: normalizedBloodGroup.system === 'sct' ? 'http://snomed.info/sct' : `urn:code:${normalizedBloodGroup.system}`,
-                        code: normalizedBloodGroup.code,
-                        display: displayName
-                    }],
-                    text: displayName
-                }
-            });
-        }
-
-        // Nationality Extension
-        if (patientData.nationality) {
-            extensions.push({
-                url: FHIR_EXTENSIONS.PATIENT_NATIONALITY,
-                valueCodeableConcept: {
-                    coding: [{
-                        system: 'urn:iso:std:iso:3166',
-                        code: patientData.nationality === 'UK' ? 'GB' : patientData.nationality,
-                        display: patientData.nationality
-                    }],
-                    text: patientData.nationality
-                }
-            });
-        }
-
-        if (extensions.length) {
-            patient.extension = extensions;
-        }
-
-        console.log('buildCodeRefPatient returning:', patient);
-        return patient;
-    }
-
-    function buildCodeRefStageSections(payload) {
-        const sections = {};
-        const totals = { vitals: 0, conditions: 0, events: 0 };
-
-        stageKeys.forEach(stageKey => {
-            debugMIST(`Processing CODEREF stage: ${stageKey}`);
-
-            const stage = payload[stageKey] || {};
-            const sectionDateTracker = new Map();
-
-            // Get raw data first
-            const rawVitals = normaliseCodeRefVitalsRaw(stage.vitals || []);
-            const rawConditions = normaliseCodeRefConditionsRaw(stage.conditions || []);
-            const rawEvents = normaliseCodeRefEventsRaw(stage.events || []);
+    if (!toastContainer) return;
 
-            debugMIST(`Raw data for ${stageKey}`, {
-                rawVitals: rawVitals.length,
-                rawConditions: rawConditions.length,
-                rawEvents: rawEvents.length
-            });
+    // Clear any existing toasts
+    toastContainer.innerHTML = '';
 
-            // Create MIST chronological rows
-            const chronologicalRows = createMISTChronologicalRows(rawVitals, rawConditions, rawEvents);
-
-            // Process chronological rows into pills - keep chronological order intact
-            const allPills = [];
-            const vitals = [];
-            const conditions = [];
-            const events = [];
-
-            chronologicalRows.forEach(item => {
-                const pill = createStandardizedPill(item.dataType, item, sectionDateTracker, item.isFirstDisplayedInRow);
-                allPills.push(pill); // Keep chronological order
-                if (item.dataType === 'vitals') vitals.push(pill);
-                else if (item.dataType === 'conditions') conditions.push(pill);
-                else if (item.dataType === 'events') events.push(pill);
-            });
+    // Create new toast message
+    const toast = document.createElement('div');
+    toast.className = `toast-message ${type}`;
+    toast.textContent = message;
 
-            debugMIST(`Final pills for ${stageKey}`, {
-                vitals: vitals.length,
-                conditions: conditions.length,
-                events: events.length
-            });
+    // Add to container
+    toastContainer.appendChild(toast);
 
-            totals.vitals += vitals.length;
-            totals.conditions += conditions.length;
-            totals.events += events.length;
-            sections[stageKey] = { vitals, conditions, events, allPills };
-        });
+    // Auto-remove after animation completes (3 seconds total)
+    setTimeout(() => {
+        if (toast.parentNode === toastContainer) {
+            toastContainer.removeChild(toast);
+        }
+    }, 3000);
+}
 
-        return { sections, totals };
+/**
+ * Async JSON Fetcher
+ * Purpose: Safely fetch JSON data from URLs with error handling
+ * Usage: Load demo payloads and external data sources
+ *
+ * @param {string} url - URL to fetch JSON from
+ * @returns {Promise<Object|null>} - Parsed JSON object or null if fetch fails
+ *
+ * Example:
+ *   const data = await fetchJson('payload-1.json')
+ *   if (data) { processPayload(data) }
+ */
+async function fetchJson(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching JSON from ${url}:`, error);
+        return null;
     }
+}
 
-    function normaliseCodeRefVitalsRaw(entries) {
-        return entries
-            .map(item => {
-                if (!item || !item.code) return null;
-                const code = normaliseCodeRef(item.code);
-                const description = resolveCodeDisplay(code.system, code.code);
-
-                return {
-                    code,
-                    description,
-                    value: item.value,
-                    unit: item.unit,
-                    dose: null,
-                    route: item.route,
-                    time: item.time,
-                    onset: null
-                };
-            })
-            .filter(Boolean);
-    }
+/**
+ * Safe deep cloning that preserves large strings and avoids JSON.parse(JSON.stringify()) corruption
+ * Uses structuredClone when available, falls back to manual cloning for large objects
+ */
+// --- CODEC INSTANCE ---
 
-    function normaliseCodeRefConditionsRaw(entries) {
-        return entries
-            .map(item => {
-                if (!item || !item.code) return null;
-                const code = normaliseCodeRef(item.code);
-                const description = resolveCodeDisplay(code.system, code.code);
-
-                return {
-                    code,
-                    description,
-                    value: null,
-                    unit: null,
-                    dose: null,
-                    route: null,
-                    time: null,
-                    onset: item.onset
-                };
-            })
-            .filter(Boolean);
-    }
+/**
+ * Fragment Key Prompt
+ * Purpose: Ask the viewer user for the passphrase or unit key of an encrypted fragment
+ *
+ * @param {EncryptedFragmentError} error - details carry keyType, keyId and wrongKey
+ * @returns {string|null} - Entered key, or null if cancelled
+ */
+function promptForFragmentKey(error) {
+    if (typeof window.prompt !== 'function') return null;
+    const label = error.details.keyType === 'passphrase'
+        ? 'passphrase'
+        : `unit key (id ${error.details.keyId}, Base64URL)`;
+    return window.prompt(error.details.wrongKey
+        ? `That key did not work. Enter the ${label}:`
+        : `This record is encrypted. Enter the ${label}:`);
+}
 
-    function normaliseCodeRefEventsRaw(entries) {
-        return entries
-            .map(item => {
-                if (!item || !item.code) return null;
-                const code = normaliseCodeRef(item.code);
-                const description = resolveCodeDisplay(code.system, code.code);
-
-                return {
-                    code,
-                    description,
-                    value: null,
-                    unit: null,
-                    dose: item.dose,
-                    route: item.route,
-                    time: item.time,
-                    onset: null
-                };
-            })
-            .filter(Boolean);
-    }
+// The DOM-free codec wired to the viewer: pipeline debug output feeds the MIST log, keys come from prompt().
+// Schemas come precompiled; add ?proto=live to the page URL to fetch and parse the .proto files while editing them.
+const { codecPipeline, payloadService, encodeFhirPayloadToFragment } = createIpsCodec({
+    loadSchema: new URLSearchParams(window.location.search).get('proto') === 'live' ? fetchSchemaText : null,
+    logger: {
+        log: console.log,
+        warn: console.warn,
+        error: console.error,
+        debug: debugMIST
+    },
+    promptForKey: promptForFragmentKey
+});
 
-    function normaliseCodeRefVitals(entries, sectionDateTracker = { lastDate: null }) {
-        return entries
-            .map(item => {
-                if (!item || !item.code) return null;
-                const code = normaliseCodeRef(item.code);
-                const description = resolveCodeDisplay(code.system, code.code);
-
-                return createStandardizedPill('vitals', {
-                    code,
-                    description,
-                    value: item.value,
-                    unit: item.unit,
-                    dose: null, // Vitals don't have doses
-                    route: item.route,
-                    time: item.time,
-                    onset: null
-                }, sectionDateTracker);
-            })
-            .filter(Boolean);
-    }
+// Provide a minimal shared API for secondary pages without leaking internals.
+window.NfcIps = {
+    ...(window.NfcIps || {}),
+    showMessage,
+    convertFhirToCodeRef: codecPipeline.convertFhirToCodeRef,
+    convertFhirBundleToCodeRef: codecPipeline.convertFhirBundleToCodeRef,
+    encodeCodeRefToFragment: codecPipeline.encodeToFragment,
+    encodeFhirToFragment: encodeFhirPayloadToFragment,
+    decodeFragment: codecPipeline.decodeFragment,
+    readFragmentHeader: codecPipeline.readFragmentHeader,
+    FRAGMENT_FLAGS: codecPipeline.FRAGMENT_FLAGS,
+    convertCodeRefToFhirBundle: codecPipeline.convertCodeRefToFhirBundle,
+    encodeForTag: codecPipeline.encodeForTag,
+    measureTagUrl: codecPipeline.measureTagUrl,
+    NFC_TAG_CAPACITIES: codecPipeline.NFC_TAG_CAPACITIES,
+    buildDeflateDictionary: codecPipeline.buildDeflateDictionary,
+    encodeToChunks: codecPipeline.encodeToChunks,
+    readChunk: codecPipeline.readChunk,
+    assembleChunks: codecPipeline.assembleChunks,
+    buildNdefMessage: codecPipeline.buildTagNdefMessage,
+    buildQrCode: codecPipeline.buildTagQrCode,
+    addTrustedSigningKey: codecPipeline.addTrustedSigningKey,
+    addUnitKey: codecPipeline.addUnitKey,
+    migrateLegacyPayload: payloadService.migrateLegacyPayload,
+    migrateLegacyFragment: payloadService.migrateLegacyFragment,
+    APP_VERSION,
+    parseNdefMessage // .fragment feeds decodeFragment / payloadService.loadFromFragment
+};
 
-    function normaliseCodeRefConditions(entries, sectionDateTracker = { lastDate: null }) {
-        return entries
-            .map(item => {
-                if (!item || !item.code) return null;
-                const code = normaliseCodeRef(item.code);
-                const description = resolveCodeDisplay(code.system, code.code);
-
-                return createStandardizedPill('conditions', {
-                    code,
-                    description,
-                    value: null,
-                    unit: null,
-                    dose: null, // Conditions don't have doses
-                    route: null,
-                    time: null,
-                    onset: item.onset
-                }, sectionDateTracker);
-            })
-            .filter(Boolean);
-    }
+// --- QR IMAGE IMPORT ---
 
-    function normaliseCodeRefEvents(entries, sectionDateTracker = { lastDate: null }) {
-        return entries
-            .map(item => {
-                if (!item || !item.code) return null;
-                const code = normaliseCodeRef(item.code);
-                const description = resolveCodeDisplay(code.system, code.code);
-
-                return createStandardizedPill('events', {
-                    code,
-                    description,
-                    value: null,
-                    unit: item.unit,
-                    dose: item.dose,
-                    route: item.route,
-                    time: item.time,
-                    onset: null
-                }, sectionDateTracker);
-            })
-            .filter(Boolean);
+// Custom error for images that do not yield an NFC IPS link
+class QrImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QrImageError';
     }
+}
 
-    function buildSummary(payload, totals) {
-        const summary = { totals };
-
-        // Find the latest timestamp from R2 stage to set IPS Summary creation time
-        let latestTimestamp = null;
-
-        if (payload.r2) {
-            const r2Stage = payload.r2;
-            const allTimes = [];
-
-            // Collect all timestamps from R2 vitals, conditions, and events
-            if (r2Stage.vitals) {
-                r2Stage.vitals.forEach(vital => {
-                    if (vital.time) allTimes.push(new Date(vital.time));
-                });
-            }
-            if (r2Stage.conditions) {
-                r2Stage.conditions.forEach(condition => {
-                    if (condition.onset) allTimes.push(new Date(condition.onset));
-                });
-            }
-            if (r2Stage.events) {
-                r2Stage.events.forEach(event => {
-                    if (event.time) allTimes.push(new Date(event.time));
-                });
-            }
-
-            // Find the latest valid timestamp
-            const validTimes = allTimes.filter(time => !Number.isNaN(time.getTime()));
-            if (validTimes.length > 0) {
-                latestTimestamp = new Date(Math.max(...validTimes.map(time => time.getTime())));
-                // Add 15 minutes to the latest R2 entry for IPS Summary creation
-                latestTimestamp.setMinutes(latestTimestamp.getMinutes() + 15);
-            }
-        }
+// jsQR is only needed when an image is imported, so it is loaded on first use rather than by the page
+const QR_DECODER_SCRIPT_URL = new URL('./resources/vendor/jsQR.js', import.meta.url).href;
+const QR_IMAGE_MAX_DIMENSION = 1600; // Phone photos are downscaled; printed codes stay well above decoder resolution
 
-        // Use calculated timestamp or fallback to payload.t
-        if (latestTimestamp) {
-            summary.timestamp = latestTimestamp;
-        } else if (typeof payload.t === 'number') {
-            const timestamp = new Date(payload.t * 60000);
-            if (!Number.isNaN(timestamp.getTime())) {
-                summary.timestamp = timestamp;
-            }
-        } else if (typeof payload.t === 'string') {
-            const timestamp = new Date(payload.t);
-            if (!Number.isNaN(timestamp.getTime())) {
-                summary.timestamp = timestamp;
-            }
-        }
+let qrDecoderScriptPromise = null;
 
-        return summary;
+function loadQrDecoderScript() {
+    if (typeof jsQR !== 'undefined') {
+        return Promise.resolve();
     }
-
-    async function loadFromFragment(fragment) {
-        const decoded = decodeURIComponent(fragment || '').trim();
-        if (!decoded) {
-            throw new Error('URL fragment is empty.');
-        }
-
-        if (looksLikeJson(decoded)) {
-            const parsed = tryParseJson(decoded);
-            if (parsed) {
-                return buildViewModelFromObject(parsed, {
-                    label: 'Fragment JSON',
-                    originalInput: decoded,
-                    rawPayload: parsed
-                });
-            }
-        }
-
-        const base64JsonString = base64ToString(decoded);
-        if (base64JsonString && looksLikeJson(base64JsonString)) {
-            const parsedBase64Json = tryParseJson(base64JsonString);
-            if (parsedBase64Json) {
-                return buildViewModelFromObject(parsedBase64Json, {
-                    label: 'Fragment Base64 JSON',
-                    originalInput: decoded,
-                    rawPayload: parsedBase64Json
-                });
-            }
-        }
-
-        const decodeResult = await codecPipeline.decodeFragment(decoded);
-        return buildViewModelFromObject(decodeResult.data, {
-            label: decodeResult.schemaVersion === 'legacy' ? 'Fragment NFC Payload (indexed)' : 'Fragment NFC Payload',
-            originalInput: decoded,
-            rawPayload: decodeResult.data,
-            schemaVersion: decodeResult.schemaVersion
+    if (!qrDecoderScriptPromise) {
+        qrDecoderScriptPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = QR_DECODER_SCRIPT_URL;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                qrDecoderScriptPromise = null;
+                reject(new QrImageError('QR decoder could not be loaded.'));
+            };
+            document.head.appendChild(script);
         });
     }
+    return qrDecoderScriptPromise;
+}
 
-    async function parseUserInput(rawInput) {
-        const trimmed = (rawInput || '').trim();
-        if (!trimmed) {
-            throw new Error('Input is empty.');
-        }
+/**
+ * QR Image Reader
+ * Purpose: Find and decode a QR code in an image file, entirely in the browser
+ * Usage: Casualty cards with a printed QR code, when the NFC tag will not scan
+ *
+ * Uses the native BarcodeDetector where available (Chromium, Android) and falls back to the
+ * vendored jsQR decoder, which also tries the inverted image for light-on-dark prints.
+ *
+ * @param {File|Blob} file - Photo or scan of the QR code
+ * @returns {Promise<string>} - Text content of the first QR code found
+ * @throws {QrImageError} - If the file is not a readable image or holds no QR code
+ */
+async function readQrTextFromImage(file) {
+    if (!file || !/^image\//.test(file.type)) {
+        throw new QrImageError('Choose an image file containing a QR code.');
+    }
 
-        if (looksLikeJson(trimmed)) {
-            const parsed = tryParseJson(trimmed);
-            if (parsed) {
-                return buildViewModelFromObject(parsed, {
-                    label: 'Custom JSON',
-                    originalInput: trimmed,
-                    rawPayload: parsed
-                });
-            }
-        }
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (error) {
+        console.warn('Image could not be decoded:', error);
+        throw new QrImageError('Image could not be read.');
+    }
 
-        const base64JsonString = base64ToString(trimmed);
-        if (base64JsonString && looksLikeJson(base64JsonString)) {
-            const parsedBase64Json = tryParseJson(base64JsonString);
-            if (parsedBase64Json) {
-                return buildViewModelFromObject(parsedBase64Json, {
-                    label: 'Custom Base64 JSON',
-                    originalInput: trimmed,
-                    rawPayload: parsedBase64Json
-                });
+    try {
+        if ('BarcodeDetector' in window) {
+            try {
+                const formats = await window.BarcodeDetector.getSupportedFormats();
+                if (formats.includes('qr_code')) {
+                    const codes = await new window.BarcodeDetector({ formats: ['qr_code'] }).detect(bitmap);
+                    console.log('BarcodeDetector found', codes.length, 'QR code(s)');
+                    if (codes.length) return codes[0].rawValue;
+                }
+            } catch (error) {
+                console.warn('BarcodeDetector failed, falling back to jsQR:', error);
             }
         }
 
-        const decodeResult = await codecPipeline.decodeFragment(trimmed);
-        return buildViewModelFromObject(decodeResult.data, {
-            label: decodeResult.schemaVersion === 'legacy' ? 'Custom NFC Payload (indexed)' : 'Custom NFC Payload',
-            originalInput: trimmed,
-            rawPayload: decodeResult.data,
-            schemaVersion: decodeResult.schemaVersion
-        });
-    }
-
-    function buildStageSectionsFromBundle(bundle) {
-        if (!bundle || bundle.resourceType !== 'Bundle') {
-            return { sections: {}, summary: null, allergies: [] };
-        }
+        await loadQrDecoderScript();
+        const scale = Math.min(1, QR_IMAGE_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
 
-        try {
-            const codeRefPayload = codecPipeline.convertFhirToCodeRef(bundle);
-            const stageResult = buildCodeRefStageSections(codeRefPayload);
-            const summary = buildSummary(codeRefPayload, stageResult.totals);
-            return {
-                sections: stageResult.sections || {},
-                summary,
-                allergies: codeRefPayload.allergies || []
-            };
-        } catch (error) {
-            console.warn('Failed to build stage sections from FHIR bundle:', error);
-            return { sections: {}, summary: null, allergies: [] };
+        const code = jsQR(imageData.data, canvas.width, canvas.height, { inversionAttempts: 'attemptBoth' });
+        console.log('jsQR result:', code ? `${code.data.length} characters` : 'no QR code');
+        if (!code) {
+            throw new QrImageError('No QR code found in the image. Try a sharper, closer photo.');
         }
+        return code.data;
+    } finally {
+        bitmap.close();
     }
+}
 
-    return { buildViewModelFromObject, loadFromFragment, parseUserInput };
-})();
+/**
+ * QR Text Fragment Extractor
+ * Purpose: Pull the #fragment out of a scanned QR code's text
+ *
+ * @param {string} text - QR code content: a full NFC IPS URL, or a bare fragment
+ * @returns {string} - Fragment without '#'
+ * @throws {QrImageError} - If the text has no fragment, or neither points at the tag URL base nor carries
+ *   a versioned fragment header (any other link with a '#' is not ours)
+ *
+ * Example:
+ *   fragmentFromQrText('https://www.medis.org.uk/#TgMB...') → 'TgMB...'
+ */
+function fragmentFromQrText(text) {
+    const trimmed = (text || '').trim();
+    const hashIndex = trimmed.indexOf('#');
+    let fragment = '';
+    if (hashIndex !== -1) {
+        fragment = trimmed.slice(hashIndex + 1);
+    } else if (/^[A-Za-z0-9_-]+$/.test(trimmed)) {
+        fragment = trimmed;
+    }
+
+    const fromTagUrl = hashIndex !== -1 && trimmed.startsWith(codecPipeline.DEFAULT_TAG_URL_BASE);
+    if (!fragment || !(fromTagUrl || codecPipeline.readFragmentHeader(base64ToUint8Array(fragment)))) {
+        const preview = trimmed.length > 60 ? `${trimmed.slice(0, 60)}…` : trimmed;
+        throw new QrImageError(`QR code is not an NFC IPS link: "${preview}"`);
+    }
+    return fragment;
+}
 
 // --- RENDERING FUNCTIONS ---
 
@@ -3979,86 +788,456 @@ function setTitleAvailability(titleElement, hasData) {
 }
 
 /**
- * Detail Box Element Factory
- * Purpose: Create standardized label-value display elements
- * Usage: Generate consistent UI elements for patient details throughout the app
+ * Detail Box Element Factory
+ * Purpose: Create standardized label-value display elements
+ * Usage: Generate consistent UI elements for patient details throughout the app
+ *
+ * @param {string} label - Display label for the data
+ * @param {string} value - Data value to display
+ * @param {string} parentColorClass - CSS class for color theming
+ * @returns {HTMLElement} - Formatted detail box element
+ *
+ * Example:
+ *   createDetailBoxElement('Name', 'John Doe', 'patient-color')
+ *   → <div class="detail-box patient-color">...
+ */
+function createDetailBoxElement(label, value, parentColorClass) {
+    const detailBox = document.createElement('div');
+    detailBox.classList.add('detail-box');
+    if (parentColorClass) {
+        detailBox.classList.add(parentColorClass);
+    }
+    const labelSpan = document.createElement('span');
+    labelSpan.classList.add('detail-label');
+    labelSpan.textContent = label;
+    const valueSpan = document.createElement('span');
+    valueSpan.classList.add('detail-value');
+    valueSpan.textContent = value;
+    detailBox.appendChild(labelSpan);
+    detailBox.appendChild(valueSpan);
+    return detailBox;
+}
+
+/**
+ * Ghost Item Layout System
+ * Purpose: Add invisible spacing elements for consistent flexbox wrapping
+ * Usage: Ensure even spacing in patient detail grids regardless of item count
+ *
+ * @param {HTMLElement} container - Container to add ghost items to
+ * @param {number} count - Number of ghost items to add for spacing
+ *
+ * Technical: Implements advanced flexbox spacing technique from AI-CODEGEN-SPEC
+ */
+function addGhostItems(container, count) {
+    for (let i = 0; i < count; i += 1) {
+        const ghost = document.createElement('div');
+        ghost.classList.add('detail-ghost-item');
+        container.appendChild(ghost);
+    }
+}
+
+/**
+ * Patient Information Renderer
+ * Purpose: Render complete patient demographics and identifiers
+ * Usage: Display patient details in the main patient information box
+ *
+ * @param {Object} patientResource - FHIR Patient resource object
+ * @param {Object} signature - Optional fragment signature result ({ status, signer, reason }) for the badge
+ *
+ * Renders: Name, DOB, gender, NHS number, identifiers, contact information
+ * Features: NHS number formatting, date formatting, gender code mapping
+ *
+ * Example: Displays 'John Doe, DOB: 15 January 1990, NHS: 123 456 7890'
+ */
+function renderPatientBox(patientResource, signature) {
+    console.log('renderPatientBox called with:', patientResource);
+    const patientBox = document.querySelector('[data-key="patient"]');
+    if (!patientBox) return;
+
+    const patientTitle = patientBox.querySelector('.info-title');
+    const existingDetails = patientBox.querySelector('.patient-details-container');
+    if (existingDetails) existingDetails.remove();
+
+    const patientConfig = infoBoxConfig.find(config => config.dataKey === 'patient');
+    const patientColorClass = patientConfig ? patientConfig.colorClass : 'grey';
+
+    if (patientResource && patientResource.resourceType === 'Patient') {
+        setTitleAvailability(patientTitle, true);
+        const detailsElement = createPatientDetailsElement(patientResource, patientColorClass);
+        if (signature) {
+            detailsElement.prepend(createSignatureBadgeElement(signature, patientColorClass));
+        }
+        patientBox.appendChild(detailsElement);
+        addGhostItems(detailsElement, 10);
+    } else {
+        setTitleAvailability(patientTitle, false);
+    }
+}
+
+const SIGNATURE_BADGE_TEXT = {
+    verified: 'Verified',
+    unsigned: 'Unsigned',
+    invalid: 'Invalid signature'
+};
+
+/**
+ * Signature Badge Builder
+ * Purpose: Show whether the loaded fragment was signed by a trusted key
+ *
+ * @param {Object} signature - { status: 'verified' | 'unsigned' | 'invalid', signer, reason }
+ * @param {string} parentColorClass - Colour class of the containing info box
+ * @returns {HTMLElement} - Detail pill with a status class for colouring
+ */
+function createSignatureBadgeElement(signature, parentColorClass) {
+    const value = signature.status === 'verified' && signature.signer
+        ? `${SIGNATURE_BADGE_TEXT.verified} (${signature.signer})`
+        : SIGNATURE_BADGE_TEXT[signature.status] || signature.status;
+    const badge = createDetailBoxElement('Signature', value, parentColorClass);
+    badge.classList.add('signature-badge', `signature-${signature.status}`);
+    if (signature.reason) {
+        badge.title = signature.reason;
+    }
+    return badge;
+}
+
+/**
+ * Multi-Tag Status Renderer
+ * Purpose: Show which tags of a multi-tag record have been scanned while the record is incomplete
+ * Usage: Fills the Patient Demographics box in place of patient details
+ *
+ * @param {Object} status - codecPipeline.assembleChunks status ({ recordId, total, received, missing, corrupt })
+ * @param {Function} [onDiscard] - Called with status.recordId by the "Discard partial record" button
+ */
+function renderMultiTagStatus(status, onDiscard) {
+    const patientBox = document.querySelector('[data-key="patient"]');
+    if (!patientBox) return;
+
+    const existingDetails = patientBox.querySelector('.patient-details-container');
+    if (existingDetails) existingDetails.remove();
+
+    const container = document.createElement('div');
+    container.classList.add('patient-details-container', 'multi-tag-status');
+
+    const lines = [
+        `Multi-tag record: ${status.received.length} of ${status.total} tags scanned`,
+        `Scan tag${status.missing.length === 1 ? '' : 's'} ${status.missing.join(', ')} to complete it`
+    ];
+    if (status.corrupt.length) {
+        lines.push(`Tag${status.corrupt.length === 1 ? '' : 's'} ${status.corrupt.join(', ')} read badly; scan again`);
+    }
+    lines.forEach(line => {
+        const item = document.createElement('div');
+        item.textContent = line;
+        container.appendChild(item);
+    });
+
+    if (onDiscard) {
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'multi-tag-discard';
+        discardButton.textContent = 'Discard partial record';
+        discardButton.addEventListener('click', () => {
+            onDiscard(status.recordId);
+            container.remove();
+        });
+        container.appendChild(discardButton);
+    }
+
+    patientBox.appendChild(container);
+}
+
+/**
+ * Fragment QR Code Renderer
+ * Purpose: Show a printable QR code for the encoded record beneath the encoder pane
+ * Usage: Called after every encode; called with null to hide the QR code again
+ *
+ * @param {HTMLElement} container - QR code container element
+ * @param {string|null} fragment - Whole-record fragment, or null to clear
+ */
+function renderFragmentQr(container, fragment) {
+    container.innerHTML = '';
+    container.hidden = !fragment;
+    if (!fragment) return;
+
+    let qrCode;
+    try {
+        qrCode = codecPipeline.buildTagQrCode(fragment);
+    } catch (error) {
+        console.warn('QR code generation failed:', error);
+        container.textContent = `No QR code: ${error.message}`;
+        return;
+    }
+
+    const image = document.createElement('div');
+    image.className = 'fragment-qr-image';
+    image.innerHTML = qrCode.svg;
+
+    const caption = document.createElement('div');
+    caption.className = 'fragment-qr-caption';
+    caption.textContent = `QR version ${qrCode.version}, error correction ${qrCode.errorCorrection} (${qrCode.url.length} characters)`;
+
+    const printButton = document.createElement('button');
+    printButton.className = 'pane-button';
+    printButton.textContent = 'Print QR';
+    printButton.addEventListener('click', () => {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            showMessage('Allow pop-ups to print the QR code', 'warning');
+            return;
+        }
+        // Fixed physical size so the printed code scans at arm's length
+        printWindow.document.write('<!DOCTYPE html><title>NFC IPS QR code</title>'
+            + '<body style="margin:0;display:flex;justify-content:center">'
+            + qrCode.svg.replace('<svg ', '<svg style="width:80mm;height:80mm" ')
+            + '</body>');
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    });
+
+    container.append(image, caption, printButton);
+}
+
+const ROUND_TRIP_VALUE_LIMIT = 80; // Characters of each before/after value shown in the report table
+
+function formatRoundTripValue(value) {
+    if (value === undefined) return '—';
+    const text = JSON.stringify(value);
+    return text.length > ROUND_TRIP_VALUE_LIMIT ? `${text.slice(0, ROUND_TRIP_VALUE_LIMIT - 1)}…` : text;
+}
+
+/**
+ * Round-Trip Report Renderer
+ * Purpose: Show what of the FHIR input survives encode → decode, resource by resource
+ * Usage: Called with codecPipeline.buildRoundTripReport output; called with null to hide the report
  *
- * @param {string} label - Display label for the data
- * @param {string} value - Data value to display
- * @param {string} parentColorClass - CSS class for color theming
- * @returns {HTMLElement} - Formatted detail box element
+ * Resources whose elements all survive are counted but not listed; the rest expand to a table of
+ * transformed, lost and added elements.
  *
- * Example:
- *   createDetailBoxElement('Name', 'John Doe', 'patient-color')
- *   → <div class="detail-box patient-color">...
+ * @param {HTMLElement} container - Report container element
+ * @param {Object|null} report - Round-trip report, or null to clear
  */
-function createDetailBoxElement(label, value, parentColorClass) {
-    const detailBox = document.createElement('div');
-    detailBox.classList.add('detail-box');
-    if (parentColorClass) {
-        detailBox.classList.add(parentColorClass);
-    }
-    const labelSpan = document.createElement('span');
-    labelSpan.classList.add('detail-label');
-    labelSpan.textContent = label;
-    const valueSpan = document.createElement('span');
-    valueSpan.classList.add('detail-value');
-    valueSpan.textContent = value;
-    detailBox.appendChild(labelSpan);
-    detailBox.appendChild(valueSpan);
-    return detailBox;
+function renderRoundTripReport(container, report) {
+    container.innerHTML = '';
+    container.hidden = !report;
+    if (!report) return;
+
+    const { summary } = report;
+    const heading = document.createElement('div');
+    heading.className = 'round-trip-summary';
+    const parts = [
+        `${summary.preserved} preserved`,
+        `${summary.transformed} transformed`,
+        `${summary.lost} lost`
+    ];
+    if (summary.resourcesLost) parts.push(`${summary.resourcesLost} resource(s) dropped`);
+    if (report.omitted.length) parts.push(`${report.omitted.length} item(s) shed for the tag`);
+    heading.textContent = `Round trip: ${parts.join(' • ')} (${report.fragmentLength} character fragment)`;
+    container.appendChild(heading);
+
+    const changed = report.resources.filter(resource => resource.counts.transformed || resource.counts.lost || resource.counts.added);
+    const unchanged = report.resources.length - changed.length;
+    if (unchanged) {
+        const note = document.createElement('div');
+        note.className = 'round-trip-note';
+        note.textContent = `${unchanged} resource(s) survive unchanged`;
+        container.appendChild(note);
+    }
+
+    changed.forEach(resource => {
+        const details = document.createElement('details');
+        details.className = `round-trip-resource round-trip-${resource.status}`;
+
+        const title = document.createElement('summary');
+        const statusText = resource.status === 'matched' ? '' : ` — ${resource.status}`;
+        title.textContent = `${resource.label}${statusText}: ${resource.counts.transformed} transformed, `
+            + `${resource.counts.lost} lost, ${resource.counts.added} added`;
+        details.appendChild(title);
+
+        const table = document.createElement('table');
+        resource.differences
+            .filter(difference => difference.status !== 'preserved')
+            .forEach(difference => {
+                const row = table.insertRow();
+                row.className = `round-trip-${difference.status}`;
+                [difference.status, difference.path, formatRoundTripValue(difference.before), formatRoundTripValue(difference.after)]
+                    .forEach(text => {
+                        row.insertCell().textContent = text;
+                    });
+            });
+        details.appendChild(table);
+        container.appendChild(details);
+    });
+}
+
+// Row labels for size breakdown keys that are not stage keys (stages use their short titles)
+const SIZE_BREAKDOWN_LABELS = {
+    patient: 'Patient',
+    allergies: 'Allergies',
+    bundleMetadata: 'Bundle metadata',
+    t: 'Payload time',
+    vitals: 'Vitals',
+    conditions: 'Conditions',
+    events: 'Events',
+    originalBundleJson: 'Archived source Bundle',
+    __unknownFields: 'Newer-schema fields',
+    deflate: 'DEFLATE framing',
+    envelope: 'Envelope (header, checksum)',
+    urlPrefix: 'URL prefix'
+};
+
+function sizeBreakdownLabel(key) {
+    const stage = infoBoxConfig.find(config => config.dataKey === key);
+    return stage ? stage.shortTitle || stage.title : SIZE_BREAKDOWN_LABELS[key] || key;
 }
 
 /**
- * Ghost Item Layout System
- * Purpose: Add invisible spacing elements for consistent flexbox wrapping
- * Usage: Ensure even spacing in patient detail grids regardless of item count
- *
- * @param {HTMLElement} container - Container to add ghost items to
- * @param {number} count - Number of ghost items to add for spacing
+ * Size Breakdown Renderer
+ * Purpose: Table of what each part of the payload costs in the tag URL, largest first
+ * Usage: Shown with the Protobuf Binary pane; stage rows are followed by their vitals, conditions and events
  *
- * Technical: Implements advanced flexbox spacing technique from AI-CODEGEN-SPEC
+ * @param {HTMLElement} container - Panel to fill (hidden when breakdown is null)
+ * @param {Object|null} breakdown - Result of codecPipeline.buildSizeBreakdown
  */
-function addGhostItems(container, count) {
-    for (let i = 0; i < count; i += 1) {
-        const ghost = document.createElement('div');
-        ghost.classList.add('detail-ghost-item');
-        container.appendChild(ghost);
-    }
+function renderSizeBreakdown(container, breakdown) {
+    container.innerHTML = '';
+    container.hidden = !breakdown;
+    if (!breakdown) return;
+
+    const { totals } = breakdown;
+    const heading = document.createElement('div');
+    heading.className = 'size-breakdown-summary';
+    heading.textContent = `${totals.protobufBytes} protobuf bytes → ${totals.deflatedBytes} after DEFLATE `
+        + `→ ${totals.deflatedBytes + totals.envelopeBytes} with envelope → ${breakdown.fragmentLength} Base64URL characters `
+        + `(+${totals.base64Overhead}) in a ${breakdown.urlLength} character URL`;
+    container.appendChild(heading);
+
+    const table = document.createElement('table');
+    const headerRow = table.createTHead().insertRow();
+    ['', 'Protobuf bytes', 'Compressed bytes', 'URL characters', 'Share'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        headerRow.appendChild(cell);
+    });
+    const body = table.createTBody();
+    const addRow = (item, className) => {
+        const row = body.insertRow();
+        row.className = className;
+        const percent = (item.share * 100).toFixed(1);
+        [
+            sizeBreakdownLabel(item.key),
+            item.kind === 'payload' ? item.protobufBytes : '',
+            item.kind === 'url' ? '' : item.deflatedBytes.toFixed(1),
+            item.characters.toFixed(1),
+            `${percent}%`
+        ].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+        row.style.setProperty('--size-share', `${percent}%`);
+    };
+    breakdown.items.forEach(item => {
+        addRow(item, `size-breakdown-${item.kind}`);
+        item.children.forEach(child => addRow(child, 'size-breakdown-child'));
+    });
+    container.appendChild(table);
+}
+
+const WIRE_VALUE_LIMIT = 60;
+const WIRE_HEX_ROW = 16;
+
+function describeWireNode(node) {
+    const value = typeof node.value === 'string' && !node.children ? JSON.stringify(node.value) : String(node.value ?? '');
+    const shownValue = value.length > WIRE_VALUE_LIMIT ? `${value.slice(0, WIRE_VALUE_LIMIT)}…` : value;
+    const parts = [`#${node.fieldNumber ?? '?'} ${node.name || '(not in schema)'}`, node.wireType, node.type, `bytes ${node.start}–${node.end - 1}`]
+        .filter(Boolean);
+    return `${parts.join(' · ')}${shownValue ? ` = ${shownValue}` : ''}${node.warning ? ` ⚠ ${node.warning}` : ''}${node.error ? ` ✖ ${node.error}` : ''}`;
 }
 
 /**
- * Patient Information Renderer
- * Purpose: Render complete patient demographics and identifiers
- * Usage: Display patient details in the main patient information box
- *
- * @param {Object} patientResource - FHIR Patient resource object
- *
- * Renders: Name, DOB, gender, NHS number, identifiers, contact information
- * Features: NHS number formatting, date formatting, gender code mapping
+ * Wire Inspector Renderer
+ * Purpose: Collapsible tree of the fragment's protobuf fields beside a hex view of the same bytes
+ * Usage: Shown with the Protobuf Binary pane; hovering a field highlights its bytes (tag and length in a lighter shade)
  *
- * Example: Displays 'John Doe, DOB: 15 January 1990, NHS: 123 456 7890'
+ * @param {HTMLElement} container - Panel to fill (hidden when inspection is null)
+ * @param {Object|null} inspection - Result of codecPipeline.inspectProtobufWire
  */
-function renderPatientBox(patientResource) {
-    console.log('renderPatientBox called with:', patientResource);
-    const patientBox = document.querySelector('[data-key="patient"]');
-    if (!patientBox) return;
+function renderWireInspector(container, inspection) {
+    container.innerHTML = '';
+    container.hidden = !inspection;
+    if (!inspection) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'wire-inspector-summary';
+    heading.textContent = `${inspection.typeName}: ${inspection.bytes.length} protobuf bytes (${inspection.schemaVersion} schema). `
+        + 'Hover a field to highlight its bytes.';
+    container.appendChild(heading);
+
+    const hex = document.createElement('div');
+    hex.className = 'wire-hex';
+    const byteSpans = [];
+    for (let rowStart = 0; rowStart < inspection.bytes.length; rowStart += WIRE_HEX_ROW) {
+        const row = document.createElement('div');
+        const offset = document.createElement('span');
+        offset.className = 'wire-hex-offset';
+        offset.textContent = rowStart.toString(16).padStart(4, '0');
+        row.appendChild(offset);
+        inspection.bytes.subarray(rowStart, rowStart + WIRE_HEX_ROW).forEach(byte => {
+            const span = document.createElement('span');
+            span.textContent = byte.toString(16).padStart(2, '0');
+            byteSpans.push(span);
+            row.appendChild(span);
+        });
+        hex.appendChild(row);
+    }
 
-    const patientTitle = patientBox.querySelector('.info-title');
-    const existingDetails = patientBox.querySelector('.patient-details-container');
-    if (existingDetails) existingDetails.remove();
+    let highlighted = [];
+    const clearHighlight = () => {
+        highlighted.forEach(span => span.classList.remove('wire-highlight', 'wire-highlight-key'));
+        highlighted = [];
+    };
+    const highlight = node => {
+        clearHighlight();
+        highlighted = byteSpans.slice(node.start, node.end);
+        highlighted.forEach((span, index) => {
+            span.classList.add(node.start + index < node.valueStart ? 'wire-highlight-key' : 'wire-highlight');
+        });
+        if (highlighted[0]) highlighted[0].scrollIntoView({ block: 'nearest' });
+    };
 
-    const patientConfig = infoBoxConfig.find(config => config.dataKey === 'patient');
-    const patientColorClass = patientConfig ? patientConfig.colorClass : 'grey';
+    const buildTree = nodes => {
+        const list = document.createElement('div');
+        list.className = 'wire-tree-level';
+        nodes.forEach(node => {
+            let item;
+            let label;
+            if (node.children && node.children.length) {
+                item = document.createElement('details');
+                label = document.createElement('summary');
+                item.appendChild(label);
+                item.appendChild(buildTree(node.children));
+            } else {
+                item = document.createElement('div');
+                label = item;
+            }
+            label.textContent = describeWireNode(node);
+            item.classList.add('wire-node');
+            if (node.unknown) item.classList.add('wire-unknown');
+            if (node.warning) item.classList.add('wire-warning');
+            if (node.error) item.classList.add('wire-error');
+            label.addEventListener('mouseenter', () => highlight(node));
+            label.addEventListener('mouseleave', clearHighlight);
+            list.appendChild(item);
+        });
+        return list;
+    };
 
-    if (patientResource && patientResource.resourceType === 'Patient') {
-        setTitleAvailability(patientTitle, true);
-        const detailsElement = createPatientDetailsElement(patientResource, patientColorClass);
-        patientBox.appendChild(detailsElement);
-        addGhostItems(detailsElement, 10);
-    } else {
-        setTitleAvailability(patientTitle, false);
-    }
+    const body = document.createElement('div');
+    body.className = 'wire-inspector-body';
+    const tree = buildTree(inspection.fields);
+    tree.classList.add('wire-tree');
+    body.appendChild(tree);
+    body.appendChild(hex);
+    container.appendChild(body);
 }
 
 function createPatientDetailsElement(patientData, parentColorClass) {
@@ -4613,6 +1792,44 @@ function buildPatientDifferences(referencePatient, currentPatient) {
     return differences;
 }
 
+/**
+ * Newer Schema Notice Renderer
+ * Purpose: Warn that the record carries fields from a newer schema version that this viewer cannot display
+ * Usage: Called after each render; hidden when the record has no unknown fields
+ *
+ * @param {Array<{path: string, fieldNumbers: number[], bytes: number}>} unknownFields - codecPipeline.listUnknownFields result
+ */
+function renderNewerSchemaNotice(unknownFields = []) {
+    let notice = document.getElementById('newer-schema-notice'); // Optional: created above the patient box if absent
+    if (!notice) {
+        if (!unknownFields.length) return;
+        notice = document.createElement('div');
+        notice.id = 'newer-schema-notice';
+        notice.className = 'newer-schema-notice';
+        notice.setAttribute('role', 'status');
+        const patientBox = document.querySelector('[data-key="patient"]');
+        if (patientBox) {
+            patientBox.before(notice);
+        } else {
+            document.body.prepend(notice);
+        }
+    }
+    notice.textContent = '';
+    notice.hidden = !unknownFields.length;
+    if (!unknownFields.length) return;
+
+    const text = document.createElement('div');
+    text.textContent = 'This tag contains data from a newer schema version that this viewer cannot display.';
+    notice.appendChild(text);
+
+    const details = document.createElement('div');
+    details.className = 'newer-schema-notice-details';
+    details.textContent = unknownFields
+        .map(item => `${item.path}: field${item.fieldNumbers.length === 1 ? '' : 's'} ${item.fieldNumbers.join(', ')}`)
+        .join(' • ');
+    notice.appendChild(details);
+}
+
 /**
  * Main Rendering Orchestrator
  * Purpose: Coordinate all UI rendering operations for a complete view model
@@ -4634,11 +1851,233 @@ function processAndRenderAll(viewModel, comparisonViewModel) {
         return;
     }
 
-    renderPatientBox(viewModel.patientResource);
+    renderPatientBox(viewModel.patientResource, viewModel.signature);
     renderPayloadDisplay(viewModel.rawPayload);
     renderClinicalSummaryBox(viewModel.patientResource, viewModel.allergies, viewModel.summary);
     renderStageSections(viewModel.stageSections);
     renderVitalsChart(viewModel);
+    renderVersionInfo({ fragmentSchemaVersion: viewModel.fragmentSchemaVersion });
+    renderLegacyMigration(viewModel);
+    renderNewerSchemaNotice(viewModel.unknownFields);
+}
+
+// --- LEGACY MIGRATION ---
+
+/**
+ * Legacy Migration Panel Renderer
+ * Purpose: Offer to re-encode a record written with the legacy indexed schema under the current schema
+ * Usage: Called after each render; hidden unless the record on screen is a legacy payload
+ *
+ * @param {Object} viewModel - Rendered view model
+ */
+function renderLegacyMigration(viewModel) {
+    let panel = document.getElementById('legacy-migration'); // Optional: created after the patient box if absent
+    const isLegacy = Boolean(viewModel && payloadService.isLegacyIndexedPayload(viewModel.rawPayload));
+    if (!panel) {
+        if (!isLegacy) return;
+        panel = document.createElement('div');
+        panel.id = 'legacy-migration';
+        panel.className = 'legacy-migration';
+        const patientBox = document.querySelector('[data-key="patient"]');
+        if (patientBox) {
+            patientBox.after(panel);
+        } else {
+            document.body.appendChild(panel);
+        }
+    }
+    panel.textContent = '';
+    panel.hidden = !isLegacy;
+    if (!isLegacy) return;
+
+    const text = document.createElement('span');
+    text.textContent = 'This record uses the legacy indexed schema and cannot be extended.';
+
+    const migrateButton = document.createElement('button');
+    migrateButton.type = 'button';
+    migrateButton.textContent = `Migrate to schema v${codecPipeline.CURRENT_SCHEMA_VERSION}`;
+    migrateButton.addEventListener('click', async () => {
+        migrateButton.disabled = true;
+        try {
+            const { payload, dropped } = payloadService.migrateLegacyPayload(viewModel.rawPayload);
+            const fragment = await codecPipeline.encodeToFragment(payload);
+            console.log('Legacy record migrated:', { payload, dropped, fragmentLength: fragment.length });
+            renderLegacyMigrationResult(panel, fragment, dropped);
+            showMessage(dropped.length
+                ? `Migrated record; ${dropped.length} field(s) could not be carried over`
+                : 'Migrated record with no data lost', dropped.length ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Legacy migration failed:', error);
+            showMessage(`Migration failed: ${error.message}`, 'error');
+            migrateButton.disabled = false;
+        }
+    });
+
+    panel.append(text, migrateButton);
+}
+
+/**
+ * Legacy Migration Result Renderer
+ * Purpose: Show the re-encoded fragment and list the legacy fields that did not survive migration
+ *
+ * @param {HTMLElement} panel - Legacy migration panel
+ * @param {string} fragment - Fragment encoded with the current schema
+ * @param {Array<{path: string, value: *, reason: string}>} dropped - Fields that could not be carried over
+ */
+function renderLegacyMigrationResult(panel, fragment, dropped) {
+    const output = document.createElement('textarea');
+    output.className = 'legacy-migration-fragment';
+    output.readOnly = true;
+    output.rows = 3;
+    output.value = fragment;
+
+    const openButton = document.createElement('button');
+    openButton.type = 'button';
+    openButton.textContent = 'Open migrated record';
+    openButton.addEventListener('click', () => {
+        window.location.hash = fragment; // hashchange loads and renders it
+    });
+
+    panel.append(output, openButton);
+
+    if (!dropped.length) return;
+    const heading = document.createElement('div');
+    heading.textContent = 'Not carried over:';
+    const list = document.createElement('ul');
+    dropped.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = `${item.path} = ${JSON.stringify(item.value)} (${item.reason})`;
+        list.appendChild(entry);
+    });
+    panel.append(heading, list);
+}
+
+// --- OFFLINE SUPPORT ---
+
+const SERVICE_WORKER_URL = new URL('./sw.js', import.meta.url);
+// Local development serves edited files straight from disk; add ?sw=on to the URL to test offline use there
+const SERVICE_WORKER_DEV_HOSTS = ['localhost', '127.0.0.1'];
+
+// What the version line reports besides the fixed app/schema versions
+const versionInfoState = {
+    fragmentSchemaVersion: undefined, // Schema version of the rendered fragment; null if it has no header
+    offlineReady: false
+};
+
+/**
+ * Version Information Renderer
+ * Purpose: Show the viewer release, the schema it encodes and reads, and the schema of the record on screen
+ * Usage: Called on start-up, after each render and once the service worker is ready
+ *
+ * @param {Object} updates - Changes to versionInfoState
+ */
+function renderVersionInfo(updates = {}) {
+    Object.assign(versionInfoState, updates);
+
+    let element = document.getElementById('app-version'); // Optional: created at the end of the page if absent
+    if (!element) {
+        element = document.createElement('footer');
+        element.id = 'app-version';
+        element.className = 'app-version';
+        document.body.appendChild(element);
+    }
+
+    const supported = codecPipeline.SUPPORTED_SCHEMA_VERSIONS;
+    const parts = [
+        `Viewer v${APP_VERSION}`,
+        `Schema v${codecPipeline.CURRENT_SCHEMA_VERSION} (reads v${Math.min(...supported)}–v${Math.max(...supported)})`
+    ];
+    if (versionInfoState.fragmentSchemaVersion !== undefined) {
+        parts.push(versionInfoState.fragmentSchemaVersion === null
+            ? 'This record: unversioned fragment'
+            : `This record: schema v${versionInfoState.fragmentSchemaVersion}`);
+    }
+    if (versionInfoState.offlineReady) {
+        parts.push('Available offline');
+    }
+    element.textContent = parts.join(' • ');
+}
+
+/**
+ * Update Prompt
+ * Purpose: Offer to switch to a newly installed viewer version; the waiting worker takes over only on request
+ *
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ */
+function showUpdatePrompt(worker) {
+    let banner = document.getElementById('update-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'update-banner';
+        banner.className = 'update-banner';
+        banner.setAttribute('role', 'status');
+        document.body.appendChild(banner);
+    }
+    banner.textContent = '';
+
+    const text = document.createElement('span');
+    text.textContent = 'A new version of the viewer is available.';
+
+    const reloadButton = document.createElement('button');
+    reloadButton.type = 'button';
+    reloadButton.textContent = 'Reload';
+    reloadButton.addEventListener('click', () => {
+        reloadButton.disabled = true;
+        // The page reloads on controllerchange, keeping its #fragment
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    const laterButton = document.createElement('button');
+    laterButton.type = 'button';
+    laterButton.textContent = 'Later';
+    laterButton.addEventListener('click', () => {
+        banner.hidden = true;
+    });
+
+    banner.append(text, reloadButton, laterButton);
+    banner.hidden = false;
+}
+
+/**
+ * Service Worker Registration
+ * Purpose: Install sw.js so the viewer and everything it needs to decode fragments work with no network
+ * Usage: Called from init(); failures only cost offline support
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+        console.log('Service workers unavailable; the viewer needs the network to load');
+        return;
+    }
+    const params = new URLSearchParams(window.location.search);
+    if (SERVICE_WORKER_DEV_HOSTS.includes(window.location.hostname) && params.get('sw') !== 'on') {
+        console.log('Service worker skipped on a development host (add ?sw=on to enable)');
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL, { type: 'module' });
+        console.log('Service worker registered with scope', registration.scope);
+
+        // An update that finished installing while no page accepted it is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const installing = registration.installing;
+            if (!installing) return;
+            installing.addEventListener('statechange', () => {
+                // With no controller this is the first install, which activates by itself
+                if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(installing);
+                }
+            });
+        });
+
+        await navigator.serviceWorker.ready;
+        renderVersionInfo({ offlineReady: true });
+    } catch (error) {
+        console.warn('Service worker registration failed; offline use is unavailable:', error);
+    }
 }
 
 // --- INITIALISATION ---
@@ -4650,7 +2089,15 @@ const formatState = {
     conversionResults: {}, // Store all format results
     originalFhir: null, // Preserve original FHIR data to prevent round-trip loss
     originalFragment: null, // Preserve original fragment data for restoration
-    suppressMessages: false
+    suppressMessages: false,
+    tagBudget: null, // NFC tag type ('NTAG213' etc.) to degrade encodings to fit; null encodes everything
+    presetDictionary: false, // Compress with the bundled preset DEFLATE dictionary
+    multiTag: false, // With a tag budget, split across several tags instead of shedding data
+    encodingMode: 'tag', // 'tag' (structured fields only) or 'archive' (also embeds the source Bundle JSON, lossless)
+    encryptionPassphrase: '', // Encrypt encoded fragments with this passphrase (AES-GCM); empty leaves them in clear
+    lastTagReport: null, // Size/omission report from the most recent encode
+    sizeBreakdown: null, // Where the decoded fragment's characters go, shown with the Protobuf Binary pane
+    wireInspection: null // Annotated protobuf fields of the decoded fragment, shown with the Protobuf Binary pane
 };
 
 /**
@@ -4681,6 +2128,9 @@ async function init() {
     const patientBox = document.querySelector('[data-key="patient"]');
     console.log('Patient box found:', !!patientBox);
 
+    renderVersionInfo();
+    registerServiceWorker(); // Not awaited: the page must not wait on the cache filling
+
     // New enhanced UI elements
     const parseButton = document.getElementById('parse-button');
     const leftPaneTitle = document.getElementById('left-pane-title');
@@ -4705,6 +2155,18 @@ async function init() {
     const clearIpsButton = document.getElementById('clear-ips');
     const ipsInput = document.getElementById('ips-input');
     const fragmentInput = document.getElementById('fragment-input');
+    let encodeOptionsBar = document.getElementById('encode-options'); // Optional: created above the left input if absent
+    let tagBudgetSelect = document.getElementById('tag-budget-select'); // Optional: created in the encode options if absent
+    let presetDictionaryToggle = document.getElementById('preset-dictionary-toggle'); // Optional checkbox: created in the encode options if absent
+    let multiTagToggle = document.getElementById('multi-tag-toggle'); // Optional checkbox: created in the encode options if absent
+    let encodingModeSelect = document.getElementById('encoding-mode-select'); // Optional: 'tag' or 'archive', created in the encode options if absent
+    let encryptionPassphraseInput = document.getElementById('encryption-passphrase'); // Optional password input: created in the encode options if absent
+    let fragmentQrContainer = document.getElementById('fragment-qr'); // Optional: created on first encode if absent
+    let qrImageInput = document.getElementById('qr-image-input'); // Optional file input: created if absent
+    let roundTripButton = document.getElementById('round-trip-button'); // Optional: created beside the action button if absent
+    let roundTripReportContainer = document.getElementById('round-trip-report'); // Optional: created on first check if absent
+    let wireInspectorContainer = document.getElementById('wire-inspector'); // Optional: created below the right pane if absent
+    let sizeBreakdownContainer = document.getElementById('size-breakdown'); // Optional: created below the right pane if absent
 
     const payload1 = await fetchJson(DEMO_PAYLOADS.IPS_FHIR_JSON_1);
     const payload2 = await fetchJson(DEMO_PAYLOADS.PAYLOAD_2);
@@ -4967,6 +2429,7 @@ async function init() {
     }
 
     const fragment = window.location.hash.slice(1);
+    let pendingRecordStatus = null;
 
     if (fragment) {
         // URL fragment provided
@@ -4977,11 +2440,100 @@ async function init() {
             initialComparison = appState.demos[0] || null;
             showMessage('Loaded payload from NFC fragment', 'success');
         } catch (error) {
-            console.error('Failed to decode fragment payload:', error);
-            showMessage('Failed to decode fragment', 'warning');
+            reportFragmentLoadError(error);
+            if (error instanceof IncompleteRecordError) {
+                pendingRecordStatus = error.status;
+            }
+        }
+    }
+
+    function discardPartialRecord(recordId) {
+        payloadService.discardPendingChunks(recordId);
+        showMessage('Discarded the tags scanned so far; scan the record again from any tag', 'info');
+    }
+
+    function reportFragmentLoadError(error, failureMessage = 'Failed to decode fragment') {
+        if (error instanceof IncompleteRecordError) {
+            console.log('Multi-tag record incomplete:', error.status);
+            showMessage(error.message, 'info');
+            return;
+        }
+        console.error('Failed to decode fragment payload:', error);
+        showMessage(error instanceof FragmentFormatError ? error.message : failureMessage, 'warning');
+    }
+
+    async function loadAndRenderFragment(nextFragment, source, failureMessage) {
+        try {
+            const fragmentViewModel = await payloadService.loadFromFragment(nextFragment);
+            appState.fragmentViewModel = fragmentViewModel;
+            appState.currentViewModel = fragmentViewModel;
+            processAndRenderAll(fragmentViewModel, appState.comparisonViewModel);
+            showMessage(`Loaded payload from ${source}`, 'success');
+        } catch (error) {
+            reportFragmentLoadError(error, failureMessage);
+            if (error instanceof IncompleteRecordError) {
+                renderMultiTagStatus(error.status, discardPartialRecord);
+            }
+        }
+    }
+
+    // Successive tag scans can land on the same page as a new #fragment (e.g. the other chunks of a record)
+    window.addEventListener('hashchange', async () => {
+        const nextFragment = window.location.hash.slice(1);
+        if (!nextFragment) return;
+        await loadAndRenderFragment(nextFragment, 'NFC fragment');
+    });
+
+    async function importQrImage(file) {
+        console.log('=== QR IMAGE IMPORT ===', file && file.name);
+        let fragment;
+        try {
+            fragment = fragmentFromQrText(await readQrTextFromImage(file));
+        } catch (error) {
+            console.error('QR image import failed:', error);
+            showMessage(error instanceof QrImageError ? error.message : 'Could not read a QR code from the image', 'warning');
+            return;
         }
+        await loadAndRenderFragment(fragment, 'QR code', 'QR code does not contain a readable NFC IPS record');
+    }
+
+    // QR image import: file picker beside the clear button, or drop an image anywhere on the page
+    if (!qrImageInput && clearLeftButton) {
+        qrImageInput = document.createElement('input');
+        qrImageInput.type = 'file';
+        qrImageInput.accept = 'image/*';
+        qrImageInput.id = 'qr-image-input';
+        qrImageInput.hidden = true;
+
+        const qrImportButton = document.createElement('button');
+        qrImportButton.className = clearLeftButton.className;
+        qrImportButton.textContent = 'Load QR image';
+        qrImportButton.addEventListener('click', () => qrImageInput.click());
+        clearLeftButton.insertAdjacentElement('afterend', qrImportButton);
+        qrImportButton.insertAdjacentElement('afterend', qrImageInput);
     }
 
+    if (qrImageInput) {
+        qrImageInput.addEventListener('change', async () => {
+            const [file] = qrImageInput.files;
+            qrImageInput.value = ''; // Allow re-importing the same file
+            if (file) await importQrImage(file);
+        });
+    }
+
+    // Only intercept file drags, so dragging text into the panes still works
+    document.addEventListener('dragover', event => {
+        if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+            event.preventDefault();
+        }
+    });
+    document.addEventListener('drop', async event => {
+        const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+        if (!files.length) return;
+        event.preventDefault();
+        await importQrImage(files.find(file => file.type.startsWith('image/')) || files[0]);
+    });
+
     // If no fragment payload, default to first demo bundle for initial render
     // Only render if we have a URL fragment with valid data
     if (initialViewModel) {
@@ -4995,6 +2547,9 @@ async function init() {
         renderClinicalSummaryBox(null, null, null);
         renderStageSections({});
         renderVitalsChart(null);
+        if (pendingRecordStatus) {
+            renderMultiTagStatus(pendingRecordStatus, discardPartialRecord);
+        }
     }
 
     // === FORMAT SWITCHING FUNCTIONS ===
@@ -5012,6 +2567,7 @@ async function init() {
             leftInput.placeholder = 'Paste Base64 encoded fragment here...';
             actionButton.textContent = 'Decode';
             actionButton.className = 'pane-button decode-mode';
+            if (encodeOptionsBar) encodeOptionsBar.hidden = true;
 
             // If we have original fragment stored, restore it instead of encoding FHIR
             if (formatState.originalFragment) {
@@ -5036,10 +2592,12 @@ async function init() {
                 }
             }
         } else { // 'fhir'
+            showFragmentQr(null);
             leftPaneTitle.textContent = 'IPS FHIR JSON';
             leftInput.placeholder = 'Paste FHIR JSON here...';
             actionButton.textContent = 'Encode';
             actionButton.className = 'pane-button encode-mode';
+            if (encodeOptionsBar) encodeOptionsBar.hidden = false;
 
             // If we have original FHIR stored, restore it instead of decoding fragment
             if (formatState.originalFhir) {
@@ -5110,6 +2668,8 @@ async function init() {
         }
 
         updateCharCount(rightInput, rightCharCount);
+        showWireInspector();
+        showSizeBreakdown();
 
         // Update Parse button state based on new format
         if (typeof updateParseButtonState === 'function') {
@@ -5122,6 +2682,80 @@ async function init() {
         countElement.textContent = `${text.length} characters`;
     }
 
+    function showFragmentQr(fragment) {
+        if (!fragmentQrContainer) {
+            if (!fragment) return;
+            fragmentQrContainer = document.createElement('div');
+            fragmentQrContainer.id = 'fragment-qr';
+            fragmentQrContainer.className = 'fragment-qr';
+            leftInput.insertAdjacentElement('afterend', fragmentQrContainer);
+        }
+        renderFragmentQr(fragmentQrContainer, fragment);
+    }
+
+    // The inspector and breakdown explain the Protobuf Binary pane, so they are only shown alongside it
+    function showWireInspector() {
+        const inspection = formatState.rightFormat === 'protobuf' ? formatState.wireInspection : null;
+        if (!wireInspectorContainer) {
+            if (!inspection) return;
+            wireInspectorContainer = document.createElement('div');
+            wireInspectorContainer.id = 'wire-inspector';
+            wireInspectorContainer.className = 'wire-inspector';
+            rightInput.insertAdjacentElement('afterend', wireInspectorContainer);
+        }
+        renderWireInspector(wireInspectorContainer, inspection);
+    }
+
+    function showSizeBreakdown() {
+        const breakdown = formatState.rightFormat === 'protobuf' ? formatState.sizeBreakdown : null;
+        if (!sizeBreakdownContainer) {
+            if (!breakdown) return;
+            sizeBreakdownContainer = document.createElement('div');
+            sizeBreakdownContainer.id = 'size-breakdown';
+            sizeBreakdownContainer.className = 'size-breakdown';
+            (wireInspectorContainer || rightInput).insertAdjacentElement('afterend', sizeBreakdownContainer);
+        }
+        renderSizeBreakdown(sizeBreakdownContainer, breakdown);
+    }
+
+    function showRoundTripReport(report) {
+        if (!roundTripReportContainer) {
+            if (!report) return;
+            roundTripReportContainer = document.createElement('div');
+            roundTripReportContainer.id = 'round-trip-report';
+            roundTripReportContainer.className = 'round-trip-report';
+            (fragmentQrContainer || leftInput).insertAdjacentElement('afterend', roundTripReportContainer);
+        }
+        renderRoundTripReport(roundTripReportContainer, report);
+    }
+
+    // Encode the FHIR input with the current tag settings, decode it again and report what changed
+    async function checkRoundTrip() {
+        const fhirText = formatState.leftMode === 'fhir' ? leftInput.textContent.trim() : formatState.originalFhir;
+        if (!fhirText) {
+            showMessage('Enter IPS FHIR JSON to check its round trip', 'warning');
+            return;
+        }
+
+        try {
+            const archive = formatState.encodingMode === codecPipeline.ENCODING_MODES.ARCHIVE;
+            const report = await codecPipeline.buildRoundTripReport(JSON.parse(fhirText), {
+                presetDictionary: formatState.presetDictionary,
+                mode: formatState.encodingMode,
+                tag: formatState.multiTag || archive ? null : formatState.tagBudget // Multi-tag records and archives carry everything
+            });
+            console.log('Round-trip report:', report);
+            showRoundTripReport(report);
+            const { transformed, lost } = report.summary;
+            showMessage(lost || transformed
+                ? `Round trip: ${lost} element(s) lost, ${transformed} transformed`
+                : 'Round trip preserves every element', lost ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Round-trip check failed:', error);
+            showMessage(`Round-trip check failed: ${error.message}`, 'error');
+        }
+    }
+
     async function performConversion() {
         const inputContent = leftInput.textContent.trim();
         if (!inputContent) {
@@ -5132,11 +2766,14 @@ async function init() {
         try {
             // Clear previous results AND force fresh decode
             formatState.conversionResults = {};
+            formatState.sizeBreakdown = null;
+            formatState.wireInspection = null;
             console.log('🔄 CACHE CLEARED: Forcing fresh decode operations');
 
             if (formatState.leftMode === 'fragment') {
                 // Decode: Fragment -> CodeRef -> FHIR Bundle
                 console.log('=== DECODING PROCESS ===');
+                showFragmentQr(null);
                 console.log('🔄 DECODE BUTTON: Starting full reverse pipeline');
                 console.log('🔄 DECODE BUTTON: Fragment input length:', inputContent.length);
 
@@ -5172,9 +2809,25 @@ async function init() {
 
                 // Generate protobuf binary format
                 const codeRefData = parsedViewModel.rawPayload;
-                formatState.conversionResults.protobuf = await codecPipeline.getProtobufBinary(codeRefData);
+                const decodedMode = codeRefData.originalBundleJson ? codecPipeline.ENCODING_MODES.ARCHIVE : codecPipeline.ENCODING_MODES.TAG;
+                formatState.conversionResults.protobuf = await codecPipeline.getProtobufBinary(codeRefData, { mode: decodedMode });
+                try {
+                    formatState.sizeBreakdown = await codecPipeline.buildSizeBreakdown(inputContent);
+                    console.log('Fragment size breakdown:', formatState.sizeBreakdown);
+                } catch (error) {
+                    // Legacy, header-less and multi-tag input has no single envelope to break down
+                    console.log('No size breakdown for this input:', error.message);
+                }
+                try {
+                    formatState.wireInspection = await codecPipeline.inspectProtobufWire(inputContent);
+                    console.log('Protobuf wire fields:', formatState.wireInspection.fields);
+                } catch (error) {
+                    console.log('No wire inspection for this input:', error.message);
+                }
 
-                showMessage(`Decoded to FHIR Bundle (${fhirBundle.entry.length} entries)`, 'success');
+                showMessage(decodedMode === codecPipeline.ENCODING_MODES.ARCHIVE
+                    ? `Decoded lossless archive to its original FHIR Bundle (${fhirBundle.entry.length} entries)`
+                    : `Decoded to FHIR Bundle (${fhirBundle.entry.length} entries)`, 'success');
 
             } else { // 'fhir'
                 // Encode: FHIR Bundle -> Fragment (stay in left pane)
@@ -5189,15 +2842,56 @@ async function init() {
                 // Store original FHIR data before encoding
                 formatState.originalFhir = inputContent;
 
-                // Encode to fragment
-                const fragment = await codecPipeline.encodeToFragment(fhirPayload);
+                // Encode to fragment, shedding data by clinical priority if a tag budget is selected;
+                // archives keep everything, so the tag budget does not apply to them
+                let fragment;
+                let tagReport;
+                const archive = formatState.encodingMode === codecPipeline.ENCODING_MODES.ARCHIVE;
+                const encodeOptions = { presetDictionary: formatState.presetDictionary, mode: formatState.encodingMode };
+                if (formatState.encryptionPassphrase) {
+                    encodeOptions.encryption = { passphrase: formatState.encryptionPassphrase };
+                }
+                if (!archive && formatState.tagBudget && formatState.multiTag) {
+                    const result = await codecPipeline.encodeToChunks(fhirPayload, { ...encodeOptions, tag: formatState.tagBudget });
+                    formatState.lastTagReport = { tag: formatState.tagBudget, chunks: result.total, recordId: result.recordId, omitted: [] };
+
+                    // One chunk fragment per line, in tag order
+                    await updateLeftPaneMode('fragment');
+                    leftInput.textContent = result.chunks.join('\n');
+                    updateCharCount(leftInput, leftCharCount);
+                    showFragmentQr(result.fragment); // One QR code carries the whole record
+
+                    showMessage(result.total > 1
+                        ? `Encoded across ${result.total} ${formatState.tagBudget} tags`
+                        : `Encoded to a single ${formatState.tagBudget} tag`, 'success');
+                    return;
+                } else if (!archive && formatState.tagBudget) {
+                    const result = await codecPipeline.encodeForTag(fhirPayload, { ...encodeOptions, tag: formatState.tagBudget });
+                    fragment = result.fragment;
+                    tagReport = { ...result.size, omitted: result.omitted };
+                } else {
+                    fragment = await codecPipeline.encodeToFragment(fhirPayload, encodeOptions);
+                    tagReport = { ...codecPipeline.measureTagUrl(fragment, { tag: 'NTAG216' }), omitted: [] };
+                }
+                formatState.lastTagReport = tagReport;
+                console.log('NFC tag size report:', tagReport);
 
                 // Update left pane to fragment mode with the encoded result
                 await updateLeftPaneMode('fragment');
                 leftInput.textContent = fragment;
                 updateCharCount(leftInput, leftCharCount);
-
-                showMessage(`Encoded to ${fragment.length} character fragment`, 'success');
+                showFragmentQr(fragment);
+
+                const sizeSummary = `${tagReport.ndefBytes}/${tagReport.capacity} bytes on ${tagReport.tag}`;
+                if (archive) {
+                    showMessage(`Encoded lossless archive to ${fragment.length} character fragment (for storage, not for writing to a tag)`, 'success');
+                } else if (!tagReport.fits) {
+                    showMessage(`Encoded to ${fragment.length} character fragment, but it does not fit: ${sizeSummary}`, 'warning');
+                } else if (tagReport.omitted.length) {
+                    showMessage(`Encoded to fit ${sizeSummary}; omitted ${tagReport.omitted.length} item(s) by clinical priority`, 'warning');
+                } else {
+                    showMessage(`Encoded to ${fragment.length} character fragment (${sizeSummary})`, 'success');
+                }
                 return; // Don't update right pane for encoding
             }
 
@@ -5210,8 +2904,100 @@ async function init() {
         }
     }
 
+    // Encoder settings, shown while the left pane holds FHIR to encode
+    function addEncodeOption(labelText, control) {
+        if (!encodeOptionsBar) {
+            encodeOptionsBar = document.createElement('div');
+            encodeOptionsBar.id = 'encode-options';
+            encodeOptionsBar.className = 'encode-options';
+            encodeOptionsBar.hidden = formatState.leftMode !== 'fhir';
+            leftInput.insertAdjacentElement('beforebegin', encodeOptionsBar);
+        }
+        const label = document.createElement('label');
+        label.className = 'encode-option';
+        label.append(labelText, control);
+        encodeOptionsBar.appendChild(label);
+    }
+
     // === EVENT LISTENERS ===
 
+    if (!tagBudgetSelect) {
+        tagBudgetSelect = document.createElement('select');
+        tagBudgetSelect.id = 'tag-budget-select';
+        const choices = [['', 'None (report against NTAG216)'],
+            ...Object.entries(codecPipeline.NFC_TAG_CAPACITIES).map(([tag, bytes]) => [tag, `${tag} (${bytes} bytes)`])];
+        choices.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            tagBudgetSelect.appendChild(option);
+        });
+        addEncodeOption('Tag budget', tagBudgetSelect);
+    }
+
+    formatState.tagBudget = tagBudgetSelect.value || null;
+    tagBudgetSelect.addEventListener('change', () => {
+        formatState.tagBudget = tagBudgetSelect.value || null;
+        console.log('NFC tag budget set to:', formatState.tagBudget || 'none');
+    });
+
+    if (!encodingModeSelect) {
+        encodingModeSelect = document.createElement('select');
+        encodingModeSelect.id = 'encoding-mode-select';
+        [[codecPipeline.ENCODING_MODES.TAG, 'Tag (structured fields only)'],
+            [codecPipeline.ENCODING_MODES.ARCHIVE, 'Archive (lossless, not for a tag)']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            encodingModeSelect.appendChild(option);
+        });
+        addEncodeOption('Encoding', encodingModeSelect);
+    }
+    formatState.encodingMode = encodingModeSelect.value || codecPipeline.ENCODING_MODES.TAG;
+    encodingModeSelect.addEventListener('change', () => {
+        formatState.encodingMode = encodingModeSelect.value || codecPipeline.ENCODING_MODES.TAG;
+        showRoundTripReport(null); // The report was for the other encoding
+        console.log('Encoding mode set to:', formatState.encodingMode);
+    });
+
+    if (!multiTagToggle) {
+        multiTagToggle = document.createElement('input');
+        multiTagToggle.type = 'checkbox';
+        multiTagToggle.id = 'multi-tag-toggle';
+        addEncodeOption('Split across tags', multiTagToggle);
+    }
+    formatState.multiTag = multiTagToggle.checked;
+    multiTagToggle.addEventListener('change', () => {
+        formatState.multiTag = multiTagToggle.checked;
+        console.log('Multi-tag encoding:', formatState.multiTag ? 'on' : 'off');
+    });
+
+    if (!encryptionPassphraseInput) {
+        encryptionPassphraseInput = document.createElement('input');
+        encryptionPassphraseInput.type = 'password';
+        encryptionPassphraseInput.id = 'encryption-passphrase';
+        encryptionPassphraseInput.autocomplete = 'new-password';
+        encryptionPassphraseInput.placeholder = 'Leave empty for no encryption';
+        addEncodeOption('Encryption passphrase', encryptionPassphraseInput);
+    }
+    formatState.encryptionPassphrase = encryptionPassphraseInput.value;
+    encryptionPassphraseInput.addEventListener('input', () => {
+        formatState.encryptionPassphrase = encryptionPassphraseInput.value;
+        console.log('Fragment encryption:', formatState.encryptionPassphrase ? 'on' : 'off');
+    });
+
+    if (!presetDictionaryToggle) {
+        presetDictionaryToggle = document.createElement('input');
+        presetDictionaryToggle.type = 'checkbox';
+        presetDictionaryToggle.id = 'preset-dictionary-toggle';
+        addEncodeOption('Preset dictionary', presetDictionaryToggle);
+    }
+    formatState.presetDictionary = presetDictionaryToggle.checked;
+    presetDictionaryToggle.addEventListener('change', () => {
+        formatState.presetDictionary = presetDictionaryToggle.checked;
+        console.log('Preset dictionary compression:', formatState.presetDictionary ? 'on' : 'off');
+    });
+
     // Left pane title click - toggle between Fragment/FHIR modes
     leftPaneTitle.addEventListener('click', async () => {
         console.log('🔘 LEFT PANE TITLE CLICKED: Mode switching initiated');
@@ -5237,6 +3023,17 @@ async function init() {
     // Action button - perform encode/decode based on current mode
     actionButton.addEventListener('click', performConversion);
 
+    // Round-trip check beside the action button
+    if (!roundTripButton) {
+        roundTripButton = document.createElement('button');
+        roundTripButton.id = 'round-trip-button';
+        roundTripButton.className = 'pane-button';
+        roundTripButton.textContent = 'Check round trip';
+        actionButton.insertAdjacentElement('afterend', roundTripButton);
+    }
+    roundTripButton.addEventListener('click', checkRoundTrip);
+    leftInput.addEventListener('input', () => showRoundTripReport(null)); // A report for edited input would mislead
+
     // Character count updates
     leftInput.addEventListener('input', () => updateCharCount(leftInput, leftCharCount));
     rightInput.addEventListener('input', () => updateCharCount(rightInput, rightCharCount));
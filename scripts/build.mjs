@@ -2,6 +2,7 @@
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs/promises';
+import { createHash } from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,6 +13,7 @@ const FILES_TO_COPY = [
     { src: 'index.html', dest: 'index.html' },
     { src: 'style.css', dest: 'style.css' },
     { src: 'script.js', dest: 'script.js' },
+    { src: 'sw.js', dest: 'sw.js' },
     { src: 'README.md', dest: 'README.md' }, // This was changed from README-gh-pages.md
     { src: 'payload-1.json', dest: 'payload-1.json' },
     { src: 'payload-2.json', dest: 'payload-2.json' }
@@ -31,10 +33,40 @@ async function copyStaticFiles() {
     }
 }
 
+const DIRECTORIES_TO_COPY = ['resources', 'codec', 'util'];
+
 async function copyResources() {
-    const resourcesSrc = path.join(rootDir, 'resources');
-    const resourcesDest = path.join(buildDir, 'resources');
-    await fs.cp(resourcesSrc, resourcesDest, { recursive: true });
+    for (const directory of DIRECTORIES_TO_COPY) {
+        await fs.cp(path.join(rootDir, directory), path.join(buildDir, directory), { recursive: true });
+    }
+}
+
+// sw.js names its offline cache with this placeholder; the build swaps in a hash of the built files
+const BUILD_HASH_PLACEHOLDER = "const BUILD_HASH = 'dev';";
+
+async function hashBuildFiles() {
+    const hash = createHash('sha256');
+    const entries = await fs.readdir(buildDir, { recursive: true, withFileTypes: true });
+    const files = entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.relative(buildDir, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'))
+        .sort();
+    for (const file of files) {
+        hash.update(`${file}\0`);
+        hash.update(await fs.readFile(path.join(buildDir, file)));
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+async function stampServiceWorkerCache() {
+    const swPath = path.join(buildDir, 'sw.js');
+    const source = await fs.readFile(swPath, 'utf8');
+    if (!source.includes(BUILD_HASH_PLACEHOLDER)) {
+        throw new Error(`sw.js has no ${BUILD_HASH_PLACEHOLDER} line to stamp`);
+    }
+    const buildHash = await hashBuildFiles();
+    await fs.writeFile(swPath, source.replace(BUILD_HASH_PLACEHOLDER, `const BUILD_HASH = '${buildHash}';`));
+    return buildHash;
 }
 
 async function main() {
@@ -48,6 +80,10 @@ async function main() {
         console.log('Copying resources...');
         await copyResources();
 
+        console.log('Stamping service worker cache...');
+        const buildHash = await stampServiceWorkerCache();
+        console.log('Offline cache build hash:', buildHash);
+
         console.log('Build directory ready at', buildDir);
     } catch (error) {
         console.error('Build failed:', error);
@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+/**
+ * Proto schema compatibility checker
+ *
+ * Compares two revisions of resources/nfc_payload.proto and reports changes that would break tags
+ * already in circulation: reused or renumbered field numbers, type and label changes, fields moved
+ * out of a oneof or several existing fields moved into one, and fields removed without a `reserved` entry. It then decodes the golden
+ * fragment corpus (scripts/golden-fragments.json) with the new schema and checks every value recorded
+ * when the corpus was written still decodes the same.
+ *
+ * Usage:
+ *   node scripts/check-proto-compat.mjs [--base <old.proto|git-rev>] [--schema <new.proto>] [--json]
+ *   node scripts/check-proto-compat.mjs --update-golden
+ *
+ * --base defaults to the schema committed at HEAD; --schema to the working copy. Exits 1 on any
+ * breaking change or golden failure; warnings (renames, removed enum values) are reported only.
+ * Run --update-golden only when the current schema is released, to add its fragments to the corpus.
+ */
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import fs from 'fs/promises';
+import { createIpsCodec } from '../codec/ips-codec.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+const require = createRequire(import.meta.url);
+const protobuf = require(path.join(rootDir, 'resources/vendor/protobuf.min.js'));
+const pako = require(path.join(rootDir, 'resources/vendor/pako.min.js'));
+
+const SCHEMA_FILE = 'resources/nfc_payload.proto';
+const LEGACY_SCHEMA_FILE = 'resources/nfc_payload_legacy.proto';
+const PAYLOAD_TYPE = 'medis.nfc.NFCPayload';
+const GOLDEN_FILE = path.join(__dirname, 'golden-fragments.json');
+
+// Scalars written packed when repeated; switching them between repeated and singular changes the wire format
+const PACKABLE_SCALARS = new Set(['double', 'float', 'int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64',
+    'fixed32', 'fixed64', 'sfixed32', 'sfixed64', 'bool']);
+
+// === SCHEMA LOADING ===
+
+async function readBaseSchema(base) {
+    if (base) {
+        const file = await fs.readFile(path.resolve(base), 'utf8').catch(() => null);
+        if (file !== null) return { label: base, text: file };
+    }
+    const revision = base || 'HEAD';
+    try {
+        const text = execFileSync('git', ['show', `${revision}:${SCHEMA_FILE}`], { cwd: rootDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        return { label: `${revision}:${SCHEMA_FILE}`, text };
+    } catch (error) {
+        throw new Error(`Cannot read the base schema from git (${revision}); pass --base <old.proto>.`);
+    }
+}
+
+function parseSchema(text, label) {
+    try {
+        // keepCase so the report uses the names written in the .proto file
+        const root = protobuf.parse(text, { keepCase: true }).root;
+        root.resolveAll();
+        return root;
+    } catch (error) {
+        throw new Error(`${label} does not parse: ${error.message}`);
+    }
+}
+
+function collectDefinitions(namespace, types = new Map(), enums = new Map()) {
+    (namespace.nestedArray || []).forEach(nested => {
+        if (nested instanceof protobuf.Type) types.set(nested.fullName.replace(/^\./, ''), nested);
+        else if (nested instanceof protobuf.Enum) enums.set(nested.fullName.replace(/^\./, ''), nested);
+        if (nested.nestedArray) collectDefinitions(nested, types, enums);
+    });
+    return { types, enums };
+}
+
+// === COMPARISON ===
+
+function isReservedNumber(definition, number) {
+    return (definition.reserved || []).some(range => Array.isArray(range) && number >= range[0] && number <= range[1]);
+}
+
+function isReservedName(definition, name) {
+    return (definition.reserved || []).some(range => range === name);
+}
+
+function fieldType(field) {
+    return field.resolvedType ? field.resolvedType.fullName.replace(/^\./, '') : field.type;
+}
+
+function describeField(field) {
+    return `${field.repeated ? 'repeated ' : ''}${fieldType(field)} ${field.name} = ${field.id}`;
+}
+
+function compareMessage(typeName, oldType, newType, report) {
+    const breaking = (kind, message) => report.breaking.push({ kind, type: typeName, message });
+    const warning = (kind, message) => report.warnings.push({ kind, type: typeName, message });
+    const movedIntoOneof = new Map(); // oneof name → existing fields moved into it
+
+    Object.values(oldType.fields).forEach(oldField => {
+        const newField = newType.fieldsById[oldField.id];
+        const renamedTo = newType.fields[oldField.name];
+
+        if (!newField) {
+            if (renamedTo) {
+                breaking('renumbered', `${oldField.name} moved from field ${oldField.id} to ${renamedTo.id}; existing tags carry it as ${oldField.id}`);
+            } else if (!isReservedNumber(newType, oldField.id)) {
+                breaking('removed-without-reserved', `${describeField(oldField)} was removed without \`reserved ${oldField.id};\`, so the number can be reused by mistake`);
+            } else if (!isReservedName(newType, oldField.name)) {
+                warning('removed-name-not-reserved', `${oldField.name} (field ${oldField.id}) is reserved by number but not by name`);
+            }
+            return;
+        }
+
+        if (newField.name !== oldField.name) {
+            if (fieldType(newField) !== fieldType(oldField) || (oldField.name in newType.fields)) {
+                breaking('reused-number', `field ${oldField.id} was ${describeField(oldField)} and is now ${describeField(newField)}`);
+                return;
+            }
+            warning('renamed', `field ${oldField.id} renamed ${oldField.name} → ${newField.name}; the wire format is unchanged but decoded objects use the new name`);
+        }
+
+        if (fieldType(newField) !== fieldType(oldField)) {
+            breaking('type-change', `field ${oldField.id} (${oldField.name}) changed type ${fieldType(oldField)} → ${fieldType(newField)}`);
+        }
+        if (Boolean(newField.repeated) !== Boolean(oldField.repeated)) {
+            const message = `field ${oldField.id} (${oldField.name}) changed from ${oldField.repeated ? 'repeated' : 'singular'} to ${newField.repeated ? 'repeated' : 'singular'}`;
+            if (PACKABLE_SCALARS.has(oldField.type)) breaking('label-change', `${message}; packed and unpacked encodings differ`);
+            else warning('label-change', `${message}; singular readers keep only the last value`);
+        }
+
+        // Moving one field into a oneof is wire-compatible; leaving a oneof is not, since writers
+        // under the new schema may then set fields that old readers treat as exclusive
+        const oldOneof = oldField.partOf ? oldField.partOf.name : null;
+        const newOneof = newField.partOf ? newField.partOf.name : null;
+        if (oldOneof && oldOneof !== newOneof) {
+            const where = newOneof ? `oneof ${newOneof}` : 'outside any oneof';
+            breaking('oneof-move', `field ${oldField.id} (${oldField.name}) moved from oneof ${oldOneof} to ${where}; readers of either schema may drop one of the values`);
+        } else if (!oldOneof && newOneof) {
+            movedIntoOneof.set(newOneof, [...(movedIntoOneof.get(newOneof) || []), newField.name]);
+        }
+    });
+
+    // More than one existing field in the same oneof: tags that set them together now keep only the last
+    movedIntoOneof.forEach((movedNames, oneofName) => {
+        const existing = newType.oneofs[oneofName].fieldsArray.filter(field => oldType.fieldsById[field.id]);
+        if (existing.length > 1) {
+            breaking('oneof-move', `existing fields ${existing.map(field => field.name).join(', ')} now share oneof ${oneofName} (moved in: ${movedNames.join(', ')}); tags that set more than one of them decode only the last`);
+        }
+    });
+
+    Object.values(newType.fields).forEach(newField => {
+        if (!oldType.fieldsById[newField.id] && isReservedNumber(oldType, newField.id)) {
+            breaking('reserved-reuse', `${describeField(newField)} uses a number the previous schema reserved`);
+        }
+    });
+}
+
+function compareEnum(enumName, oldEnum, newEnum, report) {
+    const newNamesById = {};
+    Object.entries(newEnum.values).forEach(([name, number]) => {
+        newNamesById[number] = name;
+    });
+    Object.entries(oldEnum.values).forEach(([name, number]) => {
+        const newName = newNamesById[number];
+        if (newName === undefined) {
+            if (!isReservedNumber(newEnum, number)) {
+                report.breaking.push({ kind: 'enum-removed-without-reserved', type: enumName, message: `${name} = ${number} was removed without reserving ${number}` });
+            }
+        } else if (newName !== name) {
+            report.warnings.push({ kind: 'enum-renamed', type: enumName, message: `value ${number} renamed ${name} → ${newName}; tags keep the number, so check it means the same` });
+        }
+    });
+}
+
+/**
+ * Schema Comparison
+ * Purpose: List the differences between two schema revisions that affect existing tags
+ *
+ * @param {Object} oldRoot - protobuf.js Root of the released schema
+ * @param {Object} newRoot - protobuf.js Root of the edited schema
+ * @returns {{breaking: Array, warnings: Array}} - Entries of { kind, type, message }
+ */
+function compareSchemas(oldRoot, newRoot) {
+    const report = { breaking: [], warnings: [] };
+    const before = collectDefinitions(oldRoot);
+    const after = collectDefinitions(newRoot);
+
+    if (!after.types.has(PAYLOAD_TYPE)) {
+        report.breaking.push({ kind: 'payload-missing', type: PAYLOAD_TYPE, message: `${PAYLOAD_TYPE} no longer exists; the codec looks it up by name` });
+    }
+
+    before.types.forEach((oldType, typeName) => {
+        const newType = after.types.get(typeName);
+        if (!newType) {
+            report.warnings.push({ kind: 'message-removed', type: typeName, message: 'message removed or renamed (breaking if any field still referred to it)' });
+            return;
+        }
+        compareMessage(typeName, oldType, newType, report);
+    });
+    before.enums.forEach((oldEnum, enumName) => {
+        const newEnum = after.enums.get(enumName);
+        if (!newEnum) {
+            report.warnings.push({ kind: 'enum-removed', type: enumName, message: 'enum removed or renamed (breaking if any field still referred to it)' });
+            return;
+        }
+        compareEnum(enumName, oldEnum, newEnum, report);
+    });
+
+    return report;
+}
+
+// === GOLDEN FRAGMENTS ===
+
+function createCodec(schemaText) {
+    const loadSchema = schemaText
+        ? async schemaPath => (path.basename(schemaPath) === path.basename(SCHEMA_FILE)
+            ? schemaText
+            : fs.readFile(path.join(rootDir, LEGACY_SCHEMA_FILE), 'utf8'))
+        : null;
+    return createIpsCodec({ loadSchema, logger: null, storage: null, pako, protobuf }).codecPipeline;
+}
+
+// Every value recorded in the corpus must decode the same; the new schema may read more, never less
+function findMismatch(expected, actual, pathSoFar = 'data') {
+    if (expected === null || typeof expected !== 'object') {
+        return expected === actual ? null : `${pathSoFar}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+    }
+    if (actual === null || typeof actual !== 'object' || Array.isArray(expected) !== Array.isArray(actual)) {
+        return `${pathSoFar}: expected ${Array.isArray(expected) ? 'a list' : 'an object'}, got ${JSON.stringify(actual)}`;
+    }
+    if (Array.isArray(expected) && expected.length !== actual.length) {
+        return `${pathSoFar}: expected ${expected.length} items, got ${actual.length}`;
+    }
+    for (const key of Object.keys(expected)) {
+        const mismatch = findMismatch(expected[key], actual[key], Array.isArray(expected) ? `${pathSoFar}[${key}]` : `${pathSoFar}.${key}`);
+        if (mismatch) return mismatch;
+    }
+    return null;
+}
+
+async function checkGoldenFragments(schemaText) {
+    const corpus = JSON.parse(await fs.readFile(GOLDEN_FILE, 'utf8'));
+    const codec = createCodec(schemaText);
+    const results = [];
+    for (const golden of corpus.fragments) {
+        try {
+            const { data } = await codec.decodeFragment(golden.fragment);
+            const mismatch = findMismatch(golden.data, JSON.parse(JSON.stringify(data)));
+            results.push({ name: golden.name, ok: !mismatch, error: mismatch });
+        } catch (error) {
+            results.push({ name: golden.name, ok: false, error: error.message });
+        }
+    }
+    return results;
+}
+
+// Payloads written to the corpus: the demo records plus one touching every stage, oneof form and enum
+function goldenSources(payload1, payload2) {
+    const code = (sys, value) => ({ sys, code: value });
+    const stage = offsetMinutes => ({
+        vitals: [
+            { code: code('loinc', '8867-4'), value: 92, time: new Date(Date.UTC(2024, 0, 15, 14, offsetMinutes)).toISOString().replace('.000Z', 'Z') },
+            { code: code('loinc', '8480-6'), value: 118, time: `2024-01-15T14:${String(offsetMinutes).padStart(2, '0')}:30Z` }
+        ],
+        conditions: [
+            { code: { ...code('sct', '125605004'), clinicalStatus: 'active', verificationStatus: 'confirmed' }, onset: '2024-01-15T14:15:00Z' }
+        ],
+        events: [
+            { code: code('sct', '387207008'), time: '2024-01-15T14:40:00Z', dose: 10, unit: 'mg', route: 'IV' }
+        ]
+    });
+    const allStages = {
+        patient: {
+            given: 'Golden', family: 'Fixture', gender: code('sct', '248152002'), dob: '1990-02-03',
+            blood_group: code('sct', '278152006'), nhs_id: code('nhs', '9434765919'), service_id: code('mil', '30012345'),
+            rank: 'Cpl', title: 'Ms', nationality: 'GB'
+        },
+        allergies: [{ code: code('sct', '91936005'), onset: '2010-01-01', severity: 'high' }],
+        bundleMetadata: { id: 'golden-bundle', type: 'document', timestamp: '2024-01-15T15:00:00Z' },
+        t: Date.UTC(2024, 0, 15, 14, 0)
+    };
+    ['poi', 'casevac', 'axp', 'medevac', 'r1', 'fwdTacevac', 'r2', 'rearTacevac', 'r3'].forEach((stageKey, index) => {
+        allStages[stageKey] = stage(16 + index * 4);
+    });
+    return [
+        { name: 'payload-1', description: 'Demo IPS Bundle', payload: payload1, options: {} },
+        { name: 'payload-1-dictionary', description: 'Demo IPS Bundle, preset dictionary', payload: payload1, options: { presetDictionary: true } },
+        { name: 'payload-1-ntag215', description: 'Demo IPS Bundle shed to fit an NTAG215', payload: payload1, options: { tag: 'NTAG215' } },
+        { name: 'payload-1-archive', description: 'Demo IPS Bundle, lossless archive encoding', payload: payload1, options: { mode: 'archive' } },
+        { name: 'payload-2', description: 'Single FHIR Patient', payload: payload2, options: {} },
+        { name: 'coderef-all-stages', description: 'CodeRef payload using every stage, enum and time form', payload: allStages, options: {} }
+    ];
+}
+
+async function updateGoldenFragments() {
+    const codec = createCodec(null);
+    const readJson = async file => JSON.parse(await fs.readFile(path.join(rootDir, file), 'utf8'));
+    const existing = JSON.parse(await fs.readFile(GOLDEN_FILE, 'utf8').catch(() => '{"fragments":[]}'));
+    const names = new Set(existing.fragments.map(golden => golden.name));
+    const schemaVersion = codec.CURRENT_SCHEMA_VERSION;
+
+    // Released fragments never change: entries are only appended, under names that include the schema
+    // version, so each version keeps the fragments its own encoder wrote (v2 entries predate this script)
+    const added = [];
+    for (const source of goldenSources(await readJson('payload-1.json'), await readJson('payload-2.json'))) {
+        const name = `v${schemaVersion}-${source.name}`;
+        if (names.has(name)) continue;
+        const fragment = source.options.tag
+            ? (await codec.encodeForTag(source.payload, source.options)).fragment
+            : await codec.encodeToFragment(source.payload, source.options);
+        const { data } = await codec.decodeFragment(fragment);
+        added.push({ name, description: source.description, schemaVersion, fragment, data: JSON.parse(JSON.stringify(data)) });
+        console.log('Added golden fragment', name, `(${fragment.length} characters)`);
+    }
+    if (!added.length) {
+        console.log(`Golden fragments for schema v${schemaVersion} are already in the corpus; nothing to add.`);
+        return;
+    }
+    await fs.writeFile(GOLDEN_FILE, `${JSON.stringify({ ...existing, fragments: [...existing.fragments, ...added] }, null, 2)}\n`);
+}
+
+// === MAIN ===
+
+function readOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    if (index === -1) return null;
+    if (index + 1 >= args.length) throw new Error(`Option --${name} needs a value.`);
+    return args[index + 1];
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    let base;
+    let schemaPath;
+    try {
+        base = readOption(args, 'base');
+        schemaPath = readOption(args, 'schema') || path.join(rootDir, SCHEMA_FILE);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(64);
+    }
+
+    try {
+        if (args.includes('--update-golden')) {
+            await updateGoldenFragments();
+            return;
+        }
+
+        const oldSchema = await readBaseSchema(base);
+        const newText = await fs.readFile(path.resolve(schemaPath), 'utf8');
+        const report = compareSchemas(parseSchema(oldSchema.text, oldSchema.label), parseSchema(newText, schemaPath));
+        report.base = oldSchema.label;
+        report.schema = path.relative(rootDir, path.resolve(schemaPath));
+        report.golden = await checkGoldenFragments(newText);
+        const goldenFailures = report.golden.filter(result => !result.ok);
+
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            console.log(`Comparing ${report.schema} against ${report.base}`);
+            report.breaking.forEach(item => console.log(`  BREAKING ${item.type}: ${item.message}`));
+            report.warnings.forEach(item => console.log(`  warning  ${item.type}: ${item.message}`));
+            if (!report.breaking.length && !report.warnings.length) console.log('  No wire-format changes affecting existing tags.');
+            console.log(`Golden fragments: ${report.golden.length - goldenFailures.length}/${report.golden.length} decode unchanged`);
+            goldenFailures.forEach(result => console.log(`  FAILED ${result.name}: ${result.error}`));
+        }
+
+        if (report.breaking.length || goldenFailures.length) process.exitCode = 1;
+    } catch (error) {
+        console.error('Schema compatibility check failed:', error.message);
+        process.exit(1);
+    }
+}
+
+await main();
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Round-trip report regression check
+ *
+ * Runs the round-trip fidelity report (codecPipeline.buildRoundTripReport) over the demo records and
+ * fails if it reports clinical changes the codec did not make. Today that means a care stage: every
+ * rebuilt resource keeps its stage, so a care-stage extension reported as lost or changed means the
+ * report paired the wrong resources (e.g. payload-1's POI and CASEVAC heart rates both taken at 14:17).
+ *
+ * Usage:
+ *   node scripts/check-round-trip.mjs [bundle.json...]
+ *
+ * Defaults to payload-1.json and payload-2.json, each checked untrimmed and shed to fit an NTAG215.
+ * Exits 1 on any failure.
+ */
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import path from 'path';
+import fs from 'fs/promises';
+import { createIpsCodec } from '../codec/ips-codec.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+const require = createRequire(import.meta.url);
+const protobuf = require(path.join(rootDir, 'resources/vendor/protobuf.min.js'));
+const pako = require(path.join(rootDir, 'resources/vendor/pako.min.js'));
+
+const DEFAULT_INPUTS = ['payload-1.json', 'payload-2.json'];
+const CARE_STAGE_PATH = /^extension\[[^\]]*\/care-stage\]\.valueCode$/;
+
+// Care-stage extensions on paired resources must come back unchanged
+function findStageMismatches(report) {
+    return report.resources
+        .filter(resource => resource.status === 'matched')
+        .flatMap(resource => resource.differences
+            .filter(difference => CARE_STAGE_PATH.test(difference.path) && difference.after !== undefined
+                && difference.status !== 'preserved')
+            .map(difference => `${resource.label}: care stage ${difference.before} → ${difference.after}`));
+}
+
+async function main() {
+    const inputs = process.argv.slice(2);
+    const { codecPipeline } = createIpsCodec({ logger: null, storage: null, pako, protobuf });
+    let failures = 0;
+
+    for (const input of inputs.length ? inputs : DEFAULT_INPUTS) {
+        const payload = JSON.parse(await fs.readFile(path.resolve(rootDir, input), 'utf8'));
+        for (const tag of [null, 'NTAG215']) {
+            const report = await codecPipeline.buildRoundTripReport(JSON.parse(JSON.stringify(payload)), { tag });
+            const mismatches = findStageMismatches(report);
+            const label = `${input}${tag ? ` (${tag})` : ''}`;
+            if (mismatches.length) {
+                failures += mismatches.length;
+                console.log(`FAILED ${label}:`);
+                mismatches.forEach(message => console.log(`  ${message}`));
+            } else {
+                console.log(`ok ${label}: ${report.summary.preserved} preserved, ${report.summary.transformed} transformed, ${report.summary.lost} lost`);
+            }
+        }
+    }
+
+    if (failures) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('Round-trip check failed:', error.message);
+    process.exit(1);
+});
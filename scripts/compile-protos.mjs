@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Proto descriptor compiler
+ *
+ * Parses the NFC payload .proto schemas with the vendored protobuf.js and writes their JSON
+ * descriptors to resources/proto-descriptors.js. The codec builds its message types from that
+ * module, so a cached viewer decodes fragments without fetching any schema.
+ * Run it after every .proto change; --check exits 1 if the committed descriptors are out of date.
+ *
+ * Usage:
+ *   node scripts/compile-protos.mjs [--check]
+ */
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import path from 'path';
+import fs from 'fs/promises';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+const require = createRequire(import.meta.url);
+
+const SCHEMAS = {
+    current: 'resources/nfc_payload.proto',
+    legacy: 'resources/nfc_payload_legacy.proto'
+};
+const OUTPUT_FILE = path.join(rootDir, 'resources', 'proto-descriptors.js');
+
+async function compileDescriptors() {
+    const protobuf = require(path.join(rootDir, 'resources/vendor/protobuf.min.js'));
+    const descriptors = {};
+    for (const [name, schemaPath] of Object.entries(SCHEMAS)) {
+        const protoText = await fs.readFile(path.join(rootDir, schemaPath), 'utf8');
+        const root = protobuf.parse(protoText).root;
+        root.lookupType('medis.nfc.NFCPayload'); // Throws if the schema lost its payload message
+        descriptors[name] = root.toJSON();
+    }
+    return descriptors;
+}
+
+function buildModuleSource(descriptors) {
+    const entries = Object.entries(descriptors)
+        .map(([name, descriptor]) => `    ${name}: ${JSON.stringify(descriptor, null, 4).replace(/\n/g, '\n    ')}`)
+        .join(',\n');
+    return `/**
+ * PRECOMPILED PROTOBUF DESCRIPTORS
+ *
+ * Purpose: protobuf.js JSON descriptors of the NFC payload schemas, so fragments decode with no schema fetch
+ * Generated by scripts/compile-protos.mjs from ${Object.values(SCHEMAS).join(' and ')} - do not edit by hand.
+ */
+
+export const PROTO_DESCRIPTORS = {
+${entries}
+};
+`;
+}
+
+async function main() {
+    const check = process.argv.includes('--check');
+    try {
+        const source = buildModuleSource(await compileDescriptors());
+        if (check) {
+            const existing = await fs.readFile(OUTPUT_FILE, 'utf8').catch(() => '');
+            if (existing !== source) {
+                console.error('resources/proto-descriptors.js is out of date; run node scripts/compile-protos.mjs');
+                process.exit(1);
+            }
+            console.log('Proto descriptors are up to date.');
+            return;
+        }
+        await fs.writeFile(OUTPUT_FILE, source);
+        console.log('Wrote', path.relative(rootDir, OUTPUT_FILE));
+    } catch (error) {
+        console.error('Proto compilation failed:', error);
+        process.exit(1);
+    }
+}
+
+await main();
@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+/**
+ * NFC IPS command-line codec
+ *
+ * Runs the DOM-free codec (codec/ips-codec.js) under Node, so tag-writing stations and CI
+ * encode and decode with exactly the same conversion logic as the viewer. The .proto schemas
+ * and vendored pako/protobuf.js are read from the repository on disk.
+ *
+ * Usage:
+ *   node scripts/nfc-ips.mjs encode <bundle.json|-> [--tag NTAG213|NTAG215|NTAG216] [--chunks] [--dictionary] [--archive]
+ *                                   [--passphrase <text>] [--unit-key <base64url>] [--sign-key <private.jwk.json>]
+ *                                   [--no-checksum] [--url] [--base-url <url>]
+ *   node scripts/nfc-ips.mjs decode <fragment|url|file|->... [--coderef] [--passphrase <text>] [--unit-key <base64url>]
+ *                                   [--trust <public.jwk.json>]
+ *   node scripts/nfc-ips.mjs inspect <fragment|url|file|-> [--wire] [decode options]
+ *   node scripts/nfc-ips.mjs size <bundle.json|-> [--dictionary] [--archive] [--base-url <url>]
+ *   node scripts/nfc-ips.mjs roundtrip <bundle.json|-> [--tag NTAG213|NTAG215|NTAG216] [--dictionary] [--archive] [--all]
+ *   node scripts/nfc-ips.mjs migrate <fragment|url|file|->... [decode options] [encode options]
+ *   node scripts/nfc-ips.mjs dictionary <bundle.json>... [--max-bytes <n>]
+ *
+ * Several chunk fragments passed to decode/inspect are reassembled into one multi-tag record.
+ * Add --verbose to see the pipeline's debug logging on stderr.
+ */
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import path from 'path';
+import fs from 'fs/promises';
+import { createIpsCodec } from '../codec/ips-codec.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+const require = createRequire(import.meta.url);
+
+const USAGE = `Usage: nfc-ips <command> [arguments]
+
+Commands:
+  encode <bundle.json|->        FHIR Bundle or CodeRef JSON → fragment
+      --tag <NTAG213|NTAG215|NTAG216>  Fit the tag, shedding data by clinical priority
+      --chunks                         With --tag, split across several tags instead (one fragment per line)
+      --dictionary                     Compress with the preset DEFLATE dictionary
+      --archive                        Lossless archive: also embed the source Bundle JSON (too large for a tag;
+                                       not with --tag unless --chunks)
+      --passphrase <text>              Encrypt with a passphrase (AES-GCM)
+      --unit-key <base64url>           Encrypt with a 32 byte pre-shared unit key
+      --sign-key <private.jwk.json>    Sign with an ECDSA P-256 private JWK
+      --no-checksum                    Omit the CRC-32 integrity trailer
+      --url                            Print full tag URLs instead of bare fragments
+      --base-url <url>                 Tag URL base (default https://www.medis.org.uk/)
+  decode <fragment|url|file|->...  Fragment → FHIR Bundle JSON (several chunks are reassembled)
+      --coderef                        Print the decoded CodeRef JSON instead
+      --passphrase, --unit-key         Key for encrypted fragments
+      --trust <public.jwk.json>        Trust a signing key (repeatable)
+  inspect <fragment|url|file|->...  Envelope header, sizes, signature and content summary
+      --wire                           Add every protobuf field with its number, wire type, offsets and value
+  size <bundle.json|->          Fragment length and NDEF bytes against each tag type, with a breakdown
+                                of the URL characters spent on each part of the payload
+      --dictionary, --archive, --base-url  As for encode
+  roundtrip <bundle.json|->     Encode, decode and diff: what of the FHIR survives the tag (JSON report)
+      --tag, --dictionary, --archive   As for encode
+      --all                            Include preserved elements, not just changes
+  migrate <fragment|url|file|->...  Legacy indexed fragment → current-schema fragment
+      --dictionary, --passphrase, --unit-key, --sign-key, --no-checksum, --url  As for encode
+                                       Fields that cannot be carried over are listed on stderr
+  dictionary <bundle.json>...   Train the next preset DEFLATE dictionary version from a corpus of bundles
+                                and add it to resources/deflate-dictionaries.js (older versions are kept)
+      --max-bytes <n>                  Dictionary size limit (default 4096)
+
+Options:
+  --verbose                     Show pipeline debug logging on stderr
+  --help                        Show this help`;
+
+const BOOLEAN_OPTIONS = new Set(['chunks', 'dictionary', 'archive', 'no-checksum', 'url', 'coderef', 'all', 'wire', 'verbose', 'help']);
+const REPEATABLE_OPTIONS = new Set(['trust']);
+
+function parseArguments(argv) {
+    const options = { trust: [] };
+    const positional = [];
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const name = arg.slice(2);
+        if (BOOLEAN_OPTIONS.has(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            const value = argv[(i += 1)];
+            if (REPEATABLE_OPTIONS.has(name)) options[name].push(value);
+            else options[name] = value;
+        } else {
+            throw new Error(`Option --${name} needs a value.`);
+        }
+    }
+    return { command: positional.shift(), inputs: positional, options };
+}
+
+// === CODEC ===
+
+// RESOURCES paths are relative to the viewer page; the schemas themselves always live in resources/
+function loadSchemaFromDisk(schemaPath) {
+    return fs.readFile(path.join(rootDir, 'resources', path.basename(schemaPath)), 'utf8');
+}
+
+function createCodec(verbose) {
+    // The pipeline logs verbosely; keep stdout clean for piping and only show it on stderr if asked
+    const stderrLogger = { log: console.error, warn: console.error, error: console.error, debug: console.error };
+    return createIpsCodec({
+        loadSchema: loadSchemaFromDisk,
+        logger: verbose ? stderrLogger : null,
+        pako: require(path.join(rootDir, 'resources/vendor/pako.min.js')),
+        protobuf: require(path.join(rootDir, 'resources/vendor/protobuf.min.js'))
+    });
+}
+
+// === INPUT / OUTPUT ===
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readInputText(input) {
+    if (input === '-') return readStdin();
+    try {
+        return await fs.readFile(input, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENAMETOOLONG') return null;
+        throw error;
+    }
+}
+
+async function readJsonInput(input) {
+    if (!input) throw new Error('Missing input JSON file (use - for stdin).');
+    const text = await readInputText(input);
+    if (text === null) throw new Error(`File not found: ${input}`);
+    return JSON.parse(text);
+}
+
+// Fragments may be given literally, as tag URLs, or as files/stdin holding either (one per line)
+async function readFragments(inputs) {
+    if (!inputs.length) throw new Error('Missing fragment, URL or file (use - for stdin).');
+    const fragments = [];
+    for (const input of inputs) {
+        const fileText = await readInputText(input);
+        const lines = (fileText === null ? input : fileText).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        lines.forEach(line => {
+            const hashIndex = line.indexOf('#');
+            fragments.push(decodeURIComponent(hashIndex === -1 ? line : line.slice(hashIndex + 1)));
+        });
+    }
+    return fragments;
+}
+
+function printJson(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+function printLine(text) {
+    process.stdout.write(`${text}\n`);
+}
+
+function note(text) {
+    process.stderr.write(`${text}\n`);
+}
+
+// === COMMANDS ===
+
+async function buildEncodeOptions(codec, options) {
+    const encodeOptions = {
+        presetDictionary: Boolean(options.dictionary),
+        checksum: !options['no-checksum'],
+        mode: options.archive ? codec.ENCODING_MODES.ARCHIVE : codec.ENCODING_MODES.TAG
+    };
+    if (options['base-url']) encodeOptions.baseUrl = options['base-url'];
+    if (options.tag) {
+        if (!codec.NFC_TAG_CAPACITIES[options.tag]) {
+            throw new Error(`Unknown tag type ${options.tag}; use ${Object.keys(codec.NFC_TAG_CAPACITIES).join(', ')}.`);
+        }
+        encodeOptions.tag = options.tag;
+    }
+    if (options.passphrase) encodeOptions.encryption = { passphrase: options.passphrase };
+    if (options['unit-key']) encodeOptions.encryption = { key: options['unit-key'] };
+    if (options['sign-key']) encodeOptions.signingKey = await readJsonInput(options['sign-key']);
+    return encodeOptions;
+}
+
+async function registerDecodeKeys(codec, options) {
+    for (const file of options.trust) {
+        const jwk = await readJsonInput(file);
+        await codec.addTrustedSigningKey(jwk, path.basename(file));
+    }
+    const keyOptions = {};
+    if (options.passphrase) keyOptions.passphrase = options.passphrase;
+    if (options['unit-key']) keyOptions.key = options['unit-key'];
+    return keyOptions;
+}
+
+async function encodeCommand(codec, inputs, options) {
+    const payload = await readJsonInput(inputs[0]);
+    const encodeOptions = await buildEncodeOptions(codec, options);
+    const baseUrl = encodeOptions.baseUrl || 'https://www.medis.org.uk/';
+    const output = fragment => printLine(options.url ? `${baseUrl}#${fragment}` : fragment);
+
+    if (options.chunks) {
+        if (!encodeOptions.tag) throw new Error('--chunks needs --tag.');
+        const result = await codec.encodeToChunks(payload, encodeOptions);
+        result.chunks.forEach(output);
+        note(`${result.total} ${encodeOptions.tag} tag${result.total === 1 ? '' : 's'}`);
+        return;
+    }
+
+    if (encodeOptions.tag) {
+        const result = await codec.encodeForTag(payload, encodeOptions);
+        output(result.fragment);
+        note(`${result.size.ndefBytes}/${result.size.capacity} bytes on ${result.size.tag}`
+            + `${result.fits ? '' : ' (does not fit)'}; omitted ${result.omitted.length} item(s)`);
+        result.omitted.forEach(item => note(`  - ${item.stage || ''} ${item.kind}: ${item.display || item.code} (${item.reason})`));
+        if (!result.fits) process.exitCode = 2;
+        return;
+    }
+
+    output(await codec.encodeToFragment(payload, encodeOptions));
+}
+
+async function decodeRecord(codec, inputs, options) {
+    const fragments = await readFragments(inputs);
+    let fragment = fragments[0];
+    if (fragments.length > 1 || codec.readChunk(fragment)) {
+        const status = codec.assembleChunks(fragments);
+        if (!status.complete) {
+            throw new Error(`Multi-tag record incomplete: have tag(s) ${status.received.join(', ') || 'none'} of ${status.total}`
+                + `${status.missing.length ? `, missing ${status.missing.join(', ')}` : ''}`
+                + `${status.corrupt.length ? `, corrupt ${status.corrupt.join(', ')}` : ''}.`);
+        }
+        fragment = status.fragment;
+    }
+    const keyOptions = await registerDecodeKeys(codec, options);
+    return { fragment, keyOptions, result: await codec.decodeFragment(fragment, keyOptions) };
+}
+
+async function decodeCommand(codec, inputs, options) {
+    const { result } = await decodeRecord(codec, inputs, options);
+    const unknownFields = codec.listUnknownFields(result.data);
+    if (unknownFields.length) {
+        note(`Fields from a newer schema (kept in --coderef output as __unknownFields): ${unknownFields
+            .map(item => `${item.path} #${item.fieldNumbers.join(', #')}`).join('; ')}`);
+    }
+    if (result.signature && result.signature.status !== 'unsigned') {
+        note(`Signature: ${result.signature.status}${result.signature.signer ? ` (${result.signature.signer})` : ''}`
+            + `${result.signature.reason ? ` - ${result.signature.reason}` : ''}`);
+    }
+    if (options.coderef || result.schemaVersion === 'legacy') {
+        if (result.schemaVersion === 'legacy' && !options.coderef) note('Legacy indexed payload: printing decoded JSON.');
+        printJson(result.data);
+        return;
+    }
+    printJson(codec.convertCodeRefToFhirBundle(result.data));
+}
+
+function describeFlags(codec, flags) {
+    return Object.entries(codec.FRAGMENT_FLAGS)
+        .filter(([, bit]) => flags & bit)
+        .map(([name]) => name);
+}
+
+function summariseContent(data) {
+    const stages = {};
+    Object.entries(data || {}).forEach(([key, value]) => {
+        if (value && typeof value === 'object' && (value.vitals || value.conditions || value.events)) {
+            stages[key] = {
+                vitals: (value.vitals || []).length,
+                conditions: (value.conditions || []).length,
+                events: (value.events || []).length
+            };
+        }
+    });
+    return {
+        encoding: data?.originalBundleJson ? 'archive' : 'tag',
+        patient: [data?.patient?.given, data?.patient?.family].filter(Boolean).join(' ') || null,
+        epoch: data?.t ? new Date(Number(data.t)).toISOString() : null,
+        allergies: (data?.allergies || []).length,
+        stages
+    };
+}
+
+async function inspectCommand(codec, inputs, options) {
+    const fragments = await readFragments(inputs);
+    const report = { fragmentLength: fragments[0].length };
+
+    const bytes = Buffer.from(fragments[0], 'base64url');
+    const header = codec.readFragmentHeader(new Uint8Array(bytes));
+    if (header) {
+        report.header = {
+            schemaVersion: header.schemaVersion,
+            flags: describeFlags(codec, header.flags),
+            headerBytes: header.headerLength,
+            bodyBytes: bytes.length - header.headerLength - (header.trailerLength || 0),
+            trailerBytes: header.trailerLength || 0,
+            dictionaryVersion: header.dictionaryVersion ?? undefined,
+            chunk: header.chunk,
+            encryption: header.encrypted
+                ? { keyType: header.encrypted.keyType === 1 ? 'passphrase' : 'unit', keyId: header.encrypted.keyId.toString(16).padStart(8, '0') }
+                : undefined
+        };
+    } else {
+        report.header = null;
+        report.note = 'No envelope header (pre-versioning fragment); decoded by trial.';
+    }
+    report.envelopeBytes = bytes.length;
+
+    try {
+        const { fragment, keyOptions, result } = await decodeRecord(codec, inputs, options);
+        report.recordLength = fragment.length;
+        report.schema = result.schemaVersion;
+        report.signature = result.signature;
+        report.content = summariseContent(result.data);
+        report.unknownFields = codec.listUnknownFields(result.data);
+        if (options.wire) {
+            const { typeName, bytes: protobufBytes, fields } = await codec.inspectProtobufWire(fragment, keyOptions);
+            report.wire = { typeName, protobufBytes: protobufBytes.length, fields };
+        }
+    } catch (error) {
+        report.decodeError = `${error.name}: ${error.message}`;
+        process.exitCode = 1;
+    }
+    printJson(report);
+}
+
+async function sizeCommand(codec, inputs, options) {
+    const payload = await readJsonInput(inputs[0]);
+    const { presetDictionary, mode } = await buildEncodeOptions(codec, options);
+    const fragment = await codec.encodeToFragment(payload, { presetDictionary, mode });
+    const report = { fragmentLength: fragment.length, tags: {} };
+    Object.keys(codec.NFC_TAG_CAPACITIES).forEach(tag => {
+        const size = codec.measureTagUrl(fragment, { tag, baseUrl: options['base-url'] });
+        report.tags[tag] = { ndefBytes: size.ndefBytes, capacity: size.capacity, fits: size.fits };
+    });
+    const { urlLength, totals, items } = await codec.buildSizeBreakdown(fragment, { baseUrl: options['base-url'] });
+    report.breakdown = { urlLength, totals, items };
+    printJson(report);
+    note(`Largest parts of the ${urlLength} character URL: ${items.slice(0, 3)
+        .map(item => `${item.key} ${(item.share * 100).toFixed(1)}%`).join(', ')}`);
+}
+
+async function roundTripCommand(codec, inputs, options) {
+    const payload = await readJsonInput(inputs[0]);
+    const { tag, presetDictionary, mode } = await buildEncodeOptions(codec, options);
+    const report = await codec.buildRoundTripReport(payload, { tag, presetDictionary, mode });
+    if (!options.all) {
+        report.resources = report.resources
+            .map(resource => ({ ...resource, differences: resource.differences.filter(item => item.status !== 'preserved') }))
+            .filter(resource => resource.differences.length);
+    }
+    printJson(report);
+    note(`${report.summary.preserved} preserved, ${report.summary.transformed} transformed, ${report.summary.lost} lost`
+        + ` (${report.summary.resourcesLost} resource(s) dropped)`);
+}
+
+async function migrateCommand(codec, inputs, options, payloadService) {
+    const { result } = await decodeRecord(codec, inputs, options);
+    if (result.schemaVersion !== 'legacy') {
+        throw new Error(`Fragment already uses the ${result.schemaVersion} schema; nothing to migrate.`);
+    }
+    const { payload, dropped } = payloadService.migrateLegacyPayload(result.data);
+    const encodeOptions = await buildEncodeOptions(codec, options);
+    const fragment = await codec.encodeToFragment(payload, encodeOptions);
+    printLine(options.url ? `${encodeOptions.baseUrl || 'https://www.medis.org.uk/'}#${fragment}` : fragment);
+
+    note(dropped.length ? `${dropped.length} field(s) not carried over:` : 'All fields carried over.');
+    dropped.forEach(item => note(`  - ${item.path} = ${JSON.stringify(item.value)} (${item.reason})`));
+}
+
+async function dictionaryCommand(codec, inputs, options) {
+    if (!inputs.length) throw new Error('Missing corpus: pass one or more FHIR Bundle or Patient JSON files.');
+    const bundles = [];
+    for (const input of inputs) bundles.push(await readJsonInput(input));
+    const maxBytes = options['max-bytes'] ? Number(options['max-bytes']) : undefined;
+    if (maxBytes !== undefined && !(Number.isInteger(maxBytes) && maxBytes > 0)) {
+        throw new Error(`--max-bytes must be a positive whole number, not ${options['max-bytes']}.`);
+    }
+    const { version, bytes, moduleSource } = await codec.buildDeflateDictionary(bundles, { maxBytes });
+    await fs.writeFile(path.join(rootDir, 'resources', 'deflate-dictionaries.js'), moduleSource);
+    note(`Wrote resources/deflate-dictionaries.js: dictionary v${version}, ${bytes.length} bytes from ${bundles.length} bundle(s)`);
+}
+
+const COMMANDS = {
+    encode: encodeCommand,
+    decode: decodeCommand,
+    inspect: inspectCommand,
+    size: sizeCommand,
+    roundtrip: roundTripCommand,
+    migrate: migrateCommand,
+    dictionary: dictionaryCommand
+};
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        note(error.message);
+        process.exit(64);
+    }
+    const { command, inputs, options } = parsed;
+
+    if (options.help || !command) {
+        printLine(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) {
+        note(`Unknown command "${command}".\n\n${USAGE}`);
+        process.exit(64);
+    }
+
+    const writeError = process.stderr.write.bind(process.stderr);
+    try {
+        const { codecPipeline, payloadService } = createCodec(options.verbose);
+        await COMMANDS[command](codecPipeline, inputs, options, payloadService);
+    } catch (error) {
+        writeError(`nfc-ips ${command}: ${error.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+await main();
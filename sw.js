@@ -0,0 +1,115 @@
+/**
+ * NFC IPS VIEWER - OFFLINE SERVICE WORKER
+ *
+ * Purpose: Keep the viewer working with no network once it has loaded, so `#fragment` URLs from casualty
+ * tags decode and render in the field
+ * Strategy: Precache the app shell into a cache named after APP_VERSION and the build hash, and serve same-origin GETs
+ * cache-first, caching anything else the pages load on first use. A new build installs alongside the old cache and
+ * waits until the page accepts the update prompt (SKIP_WAITING message); the old cache is then deleted.
+ *
+ * Registered as a module worker from script.js; the browser re-checks this file and its imports for updates.
+ */
+
+import { APP_VERSION } from './resources/app-version.js';
+
+// Replaced with a hash of the built files by scripts/build.mjs, so any changed file renames the cache
+const BUILD_HASH = 'dev';
+const CACHE_PREFIX = 'nfc-ips-';
+const CACHE_NAME = `${CACHE_PREFIX}${APP_VERSION}-${BUILD_HASH}`;
+
+// Paths relative to this file; the scope covers the pages in nfc/ips/
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'nfc/ips/home.html',
+    'nfc/ips/viewer.html',
+    'nfc/ips/encoding.html',
+    'style.css',
+    'script.js',
+    'config/constants.js',
+    'codec/ips-codec.js',
+    'codec/fhir-diff.js',
+    'codec/deflate-cost.js',
+    'codec/wire-format.js',
+    'codec/terminology.js',
+    'util/base64.js',
+    'util/crc32.js',
+    'util/date-format.js',
+    'util/json.js',
+    'util/ndef.js',
+    'util/qr.js',
+    'resources/app-version.js',
+    'resources/deflate-dictionaries.js',
+    'resources/proto-descriptors.js',
+    'resources/trusted-signing-keys.js',
+    'resources/nfc_payload.proto',
+    'resources/nfc_payload_legacy.proto',
+    'resources/vendor/pako.min.js',
+    'resources/vendor/protobuf.min.js',
+    'resources/vendor/jsQR.js',
+    'resources/vendor/chart.umd.min.js',
+    'resources/vendor/vitals-chart-mini.js',
+    'payload-1.json',
+    'payload-2.json'
+];
+
+async function precacheAppShell() {
+    const cache = await caches.open(CACHE_NAME);
+    // One missing file must not block the rest; anything skipped here is cached on first use instead
+    await Promise.all(PRECACHE_URLS.map(async url => {
+        try {
+            await cache.add(new Request(url, { cache: 'reload' }));
+        } catch (error) {
+            console.warn(`Service worker: could not precache ${url}:`, error);
+        }
+    }));
+}
+
+async function deleteOldCaches() {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name)));
+}
+
+async function respondCacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    // Pages are matched without their query (?proto=live etc.); the #fragment never reaches the network anyway
+    const isNavigation = request.mode === 'navigate';
+    const cached = await cache.match(request, { ignoreSearch: isNavigation });
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (isNavigation) {
+            const fallback = await cache.match('nfc/ips/viewer.html') || await cache.match('index.html');
+            if (fallback) return fallback;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(precacheAppShell());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(respondCacheFirst(request));
+});
@@ -0,0 +1,136 @@
+/**
+ * BASE64 / BASE64URL UTILITIES
+ *
+ * Purpose: Convert between bytes and the text forms used in NFC URL fragments
+ * Standard: RFC 4648 §5 Base64URL, '=' padding stripped on output (medis_codex_full_spec.md §4)
+ *
+ * Decoding accepts either the standard (+/) or URL-safe (-_) alphabet so tags written
+ * by other toolchains (e.g. Python's base64.urlsafe_b64encode) decode identically, but
+ * input is validated strictly: mixed alphabets, misplaced padding, impossible lengths
+ * and non-canonical trailing bits are rejected rather than silently repaired.
+ */
+
+const STANDARD_ALPHABET = /^[A-Za-z0-9+/]*$/;
+const URL_SAFE_ALPHABET = /^[A-Za-z0-9\-_]*$/;
+const WHITESPACE = /\s+/g;
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Base64 Normaliser
+ * Purpose: Validate Base64 or Base64URL text and convert it to padded standard Base64
+ * Usage: Shared pre-step for every decoder in this module
+ *
+ * @param {string} input - Base64 or Base64URL text, padded or unpadded
+ * @returns {string|null} - Padded standard Base64, or null if the input is not valid
+ *
+ * Example:
+ *   normaliseBase64('eyJrIjoxfQ') → 'eyJrIjoxfQ=='
+ *   normaliseBase64('ab-c+d') → null (mixed alphabets)
+ */
+export function normaliseBase64(input) {
+    if (typeof input !== 'string') return null;
+
+    // Pasted fragments frequently pick up line breaks; whitespace is never significant
+    const compact = input.replace(WHITESPACE, '');
+    if (!compact) return null;
+
+    const paddingStart = compact.indexOf('=');
+    const body = paddingStart === -1 ? compact : compact.slice(0, paddingStart);
+    const padding = paddingStart === -1 ? '' : compact.slice(paddingStart);
+
+    if (padding && (!/^={1,2}$/.test(padding) || compact.length % 4 !== 0)) return null;
+    if (body.length % 4 === 1) return null;
+
+    const isStandard = STANDARD_ALPHABET.test(body);
+    const isUrlSafe = URL_SAFE_ALPHABET.test(body);
+    if (!isStandard && !isUrlSafe) return null;
+
+    const standard = isUrlSafe ? body.replace(/-/g, '+').replace(/_/g, '/') : body;
+
+    // Reject non-canonical encodings: unused low bits of the final character must be zero
+    const remainder = standard.length % 4;
+    if (remainder) {
+        const lastValue = BASE64_CHARS.indexOf(standard[standard.length - 1]);
+        const unusedBitMask = remainder === 2 ? 0x0f : 0x03;
+        if (lastValue & unusedBitMask) return null;
+    }
+
+    return standard + '='.repeat((4 - remainder) % 4);
+}
+
+/**
+ * Base64 Decoder
+ * Purpose: Decode Base64 or Base64URL text into raw bytes
+ * Usage: First step of fragment decoding before inflate/protobuf
+ *
+ * @param {string} input - Base64 or Base64URL text
+ * @returns {Uint8Array|null} - Decoded bytes, or null if the input is not valid
+ *
+ * Example:
+ *   base64ToUint8Array('AQID') → Uint8Array [1, 2, 3]
+ *   base64ToUint8Array('A') → null
+ */
+export function base64ToUint8Array(input) {
+    const normalised = normaliseBase64(input);
+    if (!normalised) return null;
+
+    try {
+        const binary = atob(normalised);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Base64 Text Decoder
+ * Purpose: Decode Base64 or Base64URL text into a UTF-8 string
+ * Usage: Detect fragments that carry Base64-wrapped JSON rather than protobuf
+ *
+ * @param {string} input - Base64 or Base64URL text
+ * @returns {string|null} - Decoded UTF-8 text, or null if not valid Base64 or not UTF-8
+ *
+ * Example:
+ *   base64ToString('eyJrZXkiOiJ2YWx1ZSJ9') → '{"key":"value"}'
+ */
+export function base64ToString(input) {
+    const bytes = base64ToUint8Array(input);
+    if (!bytes) return null;
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Base64URL Encoder
+ * Purpose: Encode raw bytes as unpadded Base64URL for use in a URL fragment
+ * Usage: Final step of fragment encoding
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - Bytes to encode
+ * @returns {string} - Base64URL text without '=' padding
+ *
+ * Example:
+ *   uint8ArrayToBase64Url(new Uint8Array([251, 255])) → '-_8'
+ */
+export function uint8ArrayToBase64Url(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+    // Build the binary string in slices to stay clear of argument-count limits
+    const CHUNK_SIZE = 0x8000;
+    let binary = '';
+    for (let i = 0; i < view.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode.apply(null, view.subarray(i, i + CHUNK_SIZE));
+    }
+
+    return btoa(binary)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
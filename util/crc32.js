@@ -0,0 +1,36 @@
+/**
+ * CRC-32 CHECKSUM
+ *
+ * Purpose: Detect corrupted or mismatched bytes in NFC fragments and multi-tag chunks
+ * Standard: CRC-32/ISO-HDLC (the zlib/PNG polynomial 0xEDB88320, reflected, final XOR)
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 Calculator
+ * Purpose: Checksum a byte sequence
+ *
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} - Unsigned 32-bit CRC
+ *
+ * Example:
+ *   crc32(new TextEncoder().encode('123456789')) → 0xCBF43926
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i += 1) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
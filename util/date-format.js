@@ -0,0 +1,110 @@
+/**
+ * DATE FORMATTING UTILITIES
+ *
+ * Purpose: Display formats for clinical timestamps, shared by the codec's view models and the viewer
+ * All output uses the runtime's local time zone; invalid input is returned unchanged (or 'N/A' / null)
+ */
+/**
+ * Human-Readable Date Formatter
+ * Purpose: Convert ISO date strings to readable format for patient records
+ * Usage: Display dates in medical records and patient information
+ *
+ * @param {string} dateString - ISO date string (YYYY-MM-DD format)
+ * @returns {string} - Formatted date ('January 15, 2024') or 'N/A' if invalid
+ *
+ * Example:
+ *   formatDate('2024-01-15') → 'January 15, 2024'
+ *   formatDate(null) → 'N/A'
+ */
+export function formatDate(dateString) {
+    if (!dateString) return 'N/A';
+    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+    const parsed = new Date(dateString);
+    if (Number.isNaN(parsed.getTime())) return dateString;
+    return parsed.toLocaleDateString(undefined, options);
+}
+
+/**
+ * Compact DateTime Formatter
+ * Purpose: Format datetime for compact display in medical stages and events
+ * Usage: Show timestamps in care stage events with space-efficient format
+ *
+ * @param {string} dateString - ISO datetime string
+ * @returns {string} - Compact format ('15 Jan 24 14:30') or original if invalid
+ *
+ * Example:
+ *   formatDateTime('2024-01-15T14:30:00Z') → '15 Jan 24 14:30'
+ *   formatDateTime('invalid') → 'invalid'
+ */
+export function formatDateTime(dateString) {
+    if (!dateString) return 'N/A';
+    const parsed = new Date(dateString);
+    if (Number.isNaN(parsed.getTime())) return dateString;
+
+    const day = parsed.getDate();
+    const month = parsed.toLocaleDateString('en-US', { month: 'short' });
+    const year = parsed.getFullYear().toString().slice(-2);
+    const hours = parsed.getHours().toString().padStart(2, '0');
+    const minutes = parsed.getMinutes().toString().padStart(2, '0');
+
+    return `${day} ${month} ${year} ${hours}:${minutes}`;
+}
+
+export function formatDateTimeWithBullet(dateString) {
+    const formatted = formatDateTime(dateString);
+    const parts = formatted.split(' ');
+    if (parts.length >= 4) {
+        const datePart = `${parts[0]} ${parts[1]} ${parts[2]}`;
+        const timePart = parts.slice(3).join(' ');
+        return `${datePart} • ${timePart}`;
+    }
+    const idx = formatted.lastIndexOf(' ');
+    return idx > -1 ? `${formatted.slice(0, idx)} • ${formatted.slice(idx + 1)}` : formatted;
+}
+
+/**
+ * Time-Only Formatter
+ * Purpose: Extract and format just the time portion from datetime strings
+ * Usage: Display time in vitals and measurements where date is shown separately
+ *
+ * @param {string} dateString - ISO datetime string
+ * @returns {string} - Time in HH:MM format or 'N/A' if invalid
+ *
+ * Example:
+ *   formatTimeOnly('2024-01-15T14:30:00Z') → '14:30'
+ *   formatTimeOnly(null) → 'N/A'
+ */
+export function formatTimeOnly(dateString) {
+    if (!dateString) return 'N/A';
+    const parsed = new Date(dateString);
+    if (Number.isNaN(parsed.getTime())) return dateString;
+
+    const hours = parsed.getHours().toString().padStart(2, '0');
+    const minutes = parsed.getMinutes().toString().padStart(2, '0');
+
+    return `${hours}:${minutes}`;
+}
+
+/**
+ * Date Formatter for Patient Comparison
+ * Purpose: Standardized date format for comparing patient record changes
+ * Usage: IPS change detection and comparison views
+ *
+ * @param {string} dateString - ISO date string
+ * @returns {string|null} - Compact date ('15 Jan 24') or null if invalid
+ *
+ * Example:
+ *   formatDateForComparison('2024-01-15T00:00:00Z') → '15 Jan 24'
+ *   formatDateForComparison('invalid') → null
+ */
+export function formatDateForComparison(dateString) {
+    if (!dateString) return null;
+    const parsed = new Date(dateString);
+    if (Number.isNaN(parsed.getTime())) return null;
+
+    const day = parsed.getDate();
+    const month = parsed.toLocaleDateString('en-US', { month: 'short' });
+    const year = parsed.getFullYear().toString().slice(-2);
+
+    return `${day} ${month} ${year}`;
+}
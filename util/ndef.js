@@ -0,0 +1,229 @@
+/**
+ * NDEF MESSAGE UTILITIES
+ *
+ * Purpose: Build and parse the NDEF URI record that carries an NFC IPS URL on a tag
+ * Standard: NFC Forum NDEF 1.0, URI Record Type Definition (RTD-URI) and Type 2 Tag TLV framing
+ *
+ * Building produces a single short/long URI record ('U', TNF well-known) with the longest matching
+ * URI identifier code, optionally wrapped in an NDEF Message TLV plus Terminator TLV for writing
+ * straight into Type 2 tag (NTAG21x) user memory. Parsing accepts a full Type 2 memory dump
+ * (starting at page 0), a TLV stream, or a bare NDEF message, as bytes or as a hex string.
+ */
+
+// URI identifier codes (RTD-URI Table 3); index is the code written to the tag
+const URI_IDENTIFIER_CODES = [
+    '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:',
+    'ftp://anonymous:anonymous@', 'ftp://ftp.', 'ftps://', 'sftp://', 'smb://', 'nfs://',
+    'ftp://', 'dav://', 'news:', 'telnet://', 'imap:', 'rtsp://', 'urn:', 'pop:', 'sip:',
+    'sips:', 'tftp:', 'btspp://', 'btl2cap://', 'btgoep://', 'tcpobex://', 'irdaobex://',
+    'file://', 'urn:epc:id:', 'urn:epc:tag:', 'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:'
+];
+
+const RECORD_FLAGS = { MB: 0x80, ME: 0x40, CF: 0x20, SR: 0x10, IL: 0x08 };
+const TNF = { WELL_KNOWN: 0x01, ABSOLUTE_URI: 0x03 };
+const URI_RECORD_TYPE = 0x55; // 'U'
+
+const TLV = { NULL: 0x00, LOCK_CONTROL: 0x01, MEMORY_CONTROL: 0x02, NDEF_MESSAGE: 0x03, PROPRIETARY: 0xFD, TERMINATOR: 0xFE };
+const TYPE2_CC_MAGIC = 0xE1;
+const TYPE2_DATA_AREA_OFFSET = 16; // Pages 0-3: UID, lock bytes, capability container
+
+// Custom error for tag data that is not a readable NDEF URI message
+export class NdefFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NdefFormatError';
+    }
+}
+
+/**
+ * NDEF URI Message Builder
+ * Purpose: Encode a URL as a single-record NDEF message ready to write to a tag
+ * Usage: Tag-writing tools, and tag capacity measurement
+ *
+ * @param {string} url - Full URL including the #fragment
+ * @param {Object} options - { tlv: false } for a bare NDEF message (e.g. Web NFC / Android writers)
+ * @returns {Uint8Array} - Type 2 TLV-wrapped message with terminator (default), or the bare message
+ *
+ * Example:
+ *   buildNdefUriMessage('https://www.medis.org.uk/#TgMB') → Uint8Array [0x03, 0x14, 0xD1, 0x01, 0x10, 0x55, 0x02, ..., 0xFE]
+ */
+export function buildNdefUriMessage(url, options = {}) {
+    const prefixCode = URI_IDENTIFIER_CODES.reduce((best, prefix, code) =>
+        (prefix.length > URI_IDENTIFIER_CODES[best].length && url.startsWith(prefix) ? code : best), 0);
+    const uriBody = new TextEncoder().encode(url.slice(URI_IDENTIFIER_CODES[prefixCode].length));
+
+    const payloadLength = 1 + uriBody.length;
+    const isShortRecord = payloadLength <= 0xFF;
+    const header = [
+        RECORD_FLAGS.MB | RECORD_FLAGS.ME | (isShortRecord ? RECORD_FLAGS.SR : 0) | TNF.WELL_KNOWN,
+        1, // Type length
+        ...(isShortRecord
+            ? [payloadLength]
+            : [(payloadLength >>> 24) & 0xFF, (payloadLength >>> 16) & 0xFF, (payloadLength >>> 8) & 0xFF, payloadLength & 0xFF]),
+        URI_RECORD_TYPE,
+        prefixCode
+    ];
+
+    const message = new Uint8Array(header.length + uriBody.length);
+    message.set(header, 0);
+    message.set(uriBody, header.length);
+
+    if (options.tlv === false) {
+        return message;
+    }
+
+    // Lengths of 255 and above use the three-byte TLV length format
+    const tlvHeader = message.length < 0xFF
+        ? [TLV.NDEF_MESSAGE, message.length]
+        : [TLV.NDEF_MESSAGE, 0xFF, (message.length >>> 8) & 0xFF, message.length & 0xFF];
+
+    const tagBytes = new Uint8Array(tlvHeader.length + message.length + 1);
+    tagBytes.set(tlvHeader, 0);
+    tagBytes.set(message, tlvHeader.length);
+    tagBytes[tagBytes.length - 1] = TLV.TERMINATOR;
+    return tagBytes;
+}
+
+function toBytes(input) {
+    if (input instanceof Uint8Array) return input;
+    if (input instanceof ArrayBuffer) return new Uint8Array(input);
+    if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    if (Array.isArray(input)) return Uint8Array.from(input);
+
+    if (typeof input === 'string') {
+        // Hex dumps from tag tools: "03 14 D1 ...", "03:14:d1", "0x03,0x14" or one continuous string
+        const hex = input.replace(/0x/gi, '').replace(/[\s:,-]/g, '');
+        if (!hex || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+            throw new NdefFormatError('Tag dump is not valid hex.');
+        }
+        return Uint8Array.from(hex.match(/../g), pair => parseInt(pair, 16));
+    }
+
+    throw new NdefFormatError('Tag dump must be bytes or a hex string.');
+}
+
+function findNdefMessageInTlvs(bytes, start) {
+    let offset = start;
+    while (offset < bytes.length) {
+        const type = bytes[offset];
+        if (type === TLV.NULL) {
+            offset += 1;
+            continue;
+        }
+        if (type === TLV.TERMINATOR) {
+            break;
+        }
+
+        let length = bytes[offset + 1];
+        let valueStart = offset + 2;
+        if (length === 0xFF) {
+            length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            valueStart = offset + 4;
+        }
+        if (length === undefined || Number.isNaN(length) || valueStart + length > bytes.length) {
+            throw new NdefFormatError('Tag dump is truncated inside a TLV block.');
+        }
+
+        if (type === TLV.NDEF_MESSAGE) {
+            return bytes.subarray(valueStart, valueStart + length);
+        }
+        offset = valueStart + length;
+    }
+    throw new NdefFormatError('No NDEF message found on tag.');
+}
+
+function parseRecords(message) {
+    const records = [];
+    let offset = 0;
+
+    while (offset < message.length) {
+        const flags = message[offset];
+        const tnf = flags & 0x07;
+        if (flags & RECORD_FLAGS.CF) {
+            throw new NdefFormatError('Chunked NDEF records are not supported.');
+        }
+
+        const typeLength = message[offset + 1];
+        let cursor = offset + 2;
+        let payloadLength;
+        if (flags & RECORD_FLAGS.SR) {
+            payloadLength = message[cursor];
+            cursor += 1;
+        } else {
+            payloadLength = ((message[cursor] << 24) | (message[cursor + 1] << 16) | (message[cursor + 2] << 8) | message[cursor + 3]) >>> 0;
+            cursor += 4;
+        }
+        const idLength = flags & RECORD_FLAGS.IL ? message[cursor++] : 0;
+
+        const type = message.subarray(cursor, cursor + typeLength);
+        cursor += typeLength;
+        const id = message.subarray(cursor, cursor + idLength);
+        cursor += idLength;
+        const payload = message.subarray(cursor, cursor + payloadLength);
+        cursor += payloadLength;
+
+        if (typeLength === undefined || cursor > message.length) {
+            throw new NdefFormatError('NDEF message is truncated.');
+        }
+
+        records.push({ tnf, type, id, payload, uri: recordUri(tnf, type, payload) });
+        offset = cursor;
+        if (flags & RECORD_FLAGS.ME) break;
+    }
+
+    return records;
+}
+
+function recordUri(tnf, type, payload) {
+    const decoder = new TextDecoder();
+    if (tnf === TNF.WELL_KNOWN && type.length === 1 && type[0] === URI_RECORD_TYPE && payload.length) {
+        return (URI_IDENTIFIER_CODES[payload[0]] ?? '') + decoder.decode(payload.subarray(1));
+    }
+    if (tnf === TNF.ABSOLUTE_URI) {
+        return decoder.decode(type);
+    }
+    return null;
+}
+
+/**
+ * NDEF Tag Dump Parser
+ * Purpose: Recover the IPS URL and #fragment from raw tag data
+ * Usage: Feed the returned fragment to payloadService.loadFromFragment / NfcIps.decodeFragment
+ *
+ * @param {Uint8Array|ArrayBuffer|Array<number>|string} input - Type 2 memory dump from page 0,
+ *   TLV stream, bare NDEF message, or any of these as hex text
+ * @returns {Object} - { records, uri, fragment } for the first URI record (fragment without '#')
+ * @throws {NdefFormatError} - If no NDEF URI record can be found
+ *
+ * Example:
+ *   parseNdefMessage('03 14 D1 01 10 55 02 ...').fragment → 'TgMB...'
+ */
+export function parseNdefMessage(input) {
+    const bytes = toBytes(input);
+    if (!bytes.length) {
+        throw new NdefFormatError('Tag dump is empty.');
+    }
+
+    let message;
+    if (bytes.length > TYPE2_DATA_AREA_OFFSET && bytes[12] === TYPE2_CC_MAGIC) {
+        message = findNdefMessageInTlvs(bytes, TYPE2_DATA_AREA_OFFSET);
+    } else if (Object.values(TLV).includes(bytes[0])) {
+        // A bare message's first record always has MB set, so it can never start with a TLV type byte
+        message = findNdefMessageInTlvs(bytes, 0);
+    } else {
+        message = bytes;
+    }
+
+    const records = parseRecords(message);
+    const uriRecord = records.find(record => record.uri);
+    if (!uriRecord) {
+        throw new NdefFormatError('NDEF message has no URI record.');
+    }
+
+    const hashIndex = uriRecord.uri.indexOf('#');
+    return {
+        records,
+        uri: uriRecord.uri,
+        fragment: hashIndex === -1 ? '' : uriRecord.uri.slice(hashIndex + 1)
+    };
+}
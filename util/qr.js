@@ -0,0 +1,464 @@
+/**
+ * QR CODE ENCODER
+ *
+ * Purpose: Generate QR codes for NFC IPS URLs entirely client-side, for printing on casualty cards
+ * Standard: ISO/IEC 18004 Model 2, byte mode, versions 1-40, error correction L/M/Q/H
+ *
+ * Byte mode only: Base64URL fragments mix upper and lower case, which rules out the
+ * alphanumeric mode. Version and error-correction level are chosen automatically: the smallest
+ * version that fits at the requested minimum level, then the highest level that still fits
+ * in that same version (more damage tolerance at no size cost).
+ */
+
+const ERROR_CORRECTION = {
+    L: { formatBits: 1, index: 0 },
+    M: { formatBits: 0, index: 1 },
+    Q: { formatBits: 3, index: 2 },
+    H: { formatBits: 2, index: 3 }
+};
+const ERROR_CORRECTION_ORDER = ['L', 'M', 'Q', 'H'];
+
+// Error correction codewords per block, by level index then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, by level index then version (index 0 unused)
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const BYTE_MODE_INDICATOR = 0x4;
+
+// === CAPACITY ===
+
+function numRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function numDataCodewords(version, level) {
+    const { index } = ERROR_CORRECTION[level];
+    return Math.floor(numRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[index][version] * NUM_ERROR_CORRECTION_BLOCKS[index][version];
+}
+
+function byteModeBits(version, byteLength) {
+    const countBits = version <= 9 ? 8 : 16;
+    return 4 + countBits + byteLength * 8;
+}
+
+function fits(version, level, byteLength) {
+    return byteModeBits(version, byteLength) <= numDataCodewords(version, level) * 8;
+}
+
+// === REED-SOLOMON ===
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i -= 1) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i += 1) {
+        for (let j = 0; j < degree; j += 1) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// === CODEWORDS ===
+
+function buildDataCodewords(bytes, version, level) {
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(BYTE_MODE_INDICATOR, 4);
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+
+    const capacityBits = numDataCodewords(version, level) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+function addErrorCorrectionAndInterleave(data, version, level) {
+    const { index } = ERROR_CORRECTION[level];
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[index][version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[index][version];
+    const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(blockEccLength);
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i += 1) {
+        const dataLength = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+        const blockData = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        const ecc = reedSolomonRemainder(blockData, divisor);
+        // Short blocks get a placeholder so every block interleaves at the same index
+        if (i < numShortBlocks) blockData.push(0);
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i += 1) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+// === MATRIX ===
+
+function alignmentPatternPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < numAlign; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i += 1) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy += 1) {
+            for (let dx = -4; dx <= 4; dx += 1) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, skipping the three that would overlap finder patterns
+    const alignment = alignmentPatternPositions(version, size);
+    const last = alignment.length - 1;
+    alignment.forEach((cx, i) => {
+        alignment.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy += 1) {
+                for (let dx = -2; dx <= 2; dx += 1) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve format areas (real bits drawn after masking) and version blocks
+    drawFormatBits(modules, isFunction, 'L', 0, setFunction);
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i += 1) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    return { size, modules, isFunction, setFunction };
+}
+
+function drawFormatBits(modules, isFunction, level, mask, setFunction) {
+    const size = modules.length;
+    const data = (ERROR_CORRECTION[level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // First copy, around the top-left finder
+    for (let i = 0; i <= 5; i += 1) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i += 1) setFunction(14 - i, 8, bit(i));
+
+    // Second copy, split between the top-right and bottom-left finders
+    for (let i = 0; i < 8; i += 1) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i += 1) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true); // Always-dark module
+}
+
+function drawCodewords(matrix, codewords) {
+    const { size, modules, isFunction } = matrix;
+    let bitIndex = 0;
+    const totalBits = codewords.length * 8;
+
+    // Zig-zag in two-module columns from the bottom-right, skipping the vertical timing column
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert += 1) {
+            for (let j = 0; j < 2; j += 1) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && bitIndex < totalBits) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex += 1;
+                }
+            }
+        }
+    }
+}
+
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function applyMask(matrix, mask) {
+    const { size, modules, isFunction } = matrix;
+    for (let y = 0; y < size; y += 1) {
+        for (let x = 0; x < size; x += 1) {
+            if (!isFunction[y][x] && MASK_PATTERNS[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+// Finder-like 1:1:3:1:1 runs with four light modules on one side
+const FINDER_LIKE_PATTERNS = ['10111010000', '00001011101'];
+
+function penaltyScore(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i += 1) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+        // N1: runs of five or more same-colour modules
+        let runLength = 1;
+        for (let i = 1; i <= size; i += 1) {
+            if (i < size && line[i] === line[i - 1]) {
+                runLength += 1;
+            } else {
+                if (runLength >= 5) penalty += 3 + (runLength - 5);
+                runLength = 1;
+            }
+        }
+
+        // N3: finder-like patterns
+        const text = line.map(module => (module ? '1' : '0')).join('');
+        FINDER_LIKE_PATTERNS.forEach(pattern => {
+            for (let index = text.indexOf(pattern); index !== -1; index = text.indexOf(pattern, index + 1)) {
+                penalty += 40;
+            }
+        });
+    });
+
+    for (let y = 0; y < size; y += 1) {
+        for (let x = 0; x < size; x += 1) {
+            if (modules[y][x]) dark += 1;
+            // N2: 2x2 blocks of one colour
+            if (x < size - 1 && y < size - 1) {
+                const colour = modules[y][x];
+                if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    // N4: deviation of the dark proportion from 50%, in 5% steps
+    const total = size * size;
+    penalty += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+// === PUBLIC API ===
+
+/**
+ * QR Code Encoder
+ * Purpose: Encode text (typically the full NFC URL) as a QR code matrix
+ * Usage: Casualty-card fallback when a tag is damaged or the reader has NFC disabled
+ *
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {Object} options - { minErrorCorrection: 'L'|'M'|'Q'|'H' (default 'M'), boostErrorCorrection: true, maxVersion: 40 }
+ * @returns {Object} - { version, errorCorrection, size, modules } where modules[y][x] is true for dark
+ * @throws {RangeError} - If the text does not fit in the largest allowed version
+ *
+ * Example:
+ *   encodeQr('https://www.medis.org.uk/#TgMB...') → { version: 12, errorCorrection: 'Q', size: 65, modules: [...] }
+ */
+export function encodeQr(text, options = {}) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const minLevel = options.minErrorCorrection || 'M';
+    const maxVersion = Math.min(options.maxVersion || MAX_VERSION, MAX_VERSION);
+    if (!ERROR_CORRECTION[minLevel]) {
+        throw new RangeError(`Unknown QR error correction level "${minLevel}".`);
+    }
+
+    let version = MIN_VERSION;
+    while (version <= maxVersion && !fits(version, minLevel, bytes.length)) {
+        version += 1;
+    }
+    if (version > maxVersion) {
+        throw new RangeError(`${bytes.length} bytes is too long for a version ${maxVersion} QR code at level ${minLevel}.`);
+    }
+
+    let level = minLevel;
+    if (options.boostErrorCorrection !== false) {
+        ERROR_CORRECTION_ORDER.slice(ERROR_CORRECTION_ORDER.indexOf(minLevel) + 1).forEach(candidate => {
+            if (fits(version, candidate, bytes.length)) level = candidate;
+        });
+    }
+
+    const codewords = addErrorCorrectionAndInterleave(buildDataCodewords(bytes, version, level), version, level);
+    const matrix = createMatrix(version);
+    drawCodewords(matrix, codewords);
+
+    // Choose the mask with the lowest penalty (format bits affect the score, so draw them per mask)
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASK_PATTERNS.length; mask += 1) {
+        applyMask(matrix, mask);
+        drawFormatBits(matrix.modules, matrix.isFunction, level, mask, matrix.setFunction);
+        const penalty = penaltyScore(matrix.modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(matrix, mask); // XOR again to undo
+    }
+    applyMask(matrix, bestMask);
+    drawFormatBits(matrix.modules, matrix.isFunction, level, bestMask, matrix.setFunction);
+
+    return { version, errorCorrection: level, mask: bestMask, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * QR SVG Renderer
+ * Purpose: Render an encoded QR code as a standalone SVG string (scales cleanly for printing)
+ *
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} options - { border: quiet-zone modules (default 4), dark: '#000', light: '#fff' }
+ * @returns {string} - SVG markup
+ */
+export function qrToSvg(qr, options = {}) {
+    const border = options.border ?? 4;
+    const dimension = qr.size + border * 2;
+    const path = [];
+    // One rectangle per horizontal run of dark modules keeps the markup small for large versions
+    qr.modules.forEach((row, y) => {
+        for (let x = 0; x < qr.size; x += 1) {
+            if (!row[x]) continue;
+            const start = x;
+            while (x + 1 < qr.size && row[x + 1]) x += 1;
+            path.push(`M${start + border},${y + border}h${x - start + 1}v1h-${x - start + 1}z`);
+        }
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="${options.light || '#fff'}"/>`
+        + `<path d="${path.join('')}" fill="${options.dark || '#000'}"/></svg>`;
+}
+
+/**
+ * QR Canvas Renderer
+ * Purpose: Draw an encoded QR code onto a canvas, resizing the canvas to fit
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} options - { scale: pixels per module (default 4), border: quiet-zone modules (default 4) }
+ */
+export function drawQrToCanvas(canvas, qr, options = {}) {
+    const scale = options.scale || 4;
+    const border = options.border ?? 4;
+    canvas.width = (qr.size + border * 2) * scale;
+    canvas.height = canvas.width;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = options.light || '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = options.dark || '#000';
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) context.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+        });
+    });
+}